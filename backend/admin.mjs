@@ -0,0 +1,221 @@
+import Database from 'better-sqlite3';
+import { writeFileSync } from 'fs';
+import { extname } from 'path';
+import { DATABASE_URL, DB_PATH } from './config.mjs';
+import defaultDb from './db.mjs';
+import { loadDeployments } from './deployments.mjs';
+import { migrate } from './migrations.mjs';
+import { backfillRange, createPollers, formatBackfillReport } from './watcher.mjs';
+
+export const USAGE = `Usage: npm run notify:admin -- <command> [options]
+
+Commands:
+  subscriptions [--chain <id>] [--search <text>] [--verified | --unverified] [--limit <n>]
+      List subscriptions, newest first. --search matches part of the wallet or email.
+  emails (--wallet <address> | --bond <id>) [--chain <id>] [--limit <n>]
+      Show the emails sent and queued for a wallet or about a bond, with delivery errors.
+  checkpoint [--chain <id>] [--contract <address>] [--set <block>]
+      Show contract checkpoints, or set one. Setting it lower rescans from there;
+      notifications already queued are not sent again. Stop the worker first.
+  replay --chain <id> [--contract <address>] --from <block> --to <block> [--html]
+         [--report <file>] [--format json|csv]
+      Dry run (backfill mode): show what the watcher would send for a block range
+      under today's subscriptions. Nothing is queued, sent or indexed, and the
+      checkpoint is left alone. --report also writes every would-be notification
+      to <file>, as CSV for a .csv file and JSON otherwise.
+  export <file>
+      Write a consistent copy of the database to <file>.
+  import <file> --force
+      Replace the database with a copy made by export. Stop the API and worker first.
+
+The database is BOND_NOTIFY_DB (default bond-notify.db in BOND_NOTIFY_DATA_DIR), or the
+Postgres database at BOND_NOTIFY_DATABASE_URL; export and import that with pg_dump and pg_restore.`;
+
+const FLAGS = new Set(['verified', 'unverified', 'html', 'force']);
+
+function parseArgs(argv) {
+  const args = { positional: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      args.positional.push(arg);
+      continue;
+    }
+    const key = arg.slice(2);
+    if (FLAGS.has(key)) {
+      args[key] = true;
+      continue;
+    }
+    const value = argv[++i];
+    if (value === undefined || value.startsWith('--')) throw new Error(`Missing value for --${key}`);
+    args[key] = value;
+  }
+  return args;
+}
+
+function integer(args, key, { required = false } = {}) {
+  if (args[key] === undefined) {
+    if (required) throw new Error(`--${key} is required`);
+    return null;
+  }
+  const value = Number(args[key]);
+  if (!Number.isInteger(value) || value < 0) throw new Error(`--${key} must be a non-negative integer`);
+  return value;
+}
+
+// Rows as left-aligned columns under a header.
+function table(rows, columns) {
+  if (rows.length === 0) return ['(none)'];
+  const cells = [columns, ...rows.map(row => columns.map(column => String(row[column] ?? '')))];
+  const widths = columns.map((_, i) => Math.max(...cells.map(line => line[i].length)));
+  return cells.map(line => line.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd());
+}
+
+/**
+ * The one contract checkpoint or poller on `chainId` matching `contract`, or
+ * the only one on the chain when no contract is given.
+ */
+function pickContract(candidates, chainId, contract, what) {
+  const matches = candidates.filter(c => c.chainId === chainId
+    && (!contract || c.address.toLowerCase() === contract.toLowerCase()));
+  if (matches.length === 1) return matches[0];
+  if (matches.length === 0) throw new Error(`No ${what} for ${contract || 'any contract'} on chain ${chainId}`);
+  throw new Error(`Chain ${chainId} has several ${what}s; pick one with --contract`);
+}
+
+async function subscriptions(db, args, log) {
+  if (args.verified && args.unverified) throw new Error('Pass --verified or --unverified, not both');
+  const rows = (await db.searchSubscriptions({
+    chainId: integer(args, 'chain'),
+    search: args.search || null,
+    verified: args.verified ? true : args.unverified ? false : null,
+    limit: integer(args, 'limit') ?? 100,
+  })).map(row => ({
+    ...row,
+    verified: row.verified ? 'yes' : 'no',
+    digest: row.digest || '',
+    filters: [row.events && `events=${row.events.join(',')}`, row.roles && `roles=${row.roles.join(',')}`]
+      .filter(Boolean).join(' '),
+  }));
+  table(rows, ['wallet_address', 'chain_id', 'email', 'verified', 'digest', 'filters', 'created_at']).forEach(line => log(line));
+}
+
+async function emails(db, args, log) {
+  if (!args.wallet && args.bond === undefined) throw new Error('Pass --wallet or --bond');
+  const { sent, queued } = await db.getEmailHistory({
+    address: args.wallet || null,
+    bondId: integer(args, 'bond'),
+    chainId: integer(args, 'chain'),
+    limit: integer(args, 'limit') ?? 50,
+  });
+  log('Queued (outbox):');
+  table(queued, ['id', 'created_at', 'chain_id', 'bond_id', 'event_type', 'email', 'status', 'attempts', 'sent_at', 'last_error'])
+    .forEach(line => log(`  ${line}`));
+  log('Sent (email log):');
+  table(sent, ['sent_at', 'wallet_address', 'chain_id', 'bond_id', 'event_type', 'ses_message_id'])
+    .forEach(line => log(`  ${line}`));
+}
+
+async function checkpoint(db, args, log) {
+  const chainId = integer(args, 'chain');
+  const block = integer(args, 'set');
+  const checkpoints = (await db.listCheckpoints()).map(row => ({ chainId: row.chain_id, address: row.contract_address, block: row.last_block }));
+
+  if (block === null) {
+    const rows = checkpoints.filter(c => (chainId === null || c.chainId === chainId)
+      && (!args.contract || c.address === args.contract.toLowerCase()));
+    table(rows, ['chainId', 'address', 'block']).forEach(line => log(line));
+    return;
+  }
+
+  if (chainId === null) throw new Error('--chain is required with --set');
+  const contract = args.contract || pickContract(checkpoints, chainId, null, 'checkpoint').address;
+  const current = await db.getCheckpoint(chainId, contract);
+  if (current !== null && block < current) {
+    // Forget the block hashes above it too, or the next poll would see them as a reorg.
+    await db.rollbackCheckpoint(chainId, contract, block);
+  } else {
+    await db.setCheckpoint(chainId, contract, block);
+  }
+  log(`Chain ${chainId} ${contract.toLowerCase()}: checkpoint ${current ?? 'unset'} → ${block}`);
+}
+
+async function replay(db, args, log, pollers) {
+  const chainId = integer(args, 'chain', { required: true });
+  const fromBlock = integer(args, 'from', { required: true });
+  const toBlock = integer(args, 'to', { required: true });
+  if (toBlock < fromBlock) throw new Error('--to must not be below --from');
+  const report = args.report || null;
+  const format = args.format || (report && extname(report).toLowerCase() === '.csv' ? 'csv' : 'json');
+  if (!['json', 'csv'].includes(format)) throw new Error('--format must be json or csv');
+
+  const owned = !pollers;
+  pollers ??= createPollers(loadDeployments(), { db });
+  try {
+    const poller = pickContract(pollers, chainId, args.contract, 'watched contract');
+    const notifications = await backfillRange(poller, fromBlock, toBlock);
+    for (const n of notifications) {
+      const detail = n.channel === 'none' ? `(${n.reason})` : n.subject || (n.channel === 'digest' ? 'held for digest' : '');
+      log(`block ${n.blockNumber} ${n.transactionHash} ${n.event} bond #${n.bondId}: ${n.channel} → ${n.to ?? n.address} ${detail}`.trimEnd());
+      if (args.html && n.html) log(n.html);
+    }
+    if (report) {
+      writeFileSync(report, formatBackfillReport(notifications, format));
+      log(`Wrote ${format.toUpperCase()} report to ${report}`);
+    }
+    const sent = notifications.filter(n => n.channel !== 'none').length;
+    log(`${sent} notification(s) for blocks ${fromBlock}–${toBlock}. Dry run: nothing was queued or sent.`);
+  } finally {
+    if (owned) new Set(pollers.map(p => p.provider)).forEach(provider => provider.destroy());
+  }
+}
+
+async function exportDatabase(db, args, log, dbPath) {
+  const [file] = args.positional;
+  if (!file) throw new Error('Pass the file to export to');
+  await db.backup(file);
+  log(`Exported ${dbPath} to ${file}`);
+}
+
+async function importDatabase(args, log, dbPath) {
+  const [file] = args.positional;
+  if (!file) throw new Error('Pass the file to import');
+  if (DATABASE_URL) throw new Error('Import a Postgres database with pg_restore');
+  if (!args.force) throw new Error(`This replaces everything in ${dbPath}. Stop the API and worker, then re-run with --force`);
+
+  const source = new Database(file, { readonly: true, fileMustExist: true });
+  try {
+    const isNotifierDb = source.prepare("SELECT 1 FROM sqlite_master WHERE type='table' AND name='subscriptions'").get();
+    if (!isNotifierDb) throw new Error(`${file} is not a notifier database`);
+    await source.backup(dbPath);
+  } finally {
+    source.close();
+  }
+  // An export from an older release gets its schema brought up to date.
+  const target = new Database(dbPath);
+  try {
+    migrate(target);
+  } finally {
+    target.close();
+  }
+  log(`Imported ${file} into ${dbPath}`);
+}
+
+/**
+ * Run one admin command (see USAGE) against `db`, printing with `log`.
+ * `pollers` default to those of the deployments file, for `replay`.
+ */
+export async function runAdminCommand(argv, { db = defaultDb, dbPath = DB_PATH, pollers, log = console.log } = {}) {
+  const [command, ...rest] = argv;
+  const args = parseArgs(rest);
+
+  switch (command) {
+    case 'subscriptions': return subscriptions(db, args, log);
+    case 'emails': return emails(db, args, log);
+    case 'checkpoint': return checkpoint(db, args, log);
+    case 'replay': return replay(db, args, log, pollers);
+    case 'export': return exportDatabase(db, args, log, dbPath);
+    case 'import': return importDatabase(args, log, dbPath);
+    default: throw new Error(command ? `Unknown command: ${command}\n\n${USAGE}` : USAGE);
+  }
+}
@@ -1,39 +1,52 @@
 import http from 'http';
+import { randomBytes, timingSafeEqual } from 'crypto';
 import { ethers } from 'ethers';
 import {
   PORT,
   HOST,
   TIMESTAMP_WINDOW_SEC,
-  RATE_LIMIT_MAX,
   FRONTEND_BASE_URL,
+  NOTIFY_BASE_URL,
+  FEED_MAX_AGE_SEC,
+  SESSION_TTL_SEC,
+  AUTH_NONCE_TTL_SEC,
+  WEBHOOK_DEV,
 } from './config.mjs';
-import db from './db.mjs';
+import defaultDb from './db.mjs';
 import { sendEmail } from './mailer.mjs';
-import { verificationEmail, parseToken } from './templates.mjs';
-
-const rateBuckets = new Map(); // ip -> { count, resetAt }
-
-function checkRateLimit(ip) {
-  const now = Date.now();
-  let bucket = rateBuckets.get(ip);
-  if (!bucket || now > bucket.resetAt) {
-    bucket = { count: 0, resetAt: now + 3600_000 };
-    rateBuckets.set(ip, bucket);
-  }
-  bucket.count++;
-  return bucket.count <= RATE_LIMIT_MAX;
-}
-
-// Clean up stale buckets every 10 minutes.
-setInterval(() => {
-  const now = Date.now();
-  for (const [ip, bucket] of rateBuckets) {
-    if (now > bucket.resetAt) rateBuckets.delete(ip);
-  }
-}, 600_000).unref();
+import { parsePreferences, NOTIFICATION_EVENTS, NOTIFICATION_ROLES, DIGEST_MODES } from './preferences.mjs';
+import { verificationEmail, parseToken, chatLinkMessage, chainName } from './templates.mjs';
+import { createChatChannels } from './chat.mjs';
+import { checkWebhookUrl, generateWebhookSecret, parseWebhookUrl } from './webhooks.mjs';
+import { executeGraphql } from './graphql.mjs';
+import { createRegistryReader } from './registries.mjs';
+import { createLiveFeed } from './live.mjs';
+import { buildFeed } from './feeds.mjs';
+import {
+  checkSiweMessage,
+  generateAuthNonce,
+  generateSessionToken,
+  hashSessionToken,
+  parseSiweMessage,
+  requestSessionToken,
+  sessionCookie,
+} from './auth.mjs';
+import { metrics, metricsAuthorized, renderMetrics } from './metrics.mjs';
+import { createRateLimiter } from './rate-limit.mjs';
+import { createSignatureVerifier, preferencesTypedMessage, signedRequestDigest } from './signatures.mjs';
+import {
+  BOND_STATUSES,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  bondPage,
+  judgeStats,
+  normalizeBond,
+  normalizeChallenge,
+  normalizeJudgeProfile,
+} from './bonds.mjs';
 
-function json(res, status, data) {
-  res.writeHead(status, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+function json(res, status, data, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*', ...headers });
   res.end(JSON.stringify(data));
 }
 
@@ -60,8 +73,118 @@ function readBody(req) {
   });
 }
 
-function getClientIp(req) {
-  return req.headers['x-forwarded-for']?.split(',')[0]?.trim() || req.socket.remoteAddress;
+/**
+ * Accept each signed request once. Its digest is kept until the timestamp
+ * leaves TIMESTAMP_WINDOW_SEC, after which the timestamp check rejects it
+ * anyway. Responds 409 and returns false for a replay.
+ */
+async function claimSignedRequest(res, db, address, digest, timestamp) {
+  const expiresAt = (Number(timestamp) + TIMESTAMP_WINDOW_SEC) * 1000;
+  if (await db.claimSignedRequest(address, digest, expiresAt)) return true;
+  json(res, 409, { error: 'This signed request was already used. Please sign a new one.', code: 'signature_reused' });
+  return false;
+}
+
+/**
+ * The SIWE session a wallet request is made under, or null without one. A
+ * session stands in for the request's signature, but only for its own wallet
+ * and chain, which the body's address and chainId default to. Responds and
+ * returns false when the session is invalid or belongs to another wallet or chain.
+ */
+async function requestSession(req, res, db, body) {
+  const token = requestSessionToken(req);
+  if (!token) return null;
+
+  const session = await db.getSession(hashSessionToken(token));
+  if (!session) {
+    json(res, 401, { error: 'Session expired or signed out. Please sign in again.', code: 'session_invalid' });
+    return false;
+  }
+
+  body.address ??= ethers.getAddress(session.address);
+  body.chainId ??= session.chainId;
+  if (String(body.address).toLowerCase() !== session.address || Number(body.chainId) !== session.chainId) {
+    json(res, 403, { error: 'Session is for another wallet or chain', code: 'session_mismatch' });
+    return false;
+  }
+  return session;
+}
+
+const missing = value => value == null || value === '';
+
+/**
+ * Everything a signed wallet request goes through before its handler acts:
+ * the client's rate limit, the JSON body, the required `fields` (listed in the
+ * order the error names them), then a session where `session` allows one, or
+ * else a timely signature that has not been used before, and finally the
+ * wallet's own rate limit. `signed(body)` checks the handler's own fields,
+ * throwing to reject the request, and returns (or resolves to) the
+ * `primaryType`, typed `message` and `legacyMessage` the wallet signs.
+ * Returns the body, its address and chainId filled in from the session, or
+ * null after responding.
+ */
+async function authenticateSignedRequest(req, res, options) {
+  const { db, signatures, rateLimiter, route, fields, session: allowSession = true, signed } = options;
+  if (!await rateLimiter.allowClient(req, res, route)) {
+    json(res, 429, { error: 'Rate limit exceeded. Try again later.' });
+    return null;
+  }
+
+  let body;
+  try {
+    body = JSON.parse(await readBody(req));
+  } catch {}
+  if (!body || typeof body !== 'object') {
+    json(res, 400, { error: 'Invalid JSON body' });
+    return null;
+  }
+
+  const session = allowSession ? await requestSession(req, res, db, body) : null;
+  if (session === false) return null;
+
+  const required = session ? fields.filter(field => field !== 'signature' && field !== 'timestamp') : fields;
+  if (required.some(field => missing(body[field]))) {
+    json(res, 400, { error: `Missing required fields: ${fields.join(', ')}` });
+    return null;
+  }
+
+  let signedParts;
+  try {
+    signedParts = await signed(body);
+  } catch (err) {
+    json(res, 400, { error: err.message });
+    return null;
+  }
+
+  const { address, chainId, signature, timestamp } = body;
+  if (!session) {
+    const now = Math.floor(Date.now() / 1000);
+    if (Math.abs(now - timestamp) > TIMESTAMP_WINDOW_SEC) {
+      json(res, 400, { error: 'Timestamp expired. Please try again.' });
+      return null;
+    }
+
+    const request = { address, chainId, signature, ...signedParts };
+    let signedBy;
+    try {
+      signedBy = await signatures.verify(request);
+    } catch {
+      json(res, 400, { error: 'Invalid signature' });
+      return null;
+    }
+    if (!signedBy) {
+      json(res, 403, { error: 'Signature does not match address' });
+      return null;
+    }
+
+    if (!await claimSignedRequest(res, db, address, signedRequestDigest(request, signedBy), timestamp)) return null;
+  }
+
+  if (!await rateLimiter.allowWallet(res, route, address)) {
+    json(res, 429, { error: 'Rate limit exceeded. Try again later.' });
+    return null;
+  }
+  return body;
 }
 
 function buildJudgeProfileMessage({ address, chainId, statement, linkUrl, timestamp }) {
@@ -75,18 +198,16 @@ function buildJudgeProfileMessage({ address, chainId, statement, linkUrl, timest
   });
 }
 
-function normalizeJudgeProfile(row) {
-  if (!row) return null;
-  return {
-    id: row.id,
-    address: row.wallet_address,
-    chainId: row.chain_id,
-    statement: row.statement || '',
-    linkUrl: row.link_url || '',
-    createdAt: row.created_at,
-    updatedAt: row.updated_at,
-    url: `${FRONTEND_BASE_URL}/judge/${row.id}`,
-  };
+function buildPreferencesMessage({ address, chainId, events, roles, digest, timestamp }) {
+  return JSON.stringify({
+    action: 'simplebond-notify-preferences-v1',
+    address: String(address || '').toLowerCase(),
+    chainId: Number(chainId),
+    events: events ?? null,
+    roles: roles ?? null,
+    digest: digest ?? null,
+    timestamp: Number(timestamp),
+  });
 }
 
 function parseJudgeProfileBody(body) {
@@ -114,57 +235,42 @@ function parseJudgeProfileBody(body) {
   return { statement, linkUrl };
 }
 
-async function handleRegister(req, res) {
-  const ip = getClientIp(req);
-  if (!checkRateLimit(ip)) {
-    return json(res, 429, { error: 'Rate limit exceeded. Try again later.' });
-  }
-
-  let body;
-  try {
-    body = JSON.parse(await readBody(req));
-  } catch {
-    return json(res, 400, { error: 'Invalid JSON body' });
-  }
-
-  const { address, email, chainId, signature, timestamp } = body;
-  if (!address || !email || chainId == null || !signature || timestamp == null) {
-    return json(res, 400, { error: 'Missing required fields: address, email, chainId, signature, timestamp' });
-  }
-
-  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
-    return json(res, 400, { error: 'Invalid email format' });
-  }
-
-  const now = Math.floor(Date.now() / 1000);
-  if (Math.abs(now - timestamp) > TIMESTAMP_WINDOW_SEC) {
-    return json(res, 400, { error: 'Timestamp expired. Please try again.' });
-  }
-
-  const message = `Enable SimpleBond notifications for ${email} on chain ${chainId}. Timestamp: ${timestamp}`;
-  let recovered;
-  try {
-    recovered = ethers.verifyMessage(message, signature);
-  } catch {
-    return json(res, 400, { error: 'Invalid signature' });
-  }
-
-  if (recovered.toLowerCase() !== address.toLowerCase()) {
-    return json(res, 403, { error: 'Signature does not match address' });
-  }
+async function handleRegister(req, res, db, signatures, rateLimiter) {
+  const body = await authenticateSignedRequest(req, res, {
+    db,
+    signatures,
+    rateLimiter,
+    route: 'register',
+    fields: ['address', 'email', 'chainId', 'signature', 'timestamp'],
+    session: false,
+    signed: ({ address, email, chainId, timestamp }) => {
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) throw new Error('Invalid email format');
+      return {
+        primaryType: 'NotificationRegistration',
+        message: { wallet: address, email, timestamp },
+        legacyMessage: `Enable SimpleBond notifications for ${email} on chain ${chainId}. Timestamp: ${timestamp}`,
+      };
+    },
+  });
+  if (!body) return;
+  const { address, email, chainId } = body;
 
-  db.upsertSubscription(address, email, chainId);
+  await db.upsertSubscription(address, email, chainId);
 
   const { subject, html } = verificationEmail(address, chainId);
-  const msgId = await sendEmail(email, subject, html);
-  if (msgId) {
-    db.logEmail(address, chainId, null, 'verification', msgId);
+  try {
+    const msgId = await sendEmail(email, subject, html);
+    if (msgId) {
+      await db.logEmail(address, chainId, null, 'verification', msgId);
+    }
+  } catch (err) {
+    console.error(`[server] Verification email to ${email} failed:`, err.message);
   }
 
   json(res, 200, { ok: true, message: 'Verification email sent. Check your inbox.' });
 }
 
-function handleVerify(req, res) {
+async function handleVerify(req, res, db) {
   const url = new URL(req.url, `http://${req.headers.host}`);
   const token = url.searchParams.get('token');
   if (!token) return json(res, 400, { error: 'Missing token' });
@@ -174,7 +280,7 @@ function handleVerify(req, res) {
     return json(res, 400, { error: 'Invalid or expired token' });
   }
 
-  const result = db.verifySubscription(parsed.address, parsed.chainId);
+  const result = await db.verifySubscription(parsed.address, parsed.chainId);
   if (result.changes === 0) {
     return json(res, 404, { error: 'Subscription not found' });
   }
@@ -182,7 +288,7 @@ function handleVerify(req, res) {
   redirect(res, `${FRONTEND_BASE_URL}?notify=verified`);
 }
 
-function handleStatus(req, res) {
+async function handleStatus(req, res, db) {
   const url = new URL(req.url, `http://${req.headers.host}`);
   const address = url.searchParams.get('address');
   const chain = url.searchParams.get('chain');
@@ -190,7 +296,7 @@ function handleStatus(req, res) {
     return json(res, 400, { error: 'Missing address or chain parameter' });
   }
 
-  const sub = db.getSubscription(address, parseInt(chain, 10));
+  const sub = await db.getSubscription(address, parseInt(chain, 10));
   if (!sub) {
     return json(res, 200, { registered: false });
   }
@@ -202,7 +308,7 @@ function handleStatus(req, res) {
   });
 }
 
-function handleUnsubscribe(req, res) {
+async function handleUnsubscribe(req, res, db) {
   const url = new URL(req.url, `http://${req.headers.host}`);
   const token = url.searchParams.get('token');
   if (!token) return json(res, 400, { error: 'Missing token' });
@@ -212,15 +318,489 @@ function handleUnsubscribe(req, res) {
     return json(res, 400, { error: 'Invalid token' });
   }
 
-  db.deleteSubscription(parsed.address, parsed.chainId);
+  await db.deleteSubscription(parsed.address, parsed.chainId);
   redirect(res, `${FRONTEND_BASE_URL}?notify=unsubscribed`);
 }
 
-function handleHealth(req, res) {
-  json(res, 200, { status: 'ok', uptime: process.uptime() });
+async function handleSignedUnsubscribe(req, res, db, signatures, rateLimiter) {
+  const body = await authenticateSignedRequest(req, res, {
+    db,
+    signatures,
+    rateLimiter,
+    route: 'update',
+    fields: ['address', 'chainId', 'signature', 'timestamp'],
+    session: false,
+    signed: ({ address, timestamp }) => ({
+      primaryType: 'NotificationUnsubscribe',
+      message: { wallet: address, timestamp },
+    }),
+  });
+  if (!body) return;
+
+  const result = await db.deleteSubscription(body.address, Number(body.chainId));
+  if (result.changes === 0) {
+    return json(res, 404, { error: 'Subscription not found' });
+  }
+  json(res, 200, { ok: true });
+}
+
+async function handlePreferencesGet(req, res, db) {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const address = url.searchParams.get('address');
+  const chain = url.searchParams.get('chain');
+  if (!address || !chain) {
+    return json(res, 400, { error: 'Missing address or chain parameter' });
+  }
+
+  const chainId = parseInt(chain, 10);
+  if (!await db.getSubscription(address, chainId)) {
+    return json(res, 404, { error: 'Subscription not found' });
+  }
+
+  json(res, 200, {
+    ...await db.getPreferences(address, chainId),
+    availableEvents: NOTIFICATION_EVENTS,
+    availableRoles: NOTIFICATION_ROLES,
+    availableDigests: DIGEST_MODES,
+  });
+}
+
+async function handlePreferencesUpdate(req, res, db, signatures, rateLimiter) {
+  let preferences;
+  const body = await authenticateSignedRequest(req, res, {
+    db,
+    signatures,
+    rateLimiter,
+    route: 'update',
+    fields: ['address', 'chainId', 'signature', 'timestamp'],
+    signed: (request) => {
+      preferences = parsePreferences(request);
+      const { address, chainId, events, roles, digest, timestamp } = request;
+      const signed = { address, chainId, events, roles, digest, timestamp };
+      return {
+        primaryType: 'NotificationPreferences',
+        message: preferencesTypedMessage(signed),
+        legacyMessage: buildPreferencesMessage(signed),
+      };
+    },
+  });
+  if (!body) return;
+  const { address, chainId } = body;
+
+  if (!await db.getSubscription(address, Number(chainId))) {
+    return json(res, 404, { error: 'Subscription not found' });
+  }
+
+  await db.setPreferences(address, Number(chainId), preferences);
+  json(res, 200, { ok: true, ...preferences });
+}
+
+async function handleWebhookRegister(req, res, db, signatures, rateLimiter, webhookDev) {
+  const body = await authenticateSignedRequest(req, res, {
+    db,
+    signatures,
+    rateLimiter,
+    route: 'update',
+    fields: ['address', 'chainId', 'url', 'signature', 'timestamp'],
+    signed: ({ address, chainId, url, timestamp }) => {
+      parseWebhookUrl(url);
+      return {
+        primaryType: 'WebhookRegistration',
+        message: { wallet: address, url, timestamp },
+        legacyMessage: `Enable SimpleBond webhook ${url} on chain ${chainId}. Timestamp: ${timestamp}`,
+      };
+    },
+  });
+  if (!body) return;
+
+  // Only now resolve the host, so unauthenticated callers cannot make the API look up names.
+  let webhookUrl;
+  try {
+    webhookUrl = await checkWebhookUrl(body.url, { dev: webhookDev });
+  } catch (err) {
+    return json(res, 400, { error: err.message });
+  }
+
+  // The secret is only ever shown here; registering the same URL again rotates it.
+  const secret = generateWebhookSecret();
+  const id = await db.upsertWebhook(body.address, Number(body.chainId), webhookUrl, secret);
+  json(res, 200, { ok: true, id, url: webhookUrl, secret });
+}
+
+async function handleWebhookDelete(req, res, db, signatures, rateLimiter) {
+  let webhookUrl;
+  const body = await authenticateSignedRequest(req, res, {
+    db,
+    signatures,
+    rateLimiter,
+    route: 'update',
+    fields: ['address', 'chainId', 'url', 'signature', 'timestamp'],
+    signed: ({ address, chainId, url, timestamp }) => {
+      webhookUrl = parseWebhookUrl(url);
+      return {
+        primaryType: 'WebhookRemoval',
+        message: { wallet: address, url, timestamp },
+        legacyMessage: `Disable SimpleBond webhook ${url} on chain ${chainId}. Timestamp: ${timestamp}`,
+      };
+    },
+  });
+  if (!body) return;
+
+  const result = await db.deactivateWebhook(body.address, Number(body.chainId), webhookUrl);
+  if (result.changes === 0) {
+    return json(res, 404, { error: 'Webhook not found' });
+  }
+  json(res, 200, { ok: true });
+}
+
+// Delivery logs are readable by whoever holds the webhook secret.
+async function handleWebhookDeliveries(req, res, db) {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const id = parseInt(url.searchParams.get('id'), 10);
+  if (!Number.isFinite(id)) {
+    return json(res, 400, { error: 'Missing or invalid id parameter' });
+  }
+
+  const webhook = await db.getWebhook(id);
+  const presented = Buffer.from(String(req.headers.authorization || '').replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(webhook ? webhook.secret : '');
+  if (!webhook || presented.length !== expected.length || !timingSafeEqual(presented, expected)) {
+    return json(res, 404, { error: 'Webhook not found' });
+  }
+
+  json(res, 200, {
+    webhook: { id: webhook.id, url: webhook.url, active: !!webhook.active, createdAt: webhook.created_at },
+    deliveries: (await db.getWebhookDeliveries(id)).map(row => ({
+      id: row.id,
+      event: row.event_type,
+      status: row.status,
+      attempts: row.attempts,
+      lastStatusCode: row.last_status_code,
+      lastError: row.last_error,
+      createdAt: row.created_at,
+      deliveredAt: row.delivered_at,
+    })),
+  });
+}
+
+async function handleChatLink(req, res, db, chatChannels, signatures, rateLimiter) {
+  const body = await authenticateSignedRequest(req, res, {
+    db,
+    signatures,
+    rateLimiter,
+    route: 'register',
+    fields: ['address', 'chainId', 'channel', 'chatId', 'signature', 'timestamp'],
+    signed: ({ address, chainId, channel, chatId, timestamp }) => {
+      if (!chatChannels[channel]) throw new Error(`Chat channel "${channel}" is not available`);
+      if (!/^-?\d{1,20}$|^@\w{5,32}$/.test(String(chatId))) throw new Error('Invalid chat id');
+      return {
+        primaryType: 'ChatLink',
+        message: { wallet: address, channel, chatId: String(chatId), timestamp },
+        legacyMessage: `Link SimpleBond notifications on chain ${chainId} to ${channel} chat ${chatId}. Timestamp: ${timestamp}`,
+      };
+    },
+  });
+  if (!body) return;
+  const { address, chainId, channel: channelName, chatId } = body;
+
+  // The wallet proves itself by signing; the chat proves itself by following this link.
+  const linkCode = randomBytes(24).toString('hex');
+  await db.upsertChatLink(channelName, address, Number(chainId), chatId, linkCode);
+
+  const verifyUrl = `${NOTIFY_BASE_URL}/api/notify/chat/verify?code=${linkCode}`;
+  try {
+    await chatChannels[channelName].send(String(chatId), chatLinkMessage(address.toLowerCase(), Number(chainId), verifyUrl));
+  } catch (err) {
+    console.error(`[server] Failed to send ${channelName} link message:`, err.message);
+    return json(res, 502, { error: 'Could not reach that chat. Start a conversation with the bot first.' });
+  }
+
+  json(res, 200, { ok: true, message: 'Confirmation sent to the chat.' });
+}
+
+async function handleChatVerify(req, res, db) {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const code = url.searchParams.get('code');
+  if (!code) return json(res, 400, { error: 'Missing code' });
+
+  const link = await db.verifyChatLink(code);
+  if (!link) {
+    return json(res, 400, { error: 'Invalid or already used code' });
+  }
+
+  redirect(res, `${FRONTEND_BASE_URL}?notify=chat-verified`);
+}
+
+async function handleChatUnlink(req, res, db, signatures, rateLimiter) {
+  const body = await authenticateSignedRequest(req, res, {
+    db,
+    signatures,
+    rateLimiter,
+    route: 'update',
+    fields: ['address', 'chainId', 'channel', 'signature', 'timestamp'],
+    signed: ({ address, chainId, channel, timestamp }) => ({
+      primaryType: 'ChatUnlink',
+      message: { wallet: address, channel, timestamp },
+      legacyMessage: `Unlink SimpleBond notifications on chain ${chainId} from ${channel}. Timestamp: ${timestamp}`,
+    }),
+  });
+  if (!body) return;
+
+  const result = await db.deleteChatLink(body.channel, body.address, Number(body.chainId));
+  if (result.changes === 0) {
+    return json(res, 404, { error: 'Chat link not found' });
+  }
+  json(res, 200, { ok: true });
+}
+
+async function handleMetrics(req, res, db) {
+  if (!metricsAuthorized(req)) {
+    return json(res, 401, { error: 'Unauthorized' });
+  }
+  const body = await renderMetrics({ db });
+  res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+  res.end(body);
+}
+
+async function handleHealth(req, res, db) {
+  json(res, 200, { status: 'ok', uptime: process.uptime(), outbox: await db.getOutboxStats() });
+}
+
+async function handleBondsList(req, res, db) {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const params = url.searchParams;
+
+  const chainId = parseInt(params.get('chain'), 10);
+  if (!Number.isFinite(chainId)) {
+    return json(res, 400, { error: 'Missing or invalid chain parameter' });
+  }
+
+  const filters = { chainId };
+  for (const name of ['contract', 'poster', 'judge', 'challenger', 'token']) {
+    const value = params.get(name);
+    if (!value) continue;
+    if (!ethers.isAddress(value)) {
+      return json(res, 400, { error: `Invalid ${name} address` });
+    }
+    filters[name] = value;
+  }
+
+  const status = params.get('status');
+  if (status && !BOND_STATUSES.includes(status)) {
+    return json(res, 400, { error: `Invalid status, expected one of: ${BOND_STATUSES.join(', ')}` });
+  }
+  filters.status = status;
+
+  const limit = params.has('limit') ? parseInt(params.get('limit'), 10) : DEFAULT_PAGE_SIZE;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return json(res, 400, { error: `limit must be between 1 and ${MAX_PAGE_SIZE}` });
+  }
+
+  let page;
+  try {
+    page = await bondPage(db, { ...filters, cursor: params.get('cursor'), limit });
+  } catch (err) {
+    return json(res, 400, { error: err.message });
+  }
+  json(res, 200, { bonds: page.bonds.map(normalizeBond), nextCursor: page.nextCursor });
 }
 
-function handleJudgeProfileGet(req, res) {
+/**
+ * Server-Sent Events stream of indexed bond activity. Each message is a
+ * normalized event plus the bond's current state; reconnecting clients resume
+ * from the Last-Event-ID header (or `lastEventId` parameter).
+ */
+function handleBondStream(req, res, liveFeed) {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const params = url.searchParams;
+
+  const chainId = parseInt(params.get('chain'), 10);
+  if (!Number.isFinite(chainId)) {
+    return json(res, 400, { error: 'Missing or invalid chain parameter' });
+  }
+
+  const filter = { chainId };
+  if (params.has('bondId')) {
+    const bondId = Number(params.get('bondId'));
+    if (!Number.isInteger(bondId) || bondId < 0) {
+      return json(res, 400, { error: 'Invalid bondId parameter' });
+    }
+    filter.bondId = bondId;
+  }
+  for (const name of ['contract', 'address', 'judge']) {
+    const value = params.get(name);
+    if (!value) continue;
+    if (!ethers.isAddress(value)) {
+      return json(res, 400, { error: `Invalid ${name} address` });
+    }
+    filter[name] = value.toLowerCase();
+  }
+
+  const resumeFrom = req.headers['last-event-id'] ?? params.get('lastEventId');
+  const lastEventId = /^\d+$/.test(resumeFrom ?? '') ? Number(resumeFrom) : null;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+    'Access-Control-Allow-Origin': '*',
+  });
+  res.write('retry: 5000\n\n');
+
+  const unsubscribe = liveFeed.subscribe({
+    filter,
+    lastEventId,
+    onEvent: message => res.write(`id: ${message.id}\ndata: ${JSON.stringify(message)}\n\n`),
+    onHeartbeat: () => res.write(': ping\n\n'),
+    onReset: id => res.write(`id: ${id}\nevent: reset\ndata: ${JSON.stringify({ id })}\n\n`),
+  });
+  req.on('close', unsubscribe);
+}
+
+/**
+ * Find the indexed bond a /api/bonds/:id request refers to. `contract` is only
+ * needed when several contracts on the chain have a bond with that id.
+ * Sends the error response and returns null when there is none.
+ */
+async function findBond(req, res, db, bondId) {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const chainId = parseInt(url.searchParams.get('chain'), 10);
+  const contract = url.searchParams.get('contract');
+  if (!Number.isFinite(chainId)) {
+    json(res, 400, { error: 'Missing or invalid chain parameter' });
+    return null;
+  }
+  if (contract && !ethers.isAddress(contract)) {
+    json(res, 400, { error: 'Invalid contract address' });
+    return null;
+  }
+
+  const matches = contract ? [await db.getBond(chainId, contract, bondId)].filter(Boolean) : await db.getBondsById(chainId, bondId);
+  if (matches.length === 0) {
+    json(res, 404, { error: 'Bond not found' });
+    return null;
+  }
+  if (matches.length > 1) {
+    json(res, 400, {
+      error: 'Several contracts have a bond with this id; pass the contract parameter',
+      contracts: matches.map(row => row.contract_address),
+    });
+    return null;
+  }
+  return matches[0];
+}
+
+async function handleBondGet(req, res, db, bondId) {
+  const bond = await findBond(req, res, db, bondId);
+  if (!bond) return;
+  json(res, 200, { bond: normalizeBond(bond) });
+}
+
+async function handleBondChallengesGet(req, res, db, bondId) {
+  const bond = await findBond(req, res, db, bondId);
+  if (!bond) return;
+  const challenges = (await db.getChallenges(bond.chain_id, bond.contract_address, bond.bond_id)).map(normalizeChallenge);
+  json(res, 200, { challenges });
+}
+
+async function handleGraphql(req, res, db, registries) {
+  let request;
+  if (req.method === 'GET') {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    try {
+      request = {
+        query: url.searchParams.get('query'),
+        variables: url.searchParams.has('variables') ? JSON.parse(url.searchParams.get('variables')) : undefined,
+        operationName: url.searchParams.get('operationName') || undefined,
+      };
+    } catch {
+      return json(res, 400, { errors: [{ message: 'variables must be JSON' }] });
+    }
+  } else {
+    try {
+      request = JSON.parse(await readBody(req));
+    } catch {
+      return json(res, 400, { errors: [{ message: 'Invalid JSON body' }] });
+    }
+  }
+
+  if (!request || typeof request.query !== 'string') {
+    return json(res, 400, { errors: [{ message: 'Missing query' }] });
+  }
+
+  const result = await executeGraphql({
+    db,
+    registries,
+    query: request.query,
+    variables: request.variables ?? undefined,
+    operationName: request.operationName ?? undefined,
+  });
+  json(res, 'data' in result ? 200 : 400, result);
+}
+
+/**
+ * Atom feed of indexed events: all bonds, one judge's bonds, or every bond an
+ * address takes part in. Answers conditional requests with 304.
+ */
+async function handleFeed(req, res, db, registries, kind, address) {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const filters = {};
+  if (url.searchParams.has('chain')) {
+    filters.chainId = parseInt(url.searchParams.get('chain'), 10);
+    if (!Number.isFinite(filters.chainId)) {
+      return json(res, 400, { error: 'Invalid chain parameter' });
+    }
+  }
+
+  let title = 'SimpleBond: latest bond activity';
+  if (kind !== 'bonds') {
+    if (!ethers.isAddress(address)) {
+      return json(res, 400, { error: `Invalid ${kind} address` });
+    }
+    filters[kind] = address;
+    title = kind === 'judge'
+      ? `SimpleBond: bonds judged by ${ethers.getAddress(address)}`
+      : `SimpleBond: bonds involving ${ethers.getAddress(address)}`;
+  }
+  if (filters.chainId !== undefined) title += ` on ${chainName(filters.chainId)}`;
+
+  const feed = await buildFeed({ db, registries, title, path: url.pathname + url.search, filters });
+  const headers = {
+    'Content-Type': 'application/atom+xml; charset=utf-8',
+    'Cache-Control': `public, max-age=${FEED_MAX_AGE_SEC}`,
+    'ETag': feed.etag,
+    'Last-Modified': new Date(feed.lastModified * 1000).toUTCString(),
+    'Access-Control-Allow-Origin': '*',
+  };
+
+  const ifNoneMatch = req.headers['if-none-match'];
+  const ifModifiedSince = Date.parse(req.headers['if-modified-since'] ?? '');
+  const notModified = ifNoneMatch !== undefined
+    ? ifNoneMatch.split(',').some(tag => tag.trim() === feed.etag || tag.trim() === '*')
+    : Number.isFinite(ifModifiedSince) && feed.lastModified * 1000 <= ifModifiedSince;
+  if (notModified) {
+    res.writeHead(304, headers);
+    return res.end();
+  }
+
+  res.writeHead(200, headers);
+  res.end(feed.xml);
+}
+
+async function handleJudgeStats(req, res, db, address) {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const chainId = parseInt(url.searchParams.get('chain'), 10);
+  if (!Number.isFinite(chainId)) {
+    return json(res, 400, { error: 'Missing or invalid chain parameter' });
+  }
+  if (!ethers.isAddress(address)) {
+    return json(res, 400, { error: 'Invalid judge address' });
+  }
+  json(res, 200, { stats: await judgeStats(db, chainId, address) });
+}
+
+async function handleJudgeProfileGet(req, res, db) {
   const url = new URL(req.url, `http://${req.headers.host}`);
   const id = url.searchParams.get('id');
   const address = url.searchParams.get('address');
@@ -232,13 +812,13 @@ function handleJudgeProfileGet(req, res) {
     if (!Number.isFinite(numericId)) {
       return json(res, 400, { error: 'Invalid judge profile id' });
     }
-    profile = normalizeJudgeProfile(db.getJudgeProfileById(numericId));
+    profile = normalizeJudgeProfile(await db.getJudgeProfileById(numericId));
   } else if (address && chain) {
     const chainId = parseInt(chain, 10);
     if (!Number.isFinite(chainId)) {
       return json(res, 400, { error: 'Invalid chain parameter' });
     }
-    profile = normalizeJudgeProfile(db.getJudgeProfile(address, chainId));
+    profile = normalizeJudgeProfile(await db.getJudgeProfile(address, chainId));
   } else {
     return json(res, 400, { error: 'Provide either id or address+chain' });
   }
@@ -250,7 +830,7 @@ function handleJudgeProfileGet(req, res) {
   json(res, 200, { profile });
 }
 
-function handleJudgeProfilesGet(req, res) {
+async function handleJudgeProfilesGet(req, res, db) {
   const url = new URL(req.url, `http://${req.headers.host}`);
   const chain = url.searchParams.get('chain');
   const rawAddresses = url.searchParams.get('addresses');
@@ -268,13 +848,53 @@ function handleJudgeProfilesGet(req, res) {
   if (addresses.length === 0) {
     return json(res, 200, { profiles: [] });
   }
-  const profiles = db.getJudgeProfiles(chainId, addresses).map(normalizeJudgeProfile);
+  const profiles = (await db.getJudgeProfiles(chainId, addresses)).map(normalizeJudgeProfile);
   json(res, 200, { profiles });
 }
 
-async function handleJudgeProfileUpsert(req, res) {
-  const ip = getClientIp(req);
-  if (!checkRateLimit(ip)) {
+async function handleJudgeProfileUpsert(req, res, db, signatures, rateLimiter) {
+  let profileInput;
+  const body = await authenticateSignedRequest(req, res, {
+    db,
+    signatures,
+    rateLimiter,
+    route: 'profile',
+    fields: ['address', 'chainId', 'signature', 'timestamp'],
+    signed: (request) => {
+      if (!ethers.isAddress(request.address)) throw new Error('Invalid wallet address');
+      profileInput = parseJudgeProfileBody(request);
+      const { address, chainId, timestamp } = request;
+      const { statement, linkUrl } = profileInput;
+      return {
+        primaryType: 'JudgeProfile',
+        message: { wallet: address, statement, linkUrl, timestamp },
+        legacyMessage: buildJudgeProfileMessage({ address, chainId, statement, linkUrl, timestamp }),
+      };
+    },
+  });
+  if (!body) return;
+  const { address, chainId } = body;
+
+  if (!profileInput.statement && !profileInput.linkUrl) {
+    await db.deleteJudgeProfile(address, Number(chainId));
+    return json(res, 200, { ok: true, deleted: true });
+  }
+
+  const profile = normalizeJudgeProfile(
+    await db.upsertJudgeProfile(address, Number(chainId), profileInput.statement, profileInput.linkUrl)
+  );
+  json(res, 200, { ok: true, profile });
+}
+
+async function handleAuthNonce(req, res, db) {
+  const nonce = generateAuthNonce();
+  const expiresAt = Date.now() + AUTH_NONCE_TTL_SEC * 1000;
+  await db.createAuthNonce(nonce, expiresAt);
+  json(res, 200, { nonce, expiresAt: new Date(expiresAt).toISOString() }, { 'Cache-Control': 'no-store' });
+}
+
+async function handleAuthLogin(req, res, db, signatures, rateLimiter) {
+  if (!await rateLimiter.allowClient(req, res, 'login')) {
     return json(res, 429, { error: 'Rate limit exceeded. Try again later.' });
   }
 
@@ -285,91 +905,201 @@ async function handleJudgeProfileUpsert(req, res) {
     return json(res, 400, { error: 'Invalid JSON body' });
   }
 
-  const { address, chainId, signature, timestamp } = body;
-  if (!address || chainId == null || !signature || timestamp == null) {
-    return json(res, 400, { error: 'Missing required fields: address, chainId, signature, timestamp' });
-  }
-
-  if (!ethers.isAddress(address)) {
-    return json(res, 400, { error: 'Invalid wallet address' });
-  }
-
-  const now = Math.floor(Date.now() / 1000);
-  if (Math.abs(now - timestamp) > TIMESTAMP_WINDOW_SEC) {
-    return json(res, 400, { error: 'Timestamp expired. Please try again.' });
+  const { message, signature } = body;
+  if (typeof message !== 'string' || !signature) {
+    return json(res, 400, { error: 'Missing required fields: message, signature' });
   }
 
-  let profileInput;
+  let siwe;
   try {
-    profileInput = parseJudgeProfileBody(body);
+    siwe = parseSiweMessage(message);
+    checkSiweMessage(siwe);
   } catch (err) {
     return json(res, 400, { error: err.message });
   }
 
-  const message = buildJudgeProfileMessage({
-    address,
-    chainId,
-    statement: profileInput.statement,
-    linkUrl: profileInput.linkUrl,
-    timestamp,
-  });
+  if (!await db.consumeAuthNonce(siwe.nonce)) {
+    return json(res, 401, { error: 'Unknown or expired nonce. Please sign in again.', code: 'nonce_unknown' });
+  }
 
-  let recovered;
+  let valid;
   try {
-    recovered = ethers.verifyMessage(message, signature);
+    valid = await signatures.verifyMessage({ address: siwe.address, chainId: siwe.chainId, message, signature });
   } catch {
     return json(res, 400, { error: 'Invalid signature' });
   }
 
-  if (recovered.toLowerCase() !== address.toLowerCase()) {
+  if (!valid) {
     return json(res, 403, { error: 'Signature does not match address' });
   }
 
-  if (!profileInput.statement && !profileInput.linkUrl) {
-    db.deleteJudgeProfile(address, Number(chainId));
-    return json(res, 200, { ok: true, deleted: true });
+  if (!await rateLimiter.allowWallet(res, 'login', siwe.address)) {
+    return json(res, 429, { error: 'Rate limit exceeded. Try again later.' });
   }
 
-  const profile = normalizeJudgeProfile(
-    db.upsertJudgeProfile(address, Number(chainId), profileInput.statement, profileInput.linkUrl)
+  const token = generateSessionToken();
+  const expiresAt = Math.min(
+    Date.now() + SESSION_TTL_SEC * 1000,
+    siwe.expirationTime ? Date.parse(siwe.expirationTime) : Infinity
   );
-  json(res, 200, { ok: true, profile });
+  await db.createSession(hashSessionToken(token), siwe.address, siwe.chainId, expiresAt);
+
+  const maxAgeSec = Math.floor((expiresAt - Date.now()) / 1000);
+  json(res, 200, {
+    ok: true,
+    token,
+    address: siwe.address,
+    chainId: siwe.chainId,
+    expiresAt: new Date(expiresAt).toISOString(),
+  }, { 'Set-Cookie': sessionCookie(token, maxAgeSec) });
 }
 
-export function createApiServer() {
+async function handleAuthSession(req, res, db) {
+  const token = requestSessionToken(req);
+  const session = token && await db.getSession(hashSessionToken(token));
+  if (!session) {
+    return json(res, 401, { error: 'Not signed in', code: 'session_invalid' });
+  }
+  json(res, 200, {
+    address: ethers.getAddress(session.address),
+    chainId: session.chainId,
+    expiresAt: new Date(session.expiresAt).toISOString(),
+  });
+}
+
+// Signs out the session the request carries, or with `?all=1` every session
+// of its wallet on its chain.
+async function handleAuthLogout(req, res, db) {
+  const token = requestSessionToken(req);
+  const session = token && await db.getSession(hashSessionToken(token));
+  if (!session) {
+    return json(res, 401, { error: 'Not signed in', code: 'session_invalid' });
+  }
+
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const revoked = url.searchParams.get('all') === '1'
+    ? await db.revokeSessions(session.address, session.chainId)
+    : Number(await db.revokeSession(hashSessionToken(token)));
+  json(res, 200, { ok: true, revoked }, { 'Set-Cookie': sessionCookie('', 0) });
+}
+
+const httpRequests = metrics.counter(
+  'bond_notify_http_requests_total',
+  'API requests by route, method and response status',
+  ['route', 'method', 'status']
+);
+
+// Routes with ids or addresses in the path, counted under one series each.
+const ROUTE_TEMPLATES = [
+  [/^\/api\/bonds\/\d+$/, '/api/bonds/:id'],
+  [/^\/api\/bonds\/\d+\/challenges$/, '/api/bonds/:id/challenges'],
+  [/^\/api\/judges\/[^/]+\/stats$/, '/api/judges/:address/stats'],
+  [/^\/feeds\/judge\/[^/]+\.xml$/, '/feeds/judge/:address.xml'],
+  [/^\/feeds\/address\/[^/]+\.xml$/, '/feeds/address/:address.xml'],
+];
+
+function routeTemplate(path) {
+  return ROUTE_TEMPLATES.find(([pattern]) => pattern.test(path))?.[1] ?? path;
+}
+
+export function createApiServer({
+  db = defaultDb,
+  chatChannels = createChatChannels(),
+  registries = createRegistryReader(),
+  liveFeed = createLiveFeed({ db }),
+  signatures = createSignatureVerifier(),
+  rateLimiter = createRateLimiter({ db }),
+  webhookDev = WEBHOOK_DEV,
+} = {}) {
   return http.createServer(async (req, res) => {
     if (req.method === 'OPTIONS') {
       res.writeHead(204, {
         'Access-Control-Allow-Origin': '*',
         'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
       });
       return res.end();
     }
 
     const url = new URL(req.url, `http://${req.headers.host}`);
     const path = url.pathname;
+    const bondPath = path.match(/^\/api\/bonds\/(\d+)(\/challenges)?$/);
+    const judgeStatsPath = path.match(/^\/api\/judges\/([^/]+)\/stats$/);
+    const feedPath = path.match(/^\/feeds\/(judge|address)\/([^/]+)\.xml$/);
+
+    const isRead = req.method === 'GET' || (req.method === 'POST' && path === '/api/graphql');
+
+    let route = routeTemplate(path);
+    res.on('finish', () => httpRequests.inc({ route, method: req.method, status: res.statusCode }));
 
     try {
-      if (req.method === 'POST' && path === '/api/notify/register') {
-        await handleRegister(req, res);
+      if (isRead && !await rateLimiter.allowClient(req, res, 'read')) {
+        route = 'rate_limited'; // before routing, so the path may be anything
+        json(res, 429, { error: 'Rate limit exceeded. Try again later.' });
+      } else if (req.method === 'GET' && path === '/api/auth/nonce') {
+        await handleAuthNonce(req, res, db);
+      } else if (req.method === 'POST' && path === '/api/auth/login') {
+        await handleAuthLogin(req, res, db, signatures, rateLimiter);
+      } else if (req.method === 'GET' && path === '/api/auth/session') {
+        await handleAuthSession(req, res, db);
+      } else if (req.method === 'POST' && path === '/api/auth/logout') {
+        await handleAuthLogout(req, res, db);
+      } else if (req.method === 'POST' && path === '/api/notify/register') {
+        await handleRegister(req, res, db, signatures, rateLimiter);
       } else if (req.method === 'GET' && path === '/api/notify/verify') {
-        handleVerify(req, res);
+        await handleVerify(req, res, db);
       } else if (req.method === 'GET' && path === '/api/notify/status') {
-        handleStatus(req, res);
+        await handleStatus(req, res, db);
+      } else if (req.method === 'DELETE' && path === '/api/notify/unsubscribe' && !url.searchParams.has('token')) {
+        await handleSignedUnsubscribe(req, res, db, signatures, rateLimiter);
       } else if (req.method === 'DELETE' && path === '/api/notify/unsubscribe') {
-        handleUnsubscribe(req, res);
+        await handleUnsubscribe(req, res, db);
       } else if (req.method === 'GET' && path === '/api/notify/unsubscribe') {
-        handleUnsubscribe(req, res);
+        await handleUnsubscribe(req, res, db);
+      } else if (req.method === 'GET' && path === '/api/notify/preferences') {
+        await handlePreferencesGet(req, res, db);
+      } else if ((req.method === 'POST' || req.method === 'PUT') && path === '/api/notify/preferences') {
+        await handlePreferencesUpdate(req, res, db, signatures, rateLimiter);
+      } else if (req.method === 'POST' && path === '/api/notify/webhooks') {
+        await handleWebhookRegister(req, res, db, signatures, rateLimiter, webhookDev);
+      } else if (req.method === 'DELETE' && path === '/api/notify/webhooks') {
+        await handleWebhookDelete(req, res, db, signatures, rateLimiter);
+      } else if (req.method === 'GET' && path === '/api/notify/webhooks/deliveries') {
+        await handleWebhookDeliveries(req, res, db);
+      } else if (req.method === 'POST' && path === '/api/notify/chat/link') {
+        await handleChatLink(req, res, db, chatChannels, signatures, rateLimiter);
+      } else if (req.method === 'GET' && path === '/api/notify/chat/verify') {
+        await handleChatVerify(req, res, db);
+      } else if (req.method === 'DELETE' && path === '/api/notify/chat') {
+        await handleChatUnlink(req, res, db, signatures, rateLimiter);
       } else if (req.method === 'GET' && path === '/api/notify/health') {
-        handleHealth(req, res);
+        await handleHealth(req, res, db);
+      } else if (req.method === 'GET' && path === '/metrics') {
+        await handleMetrics(req, res, db);
+      } else if ((req.method === 'GET' || req.method === 'POST') && path === '/api/graphql') {
+        await handleGraphql(req, res, db, registries);
+      } else if (req.method === 'GET' && path === '/api/bonds') {
+        await handleBondsList(req, res, db);
+      } else if (req.method === 'GET' && path === '/api/bonds/stream') {
+        handleBondStream(req, res, liveFeed);
+      } else if (req.method === 'GET' && bondPath && bondPath[2]) {
+        await handleBondChallengesGet(req, res, db, Number(bondPath[1]));
+      } else if (req.method === 'GET' && bondPath) {
+        await handleBondGet(req, res, db, Number(bondPath[1]));
+      } else if (req.method === 'GET' && judgeStatsPath) {
+        await handleJudgeStats(req, res, db, judgeStatsPath[1]);
+      } else if (req.method === 'GET' && path === '/feeds/bonds.xml') {
+        await handleFeed(req, res, db, registries, 'bonds');
+      } else if (req.method === 'GET' && feedPath) {
+        await handleFeed(req, res, db, registries, feedPath[1], feedPath[2]);
       } else if (req.method === 'GET' && path === '/api/judges/profile') {
-        handleJudgeProfileGet(req, res);
+        await handleJudgeProfileGet(req, res, db);
       } else if (req.method === 'GET' && path === '/api/judges/profiles') {
-        handleJudgeProfilesGet(req, res);
+        await handleJudgeProfilesGet(req, res, db);
       } else if ((req.method === 'POST' || req.method === 'PUT') && path === '/api/judges/profile') {
-        await handleJudgeProfileUpsert(req, res);
+        await handleJudgeProfileUpsert(req, res, db, signatures, rateLimiter);
       } else {
+        route = 'unmatched';
         json(res, 404, { error: 'Not found' });
       }
     } catch (err) {
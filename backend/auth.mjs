@@ -0,0 +1,137 @@
+import { createHash, randomBytes } from 'crypto';
+import { ethers } from 'ethers';
+import { FRONTEND_BASE_URL, SESSION_COOKIE, TIMESTAMP_WINDOW_SEC } from './config.mjs';
+
+// Sign-In with Ethereum messages must name the site users sign in on.
+export const SIWE_DOMAIN = new URL(FRONTEND_BASE_URL).host;
+
+const SIWE_FIELDS = {
+  'URI': 'uri',
+  'Version': 'version',
+  'Chain ID': 'chainId',
+  'Nonce': 'nonce',
+  'Issued At': 'issuedAt',
+  'Expiration Time': 'expirationTime',
+  'Not Before': 'notBefore',
+  'Request ID': 'requestId',
+};
+
+/**
+ * Parse an EIP-4361 (Sign-In with Ethereum) message into `{ domain, address,
+ * statement, uri, version, chainId, nonce, issuedAt, expirationTime,
+ * notBefore, requestId, resources }`. Throws when it is not well formed.
+ */
+export function parseSiweMessage(text) {
+  const lines = String(text).split('\n');
+  const header = lines[0].match(/^(\S+) wants you to sign in with your Ethereum account:$/);
+  if (!header || !ethers.isAddress(lines[1] ?? '') || lines[2] !== '') {
+    throw new Error('Not a Sign-In with Ethereum message');
+  }
+
+  const uriLine = lines.findIndex(line => line.startsWith('URI: '));
+  if (uriLine === -1) throw new Error('Sign-in message has no URI');
+
+  const fields = {
+    domain: header[1],
+    address: ethers.getAddress(lines[1]),
+    statement: lines.slice(3, uriLine).join('\n').trim() || null,
+    resources: [],
+  };
+  for (const line of lines.slice(uriLine)) {
+    const field = line.match(/^([A-Za-z ]+): (.+)$/);
+    if (field && SIWE_FIELDS[field[1]]) {
+      fields[SIWE_FIELDS[field[1]]] = field[2];
+    } else if (line.startsWith('- ')) {
+      fields.resources.push(line.slice(2));
+    } else if (line !== 'Resources:' && line !== '') {
+      throw new Error(`Unexpected line in sign-in message: ${line}`);
+    }
+  }
+
+  if (fields.version !== '1') throw new Error('Sign-in message version must be 1');
+  if (!/^\d+$/.test(fields.chainId ?? '')) throw new Error('Sign-in message has no valid Chain ID');
+  if (!/^[A-Za-z0-9]{8,}$/.test(fields.nonce ?? '')) throw new Error('Sign-in message has no valid Nonce');
+  if (Number.isNaN(Date.parse(fields.issuedAt))) throw new Error('Sign-in message has no valid Issued At');
+  fields.chainId = Number(fields.chainId);
+  return fields;
+}
+
+/**
+ * The EIP-4361 text a wallet signs to sign in, for clients and tests.
+ */
+export function formatSiweMessage({
+  domain = SIWE_DOMAIN,
+  address,
+  statement = null,
+  uri = FRONTEND_BASE_URL,
+  chainId,
+  nonce,
+  issuedAt = new Date().toISOString(),
+  expirationTime = null,
+}) {
+  return [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    address,
+    '',
+    ...(statement ? [statement, ''] : []),
+    `URI: ${uri}`,
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`,
+    ...(expirationTime ? [`Expiration Time: ${expirationTime}`] : []),
+  ].join('\n');
+}
+
+/**
+ * Check a parsed sign-in message is meant for this API and valid at `now`
+ * (ms). The nonce and signature are checked separately. Throws otherwise.
+ */
+export function checkSiweMessage(fields, now = Date.now()) {
+  if (fields.domain !== SIWE_DOMAIN) {
+    throw new Error(`Sign-in message is for ${fields.domain}, not ${SIWE_DOMAIN}`);
+  }
+  if (Math.abs(now - Date.parse(fields.issuedAt)) > TIMESTAMP_WINDOW_SEC * 1000) {
+    throw new Error('Sign-in message expired. Please try again.');
+  }
+  if (fields.expirationTime && !(Date.parse(fields.expirationTime) > now)) {
+    throw new Error('Sign-in message expired. Please try again.');
+  }
+  if (fields.notBefore && !(Date.parse(fields.notBefore) <= now)) {
+    throw new Error('Sign-in message is not valid yet');
+  }
+}
+
+export function generateAuthNonce() {
+  return randomBytes(16).toString('hex');
+}
+
+export function generateSessionToken() {
+  return randomBytes(32).toString('base64url');
+}
+
+// Sessions are stored by token hash, so a copy of the database cannot be used to sign in.
+export function hashSessionToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * The session token a request carries, as `Authorization: Bearer <token>` or
+ * in the session cookie, or null.
+ */
+export function requestSessionToken(req) {
+  const bearer = req.headers.authorization?.match(/^Bearer\s+(\S+)$/i);
+  if (bearer) return bearer[1];
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const [name, ...value] = part.trim().split('=');
+    if (name === SESSION_COOKIE) return value.join('=') || null;
+  }
+  return null;
+}
+
+/**
+ * Set-Cookie value for a session token; `maxAgeSec` 0 clears the cookie.
+ */
+export function sessionCookie(token, maxAgeSec) {
+  return `${SESSION_COOKIE}=${token}; Max-Age=${maxAgeSec}; Path=/api; HttpOnly; Secure; SameSite=Strict`;
+}
@@ -0,0 +1,8 @@
+import { runAdminCommand } from './admin.mjs';
+
+try {
+  await runAdminCommand(process.argv.slice(2));
+} catch (err) {
+  console.error(`[bond-notify] ${err.message}`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,157 @@
+import { FRONTEND_BASE_URL } from './config.mjs';
+import { BOND_OUTCOMES, bondTimeline } from './indexer.mjs';
+import { bondUrl } from './templates.mjs';
+
+// Values accepted by the `status` filter. 'open' is active or challenged;
+// 'settled' is any outcome.
+export const BOND_STATUSES = ['open', 'active', 'challenged', 'settled', ...Object.values(BOND_OUTCOMES)];
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 200;
+
+/**
+ * Opaque pagination cursor pointing just past `row`.
+ */
+export function encodeCursor(row) {
+  return Buffer.from(JSON.stringify([row.created_block, row.contract_address, row.bond_id])).toString('base64url');
+}
+
+/**
+ * Inverse of encodeCursor. Throws on anything it did not produce.
+ */
+export function decodeCursor(cursor) {
+  let value;
+  try {
+    value = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+  } catch {
+    throw new Error('Invalid cursor');
+  }
+  if (!Array.isArray(value) || !Number.isInteger(value[0]) || typeof value[1] !== 'string' || !Number.isInteger(value[2])) {
+    throw new Error('Invalid cursor');
+  }
+  return { createdBlock: value[0], contract: value[1], bondId: value[2] };
+}
+
+/**
+ * One page of indexed bond rows for `filters` (see db.listBonds), starting after
+ * `cursor`. Throws on a malformed cursor.
+ */
+export async function bondPage(db, { cursor, limit = DEFAULT_PAGE_SIZE, ...filters }) {
+  const after = cursor ? decodeCursor(cursor) : null;
+  // One extra row tells us whether there is another page.
+  const rows = await db.listBonds({ ...filters, after, limit: limit + 1 });
+  const bonds = rows.slice(0, limit);
+  return {
+    bonds,
+    nextCursor: rows.length > limit ? encodeCursor(bonds[bonds.length - 1]) : null,
+  };
+}
+
+/**
+ * API shape of an indexed bond row.
+ */
+export function normalizeBond(row) {
+  if (!row) return null;
+  const { rulingWindowStart, concessionDeadline, rulingDeadline } = bondTimeline(row);
+  return {
+    chainId: row.chain_id,
+    contract: row.contract_address,
+    bondId: row.bond_id,
+    poster: row.poster,
+    judge: row.judge,
+    token: row.token,
+    bondAmount: row.bond_amount,
+    challengeAmount: row.challenge_amount,
+    judgeFee: row.judge_fee,
+    deadline: row.deadline,
+    acceptanceDelay: row.acceptance_delay,
+    rulingBuffer: row.ruling_buffer,
+    metadata: row.metadata,
+    status: row.status,
+    settled: !!row.settled,
+    conceded: !!row.conceded,
+    outcome: row.outcome,
+    challengeCount: row.challenge_count,
+    currentChallenge: row.current_challenge,
+    pendingChallenges: row.settled ? 0 : Math.max(0, row.challenge_count - row.current_challenge),
+    lastChallengeTime: row.last_challenge_time,
+    rulingWindowStart,
+    concessionDeadline,
+    rulingDeadline,
+    createdBlock: row.created_block,
+    createdTx: row.created_tx,
+    createdAt: row.created_at,
+    settledAt: row.settled_at,
+    url: bondUrl(row.chain_id, row.contract_address, row.bond_id),
+  };
+}
+
+/**
+ * API shape of an indexed challenge row.
+ */
+export function normalizeChallenge(row) {
+  return {
+    index: row.challenge_index,
+    challenger: row.challenger,
+    metadata: row.metadata,
+    status: row.status,
+    feeCharged: row.fee_charged,
+    createdBlock: row.created_block,
+    createdTx: row.created_tx,
+    createdAt: row.created_at,
+    resolvedAt: row.resolved_at,
+  };
+}
+
+/**
+ * API shape of a judge_profiles row.
+ */
+export function normalizeJudgeProfile(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    address: row.wallet_address,
+    chainId: row.chain_id,
+    statement: row.statement || '',
+    linkUrl: row.link_url || '',
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    url: `${FRONTEND_BASE_URL}/judge/${row.id}`,
+  };
+}
+
+/**
+ * Track record of a judge on one chain, from the indexed bonds that named it.
+ * Fee totals are per token, in the token's base units.
+ */
+export async function judgeStats(db, chainId, address) {
+  const { counts, rulings } = await db.getJudgeHistory(chainId, address);
+
+  const judgedBonds = new Set();
+  const feesByToken = {};
+  let forPoster = 0;
+  let forChallenger = 0;
+  let totalTimeToRuling = 0;
+  for (const ruling of rulings) {
+    judgedBonds.add(`${ruling.contract_address}:${ruling.bond_id}`);
+    if (ruling.status === 'lost') forPoster++;
+    else forChallenger++;
+    feesByToken[ruling.token] = (BigInt(feesByToken[ruling.token] ?? 0) + BigInt(ruling.fee_charged ?? 0)).toString();
+    totalTimeToRuling += Math.max(0, ruling.time_to_ruling);
+  }
+
+  return {
+    address: address.toLowerCase(),
+    chainId,
+    bondCount: counts.bonds,
+    acceptedCount: counts.bonds - counts.rejected,
+    rejectedCount: counts.rejected,
+    openCount: counts.open,
+    judgedCount: judgedBonds.size,
+    rulingsForPoster: forPoster,
+    rulingsForChallenger: forChallenger,
+    timeoutCount: counts.timed_out,
+    avgTimeToRulingSec: rulings.length > 0 ? Math.round(totalTimeToRuling / rulings.length) : null,
+    feesByToken,
+  };
+}
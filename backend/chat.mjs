@@ -0,0 +1,123 @@
+import {
+  TELEGRAM_BOT_TOKEN,
+  TELEGRAM_API_BASE,
+  OUTBOX_POLL_INTERVAL_MS,
+  OUTBOX_BATCH_SIZE,
+  OUTBOX_MAX_ATTEMPTS,
+} from './config.mjs';
+import defaultDb from './db.mjs';
+import { retryDelay } from './delivery.mjs';
+
+// A chat channel is `{ name, send(chatId, html) }`. `html` uses the small subset
+// of tags chat apps render (<b>, <strong>, <a>, <code>). `send` resolves to the
+// provider's message id and throws on failure.
+
+/**
+ * Telegram Bot API. `apiBase` can point at a local stand-in.
+ */
+export function createTelegramChannel({ token = TELEGRAM_BOT_TOKEN, apiBase = TELEGRAM_API_BASE, fetch = globalThis.fetch } = {}) {
+  if (!token) {
+    throw new Error('The telegram chat channel needs BOND_NOTIFY_TELEGRAM_TOKEN');
+  }
+  const base = apiBase.replace(/\/+$/, '');
+
+  return {
+    name: 'telegram',
+    async send(chatId, html) {
+      const res = await fetch(`${base}/bot${token}/sendMessage`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          chat_id: chatId,
+          text: html,
+          parse_mode: 'HTML',
+          disable_web_page_preview: true,
+        }),
+        signal: AbortSignal.timeout(10_000),
+      });
+      let body = null;
+      try {
+        body = await res.json();
+      } catch {}
+      if (!res.ok || !body?.ok) {
+        throw new Error(`Telegram sendMessage failed: ${body?.description || `HTTP ${res.status}`}`);
+      }
+      return String(body.result.message_id);
+    },
+  };
+}
+
+/**
+ * Every chat channel configured in this environment, keyed by name.
+ */
+export function createChatChannels({ telegramToken = TELEGRAM_BOT_TOKEN, telegramApiBase = TELEGRAM_API_BASE } = {}) {
+  const channels = {};
+  if (telegramToken) {
+    channels.telegram = createTelegramChannel({ token: telegramToken, apiBase: telegramApiBase });
+  }
+  return channels;
+}
+
+/**
+ * Send every chat message that is due, with the same retry schedule as email.
+ * Returns the number of messages sent.
+ */
+export async function deliverChatMessages({ db = defaultDb, channels = createChatChannels(), now = Date.now() } = {}) {
+  let delivered = 0;
+
+  for (const msg of await db.getDueChatMessages(now, OUTBOX_BATCH_SIZE)) {
+    const channel = channels[msg.channel];
+    let messageId = null;
+    let error = `chat channel ${msg.channel} is not configured`;
+    if (channel) {
+      try {
+        messageId = await channel.send(msg.chat_id, msg.text);
+      } catch (err) {
+        error = err.message;
+      }
+    }
+
+    if (messageId) {
+      await db.markChatSent(msg.id, messageId);
+      delivered++;
+      console.log(`[chat] Sent ${msg.event_type} to ${msg.channel} chat ${msg.chat_id} (chat outbox #${msg.id})`);
+      continue;
+    }
+
+    const attempts = msg.attempts + 1;
+    const dead = attempts >= OUTBOX_MAX_ATTEMPTS;
+    await db.markChatFailed(msg.id, error, now + retryDelay(attempts), dead);
+    if (dead) {
+      console.error(`[chat] Chat outbox #${msg.id} dead-lettered after ${attempts} attempts: ${error}`);
+    } else {
+      console.warn(`[chat] Chat outbox #${msg.id} failed (attempt ${attempts}): ${error}`);
+    }
+  }
+
+  return delivered;
+}
+
+/**
+ * Start the chat delivery loop. Does nothing when no chat channel is configured.
+ */
+export function startChatDelivery({ db = defaultDb, channels = createChatChannels() } = {}) {
+  const names = Object.keys(channels);
+  if (names.length === 0) return;
+  console.log(`[chat] Starting chat delivery loop for: ${names.join(', ')}`);
+
+  let running = false;
+  async function tick() {
+    if (running) return;
+    running = true;
+    try {
+      await deliverChatMessages({ db, channels });
+    } catch (err) {
+      console.error('[chat] Delivery error:', err.message);
+    } finally {
+      running = false;
+    }
+  }
+
+  tick();
+  setInterval(tick, OUTBOX_POLL_INTERVAL_MS);
+}
@@ -0,0 +1,926 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import pg from 'pg';
+import { DATABASE_URL } from './config.mjs';
+import { NOW_TEXT, migrate } from './migrations-postgres.mjs';
+
+const INT8_OID = 20;
+
+// BIGINT columns hold block numbers, ids and millisecond timestamps, all well
+// inside what a JS number holds exactly, so they come back as numbers as they do from SQLite.
+const types = {
+  getTypeParser: (oid, format) => (oid === INT8_OID ? Number : pg.types.getTypeParser(oid, format)),
+};
+
+// 'active' and 'challenged' while unsettled, then the outcome the bond settled with.
+const BOND_STATUS = `
+  CASE
+    WHEN settled=0 AND challenge_count>current_challenge THEN 'challenged'
+    WHEN settled=0 THEN 'active'
+    ELSE COALESCE(outcome, 'settled')
+  END
+`;
+
+function parsePrefs(row) {
+  return {
+    events: row?.events ? JSON.parse(row.events) : null,
+    roles: row?.roles ? JSON.parse(row.roles) : null,
+    digest: row?.digest || null,
+  };
+}
+
+const lowerAll = addresses => addresses.map(a => a.toLowerCase());
+
+/**
+ * Open a notifier database on Postgres, bringing its schema up to date. Has
+ * the methods of createDatabase() in db.mjs, each returning a promise.
+ * `config` is a connection URL or a pg pool config.
+ */
+export async function createPostgresDatabase(config = DATABASE_URL) {
+  // Idle connections don't keep the process alive, so one-shot commands exit once they're done.
+  const pool = new pg.Pool({
+    allowExitOnIdle: true,
+    ...(typeof config === 'string' ? { connectionString: config } : config),
+    types,
+  });
+  pool.on('error', err => console.error('[db] Idle Postgres connection failed:', err.message));
+
+  const connection = await pool.connect();
+  try {
+    const applied = await migrate(connection);
+    if (applied.length > 0) {
+      console.log(`[db] Applied migrations ${applied.map(({ version, name }) => `${version} (${name})`).join(', ')} to Postgres`);
+    }
+  } finally {
+    connection.release();
+  }
+
+  // The client of the transaction the caller runs in, if any.
+  const scope = new AsyncLocalStorage();
+  const query = (text, params) => (scope.getStore() ?? pool).query(text, params);
+  const all = async (text, params) => (await query(text, params)).rows;
+  const get = async (text, params) => (await query(text, params)).rows[0];
+  const run = async (text, params) => ({ changes: (await query(text, params)).rowCount });
+
+  async function transaction(fn) {
+    if (scope.getStore()) return fn();
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await scope.run(client, fn);
+      await client.query('COMMIT');
+      return result;
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  const upsertCheckpoint = (chainId, contract, block) => query(`
+    INSERT INTO contract_checkpoints (chain_id, contract_address, last_block) VALUES ($1, $2, $3)
+    ON CONFLICT (chain_id, contract_address) DO UPDATE SET last_block=excluded.last_block
+  `, [chainId, contract, block]);
+
+  const insertOutbox = (values) => query(`
+    INSERT INTO outbox
+      (dedupe_key, wallet_address, email, chain_id, contract_address, block_number, bond_id, event_type, subject, html,
+       next_attempt_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+    ON CONFLICT DO NOTHING
+    RETURNING id
+  `, values);
+
+  return {
+    async upsertSubscription(address, email, chainId) {
+      await query(`
+        INSERT INTO subscriptions (wallet_address, email, chain_id, verified) VALUES ($1, $2, $3, 0)
+        ON CONFLICT (wallet_address, chain_id) DO UPDATE SET email=excluded.email, verified=0, created_at=${NOW_TEXT}
+      `, [address.toLowerCase(), email.toLowerCase(), chainId]);
+    },
+
+    verifySubscription(address, chainId) {
+      return run('UPDATE subscriptions SET verified=1 WHERE wallet_address=$1 AND chain_id=$2', [address.toLowerCase(), chainId]);
+    },
+
+    deleteSubscription(address, chainId) {
+      const params = [address.toLowerCase(), chainId];
+      return transaction(async () => {
+        await query('DELETE FROM digest_items WHERE outbox_id IS NULL AND wallet_address=$1 AND chain_id=$2', params);
+        await query('DELETE FROM subscription_preferences WHERE wallet_address=$1 AND chain_id=$2', params);
+        return run('DELETE FROM subscriptions WHERE wallet_address=$1 AND chain_id=$2', params);
+      });
+    },
+
+    getSubscription(address, chainId) {
+      return get('SELECT * FROM subscriptions WHERE wallet_address=$1 AND chain_id=$2', [address.toLowerCase(), chainId]);
+    },
+
+    async getVerifiedSubscriptions(chainId, addresses) {
+      const rows = await all(`
+        SELECT s.*, p.events, p.roles, p.digest FROM subscriptions s
+        LEFT JOIN subscription_preferences p ON p.wallet_address=s.wallet_address AND p.chain_id=s.chain_id
+        WHERE s.chain_id=$1 AND s.verified=1 AND s.wallet_address=ANY($2)
+      `, [chainId, lowerAll(addresses)]);
+      return rows.map(row => ({ ...row, ...parsePrefs(row) }));
+    },
+
+    async getPreferences(address, chainId) {
+      return parsePrefs(await get(`
+        SELECT events, roles, digest, updated_at FROM subscription_preferences WHERE wallet_address=$1 AND chain_id=$2
+      `, [address.toLowerCase(), chainId]));
+    },
+
+    async setPreferences(address, chainId, { events = null, roles = null, digest = null }) {
+      await query(`
+        INSERT INTO subscription_preferences (wallet_address, chain_id, events, roles, digest) VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (wallet_address, chain_id) DO UPDATE SET
+          events=excluded.events, roles=excluded.roles, digest=excluded.digest, updated_at=${NOW_TEXT}
+      `, [
+        address.toLowerCase(),
+        chainId,
+        events ? JSON.stringify(events) : null,
+        roles ? JSON.stringify(roles) : null,
+        digest,
+      ]);
+    },
+
+    async enqueueDigestItem({
+      dedupeKey, address, chainId, contract, blockNumber,
+      bondId, eventType, metadata = '', now = Date.now(),
+    }) {
+      const { changes } = await run(`
+        INSERT INTO digest_items
+          (dedupe_key, wallet_address, chain_id, contract_address, bond_id, event_type, metadata, block_number, created_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        ON CONFLICT DO NOTHING
+      `, [dedupeKey, address.toLowerCase(), chainId, contract.toLowerCase(), bondId, eventType, metadata, blockNumber ?? null, now]);
+      return changes > 0;
+    },
+
+    getDigestRecipients() {
+      return all(`
+        SELECT i.wallet_address, i.chain_id, s.email, p.digest,
+          COALESCE(p.digest_sent_at, MIN(i.created_at)) AS period_start
+        FROM digest_items i
+        JOIN subscriptions s ON s.wallet_address=i.wallet_address AND s.chain_id=i.chain_id AND s.verified=1
+        LEFT JOIN subscription_preferences p ON p.wallet_address=i.wallet_address AND p.chain_id=i.chain_id
+        WHERE i.outbox_id IS NULL
+        GROUP BY i.wallet_address, i.chain_id, s.email, p.digest, p.digest_sent_at
+      `);
+    },
+
+    getPendingDigestItems(address, chainId) {
+      return all(`
+        SELECT * FROM digest_items WHERE outbox_id IS NULL AND wallet_address=$1 AND chain_id=$2 ORDER BY id
+      `, [address.toLowerCase(), chainId]);
+    },
+
+    commitDigest({ dedupeKey, address, email, chainId, subject, html, lastItemId, now = Date.now() }) {
+      const wallet = address.toLowerCase();
+      return transaction(async () => {
+        const { rows } = await insertOutbox([dedupeKey, wallet, email, chainId, null, null, null, 'digest', subject, html, now]);
+        if (rows.length === 0) return false;
+        await query(`
+          UPDATE digest_items SET outbox_id=$1 WHERE outbox_id IS NULL AND wallet_address=$2 AND chain_id=$3 AND id<=$4
+        `, [rows[0].id, wallet, chainId, lastItemId]);
+        await query('UPDATE subscription_preferences SET digest_sent_at=$1 WHERE wallet_address=$2 AND chain_id=$3', [now, wallet, chainId]);
+        return true;
+      });
+    },
+
+    // Postgres databases never had the single-contract watcher's checkpoints.
+    async getCheckpoint(chainId, contract) {
+      const row = await get(`
+        SELECT last_block FROM contract_checkpoints WHERE chain_id=$1 AND contract_address=$2
+      `, [chainId, contract.toLowerCase()]);
+      return row ? row.last_block : null;
+    },
+
+    async setCheckpoint(chainId, contract, block) {
+      await upsertCheckpoint(chainId, contract.toLowerCase(), block);
+    },
+
+    listCheckpoints() {
+      return all(`
+        SELECT chain_id, contract_address, last_block FROM contract_checkpoints ORDER BY chain_id, contract_address
+      `);
+    },
+
+    async getIndexCheckpoint(chainId, contract) {
+      const row = await get(`
+        SELECT last_block FROM index_checkpoints WHERE chain_id=$1 AND contract_address=$2
+      `, [chainId, contract.toLowerCase()]);
+      return row ? row.last_block : null;
+    },
+
+    async setIndexCheckpoint(chainId, contract, block) {
+      await query(`
+        INSERT INTO index_checkpoints (chain_id, contract_address, last_block) VALUES ($1, $2, $3)
+        ON CONFLICT (chain_id, contract_address) DO UPDATE SET last_block=excluded.last_block
+      `, [chainId, contract.toLowerCase(), block]);
+    },
+
+    getRecentBlockHashes(chainId, contract, maxBlock, limit) {
+      return all(`
+        SELECT block_number, block_hash FROM contract_block_hashes
+        WHERE chain_id=$1 AND contract_address=$2 AND block_number<=$3
+        ORDER BY block_number DESC
+        LIMIT $4
+      `, [chainId, contract.toLowerCase(), maxBlock, limit]);
+    },
+
+    async pruneBlockHashes(chainId, contract, keep) {
+      await query(`
+        DELETE FROM contract_block_hashes WHERE chain_id=$1 AND contract_address=$2 AND block_number < (
+          SELECT MIN(block_number) FROM (
+            SELECT block_number FROM contract_block_hashes WHERE chain_id=$1 AND contract_address=$2
+            ORDER BY block_number DESC LIMIT $3
+          ) AS kept
+        )
+      `, [chainId, contract.toLowerCase(), keep]);
+    },
+
+    rollbackCheckpoint(chainId, contract, block) {
+      const params = [chainId, contract.toLowerCase(), block];
+      return transaction(async () => {
+        await query('DELETE FROM contract_block_hashes WHERE chain_id=$1 AND contract_address=$2 AND block_number>$3', params);
+        await upsertCheckpoint(...params);
+        await query(`
+          UPDATE index_checkpoints SET last_block=LEAST(last_block, $3) WHERE chain_id=$1 AND contract_address=$2
+        `, params);
+      });
+    },
+
+    deleteQueuedAfter(chainId, contract, block) {
+      const params = [chainId, contract.toLowerCase(), block];
+      return transaction(async () => {
+        let total = 0;
+        for (const [table, undelivered] of [
+          ['outbox', "status IN ('pending', 'dead')"],
+          ['webhook_deliveries', "status IN ('pending', 'dead')"],
+          ['chat_outbox', "status IN ('pending', 'dead')"],
+          ['digest_items', 'outbox_id IS NULL'],
+        ]) {
+          total += (await run(`
+            DELETE FROM ${table} WHERE ${undelivered} AND chain_id=$1 AND contract_address=$2 AND block_number>$3
+          `, params)).changes;
+        }
+        return total;
+      });
+    },
+
+    commitRange(chainId, contract, block, blockHashes) {
+      const lower = contract.toLowerCase();
+      return transaction(async () => {
+        for (const [number, hash] of blockHashes) {
+          await query(`
+            INSERT INTO contract_block_hashes (chain_id, contract_address, block_number, block_hash) VALUES ($1, $2, $3, $4)
+            ON CONFLICT (chain_id, contract_address, block_number) DO UPDATE SET block_hash=excluded.block_hash
+          `, [chainId, lower, number, hash]);
+        }
+        await upsertCheckpoint(chainId, lower, block);
+        await query(`
+          INSERT INTO index_checkpoints (chain_id, contract_address, last_block) VALUES ($1, $2, $3)
+          ON CONFLICT (chain_id, contract_address)
+          DO UPDATE SET last_block=GREATEST(index_checkpoints.last_block, excluded.last_block)
+        `, [chainId, lower, block]);
+      });
+    },
+
+    async enqueueEmail({
+      dedupeKey, address, email, chainId, contract, blockNumber,
+      bondId, eventType, subject, html, now = Date.now(),
+    }) {
+      const { rows } = await insertOutbox([
+        dedupeKey,
+        address ? address.toLowerCase() : null,
+        email,
+        chainId ?? null,
+        contract ? contract.toLowerCase() : null,
+        blockNumber ?? null,
+        bondId ?? null,
+        eventType ?? null,
+        subject,
+        html,
+        now,
+      ]);
+      return rows.length > 0;
+    },
+
+    getDueOutbox(now, limit) {
+      return all(`SELECT * FROM outbox WHERE status='pending' AND next_attempt_at<=$1 ORDER BY id LIMIT $2`, [now, limit]);
+    },
+
+    async markOutboxSent(id, sesMessageId) {
+      await query(`
+        UPDATE outbox SET status='sent', attempts=attempts+1, ses_message_id=$1, last_error=NULL, sent_at=${NOW_TEXT}
+        WHERE id=$2
+      `, [sesMessageId, id]);
+    },
+
+    async markOutboxFailed(id, error, nextAttemptAt, dead) {
+      await query(`
+        UPDATE outbox SET status=$1, attempts=attempts+1, last_error=$2, next_attempt_at=$3 WHERE id=$4
+      `, [dead ? 'dead' : 'pending', error, nextAttemptAt, id]);
+    },
+
+    async getOutboxStats() {
+      const stats = { pending: 0, dead: 0, oldestPending: null };
+      for (const row of await all(`
+        SELECT status, COUNT(*) AS count, MIN(created_at) AS oldest FROM outbox
+        WHERE status IN ('pending', 'dead')
+        GROUP BY status
+      `)) {
+        stats[row.status] = row.count;
+        if (row.status === 'pending') stats.oldestPending = row.oldest;
+      }
+      return stats;
+    },
+
+    getQueueDepths() {
+      return all(`
+        SELECT 'email' AS queue, status, COUNT(*) AS count FROM outbox
+        WHERE status IN ('pending', 'dead') GROUP BY status
+        UNION ALL
+        SELECT 'webhook', status, COUNT(*) FROM webhook_deliveries
+        WHERE status IN ('pending', 'dead') GROUP BY status
+        UNION ALL
+        SELECT 'chat', status, COUNT(*) FROM chat_outbox
+        WHERE status IN ('pending', 'dead') GROUP BY status
+        UNION ALL
+        SELECT 'digest', 'pending', COUNT(*) FROM digest_items WHERE outbox_id IS NULL
+      `);
+    },
+
+    async upsertWebhook(address, chainId, url, secret) {
+      const row = await get(`
+        INSERT INTO webhooks (wallet_address, chain_id, url, secret) VALUES ($1, $2, $3, $4)
+        ON CONFLICT (wallet_address, chain_id, url) DO UPDATE SET secret=excluded.secret, active=1
+        RETURNING id
+      `, [address.toLowerCase(), chainId, url, secret]);
+      return row.id;
+    },
+
+    deactivateWebhook(address, chainId, url) {
+      return run(`
+        UPDATE webhooks SET active=0 WHERE wallet_address=$1 AND chain_id=$2 AND url=$3 AND active=1
+      `, [address.toLowerCase(), chainId, url]);
+    },
+
+    async getWebhook(id) {
+      return (await get('SELECT * FROM webhooks WHERE id=$1', [id])) || null;
+    },
+
+    async getActiveWebhooks(chainId, addresses) {
+      const rows = await all(`
+        SELECT w.*, p.events, p.roles FROM webhooks w
+        LEFT JOIN subscription_preferences p ON p.wallet_address=w.wallet_address AND p.chain_id=w.chain_id
+        WHERE w.chain_id=$1 AND w.active=1 AND w.wallet_address=ANY($2)
+      `, [chainId, lowerAll(addresses)]);
+      return rows.map(row => ({ ...row, ...parsePrefs(row) }));
+    },
+
+    async enqueueWebhookDelivery({ webhookId, dedupeKey, chainId, contract, blockNumber, eventType, payload, now = Date.now() }) {
+      const { changes } = await run(`
+        INSERT INTO webhook_deliveries
+          (webhook_id, dedupe_key, chain_id, contract_address, block_number, event_type, payload, next_attempt_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        ON CONFLICT DO NOTHING
+      `, [webhookId, dedupeKey, chainId ?? null, contract ? contract.toLowerCase() : null, blockNumber ?? null, eventType, payload, now]);
+      return changes > 0;
+    },
+
+    getDueWebhookDeliveries(now, limit) {
+      return all(`
+        SELECT d.*, w.url, w.secret FROM webhook_deliveries d
+        JOIN webhooks w ON w.id=d.webhook_id AND w.active=1
+        WHERE d.status='pending' AND d.next_attempt_at<=$1
+        ORDER BY d.id LIMIT $2
+      `, [now, limit]);
+    },
+
+    async markWebhookDelivered(id, statusCode) {
+      await query(`
+        UPDATE webhook_deliveries SET status='delivered', attempts=attempts+1, last_status_code=$1, last_error=NULL,
+          delivered_at=${NOW_TEXT}
+        WHERE id=$2
+      `, [statusCode, id]);
+    },
+
+    async markWebhookFailed(id, statusCode, error, nextAttemptAt, dead) {
+      await query(`
+        UPDATE webhook_deliveries SET status=$1, attempts=attempts+1, last_status_code=$2, last_error=$3, next_attempt_at=$4
+        WHERE id=$5
+      `, [dead ? 'dead' : 'pending', statusCode ?? null, error, nextAttemptAt, id]);
+    },
+
+    getWebhookDeliveries(webhookId, limit = 50) {
+      return all(`
+        SELECT id, event_type, status, attempts, last_status_code, last_error, created_at, delivered_at
+        FROM webhook_deliveries WHERE webhook_id=$1 ORDER BY id DESC LIMIT $2
+      `, [webhookId, limit]);
+    },
+
+    async upsertChatLink(channel, address, chainId, chatId, linkCode) {
+      await query(`
+        INSERT INTO chat_links (channel, wallet_address, chain_id, chat_id, link_code) VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (channel, wallet_address, chain_id) DO UPDATE SET
+          chat_id=excluded.chat_id, link_code=excluded.link_code, verified=0, created_at=${NOW_TEXT}
+      `, [channel, address.toLowerCase(), chainId, String(chatId), linkCode]);
+    },
+
+    async verifyChatLink(linkCode) {
+      return (await get(`
+        UPDATE chat_links SET verified=1, link_code=NULL WHERE link_code=$1
+        RETURNING channel, wallet_address, chain_id, chat_id
+      `, [linkCode])) || null;
+    },
+
+    deleteChatLink(channel, address, chainId) {
+      return run('DELETE FROM chat_links WHERE channel=$1 AND wallet_address=$2 AND chain_id=$3', [channel, address.toLowerCase(), chainId]);
+    },
+
+    async getVerifiedChatLinks(chainId, addresses) {
+      const rows = await all(`
+        SELECT c.*, p.events, p.roles FROM chat_links c
+        LEFT JOIN subscription_preferences p ON p.wallet_address=c.wallet_address AND p.chain_id=c.chain_id
+        WHERE c.chain_id=$1 AND c.verified=1 AND c.wallet_address=ANY($2)
+      `, [chainId, lowerAll(addresses)]);
+      return rows.map(row => ({ ...row, ...parsePrefs(row) }));
+    },
+
+    async enqueueChatMessage({
+      dedupeKey, channel, chatId, address, chainId, contract,
+      blockNumber, bondId, eventType, text, now = Date.now(),
+    }) {
+      const { changes } = await run(`
+        INSERT INTO chat_outbox
+          (dedupe_key, channel, chat_id, wallet_address, chain_id, contract_address, block_number, bond_id, event_type, text,
+           next_attempt_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        ON CONFLICT DO NOTHING
+      `, [
+        dedupeKey,
+        channel,
+        String(chatId),
+        address ? address.toLowerCase() : null,
+        chainId ?? null,
+        contract ? contract.toLowerCase() : null,
+        blockNumber ?? null,
+        bondId ?? null,
+        eventType ?? null,
+        text,
+        now,
+      ]);
+      return changes > 0;
+    },
+
+    getDueChatMessages(now, limit) {
+      return all(`SELECT * FROM chat_outbox WHERE status='pending' AND next_attempt_at<=$1 ORDER BY id LIMIT $2`, [now, limit]);
+    },
+
+    async markChatSent(id, messageId) {
+      await query(`
+        UPDATE chat_outbox SET status='sent', attempts=attempts+1, message_id=$1, last_error=NULL, sent_at=${NOW_TEXT}
+        WHERE id=$2
+      `, [messageId == null ? null : String(messageId), id]);
+    },
+
+    async markChatFailed(id, error, nextAttemptAt, dead) {
+      await query(`
+        UPDATE chat_outbox SET status=$1, attempts=attempts+1, last_error=$2, next_attempt_at=$3 WHERE id=$4
+      `, [dead ? 'dead' : 'pending', error, nextAttemptAt, id]);
+    },
+
+    async upsertBond(bond) {
+      await query(`
+        INSERT INTO bonds (
+          chain_id, contract_address, bond_id, poster, judge, token, bond_amount, challenge_amount, judge_fee,
+          deadline, acceptance_delay, ruling_buffer, metadata, created_block, created_tx, created_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+        ON CONFLICT (chain_id, contract_address, bond_id) DO UPDATE SET
+          poster=excluded.poster, judge=excluded.judge, token=excluded.token,
+          bond_amount=excluded.bond_amount, challenge_amount=excluded.challenge_amount, judge_fee=excluded.judge_fee,
+          deadline=excluded.deadline, acceptance_delay=excluded.acceptance_delay, ruling_buffer=excluded.ruling_buffer,
+          metadata=excluded.metadata, created_block=excluded.created_block, created_tx=excluded.created_tx,
+          created_at=excluded.created_at
+      `, [
+        bond.chainId, bond.contract.toLowerCase(), bond.bondId, bond.poster, bond.judge, bond.token,
+        bond.bondAmount, bond.challengeAmount, bond.judgeFee, bond.deadline, bond.acceptanceDelay, bond.rulingBuffer,
+        bond.metadata, bond.createdBlock, bond.createdTx, bond.createdAt,
+      ]);
+    },
+
+    recordChallenge(challenge) {
+      const key = [challenge.chainId, challenge.contract.toLowerCase(), challenge.bondId];
+      return transaction(async () => {
+        // Replaces the row outright, as SQLite's INSERT OR REPLACE does.
+        await query(`
+          INSERT INTO challenges (
+            chain_id, contract_address, bond_id, challenge_index, challenger, metadata, created_block, created_tx, created_at
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+          ON CONFLICT (chain_id, contract_address, bond_id, challenge_index) DO UPDATE SET
+            challenger=excluded.challenger, metadata=excluded.metadata, status='pending', fee_charged=NULL,
+            created_block=excluded.created_block, created_tx=excluded.created_tx, created_at=excluded.created_at,
+            resolved_at=NULL
+        `, [
+          ...key, challenge.challengeIndex, challenge.challenger, challenge.metadata,
+          challenge.createdBlock, challenge.createdTx, challenge.createdAt,
+        ]);
+        await query(`
+          UPDATE bonds SET
+            challenge_count=GREATEST(challenge_count, $4 + 1),
+            last_challenge_time=GREATEST(last_challenge_time, $5)
+          WHERE chain_id=$1 AND contract_address=$2 AND bond_id=$3
+        `, [...key, challenge.challengeIndex, challenge.createdAt]);
+      });
+    },
+
+    async resolveChallenge(chainId, contract, bondId, challengeIndex, status, feeCharged, resolvedAt) {
+      await query(`
+        UPDATE challenges SET status=$5, fee_charged=$6, resolved_at=$7
+        WHERE chain_id=$1 AND contract_address=$2 AND bond_id=$3 AND challenge_index=$4
+      `, [chainId, contract.toLowerCase(), bondId, challengeIndex, status, feeCharged ?? null, resolvedAt]);
+    },
+
+    async advanceBondChallenge(chainId, contract, bondId, challengeIndex) {
+      await query(`
+        UPDATE bonds SET current_challenge=GREATEST(current_challenge, $4 + 1)
+        WHERE chain_id=$1 AND contract_address=$2 AND bond_id=$3
+      `, [chainId, contract.toLowerCase(), bondId, challengeIndex]);
+    },
+
+    async settleBond(chainId, contract, bondId, outcome, settledAt) {
+      await query(`
+        UPDATE bonds SET settled=1, conceded=GREATEST(conceded, $4), outcome=$5, settled_at=$6
+        WHERE chain_id=$1 AND contract_address=$2 AND bond_id=$3
+      `, [chainId, contract.toLowerCase(), bondId, outcome === 'conceded' ? 1 : 0, outcome, settledAt]);
+    },
+
+    async refreshBondState(chainId, contract, bondId, state) {
+      await query(`
+        UPDATE bonds SET settled=$4, conceded=$5, challenge_count=$6, current_challenge=$7, last_challenge_time=$8
+        WHERE chain_id=$1 AND contract_address=$2 AND bond_id=$3
+      `, [
+        chainId, contract.toLowerCase(), bondId, state.settled ? 1 : 0, state.conceded ? 1 : 0,
+        state.challengeCount, state.currentChallenge, state.lastChallengeTime,
+      ]);
+    },
+
+    async getBond(chainId, contract, bondId) {
+      return (await get(`
+        SELECT *, ${BOND_STATUS} AS status FROM bonds WHERE chain_id=$1 AND contract_address=$2 AND bond_id=$3
+      `, [chainId, contract.toLowerCase(), bondId])) || null;
+    },
+
+    getBondsById(chainId, bondId) {
+      return all(`
+        SELECT *, ${BOND_STATUS} AS status FROM bonds WHERE chain_id=$1 AND bond_id=$2 ORDER BY contract_address
+      `, [chainId, bondId]);
+    },
+
+    getOpenBonds(chainId, contract) {
+      return all(`
+        SELECT * FROM bonds WHERE settled=0 AND chain_id=$1 AND contract_address=$2 ORDER BY bond_id
+      `, [chainId, contract.toLowerCase()]);
+    },
+
+    // Newest first, like db.mjs. `after` is the last row of the previous page.
+    listBonds({ chainId, contract, poster, judge, token, challenger, status, after, limit }) {
+      const lower = (address) => (address ? address.toLowerCase() : null);
+      return all(`
+        SELECT *, ${BOND_STATUS} AS status FROM bonds b
+        WHERE chain_id=$1
+          AND ($2::text IS NULL OR contract_address=$2)
+          AND ($3::text IS NULL OR poster=$3)
+          AND ($4::text IS NULL OR judge=$4)
+          AND ($5::text IS NULL OR token=$5)
+          AND ($6::text IS NULL OR EXISTS (
+            SELECT 1 FROM challenges c
+            WHERE c.chain_id=b.chain_id AND c.contract_address=b.contract_address AND c.bond_id=b.bond_id
+              AND c.challenger=$6
+          ))
+          AND ($7::text IS NULL
+            OR ($7='open' AND settled=0)
+            OR ($7='settled' AND settled=1)
+            OR ${BOND_STATUS}=$7)
+          AND ($8::bigint IS NULL
+            OR created_block<$8
+            OR (created_block=$8 AND contract_address>$9)
+            OR (created_block=$8 AND contract_address=$9 AND bond_id<$10))
+        ORDER BY created_block DESC, contract_address, bond_id DESC
+        LIMIT $11
+      `, [
+        chainId,
+        lower(contract),
+        lower(poster),
+        lower(judge),
+        lower(token),
+        lower(challenger),
+        status || null,
+        after ? after.createdBlock : null,
+        after ? after.contract.toLowerCase() : null,
+        after ? after.bondId : null,
+        limit,
+      ]);
+    },
+
+    getChallenges(chainId, contract, bondId) {
+      return all(`
+        SELECT * FROM challenges WHERE chain_id=$1 AND contract_address=$2 AND bond_id=$3 ORDER BY challenge_index
+      `, [chainId, contract.toLowerCase(), bondId]);
+    },
+
+    async getJudgeHistory(chainId, judge) {
+      const params = [chainId, judge.toLowerCase()];
+      return {
+        counts: await get(`
+          SELECT
+            COUNT(*) AS bonds,
+            COUNT(*) FILTER (WHERE settled=0) AS open,
+            COUNT(*) FILTER (WHERE outcome='rejected') AS rejected,
+            COUNT(*) FILTER (WHERE outcome='timed_out') AS timed_out
+          FROM bonds WHERE chain_id=$1 AND judge=$2
+        `, params),
+        // See getJudgeRulings in db.mjs for the ruling window.
+        rulings: await all(`
+          SELECT
+            c.contract_address, c.bond_id, c.status, c.fee_charged, b.token,
+            c.resolved_at - GREATEST(b.deadline, (
+              SELECT MAX(p.created_at) FROM challenges p
+              WHERE p.chain_id=c.chain_id AND p.contract_address=c.contract_address AND p.bond_id=c.bond_id
+                AND p.created_at<=c.resolved_at
+            ) + b.acceptance_delay) AS time_to_ruling
+          FROM challenges c
+          JOIN bonds b ON b.chain_id=c.chain_id AND b.contract_address=c.contract_address AND b.bond_id=c.bond_id
+          WHERE b.chain_id=$1 AND b.judge=$2 AND c.status IN ('won', 'lost')
+        `, params),
+      };
+    },
+
+    async insertBondEvent(event) {
+      const { changes } = await run(`
+        INSERT INTO bond_events
+          (chain_id, contract_address, block_number, log_index, tx_hash, event_name, bond_id, args, timestamp)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        ON CONFLICT DO NOTHING
+      `, [
+        event.chainId, event.contract.toLowerCase(), event.blockNumber, event.logIndex, event.txHash,
+        event.name, event.bondId, JSON.stringify(event.args), event.timestamp,
+      ]);
+      return changes > 0;
+    },
+
+    async getBondEvents(chainId, contract, bondId) {
+      const rows = await all(`
+        SELECT * FROM bond_events WHERE chain_id=$1 AND contract_address=$2 AND bond_id=$3
+        ORDER BY block_number, log_index
+      `, [chainId, contract.toLowerCase(), bondId]);
+      return rows.map(row => ({
+        chainId: row.chain_id,
+        contract: row.contract_address,
+        blockNumber: row.block_number,
+        logIndex: row.log_index,
+        txHash: row.tx_hash,
+        name: row.event_name,
+        bondId: row.bond_id,
+        args: JSON.parse(row.args),
+        timestamp: row.timestamp,
+      }));
+    },
+
+    async listFeedEvents({ chainId = null, judge = null, address = null, limit }) {
+      const rows = await all(`
+        SELECT e.*, b.poster, b.judge, b.token, b.bond_amount, b.challenge_amount, b.judge_fee, b.metadata AS bond_metadata
+        FROM bond_events e
+        JOIN bonds b ON b.chain_id=e.chain_id AND b.contract_address=e.contract_address AND b.bond_id=e.bond_id
+        WHERE ($1::bigint IS NULL OR e.chain_id=$1)
+          AND ($2::text IS NULL OR b.judge=$2)
+          AND ($3::text IS NULL OR b.poster=$3 OR b.judge=$3 OR EXISTS (
+            SELECT 1 FROM challenges c
+            WHERE c.chain_id=b.chain_id AND c.contract_address=b.contract_address AND c.bond_id=b.bond_id
+              AND c.challenger=$3
+          ))
+        ORDER BY e.timestamp DESC, e.block_number DESC, e.log_index DESC
+        LIMIT $4
+      `, [chainId, judge ? judge.toLowerCase() : null, address ? address.toLowerCase() : null, limit]);
+      return rows.map(row => ({ ...row, args: JSON.parse(row.args) }));
+    },
+
+    async deleteBondEventsAfter(chainId, contract, block) {
+      const rows = await all(`
+        DELETE FROM bond_events WHERE chain_id=$1 AND contract_address=$2 AND block_number>$3 RETURNING bond_id
+      `, [chainId, contract.toLowerCase(), block]);
+      return [...new Set(rows.map(row => row.bond_id))];
+    },
+
+    async appendActivity(event) {
+      await query(`
+        INSERT INTO bond_activity
+          (chain_id, contract_address, bond_id, event_name, block_number, log_index, tx_hash, args, timestamp, created_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      `, [
+        event.chainId,
+        event.contract.toLowerCase(),
+        event.bondId,
+        event.name,
+        event.blockNumber,
+        event.logIndex ?? null,
+        event.txHash ?? null,
+        JSON.stringify(event.args ?? {}),
+        event.timestamp ?? null,
+        Date.now(),
+      ]);
+    },
+
+    async deleteActivityAfter(chainId, contract, block) {
+      return (await run(`
+        DELETE FROM bond_activity WHERE chain_id=$1 AND contract_address=$2 AND block_number>$3
+      `, [chainId, contract.toLowerCase(), block])).changes;
+    },
+
+    async getActivitySince(id, limit = 500) {
+      const rows = await all('SELECT * FROM bond_activity WHERE id>$1 ORDER BY id LIMIT $2', [id, limit]);
+      return rows.map(row => ({
+        id: row.id,
+        chainId: row.chain_id,
+        contract: row.contract_address,
+        bondId: row.bond_id,
+        name: row.event_name,
+        blockNumber: row.block_number,
+        logIndex: row.log_index,
+        txHash: row.tx_hash,
+        args: JSON.parse(row.args),
+        timestamp: row.timestamp,
+      }));
+    },
+
+    async getLatestActivityId() {
+      return (await get('SELECT COALESCE(MAX(id), 0) AS id FROM bond_activity')).id;
+    },
+
+    async pruneActivity(beforeMs) {
+      return (await run('DELETE FROM bond_activity WHERE created_at<$1', [beforeMs])).changes;
+    },
+
+    async deleteIndexedBond(chainId, contract, bondId) {
+      const params = [chainId, contract.toLowerCase(), bondId];
+      await query('DELETE FROM challenges WHERE chain_id=$1 AND contract_address=$2 AND bond_id=$3', params);
+      await query('DELETE FROM bonds WHERE chain_id=$1 AND contract_address=$2 AND bond_id=$3', params);
+    },
+
+    /**
+     * Run `fn` in a single transaction: repository calls it makes, however
+     * deep, use the transaction's connection. Calls inside join the outer one.
+     */
+    transaction,
+
+    async logEmail(address, chainId, bondId, eventType, sesMessageId) {
+      await query(`
+        INSERT INTO email_log (wallet_address, chain_id, bond_id, event_type, ses_message_id) VALUES ($1, $2, $3, $4, $5)
+      `, [address.toLowerCase(), chainId, bondId, eventType, sesMessageId]);
+    },
+
+    async searchSubscriptions({ chainId = null, search = null, verified = null, limit = 100 } = {}) {
+      const pattern = search ? `%${search.toLowerCase().replace(/[\\%_]/g, c => `\\${c}`)}%` : null;
+      const rows = await all(`
+        SELECT s.wallet_address, s.chain_id, s.email, s.verified, s.created_at, p.events, p.roles, p.digest
+        FROM subscriptions s
+        LEFT JOIN subscription_preferences p ON p.wallet_address=s.wallet_address AND p.chain_id=s.chain_id
+        WHERE ($1::bigint IS NULL OR s.chain_id=$1)
+          AND ($2::bigint IS NULL OR s.verified=$2)
+          AND ($3::text IS NULL OR s.wallet_address LIKE $3 ESCAPE '\\' OR s.email LIKE $3 ESCAPE '\\')
+        ORDER BY s.created_at DESC, s.wallet_address
+        LIMIT $4
+      `, [chainId, verified === null ? null : Number(verified), pattern, limit]);
+      return rows.map(row => ({ ...row, ...parsePrefs(row) }));
+    },
+
+    async getEmailHistory({ address = null, bondId = null, chainId = null, limit = 50 } = {}) {
+      const params = [address ? address.toLowerCase() : null, bondId, chainId, limit];
+      const where = `
+        WHERE ($1::text IS NULL OR wallet_address=$1)
+          AND ($2::bigint IS NULL OR bond_id=$2)
+          AND ($3::bigint IS NULL OR chain_id=$3)
+        ORDER BY id DESC LIMIT $4
+      `;
+      return {
+        sent: await all(`SELECT * FROM email_log ${where}`, params),
+        queued: await all(`
+          SELECT id, dedupe_key, wallet_address, email, chain_id, bond_id, event_type, subject, status, attempts,
+            last_error, ses_message_id, created_at, sent_at
+          FROM outbox ${where}
+        `, params),
+      };
+    },
+
+    async backup() {
+      throw new Error('Export a Postgres database with pg_dump');
+    },
+
+    upsertJudgeProfile(address, chainId, statement, linkUrl) {
+      return get(`
+        INSERT INTO judge_profiles (wallet_address, chain_id, statement, link_url) VALUES ($1, $2, $3, $4)
+        ON CONFLICT (wallet_address, chain_id) DO UPDATE SET
+          statement=excluded.statement,
+          link_url=excluded.link_url,
+          updated_at=${NOW_TEXT}
+        RETURNING id, wallet_address, chain_id, statement, link_url, created_at, updated_at
+      `, [address.toLowerCase(), chainId, statement, linkUrl]);
+    },
+
+    deleteJudgeProfile(address, chainId) {
+      return run('DELETE FROM judge_profiles WHERE wallet_address=$1 AND chain_id=$2', [address.toLowerCase(), chainId]);
+    },
+
+    getJudgeProfile(address, chainId) {
+      return get(`
+        SELECT id, wallet_address, chain_id, statement, link_url, created_at, updated_at
+        FROM judge_profiles WHERE wallet_address=$1 AND chain_id=$2
+      `, [address.toLowerCase(), chainId]);
+    },
+
+    getJudgeProfileById(id) {
+      return get(`
+        SELECT id, wallet_address, chain_id, statement, link_url, created_at, updated_at FROM judge_profiles WHERE id=$1
+      `, [id]);
+    },
+
+    getJudgeProfiles(chainId, addresses) {
+      return all(`
+        SELECT id, wallet_address, chain_id, statement, link_url, created_at, updated_at
+        FROM judge_profiles WHERE chain_id=$1 AND wallet_address=ANY($2)
+      `, [chainId, lowerAll(addresses)]);
+    },
+
+    async claimSignedRequest(address, digest, expiresAt, now = Date.now()) {
+      await query('DELETE FROM used_signatures WHERE expires_at<$1', [now]);
+      const { changes } = await run(`
+        INSERT INTO used_signatures (wallet_address, digest, expires_at) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING
+      `, [address.toLowerCase(), digest, expiresAt]);
+      return changes > 0;
+    },
+
+    async createAuthNonce(nonce, expiresAt, now = Date.now()) {
+      await query('DELETE FROM auth_nonces WHERE expires_at<$1', [now]);
+      await query('INSERT INTO auth_nonces (nonce, expires_at) VALUES ($1, $2)', [nonce, expiresAt]);
+    },
+
+    async consumeAuthNonce(nonce, now = Date.now()) {
+      return (await run('DELETE FROM auth_nonces WHERE nonce=$1 AND expires_at>=$2', [nonce, now])).changes > 0;
+    },
+
+    async createSession(tokenHash, address, chainId, expiresAt, now = Date.now()) {
+      await query('DELETE FROM sessions WHERE expires_at<$1', [now]);
+      await query(`
+        INSERT INTO sessions (token_hash, wallet_address, chain_id, created_at, expires_at) VALUES ($1, $2, $3, $4, $5)
+      `, [tokenHash, address.toLowerCase(), chainId, now, expiresAt]);
+    },
+
+    async getSession(tokenHash, now = Date.now()) {
+      const row = await get(`
+        SELECT * FROM sessions WHERE token_hash=$1 AND revoked_at IS NULL AND expires_at>$2
+      `, [tokenHash, now]);
+      return row && { address: row.wallet_address, chainId: row.chain_id, expiresAt: row.expires_at };
+    },
+
+    async revokeSession(tokenHash, now = Date.now()) {
+      return (await run(`
+        UPDATE sessions SET revoked_at=$1 WHERE token_hash=$2 AND revoked_at IS NULL
+      `, [now, tokenHash])).changes > 0;
+    },
+
+    async revokeSessions(address, chainId, now = Date.now()) {
+      return (await run(`
+        UPDATE sessions SET revoked_at=$1 WHERE wallet_address=$2 AND chain_id=$3 AND revoked_at IS NULL
+      `, [now, address.toLowerCase(), chainId])).changes;
+    },
+
+    /**
+     * Take one token from the bucket `key`, as in db.mjs. The bucket's row is
+     * locked until the take commits, so API processes never both take the last token.
+     */
+    takeRateLimitToken(key, capacity, windowMs, now = Date.now()) {
+      return transaction(async () => {
+        await query(`
+          INSERT INTO rate_limits (key, tokens, updated_at) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING
+        `, [key, capacity, now]);
+        const row = await get('SELECT tokens, updated_at FROM rate_limits WHERE key=$1 FOR UPDATE', [key]);
+        const tokens = Math.min(capacity, row.tokens + Math.max(0, now - row.updated_at) * capacity / windowMs);
+        const allowed = tokens >= 1;
+        const left = allowed ? tokens - 1 : tokens;
+        await query('UPDATE rate_limits SET tokens=$1, updated_at=$2 WHERE key=$3', [left, now, key]);
+        return { allowed, tokens: left };
+      });
+    },
+
+    async pruneRateLimits(before) {
+      return (await run('DELETE FROM rate_limits WHERE updated_at<$1', [before])).changes;
+    },
+
+    close() {
+      return pool.end();
+    },
+  };
+}
@@ -1,179 +1,1392 @@
+import { AsyncLocalStorage } from 'async_hooks';
 import Database from 'better-sqlite3';
 import { mkdirSync } from 'fs';
 import { dirname } from 'path';
-import { DB_PATH } from './config.mjs';
-
-mkdirSync(dirname(DB_PATH), { recursive: true });
-
-const db = new Database(DB_PATH);
-db.pragma('journal_mode = WAL');
-
-db.exec(`
-  CREATE TABLE IF NOT EXISTS subscriptions (
-    wallet_address TEXT NOT NULL,
-    email TEXT NOT NULL,
-    chain_id INTEGER NOT NULL,
-    verified INTEGER NOT NULL DEFAULT 0,
-    created_at TEXT DEFAULT (datetime('now')),
-    PRIMARY KEY (wallet_address, chain_id)
-  );
-
-  CREATE TABLE IF NOT EXISTS email_log (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    wallet_address TEXT,
-    chain_id INTEGER,
-    bond_id INTEGER,
-    event_type TEXT,
-    sent_at TEXT DEFAULT (datetime('now')),
-    ses_message_id TEXT
-  );
-
-  CREATE TABLE IF NOT EXISTS checkpoints (
-    chain_id INTEGER PRIMARY KEY,
-    last_block INTEGER NOT NULL
-  );
-
-  CREATE TABLE IF NOT EXISTS judge_profiles (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    wallet_address TEXT NOT NULL,
-    chain_id INTEGER NOT NULL,
-    statement TEXT NOT NULL DEFAULT '',
-    link_url TEXT NOT NULL DEFAULT '',
-    created_at TEXT DEFAULT (datetime('now')),
-    updated_at TEXT DEFAULT (datetime('now')),
-    UNIQUE (wallet_address, chain_id)
-  );
-`);
-
-// --- Subscriptions ---
-
-const upsertSub = db.prepare(`
-  INSERT INTO subscriptions (wallet_address, email, chain_id, verified)
-  VALUES (?, ?, ?, 0)
-  ON CONFLICT(wallet_address, chain_id) DO UPDATE SET email=excluded.email, verified=0, created_at=datetime('now')
-`);
-
-const verifySub = db.prepare(`
-  UPDATE subscriptions SET verified=1 WHERE wallet_address=? AND chain_id=?
-`);
-
-const deleteSub = db.prepare(`
-  DELETE FROM subscriptions WHERE wallet_address=? AND chain_id=?
-`);
-
-const getSub = db.prepare(`
-  SELECT * FROM subscriptions WHERE wallet_address=? AND chain_id=?
-`);
-
-const getVerifiedByAddresses = db.prepare(`
-  SELECT * FROM subscriptions WHERE chain_id=? AND verified=1 AND wallet_address IN (SELECT value FROM json_each(?))
-`);
-
-// --- Checkpoints ---
-
-const getCheckpoint = db.prepare(`
-  SELECT last_block FROM checkpoints WHERE chain_id=?
-`);
-
-const upsertCheckpoint = db.prepare(`
-  INSERT INTO checkpoints (chain_id, last_block) VALUES (?, ?)
-  ON CONFLICT(chain_id) DO UPDATE SET last_block=excluded.last_block
-`);
-
-// --- Email log ---
-
-const insertLog = db.prepare(`
-  INSERT INTO email_log (wallet_address, chain_id, bond_id, event_type, ses_message_id)
-  VALUES (?, ?, ?, ?, ?)
-`);
-
-// --- Judge profiles ---
-
-const upsertJudgeProfile = db.prepare(`
-  INSERT INTO judge_profiles (wallet_address, chain_id, statement, link_url)
-  VALUES (?, ?, ?, ?)
-  ON CONFLICT(wallet_address, chain_id) DO UPDATE SET
-    statement=excluded.statement,
-    link_url=excluded.link_url,
-    updated_at=datetime('now')
-  RETURNING id, wallet_address, chain_id, statement, link_url, created_at, updated_at
-`);
-
-const deleteJudgeProfile = db.prepare(`
-  DELETE FROM judge_profiles WHERE wallet_address=? AND chain_id=?
-`);
-
-const getJudgeProfileByAddress = db.prepare(`
-  SELECT id, wallet_address, chain_id, statement, link_url, created_at, updated_at
-  FROM judge_profiles
-  WHERE wallet_address=? AND chain_id=?
-`);
-
-const getJudgeProfileById = db.prepare(`
-  SELECT id, wallet_address, chain_id, statement, link_url, created_at, updated_at
-  FROM judge_profiles
-  WHERE id=?
-`);
-
-const getJudgeProfilesByAddresses = db.prepare(`
-  SELECT id, wallet_address, chain_id, statement, link_url, created_at, updated_at
-  FROM judge_profiles
-  WHERE chain_id=? AND wallet_address IN (SELECT value FROM json_each(?))
-`);
-
-export default {
-  upsertSubscription(address, email, chainId) {
-    upsertSub.run(address.toLowerCase(), email.toLowerCase(), chainId);
-  },
-
-  verifySubscription(address, chainId) {
-    return verifySub.run(address.toLowerCase(), chainId);
-  },
-
-  deleteSubscription(address, chainId) {
-    return deleteSub.run(address.toLowerCase(), chainId);
-  },
-
-  getSubscription(address, chainId) {
-    return getSub.get(address.toLowerCase(), chainId);
-  },
-
-  getVerifiedSubscriptions(chainId, addresses) {
-    const lower = addresses.map(a => a.toLowerCase());
-    return getVerifiedByAddresses.all(chainId, JSON.stringify(lower));
-  },
-
-  getCheckpoint(chainId) {
-    const row = getCheckpoint.get(chainId);
-    return row ? row.last_block : null;
-  },
-
-  setCheckpoint(chainId, block) {
-    upsertCheckpoint.run(chainId, block);
-  },
-
-  logEmail(address, chainId, bondId, eventType, sesMessageId) {
-    insertLog.run(address.toLowerCase(), chainId, bondId, eventType, sesMessageId);
-  },
-
-  upsertJudgeProfile(address, chainId, statement, linkUrl) {
-    return upsertJudgeProfile.get(address.toLowerCase(), chainId, statement, linkUrl);
-  },
-
-  deleteJudgeProfile(address, chainId) {
-    return deleteJudgeProfile.run(address.toLowerCase(), chainId);
-  },
-
-  getJudgeProfile(address, chainId) {
-    return getJudgeProfileByAddress.get(address.toLowerCase(), chainId);
-  },
-
-  getJudgeProfileById(id) {
-    return getJudgeProfileById.get(id);
-  },
-
-  getJudgeProfiles(chainId, addresses) {
-    const lower = addresses.map(a => a.toLowerCase());
-    return getJudgeProfilesByAddresses.all(chainId, JSON.stringify(lower));
-  },
+import { DATABASE_URL, DB_PATH } from './config.mjs';
+import { createPostgresDatabase } from './db-postgres.mjs';
+import { migrate } from './migrations.mjs';
+
+// The contract the single-contract watcher followed on each chain. Only it may
+// take over that watcher's per-chain checkpoint.
+const LEGACY_CHECKPOINT_CONTRACTS = {
+  100: '0x7df485c013f8671b656d585f1d1411640b1d2776',
 };
+
+/**
+ * Open (and create if needed) a notifier database at `path`, bringing its
+ * schema up to date. Pass ':memory:' for a throwaway database in tests.
+ *
+ * db-postgres.mjs implements the same methods on Postgres, returning promises,
+ * so callers await every call. Here they return their results directly.
+ */
+export function createDatabase(path = DB_PATH) {
+  if (path !== ':memory:') mkdirSync(dirname(path), { recursive: true });
+
+  const db = new Database(path);
+  db.pragma('journal_mode = WAL');
+
+  const applied = migrate(db);
+  if (applied.length > 0 && path !== ':memory:') {
+    console.log(`[db] Applied migrations ${applied.map(({ version, name }) => `${version} (${name})`).join(', ')} to ${path}`);
+  }
+
+  // --- Subscriptions ---
+
+  const upsertSub = db.prepare(`
+    INSERT INTO subscriptions (wallet_address, email, chain_id, verified)
+    VALUES (?, ?, ?, 0)
+    ON CONFLICT(wallet_address, chain_id) DO UPDATE SET email=excluded.email, verified=0, created_at=datetime('now')
+  `);
+
+  const verifySub = db.prepare(`
+    UPDATE subscriptions SET verified=1 WHERE wallet_address=? AND chain_id=?
+  `);
+
+  const deleteSub = db.prepare(`
+    DELETE FROM subscriptions WHERE wallet_address=? AND chain_id=?
+  `);
+
+  const getSub = db.prepare(`
+    SELECT * FROM subscriptions WHERE wallet_address=? AND chain_id=?
+  `);
+
+  const getVerifiedByAddresses = db.prepare(`
+    SELECT s.*, p.events, p.roles, p.digest FROM subscriptions s
+    LEFT JOIN subscription_preferences p ON p.wallet_address=s.wallet_address AND p.chain_id=s.chain_id
+    WHERE s.chain_id=? AND s.verified=1 AND s.wallet_address IN (SELECT value FROM json_each(?))
+  `);
+
+  const getPrefs = db.prepare(`
+    SELECT events, roles, digest, updated_at FROM subscription_preferences WHERE wallet_address=? AND chain_id=?
+  `);
+
+  const upsertPrefs = db.prepare(`
+    INSERT INTO subscription_preferences (wallet_address, chain_id, events, roles, digest) VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(wallet_address, chain_id) DO UPDATE SET
+      events=excluded.events, roles=excluded.roles, digest=excluded.digest, updated_at=datetime('now')
+  `);
+
+  const deletePrefs = db.prepare(`
+    DELETE FROM subscription_preferences WHERE wallet_address=? AND chain_id=?
+  `);
+
+  function parsePrefs(row) {
+    return {
+      events: row?.events ? JSON.parse(row.events) : null,
+      roles: row?.roles ? JSON.parse(row.roles) : null,
+      digest: row?.digest || null,
+    };
+  }
+
+  // --- Digests ---
+
+  const insertDigestItem = db.prepare(`
+    INSERT OR IGNORE INTO digest_items
+      (dedupe_key, wallet_address, chain_id, contract_address, bond_id, event_type, metadata, block_number, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  // Subscribers with held-back items, and when their current period started.
+  const getDigestRecipients = db.prepare(`
+    SELECT i.wallet_address, i.chain_id, s.email, p.digest,
+      COALESCE(p.digest_sent_at, MIN(i.created_at)) AS period_start
+    FROM digest_items i
+    JOIN subscriptions s ON s.wallet_address=i.wallet_address AND s.chain_id=i.chain_id AND s.verified=1
+    LEFT JOIN subscription_preferences p ON p.wallet_address=i.wallet_address AND p.chain_id=i.chain_id
+    WHERE i.outbox_id IS NULL
+    GROUP BY i.wallet_address, i.chain_id
+  `);
+
+  const getPendingDigestItems = db.prepare(`
+    SELECT * FROM digest_items WHERE outbox_id IS NULL AND wallet_address=? AND chain_id=? ORDER BY id
+  `);
+
+  const attachDigestItems = db.prepare(`
+    UPDATE digest_items SET outbox_id=? WHERE outbox_id IS NULL AND wallet_address=? AND chain_id=? AND id<=?
+  `);
+
+  const setDigestSentAt = db.prepare(`
+    UPDATE subscription_preferences SET digest_sent_at=? WHERE wallet_address=? AND chain_id=?
+  `);
+
+  const deleteDigestItems = db.prepare(`
+    DELETE FROM digest_items WHERE outbox_id IS NULL AND wallet_address=? AND chain_id=?
+  `);
+
+  // --- Checkpoints ---
+
+  const getCheckpoint = db.prepare(`
+    SELECT last_block FROM contract_checkpoints WHERE chain_id=? AND contract_address=?
+  `);
+
+  const listCheckpoints = db.prepare(`
+    SELECT chain_id, contract_address, last_block FROM contract_checkpoints ORDER BY chain_id, contract_address
+  `);
+
+  const upsertCheckpoint = db.prepare(`
+    INSERT INTO contract_checkpoints (chain_id, contract_address, last_block) VALUES (?, ?, ?)
+    ON CONFLICT(chain_id, contract_address) DO UPDATE SET last_block=excluded.last_block
+  `);
+
+  const getIndexCheckpoint = db.prepare(`
+    SELECT last_block FROM index_checkpoints WHERE chain_id=? AND contract_address=?
+  `);
+
+  const upsertIndexCheckpoint = db.prepare(`
+    INSERT INTO index_checkpoints (chain_id, contract_address, last_block) VALUES (?, ?, ?)
+    ON CONFLICT(chain_id, contract_address) DO UPDATE SET last_block=excluded.last_block
+  `);
+
+  // The index never moves back when notifications re-scan a range it already covers.
+  const advanceIndexCheckpoint = db.prepare(`
+    INSERT INTO index_checkpoints (chain_id, contract_address, last_block) VALUES (?, ?, ?)
+    ON CONFLICT(chain_id, contract_address) DO UPDATE SET last_block=MAX(last_block, excluded.last_block)
+  `);
+
+  const rewindIndexCheckpoint = db.prepare(`
+    UPDATE index_checkpoints SET last_block=MIN(last_block, ?) WHERE chain_id=? AND contract_address=?
+  `);
+
+  const getLegacyCheckpoint = db.prepare(`
+    SELECT last_block FROM checkpoints WHERE chain_id=?
+  `);
+
+  const deleteLegacyCheckpoint = db.prepare(`
+    DELETE FROM checkpoints WHERE chain_id=?
+  `);
+
+  // --- Block hashes (reorg detection) ---
+
+  const upsertBlockHash = db.prepare(`
+    INSERT INTO contract_block_hashes (chain_id, contract_address, block_number, block_hash) VALUES (?, ?, ?, ?)
+    ON CONFLICT(chain_id, contract_address, block_number) DO UPDATE SET block_hash=excluded.block_hash
+  `);
+
+  const getRecentBlockHashes = db.prepare(`
+    SELECT block_number, block_hash FROM contract_block_hashes
+    WHERE chain_id=? AND contract_address=? AND block_number<=?
+    ORDER BY block_number DESC
+    LIMIT ?
+  `);
+
+  const deleteBlockHashesAfter = db.prepare(`
+    DELETE FROM contract_block_hashes WHERE chain_id=? AND contract_address=? AND block_number>?
+  `);
+
+  const pruneBlockHashes = db.prepare(`
+    DELETE FROM contract_block_hashes WHERE chain_id=? AND contract_address=? AND block_number < (
+      SELECT MIN(block_number) FROM (
+        SELECT block_number FROM contract_block_hashes WHERE chain_id=? AND contract_address=?
+        ORDER BY block_number DESC LIMIT ?
+      )
+    )
+  `);
+
+  const adoptLegacyCheckpoint = db.transaction((chainId, contract) => {
+    const legacy = getLegacyCheckpoint.get(chainId);
+    if (!legacy) return null;
+    upsertCheckpoint.run(chainId, contract, legacy.last_block);
+    deleteLegacyCheckpoint.run(chainId);
+    return legacy.last_block;
+  });
+
+  // --- Indexed bonds ---
+
+  const upsertBond = db.prepare(`
+    INSERT INTO bonds (
+      chain_id, contract_address, bond_id, poster, judge, token, bond_amount, challenge_amount, judge_fee,
+      deadline, acceptance_delay, ruling_buffer, metadata, created_block, created_tx, created_at
+    ) VALUES (
+      @chainId, @contract, @bondId, @poster, @judge, @token, @bondAmount, @challengeAmount, @judgeFee,
+      @deadline, @acceptanceDelay, @rulingBuffer, @metadata, @createdBlock, @createdTx, @createdAt
+    )
+    ON CONFLICT(chain_id, contract_address, bond_id) DO UPDATE SET
+      poster=excluded.poster, judge=excluded.judge, token=excluded.token,
+      bond_amount=excluded.bond_amount, challenge_amount=excluded.challenge_amount, judge_fee=excluded.judge_fee,
+      deadline=excluded.deadline, acceptance_delay=excluded.acceptance_delay, ruling_buffer=excluded.ruling_buffer,
+      metadata=excluded.metadata, created_block=excluded.created_block, created_tx=excluded.created_tx,
+      created_at=excluded.created_at
+  `);
+
+  const insertChallenge = db.prepare(`
+    INSERT OR REPLACE INTO challenges (
+      chain_id, contract_address, bond_id, challenge_index, challenger, metadata, created_block, created_tx, created_at
+    ) VALUES (
+      @chainId, @contract, @bondId, @challengeIndex, @challenger, @metadata, @createdBlock, @createdTx, @createdAt
+    )
+  `);
+
+  const recordBondChallenge = db.prepare(`
+    UPDATE bonds SET
+      challenge_count=MAX(challenge_count, @challengeIndex + 1),
+      last_challenge_time=MAX(last_challenge_time, @createdAt)
+    WHERE chain_id=@chainId AND contract_address=@contract AND bond_id=@bondId
+  `);
+
+  const resolveChallenge = db.prepare(`
+    UPDATE challenges SET status=@status, fee_charged=@feeCharged, resolved_at=@resolvedAt
+    WHERE chain_id=@chainId AND contract_address=@contract AND bond_id=@bondId AND challenge_index=@challengeIndex
+  `);
+
+  const advanceBondChallenge = db.prepare(`
+    UPDATE bonds SET current_challenge=MAX(current_challenge, @challengeIndex + 1)
+    WHERE chain_id=@chainId AND contract_address=@contract AND bond_id=@bondId
+  `);
+
+  const settleBond = db.prepare(`
+    UPDATE bonds SET settled=1, conceded=MAX(conceded, @conceded), outcome=@outcome, settled_at=@settledAt
+    WHERE chain_id=@chainId AND contract_address=@contract AND bond_id=@bondId
+  `);
+
+  const refreshBondState = db.prepare(`
+    UPDATE bonds SET
+      settled=@settled, conceded=@conceded, challenge_count=@challengeCount,
+      current_challenge=@currentChallenge, last_challenge_time=@lastChallengeTime
+    WHERE chain_id=@chainId AND contract_address=@contract AND bond_id=@bondId
+  `);
+
+  // 'active' and 'challenged' while unsettled, then the outcome the bond settled with.
+  const BOND_STATUS = `
+    CASE
+      WHEN settled=0 AND challenge_count>current_challenge THEN 'challenged'
+      WHEN settled=0 THEN 'active'
+      ELSE COALESCE(outcome, 'settled')
+    END
+  `;
+
+  const getBond = db.prepare(`
+    SELECT *, ${BOND_STATUS} AS status FROM bonds WHERE chain_id=? AND contract_address=? AND bond_id=?
+  `);
+
+  const getBondsById = db.prepare(`
+    SELECT *, ${BOND_STATUS} AS status FROM bonds WHERE chain_id=? AND bond_id=? ORDER BY contract_address
+  `);
+
+  const getOpenBonds = db.prepare(`
+    SELECT * FROM bonds WHERE settled=0 AND chain_id=? AND contract_address=? ORDER BY bond_id
+  `);
+
+  // Newest first. The cursor is the (created_block, contract_address, bond_id) of
+  // the last row of the previous page.
+  const listBonds = db.prepare(`
+    SELECT *, ${BOND_STATUS} AS status FROM bonds b
+    WHERE chain_id=@chainId
+      AND (@contract IS NULL OR contract_address=@contract)
+      AND (@poster IS NULL OR poster=@poster)
+      AND (@judge IS NULL OR judge=@judge)
+      AND (@token IS NULL OR token=@token)
+      AND (@challenger IS NULL OR EXISTS (
+        SELECT 1 FROM challenges c
+        WHERE c.chain_id=b.chain_id AND c.contract_address=b.contract_address AND c.bond_id=b.bond_id
+          AND c.challenger=@challenger
+      ))
+      AND (@status IS NULL
+        OR (@status='open' AND settled=0)
+        OR (@status='settled' AND settled=1)
+        OR ${BOND_STATUS}=@status)
+      AND (@afterBlock IS NULL
+        OR created_block<@afterBlock
+        OR (created_block=@afterBlock AND contract_address>@afterContract)
+        OR (created_block=@afterBlock AND contract_address=@afterContract AND bond_id<@afterBondId))
+    ORDER BY created_block DESC, contract_address, bond_id DESC
+    LIMIT @limit
+  `);
+
+  const getChallenges = db.prepare(`
+    SELECT * FROM challenges WHERE chain_id=? AND contract_address=? AND bond_id=? ORDER BY challenge_index
+  `);
+
+  const getJudgeBondCounts = db.prepare(`
+    SELECT
+      COUNT(*) AS bonds,
+      COALESCE(SUM(settled=0), 0) AS open,
+      COALESCE(SUM(outcome='rejected'), 0) AS rejected,
+      COALESCE(SUM(outcome='timed_out'), 0) AS timed_out
+    FROM bonds WHERE chain_id=? AND judge=?
+  `);
+
+  // Every ruling on a bond the judge was named in. The ruling window it fell in
+  // opened at max(deadline, latest challenge before the ruling + acceptance delay).
+  const getJudgeRulings = db.prepare(`
+    SELECT
+      c.contract_address, c.bond_id, c.status, c.fee_charged, b.token,
+      c.resolved_at - MAX(b.deadline, (
+        SELECT MAX(p.created_at) FROM challenges p
+        WHERE p.chain_id=c.chain_id AND p.contract_address=c.contract_address AND p.bond_id=c.bond_id
+          AND p.created_at<=c.resolved_at
+      ) + b.acceptance_delay) AS time_to_ruling
+    FROM challenges c
+    JOIN bonds b ON b.chain_id=c.chain_id AND b.contract_address=c.contract_address AND b.bond_id=c.bond_id
+    WHERE b.chain_id=? AND b.judge=? AND c.status IN ('won', 'lost')
+  `);
+
+  const deleteBond = db.prepare(`
+    DELETE FROM bonds WHERE chain_id=? AND contract_address=? AND bond_id=?
+  `);
+
+  const deleteChallenges = db.prepare(`
+    DELETE FROM challenges WHERE chain_id=? AND contract_address=? AND bond_id=?
+  `);
+
+  const insertBondEvent = db.prepare(`
+    INSERT OR IGNORE INTO bond_events
+      (chain_id, contract_address, block_number, log_index, tx_hash, event_name, bond_id, args, timestamp)
+    VALUES (@chainId, @contract, @blockNumber, @logIndex, @txHash, @name, @bondId, @args, @timestamp)
+  `);
+
+  const getBondEvents = db.prepare(`
+    SELECT * FROM bond_events WHERE chain_id=? AND contract_address=? AND bond_id=?
+    ORDER BY block_number, log_index
+  `);
+
+  // Newest events first, each with its bond. `address` matches the poster,
+  // the judge or any challenger.
+  const listFeedEvents = db.prepare(`
+    SELECT e.*, b.poster, b.judge, b.token, b.bond_amount, b.challenge_amount, b.judge_fee, b.metadata AS bond_metadata
+    FROM bond_events e
+    JOIN bonds b ON b.chain_id=e.chain_id AND b.contract_address=e.contract_address AND b.bond_id=e.bond_id
+    WHERE (@chainId IS NULL OR e.chain_id=@chainId)
+      AND (@judge IS NULL OR b.judge=@judge)
+      AND (@address IS NULL OR b.poster=@address OR b.judge=@address OR EXISTS (
+        SELECT 1 FROM challenges c
+        WHERE c.chain_id=b.chain_id AND c.contract_address=b.contract_address AND c.bond_id=b.bond_id
+          AND c.challenger=@address
+      ))
+    ORDER BY e.timestamp DESC, e.block_number DESC, e.log_index DESC
+    LIMIT @limit
+  `);
+
+  const getBondIdsWithEventsAfter = db.prepare(`
+    SELECT DISTINCT bond_id FROM bond_events WHERE chain_id=? AND contract_address=? AND block_number>?
+  `);
+
+  const deleteBondEventsAfter = db.prepare(`
+    DELETE FROM bond_events WHERE chain_id=? AND contract_address=? AND block_number>?
+  `);
+
+  const insertActivity = db.prepare(`
+    INSERT INTO bond_activity
+      (chain_id, contract_address, bond_id, event_name, block_number, log_index, tx_hash, args, timestamp, created_at)
+    VALUES (@chainId, @contract, @bondId, @name, @blockNumber, @logIndex, @txHash, @args, @timestamp, @createdAt)
+  `);
+
+  const deleteActivityAfter = db.prepare(`
+    DELETE FROM bond_activity WHERE chain_id=? AND contract_address=? AND block_number>?
+  `);
+
+  const getActivitySince = db.prepare(`
+    SELECT * FROM bond_activity WHERE id>? ORDER BY id LIMIT ?
+  `);
+
+  const getLatestActivityId = db.prepare(`
+    SELECT COALESCE(MAX(id), 0) AS id FROM bond_activity
+  `);
+
+  const pruneActivity = db.prepare(`
+    DELETE FROM bond_activity WHERE created_at<?
+  `);
+
+  // --- Outbox ---
+
+  const insertOutbox = db.prepare(`
+    INSERT OR IGNORE INTO outbox
+      (dedupe_key, wallet_address, email, chain_id, contract_address, block_number, bond_id, event_type, subject, html,
+       next_attempt_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  const getDueOutbox = db.prepare(`
+    SELECT * FROM outbox WHERE status='pending' AND next_attempt_at<=? ORDER BY id LIMIT ?
+  `);
+
+  const markOutboxSent = db.prepare(`
+    UPDATE outbox SET status='sent', attempts=attempts+1, ses_message_id=?, last_error=NULL, sent_at=datetime('now')
+    WHERE id=?
+  `);
+
+  const markOutboxFailed = db.prepare(`
+    UPDATE outbox SET status=?, attempts=attempts+1, last_error=?, next_attempt_at=?
+    WHERE id=?
+  `);
+
+  const getOutboxCounts = db.prepare(`
+    SELECT status, COUNT(*) AS count, MIN(created_at) AS oldest FROM outbox
+    WHERE status IN ('pending', 'dead')
+    GROUP BY status
+  `);
+
+  const getQueueDepths = db.prepare(`
+    SELECT 'email' AS queue, status, COUNT(*) AS count FROM outbox
+    WHERE status IN ('pending', 'dead') GROUP BY status
+    UNION ALL
+    SELECT 'webhook', status, COUNT(*) FROM webhook_deliveries
+    WHERE status IN ('pending', 'dead') GROUP BY status
+    UNION ALL
+    SELECT 'chat', status, COUNT(*) FROM chat_outbox
+    WHERE status IN ('pending', 'dead') GROUP BY status
+    UNION ALL
+    SELECT 'digest', 'pending', COUNT(*) FROM digest_items WHERE outbox_id IS NULL
+  `);
+
+  // --- Webhooks ---
+
+  const upsertWebhook = db.prepare(`
+    INSERT INTO webhooks (wallet_address, chain_id, url, secret) VALUES (?, ?, ?, ?)
+    ON CONFLICT(wallet_address, chain_id, url) DO UPDATE SET secret=excluded.secret, active=1
+    RETURNING id
+  `);
+
+  const deactivateWebhook = db.prepare(`
+    UPDATE webhooks SET active=0 WHERE wallet_address=? AND chain_id=? AND url=? AND active=1
+  `);
+
+  const getWebhook = db.prepare(`
+    SELECT * FROM webhooks WHERE id=?
+  `);
+
+  const getActiveWebhooks = db.prepare(`
+    SELECT w.*, p.events, p.roles FROM webhooks w
+    LEFT JOIN subscription_preferences p ON p.wallet_address=w.wallet_address AND p.chain_id=w.chain_id
+    WHERE w.chain_id=? AND w.active=1 AND w.wallet_address IN (SELECT value FROM json_each(?))
+  `);
+
+  const insertWebhookDelivery = db.prepare(`
+    INSERT OR IGNORE INTO webhook_deliveries
+      (webhook_id, dedupe_key, chain_id, contract_address, block_number, event_type, payload, next_attempt_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  // Deliveries for webhooks removed since they were queued are left alone.
+  const getDueWebhookDeliveries = db.prepare(`
+    SELECT d.*, w.url, w.secret FROM webhook_deliveries d
+    JOIN webhooks w ON w.id=d.webhook_id AND w.active=1
+    WHERE d.status='pending' AND d.next_attempt_at<=?
+    ORDER BY d.id LIMIT ?
+  `);
+
+  const markWebhookDelivered = db.prepare(`
+    UPDATE webhook_deliveries SET status='delivered', attempts=attempts+1, last_status_code=?, last_error=NULL,
+      delivered_at=datetime('now')
+    WHERE id=?
+  `);
+
+  const markWebhookFailed = db.prepare(`
+    UPDATE webhook_deliveries SET status=?, attempts=attempts+1, last_status_code=?, last_error=?, next_attempt_at=?
+    WHERE id=?
+  `);
+
+  const getWebhookDeliveries = db.prepare(`
+    SELECT id, event_type, status, attempts, last_status_code, last_error, created_at, delivered_at
+    FROM webhook_deliveries WHERE webhook_id=? ORDER BY id DESC LIMIT ?
+  `);
+
+  // --- Chat channels ---
+
+  const upsertChatLink = db.prepare(`
+    INSERT INTO chat_links (channel, wallet_address, chain_id, chat_id, link_code) VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(channel, wallet_address, chain_id) DO UPDATE SET
+      chat_id=excluded.chat_id, link_code=excluded.link_code, verified=0, created_at=datetime('now')
+  `);
+
+  const verifyChatLink = db.prepare(`
+    UPDATE chat_links SET verified=1, link_code=NULL WHERE link_code=?
+    RETURNING channel, wallet_address, chain_id, chat_id
+  `);
+
+  const deleteChatLink = db.prepare(`
+    DELETE FROM chat_links WHERE channel=? AND wallet_address=? AND chain_id=?
+  `);
+
+  const getVerifiedChatLinks = db.prepare(`
+    SELECT c.*, p.events, p.roles FROM chat_links c
+    LEFT JOIN subscription_preferences p ON p.wallet_address=c.wallet_address AND p.chain_id=c.chain_id
+    WHERE c.chain_id=? AND c.verified=1 AND c.wallet_address IN (SELECT value FROM json_each(?))
+  `);
+
+  const insertChatMessage = db.prepare(`
+    INSERT OR IGNORE INTO chat_outbox
+      (dedupe_key, channel, chat_id, wallet_address, chain_id, contract_address, block_number, bond_id, event_type, text,
+       next_attempt_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  // Undelivered notifications for events in blocks a reorg orphaned. Their dedupe
+  // keys go with them, so events that land again in the new chain are re-queued.
+  const deleteQueuedAfter = [
+    ['outbox', "status IN ('pending', 'dead')"],
+    ['webhook_deliveries', "status IN ('pending', 'dead')"],
+    ['chat_outbox', "status IN ('pending', 'dead')"],
+    ['digest_items', 'outbox_id IS NULL'],
+  ].map(([table, undelivered]) => db.prepare(`
+    DELETE FROM ${table} WHERE ${undelivered} AND chain_id=? AND contract_address=? AND block_number>?
+  `));
+
+  const getDueChatMessages = db.prepare(`
+    SELECT * FROM chat_outbox WHERE status='pending' AND next_attempt_at<=? ORDER BY id LIMIT ?
+  `);
+
+  const markChatSent = db.prepare(`
+    UPDATE chat_outbox SET status='sent', attempts=attempts+1, message_id=?, last_error=NULL, sent_at=datetime('now')
+    WHERE id=?
+  `);
+
+  const markChatFailed = db.prepare(`
+    UPDATE chat_outbox SET status=?, attempts=attempts+1, last_error=?, next_attempt_at=?
+    WHERE id=?
+  `);
+
+  // --- Email log ---
+
+  const insertLog = db.prepare(`
+    INSERT INTO email_log (wallet_address, chain_id, bond_id, event_type, ses_message_id)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+
+  // --- Admin ---
+
+  const searchSubscriptions = db.prepare(`
+    SELECT s.wallet_address, s.chain_id, s.email, s.verified, s.created_at, p.events, p.roles, p.digest
+    FROM subscriptions s
+    LEFT JOIN subscription_preferences p ON p.wallet_address=s.wallet_address AND p.chain_id=s.chain_id
+    WHERE (@chainId IS NULL OR s.chain_id=@chainId)
+      AND (@verified IS NULL OR s.verified=@verified)
+      AND (@search IS NULL OR s.wallet_address LIKE @search ESCAPE '\\' OR s.email LIKE @search ESCAPE '\\')
+    ORDER BY s.created_at DESC, s.wallet_address
+    LIMIT @limit
+  `);
+
+  const getEmailLog = db.prepare(`
+    SELECT * FROM email_log
+    WHERE (@address IS NULL OR wallet_address=@address)
+      AND (@bondId IS NULL OR bond_id=@bondId)
+      AND (@chainId IS NULL OR chain_id=@chainId)
+    ORDER BY id DESC LIMIT @limit
+  `);
+
+  const getOutboxHistory = db.prepare(`
+    SELECT id, dedupe_key, wallet_address, email, chain_id, bond_id, event_type, subject, status, attempts,
+      last_error, ses_message_id, created_at, sent_at
+    FROM outbox
+    WHERE (@address IS NULL OR wallet_address=@address)
+      AND (@bondId IS NULL OR bond_id=@bondId)
+      AND (@chainId IS NULL OR chain_id=@chainId)
+    ORDER BY id DESC LIMIT @limit
+  `);
+
+  // --- Judge profiles ---
+
+  const upsertJudgeProfile = db.prepare(`
+    INSERT INTO judge_profiles (wallet_address, chain_id, statement, link_url)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT(wallet_address, chain_id) DO UPDATE SET
+      statement=excluded.statement,
+      link_url=excluded.link_url,
+      updated_at=datetime('now')
+    RETURNING id, wallet_address, chain_id, statement, link_url, created_at, updated_at
+  `);
+
+  const deleteJudgeProfile = db.prepare(`
+    DELETE FROM judge_profiles WHERE wallet_address=? AND chain_id=?
+  `);
+
+  const getJudgeProfileByAddress = db.prepare(`
+    SELECT id, wallet_address, chain_id, statement, link_url, created_at, updated_at
+    FROM judge_profiles
+    WHERE wallet_address=? AND chain_id=?
+  `);
+
+  const getJudgeProfileById = db.prepare(`
+    SELECT id, wallet_address, chain_id, statement, link_url, created_at, updated_at
+    FROM judge_profiles
+    WHERE id=?
+  `);
+
+  const getJudgeProfilesByAddresses = db.prepare(`
+    SELECT id, wallet_address, chain_id, statement, link_url, created_at, updated_at
+    FROM judge_profiles
+    WHERE chain_id=? AND wallet_address IN (SELECT value FROM json_each(?))
+  `);
+
+  // --- Used signatures ---
+
+  const insertUsedSignature = db.prepare(`
+    INSERT OR IGNORE INTO used_signatures (wallet_address, digest, expires_at) VALUES (?, ?, ?)
+  `);
+
+  const pruneUsedSignatures = db.prepare(`
+    DELETE FROM used_signatures WHERE expires_at<?
+  `);
+
+  // --- Sessions ---
+
+  const insertAuthNonce = db.prepare(`
+    INSERT INTO auth_nonces (nonce, expires_at) VALUES (?, ?)
+  `);
+
+  const consumeAuthNonce = db.prepare(`
+    DELETE FROM auth_nonces WHERE nonce=? AND expires_at>=?
+  `);
+
+  const pruneAuthNonces = db.prepare(`
+    DELETE FROM auth_nonces WHERE expires_at<?
+  `);
+
+  const insertSession = db.prepare(`
+    INSERT INTO sessions (token_hash, wallet_address, chain_id, created_at, expires_at)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+
+  const getSession = db.prepare(`
+    SELECT * FROM sessions WHERE token_hash=? AND revoked_at IS NULL AND expires_at>?
+  `);
+
+  const revokeSession = db.prepare(`
+    UPDATE sessions SET revoked_at=? WHERE token_hash=? AND revoked_at IS NULL
+  `);
+
+  const revokeWalletSessions = db.prepare(`
+    UPDATE sessions SET revoked_at=? WHERE wallet_address=? AND chain_id=? AND revoked_at IS NULL
+  `);
+
+  const pruneSessions = db.prepare(`
+    DELETE FROM sessions WHERE expires_at<?
+  `);
+
+  // --- Rate limits ---
+
+  const getRateBucket = db.prepare(`
+    SELECT tokens, updated_at FROM rate_limits WHERE key=?
+  `);
+
+  const upsertRateBucket = db.prepare(`
+    INSERT INTO rate_limits (key, tokens, updated_at) VALUES (?, ?, ?)
+    ON CONFLICT(key) DO UPDATE SET tokens=excluded.tokens, updated_at=excluded.updated_at
+  `);
+
+  const pruneRateBuckets = db.prepare(`
+    DELETE FROM rate_limits WHERE updated_at<?
+  `);
+
+  const takeRateLimitToken = db.transaction((key, capacity, windowMs, now) => {
+    const row = getRateBucket.get(key);
+    const tokens = row
+      ? Math.min(capacity, row.tokens + Math.max(0, now - row.updated_at) * capacity / windowMs)
+      : capacity;
+    const allowed = tokens >= 1;
+    const left = allowed ? tokens - 1 : tokens;
+    upsertRateBucket.run(key, left, now);
+    return { allowed, tokens: left };
+  });
+
+  // An async transaction holds the connection across awaits. Calls from
+  // outside it wait until it ends rather than landing in it.
+  const transactionScope = new AsyncLocalStorage();
+  let running = null;
+
+  function transaction(fn) {
+    if (transactionScope.getStore()) return fn();
+    if (running) return running.then(() => transaction(fn));
+    db.exec('BEGIN IMMEDIATE');
+    let result;
+    try {
+      result = transactionScope.run(true, fn);
+    } catch (err) {
+      if (db.inTransaction) db.exec('ROLLBACK');
+      throw err;
+    }
+    if (typeof result?.then !== 'function') {
+      db.exec('COMMIT');
+      return result;
+    }
+    const done = Promise.resolve(result)
+      .then((value) => {
+        db.exec('COMMIT');
+        return value;
+      })
+      .finally(() => {
+        if (db.inTransaction) db.exec('ROLLBACK');
+      });
+    running = done.then(() => {}, () => {}).then(() => {
+      running = null;
+    });
+    return done;
+  }
+
+  const repository = {
+    upsertSubscription(address, email, chainId) {
+      upsertSub.run(address.toLowerCase(), email.toLowerCase(), chainId);
+    },
+
+    verifySubscription(address, chainId) {
+      return verifySub.run(address.toLowerCase(), chainId);
+    },
+
+    deleteSubscription: db.transaction((address, chainId) => {
+      deleteDigestItems.run(address.toLowerCase(), chainId);
+      deletePrefs.run(address.toLowerCase(), chainId);
+      return deleteSub.run(address.toLowerCase(), chainId);
+    }),
+
+    getSubscription(address, chainId) {
+      return getSub.get(address.toLowerCase(), chainId);
+    },
+
+    getVerifiedSubscriptions(chainId, addresses) {
+      const lower = addresses.map(a => a.toLowerCase());
+      return getVerifiedByAddresses.all(chainId, JSON.stringify(lower))
+        .map(row => ({ ...row, ...parsePrefs(row) }));
+    },
+
+    /**
+     * Which events and roles a subscriber wants emails for; null means all.
+     */
+    getPreferences(address, chainId) {
+      return parsePrefs(getPrefs.get(address.toLowerCase(), chainId));
+    },
+
+    setPreferences(address, chainId, { events = null, roles = null, digest = null }) {
+      upsertPrefs.run(
+        address.toLowerCase(),
+        chainId,
+        events ? JSON.stringify(events) : null,
+        roles ? JSON.stringify(roles) : null,
+        digest,
+      );
+    },
+
+    /**
+     * Hold a notification for the subscriber's next digest. Returns true if it was new.
+     */
+    enqueueDigestItem({
+      dedupeKey, address, chainId, contract, blockNumber,
+      bondId, eventType, metadata = '', now = Date.now(),
+    }) {
+      const result = insertDigestItem.run(
+        dedupeKey,
+        address.toLowerCase(),
+        chainId,
+        contract.toLowerCase(),
+        bondId,
+        eventType,
+        metadata,
+        blockNumber ?? null,
+        now
+      );
+      return result.changes > 0;
+    },
+
+    getDigestRecipients() {
+      return getDigestRecipients.all();
+    },
+
+    getPendingDigestItems(address, chainId) {
+      return getPendingDigestItems.all(address.toLowerCase(), chainId);
+    },
+
+    /**
+     * Queue a rendered digest and attach the items it covers (up to `lastItemId`)
+     * in one transaction. Returns false if this digest was already queued.
+     */
+    commitDigest: db.transaction(({ dedupeKey, address, email, chainId, subject, html, lastItemId, now = Date.now() }) => {
+      const result = insertOutbox.run(dedupeKey, address.toLowerCase(), email, chainId, null, null, null, 'digest', subject, html, now);
+      if (result.changes === 0) return false;
+      attachDigestItems.run(result.lastInsertRowid, address.toLowerCase(), chainId, lastItemId);
+      setDigestSentAt.run(now, address.toLowerCase(), chainId);
+      return true;
+    }),
+
+    /**
+     * Last processed block for a contract. A checkpoint left by the old
+     * per-chain watcher is adopted by the contract that watcher followed.
+     */
+    getCheckpoint(chainId, contract) {
+      const address = contract.toLowerCase();
+      const row = getCheckpoint.get(chainId, address);
+      if (row) return row.last_block;
+      return LEGACY_CHECKPOINT_CONTRACTS[chainId] === address ? adoptLegacyCheckpoint(chainId, address) : null;
+    },
+
+    setCheckpoint(chainId, contract, block) {
+      upsertCheckpoint.run(chainId, contract.toLowerCase(), block);
+    },
+
+    listCheckpoints() {
+      return listCheckpoints.all();
+    },
+
+    /**
+     * Last block of a contract's events in the bond index, or null before it
+     * has indexed anything.
+     */
+    getIndexCheckpoint(chainId, contract) {
+      const row = getIndexCheckpoint.get(chainId, contract.toLowerCase());
+      return row ? row.last_block : null;
+    },
+
+    setIndexCheckpoint(chainId, contract, block) {
+      upsertIndexCheckpoint.run(chainId, contract.toLowerCase(), block);
+    },
+
+    /**
+     * Most recent stored block hashes at or below `maxBlock`, newest first.
+     */
+    getRecentBlockHashes(chainId, contract, maxBlock, limit) {
+      return getRecentBlockHashes.all(chainId, contract.toLowerCase(), maxBlock, limit);
+    },
+
+    pruneBlockHashes(chainId, contract, keep) {
+      const lower = contract.toLowerCase();
+      pruneBlockHashes.run(chainId, lower, chainId, lower, keep);
+    },
+
+    /**
+     * Rewind a contract to `block`: forget hashes recorded above it and move the
+     * checkpoint, and the index checkpoint if it is further, back so the next
+     * poll re-processes the orphaned range.
+     */
+    rollbackCheckpoint: db.transaction((chainId, contract, block) => {
+      deleteBlockHashesAfter.run(chainId, contract.toLowerCase(), block);
+      upsertCheckpoint.run(chainId, contract.toLowerCase(), block);
+      rewindIndexCheckpoint.run(block, chainId, contract.toLowerCase());
+    }),
+
+    /**
+     * Drop emails, webhook deliveries, chat messages and digest items not yet
+     * delivered for the contract's events above `block`. Returns how many.
+     */
+    deleteQueuedAfter: db.transaction((chainId, contract, block) => {
+      const lower = contract.toLowerCase();
+      return deleteQueuedAfter.reduce((total, statement) => total + statement.run(chainId, lower, block).changes, 0);
+    }),
+
+    /**
+     * Advance the checkpoint and remember the hashes of the blocks it covered,
+     * atomically, so a crash can never leave one without the other. The range
+     * was indexed too, so the index checkpoint follows.
+     * `blockHashes` is a list of [blockNumber, blockHash] pairs.
+     */
+    commitRange: db.transaction((chainId, contract, block, blockHashes) => {
+      const lower = contract.toLowerCase();
+      for (const [number, hash] of blockHashes) upsertBlockHash.run(chainId, lower, number, hash);
+      upsertCheckpoint.run(chainId, lower, block);
+      advanceIndexCheckpoint.run(chainId, lower, block);
+    }),
+
+    /**
+     * Queue an email for the delivery loop. Returns false when a message with
+     * the same dedupe key was already queued (e.g. a range re-scanned after a
+     * reorg), so callers never send the same notification twice.
+     */
+    enqueueEmail({
+      dedupeKey, address, email, chainId, contract, blockNumber,
+      bondId, eventType, subject, html, now = Date.now(),
+    }) {
+      const result = insertOutbox.run(
+        dedupeKey,
+        address ? address.toLowerCase() : null,
+        email,
+        chainId ?? null,
+        contract ? contract.toLowerCase() : null,
+        blockNumber ?? null,
+        bondId ?? null,
+        eventType ?? null,
+        subject,
+        html,
+        now
+      );
+      return result.changes > 0;
+    },
+
+    getDueOutbox(now, limit) {
+      return getDueOutbox.all(now, limit);
+    },
+
+    markOutboxSent(id, sesMessageId) {
+      markOutboxSent.run(sesMessageId, id);
+    },
+
+    markOutboxFailed(id, error, nextAttemptAt, dead) {
+      markOutboxFailed.run(dead ? 'dead' : 'pending', error, nextAttemptAt, id);
+    },
+
+    getOutboxStats() {
+      const stats = { pending: 0, dead: 0, oldestPending: null };
+      for (const row of getOutboxCounts.all()) {
+        stats[row.status] = row.count;
+        if (row.status === 'pending') stats.oldestPending = row.oldest;
+      }
+      return stats;
+    },
+
+    /**
+     * Pending and dead-lettered counts of every delivery queue, as
+     * `{ queue, status, count }` rows. Digest items are pending until their digest goes out.
+     */
+    getQueueDepths() {
+      return getQueueDepths.all();
+    },
+
+    /**
+     * Register (or re-activate) a webhook; registering the same URL again rotates its secret.
+     * Returns the webhook id.
+     */
+    upsertWebhook(address, chainId, url, secret) {
+      return upsertWebhook.get(address.toLowerCase(), chainId, url, secret).id;
+    },
+
+    deactivateWebhook(address, chainId, url) {
+      return deactivateWebhook.run(address.toLowerCase(), chainId, url);
+    },
+
+    getWebhook(id) {
+      return getWebhook.get(id) || null;
+    },
+
+    getActiveWebhooks(chainId, addresses) {
+      const lower = addresses.map(a => a.toLowerCase());
+      return getActiveWebhooks.all(chainId, JSON.stringify(lower))
+        .map(row => ({ ...row, ...parsePrefs(row) }));
+    },
+
+    /**
+     * Queue one event for a webhook. Returns true if it was not queued before.
+     */
+    enqueueWebhookDelivery({ webhookId, dedupeKey, chainId, contract, blockNumber, eventType, payload, now = Date.now() }) {
+      return insertWebhookDelivery.run(
+        webhookId,
+        dedupeKey,
+        chainId ?? null,
+        contract ? contract.toLowerCase() : null,
+        blockNumber ?? null,
+        eventType,
+        payload,
+        now
+      ).changes > 0;
+    },
+
+    getDueWebhookDeliveries(now, limit) {
+      return getDueWebhookDeliveries.all(now, limit);
+    },
+
+    markWebhookDelivered(id, statusCode) {
+      markWebhookDelivered.run(statusCode, id);
+    },
+
+    markWebhookFailed(id, statusCode, error, nextAttemptAt, dead) {
+      markWebhookFailed.run(dead ? 'dead' : 'pending', statusCode ?? null, error, nextAttemptAt, id);
+    },
+
+    getWebhookDeliveries(webhookId, limit = 50) {
+      return getWebhookDeliveries.all(webhookId, limit);
+    },
+
+    upsertChatLink(channel, address, chainId, chatId, linkCode) {
+      upsertChatLink.run(channel, address.toLowerCase(), chainId, String(chatId), linkCode);
+    },
+
+    /**
+     * Mark the link waiting on `linkCode` as verified. Returns the link, or null.
+     */
+    verifyChatLink(linkCode) {
+      return verifyChatLink.get(linkCode) || null;
+    },
+
+    deleteChatLink(channel, address, chainId) {
+      return deleteChatLink.run(channel, address.toLowerCase(), chainId);
+    },
+
+    getVerifiedChatLinks(chainId, addresses) {
+      const lower = addresses.map(a => a.toLowerCase());
+      return getVerifiedChatLinks.all(chainId, JSON.stringify(lower))
+        .map(row => ({ ...row, ...parsePrefs(row) }));
+    },
+
+    enqueueChatMessage({
+      dedupeKey, channel, chatId, address, chainId, contract,
+      blockNumber, bondId, eventType, text, now = Date.now(),
+    }) {
+      const result = insertChatMessage.run(
+        dedupeKey,
+        channel,
+        String(chatId),
+        address ? address.toLowerCase() : null,
+        chainId ?? null,
+        contract ? contract.toLowerCase() : null,
+        blockNumber ?? null,
+        bondId ?? null,
+        eventType ?? null,
+        text,
+        now
+      );
+      return result.changes > 0;
+    },
+
+    getDueChatMessages(now, limit) {
+      return getDueChatMessages.all(now, limit);
+    },
+
+    markChatSent(id, messageId) {
+      markChatSent.run(messageId == null ? null : String(messageId), id);
+    },
+
+    markChatFailed(id, error, nextAttemptAt, dead) {
+      markChatFailed.run(dead ? 'dead' : 'pending', error, nextAttemptAt, id);
+    },
+
+    upsertBond(bond) {
+      upsertBond.run({ ...bond, contract: bond.contract.toLowerCase() });
+    },
+
+    /**
+     * Index a new challenge and count it against its bond.
+     */
+    recordChallenge: db.transaction((challenge) => {
+      const row = { ...challenge, contract: challenge.contract.toLowerCase() };
+      insertChallenge.run(row);
+      recordBondChallenge.run(row);
+    }),
+
+    resolveChallenge(chainId, contract, bondId, challengeIndex, status, feeCharged, resolvedAt) {
+      resolveChallenge.run({
+        chainId,
+        contract: contract.toLowerCase(),
+        bondId,
+        challengeIndex,
+        status,
+        feeCharged: feeCharged ?? null,
+        resolvedAt,
+      });
+    },
+
+    advanceBondChallenge(chainId, contract, bondId, challengeIndex) {
+      advanceBondChallenge.run({ chainId, contract: contract.toLowerCase(), bondId, challengeIndex });
+    },
+
+    settleBond(chainId, contract, bondId, outcome, settledAt) {
+      settleBond.run({
+        chainId,
+        contract: contract.toLowerCase(),
+        bondId,
+        conceded: outcome === 'conceded' ? 1 : 0,
+        outcome,
+        settledAt,
+      });
+    },
+
+    /**
+     * Overwrite the mutable state of an indexed bond with values read on-chain.
+     */
+    refreshBondState(chainId, contract, bondId, state) {
+      refreshBondState.run({
+        chainId,
+        contract: contract.toLowerCase(),
+        bondId,
+        settled: state.settled ? 1 : 0,
+        conceded: state.conceded ? 1 : 0,
+        challengeCount: state.challengeCount,
+        currentChallenge: state.currentChallenge,
+        lastChallengeTime: state.lastChallengeTime,
+      });
+    },
+
+    getBond(chainId, contract, bondId) {
+      return getBond.get(chainId, contract.toLowerCase(), bondId) || null;
+    },
+
+    /**
+     * Bonds with this id on any contract of the chain.
+     */
+    getBondsById(chainId, bondId) {
+      return getBondsById.all(chainId, bondId);
+    },
+
+    getOpenBonds(chainId, contract) {
+      return getOpenBonds.all(chainId, contract.toLowerCase());
+    },
+
+    /**
+     * One page of indexed bonds, newest first. Address filters are optional;
+     * `status` is 'open', 'settled', 'active', 'challenged' or a settlement outcome.
+     * `after` is the last row of the previous page.
+     */
+    listBonds({ chainId, contract, poster, judge, token, challenger, status, after, limit }) {
+      const lower = (address) => (address ? address.toLowerCase() : null);
+      return listBonds.all({
+        chainId,
+        contract: lower(contract),
+        poster: lower(poster),
+        judge: lower(judge),
+        token: lower(token),
+        challenger: lower(challenger),
+        status: status || null,
+        afterBlock: after ? after.createdBlock : null,
+        afterContract: after ? after.contract.toLowerCase() : null,
+        afterBondId: after ? after.bondId : null,
+        limit,
+      });
+    },
+
+    getChallenges(chainId, contract, bondId) {
+      return getChallenges.all(chainId, contract.toLowerCase(), bondId);
+    },
+
+    /**
+     * Raw material for a judge's statistics: bond counts by outcome and every ruling.
+     */
+    getJudgeHistory(chainId, judge) {
+      const lower = judge.toLowerCase();
+      return {
+        counts: getJudgeBondCounts.get(chainId, lower),
+        rulings: getJudgeRulings.all(chainId, lower),
+      };
+    },
+
+    /**
+     * Remember an indexed contract event. Returns false if it was already recorded.
+     */
+    insertBondEvent(event) {
+      const result = insertBondEvent.run({
+        ...event,
+        contract: event.contract.toLowerCase(),
+        args: JSON.stringify(event.args),
+      });
+      return result.changes > 0;
+    },
+
+    /**
+     * Recorded events of one bond, oldest first, in the shape insertBondEvent takes.
+     */
+    getBondEvents(chainId, contract, bondId) {
+      return getBondEvents.all(chainId, contract.toLowerCase(), bondId).map(row => ({
+        chainId: row.chain_id,
+        contract: row.contract_address,
+        blockNumber: row.block_number,
+        logIndex: row.log_index,
+        txHash: row.tx_hash,
+        name: row.event_name,
+        bondId: row.bond_id,
+        args: JSON.parse(row.args),
+        timestamp: row.timestamp,
+      }));
+    },
+
+    /**
+     * Latest indexed events for a feed, newest first, joined with their bond's
+     * terms (`poster`, `judge`, `token`, amounts and `bond_metadata`).
+     */
+    listFeedEvents({ chainId = null, judge = null, address = null, limit }) {
+      return listFeedEvents.all({
+        chainId,
+        judge: judge ? judge.toLowerCase() : null,
+        address: address ? address.toLowerCase() : null,
+        limit,
+      }).map(row => ({ ...row, args: JSON.parse(row.args) }));
+    },
+
+    /**
+     * Forget events above `block`. Returns the ids of the bonds they touched.
+     */
+    deleteBondEventsAfter(chainId, contract, block) {
+      const lower = contract.toLowerCase();
+      const bondIds = getBondIdsWithEventsAfter.all(chainId, lower, block).map(row => row.bond_id);
+      deleteBondEventsAfter.run(chainId, lower, block);
+      return bondIds;
+    },
+
+    /**
+     * Append to the live activity feed. `event` has the shape insertBondEvent
+     * takes; logIndex, txHash, args and timestamp may be omitted.
+     */
+    appendActivity(event) {
+      insertActivity.run({
+        chainId: event.chainId,
+        contract: event.contract.toLowerCase(),
+        bondId: event.bondId,
+        name: event.name,
+        blockNumber: event.blockNumber,
+        logIndex: event.logIndex ?? null,
+        txHash: event.txHash ?? null,
+        args: JSON.stringify(event.args ?? {}),
+        timestamp: event.timestamp ?? null,
+        createdAt: Date.now(),
+      });
+    },
+
+    /**
+     * Forget activity from blocks above `block`, so reconnecting clients are
+     * not replayed orphaned events. Ids are AUTOINCREMENT and never reused.
+     */
+    deleteActivityAfter(chainId, contract, block) {
+      return deleteActivityAfter.run(chainId, contract.toLowerCase(), block).changes;
+    },
+
+    /**
+     * Activity recorded after `id`, oldest first.
+     */
+    getActivitySince(id, limit = 500) {
+      return getActivitySince.all(id, limit).map(row => ({
+        id: row.id,
+        chainId: row.chain_id,
+        contract: row.contract_address,
+        bondId: row.bond_id,
+        name: row.event_name,
+        blockNumber: row.block_number,
+        logIndex: row.log_index,
+        txHash: row.tx_hash,
+        args: JSON.parse(row.args),
+        timestamp: row.timestamp,
+      }));
+    },
+
+    getLatestActivityId() {
+      return getLatestActivityId.get().id;
+    },
+
+    pruneActivity(beforeMs) {
+      return pruneActivity.run(beforeMs).changes;
+    },
+
+    /**
+     * Drop a bond and its challenges from the index, ahead of replaying its events.
+     */
+    deleteIndexedBond(chainId, contract, bondId) {
+      deleteChallenges.run(chainId, contract.toLowerCase(), bondId);
+      deleteBond.run(chainId, contract.toLowerCase(), bondId);
+    },
+
+    /**
+     * Run `fn` in a single transaction; it may be async. Repository calls it
+     * makes, however deep, join the transaction.
+     */
+    transaction,
+
+    logEmail(address, chainId, bondId, eventType, sesMessageId) {
+      insertLog.run(address.toLowerCase(), chainId, bondId, eventType, sesMessageId);
+    },
+
+    /**
+     * Subscriptions with their preferences, newest first. `search` matches part
+     * of the wallet address or email; `verified` is true, false or null for both.
+     */
+    searchSubscriptions({ chainId = null, search = null, verified = null, limit = 100 } = {}) {
+      const pattern = search ? `%${search.toLowerCase().replace(/[\\%_]/g, c => `\\${c}`)}%` : null;
+      return searchSubscriptions.all({
+        chainId,
+        search: pattern,
+        verified: verified === null ? null : Number(verified),
+        limit,
+      }).map(row => ({ ...row, ...parsePrefs(row) }));
+    },
+
+    /**
+     * What was emailed to a wallet or about a bond: `sent` from the email log and
+     * `queued`, the outbox rows with their delivery status and last error.
+     */
+    getEmailHistory({ address = null, bondId = null, chainId = null, limit = 50 } = {}) {
+      const params = { address: address ? address.toLowerCase() : null, bondId, chainId, limit };
+      return { sent: getEmailLog.all(params), queued: getOutboxHistory.all(params) };
+    },
+
+    // Write a consistent copy of the database to `path`, even while others write to it.
+    backup(path) {
+      return db.backup(path);
+    },
+
+    upsertJudgeProfile(address, chainId, statement, linkUrl) {
+      return upsertJudgeProfile.get(address.toLowerCase(), chainId, statement, linkUrl);
+    },
+
+    deleteJudgeProfile(address, chainId) {
+      return deleteJudgeProfile.run(address.toLowerCase(), chainId);
+    },
+
+    getJudgeProfile(address, chainId) {
+      return getJudgeProfileByAddress.get(address.toLowerCase(), chainId);
+    },
+
+    getJudgeProfileById(id) {
+      return getJudgeProfileById.get(id);
+    },
+
+    getJudgeProfiles(chainId, addresses) {
+      const lower = addresses.map(a => a.toLowerCase());
+      return getJudgeProfilesByAddresses.all(chainId, JSON.stringify(lower));
+    },
+
+    /**
+     * Record a signed request's digest until `expiresAt` (ms). Returns false if
+     * the same wallet already used it, i.e. the request is a replay.
+     */
+    claimSignedRequest(address, digest, expiresAt, now = Date.now()) {
+      pruneUsedSignatures.run(now);
+      return insertUsedSignature.run(address.toLowerCase(), digest, expiresAt).changes > 0;
+    },
+
+    createAuthNonce(nonce, expiresAt, now = Date.now()) {
+      pruneAuthNonces.run(now);
+      insertAuthNonce.run(nonce, expiresAt);
+    },
+
+    /**
+     * Use up a sign-in nonce. Returns false if it was never issued, has
+     * expired or was used already.
+     */
+    consumeAuthNonce(nonce, now = Date.now()) {
+      return consumeAuthNonce.run(nonce, now).changes > 0;
+    },
+
+    createSession(tokenHash, address, chainId, expiresAt, now = Date.now()) {
+      pruneSessions.run(now);
+      insertSession.run(tokenHash, address.toLowerCase(), chainId, now, expiresAt);
+    },
+
+    /**
+     * The live session for a token hash as `{ address, chainId, expiresAt }`,
+     * or undefined once it has expired or been revoked.
+     */
+    getSession(tokenHash, now = Date.now()) {
+      const row = getSession.get(tokenHash, now);
+      return row && { address: row.wallet_address, chainId: row.chain_id, expiresAt: row.expires_at };
+    },
+
+    revokeSession(tokenHash, now = Date.now()) {
+      return revokeSession.run(now, tokenHash).changes > 0;
+    },
+
+    /**
+     * Sign a wallet out everywhere on one chain. Returns the number of sessions revoked.
+     */
+    revokeSessions(address, chainId, now = Date.now()) {
+      return revokeWalletSessions.run(now, address.toLowerCase(), chainId).changes;
+    },
+
+    /**
+     * Take one token from the bucket `key`, which holds up to `capacity` and
+     * refills completely over `windowMs`. Returns `{ allowed, tokens }`, the
+     * tokens left after the take. Runs as an immediate transaction, so API
+     * processes sharing the database never both take the last token.
+     */
+    takeRateLimitToken(key, capacity, windowMs, now = Date.now()) {
+      return takeRateLimitToken.immediate(key, capacity, windowMs, now);
+    },
+
+    // Buckets untouched since `before` (ms) have refilled and can go.
+    pruneRateLimits(before) {
+      return pruneRateBuckets.run(before).changes;
+    },
+
+    close() {
+      db.close();
+    },
+  };
+
+  for (const [name, method] of Object.entries(repository)) {
+    if (name === 'transaction') continue;
+    repository[name] = (...args) => (running && !transactionScope.getStore()
+      ? running.then(() => repository[name](...args))
+      : method(...args));
+  }
+  return repository;
+}
+
+export default DATABASE_URL ? await createPostgresDatabase(DATABASE_URL) : createDatabase();
@@ -0,0 +1,88 @@
+import {
+  OUTBOX_POLL_INTERVAL_MS,
+  OUTBOX_BATCH_SIZE,
+  OUTBOX_MAX_ATTEMPTS,
+  OUTBOX_RETRY_BASE_MS,
+  OUTBOX_RETRY_MAX_MS,
+} from './config.mjs';
+import defaultDb from './db.mjs';
+import { sendEmail as defaultSendEmail } from './mailer.mjs';
+import { metrics } from './metrics.mjs';
+
+const emailsTotal = metrics.counter(
+  'bond_notify_emails_total',
+  'Email send attempts by event type and result (sent, failed or dead)',
+  ['event_type', 'result']
+);
+
+/**
+ * Delay before the next attempt once `attempts` sends have failed.
+ */
+export function retryDelay(attempts) {
+  return Math.min(OUTBOX_RETRY_BASE_MS * 2 ** (attempts - 1), OUTBOX_RETRY_MAX_MS);
+}
+
+/**
+ * Send every outbox message that is due. Failed sends are rescheduled with
+ * exponential backoff and dead-lettered after OUTBOX_MAX_ATTEMPTS.
+ * Returns the number of messages sent.
+ */
+export async function deliverPending({ db = defaultDb, sendEmail = defaultSendEmail, now = Date.now() } = {}) {
+  let delivered = 0;
+
+  for (const msg of await db.getDueOutbox(now, OUTBOX_BATCH_SIZE)) {
+    let msgId = null;
+    let error = 'send failed';
+    try {
+      msgId = await sendEmail(msg.email, msg.subject, msg.html);
+    } catch (err) {
+      error = err.message;
+    }
+
+    if (msgId) {
+      await db.markOutboxSent(msg.id, msgId);
+      if (msg.wallet_address) {
+        await db.logEmail(msg.wallet_address, msg.chain_id, msg.bond_id, msg.event_type, msgId);
+      }
+      delivered++;
+      emailsTotal.inc({ event_type: msg.event_type, result: 'sent' });
+      console.log(`[delivery] Sent ${msg.event_type} email to ${msg.email} (outbox #${msg.id})`);
+      continue;
+    }
+
+    const attempts = msg.attempts + 1;
+    const dead = attempts >= OUTBOX_MAX_ATTEMPTS;
+    await db.markOutboxFailed(msg.id, error, now + retryDelay(attempts), dead);
+    emailsTotal.inc({ event_type: msg.event_type, result: dead ? 'dead' : 'failed' });
+    if (dead) {
+      console.error(`[delivery] Outbox #${msg.id} to ${msg.email} dead-lettered after ${attempts} attempts: ${error}`);
+    } else {
+      console.warn(`[delivery] Outbox #${msg.id} to ${msg.email} failed (attempt ${attempts}), retrying later`);
+    }
+  }
+
+  return delivered;
+}
+
+/**
+ * Start the outbox delivery loop.
+ */
+export function startDelivery({ db = defaultDb, sendEmail = defaultSendEmail } = {}) {
+  console.log('[delivery] Starting outbox delivery loop');
+
+  let running = false;
+  async function tick() {
+    if (running) return; // a slow SES round-trip must not overlap the next tick
+    running = true;
+    try {
+      await deliverPending({ db, sendEmail });
+    } catch (err) {
+      console.error('[delivery] Delivery error:', err.message);
+    } finally {
+      running = false;
+    }
+  }
+
+  tick();
+  setInterval(tick, OUTBOX_POLL_INTERVAL_MS);
+}
@@ -0,0 +1,160 @@
+import { readFileSync } from 'fs';
+import { extname } from 'path';
+import { ethers } from 'ethers';
+import { parse as parseYaml } from 'yaml';
+import { DEPLOYMENTS_PATH, DEFAULT_CONFIRMATIONS, CONTRACT_ABIS } from './config.mjs';
+
+function isNonNegativeInteger(value) {
+  return Number.isSafeInteger(value) && value >= 0;
+}
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+function normalizeContract(raw, path, errors) {
+  if (!raw || typeof raw !== 'object') {
+    errors.push(`${path}: must be an object`);
+    return null;
+  }
+
+  const { address, version = 'v5', startBlock, label } = raw;
+  if (typeof address !== 'string' || !ethers.isAddress(address)) {
+    errors.push(`${path}.address: must be a contract address`);
+  }
+  if (!CONTRACT_ABIS[version]) {
+    errors.push(`${path}.version: must be one of ${Object.keys(CONTRACT_ABIS).join(', ')}`);
+  }
+  if (!isNonNegativeInteger(startBlock)) {
+    errors.push(`${path}.startBlock: must be a non-negative integer`);
+  }
+  if (label !== undefined && typeof label !== 'string') {
+    errors.push(`${path}.label: must be a string`);
+  }
+
+  if (errors.length > 0) return null;
+  return { address: ethers.getAddress(address), version, startBlock, label: label || null };
+}
+
+function normalizeChain(raw, path, errors) {
+  if (!raw || typeof raw !== 'object') {
+    errors.push(`${path}: must be an object`);
+    return null;
+  }
+
+  const chainErrors = [];
+  const { chainId, name, explorer, confirmations = DEFAULT_CONFIRMATIONS } = raw;
+  const rpc = typeof raw.rpc === 'string' ? [raw.rpc] : raw.rpc;
+
+  if (!Number.isSafeInteger(chainId) || chainId <= 0) {
+    chainErrors.push(`${path}.chainId: must be a positive integer`);
+  }
+  if (name !== undefined && typeof name !== 'string') {
+    chainErrors.push(`${path}.name: must be a string`);
+  }
+  if (!Array.isArray(rpc) || rpc.length === 0) {
+    chainErrors.push(`${path}.rpc: must be a URL or a non-empty list of URLs`);
+  } else {
+    rpc.forEach((url, i) => {
+      if (!isHttpUrl(url)) chainErrors.push(`${path}.rpc[${i}]: must be an http(s) URL`);
+    });
+  }
+  if (!isNonNegativeInteger(confirmations)) {
+    chainErrors.push(`${path}.confirmations: must be a non-negative integer`);
+  }
+  if (explorer !== undefined && !isHttpUrl(explorer)) {
+    chainErrors.push(`${path}.explorer: must be an http(s) URL`);
+  }
+  for (const key of ['judgeProfileRegistry', 'officialDirectory']) {
+    if (raw[key] !== undefined && (typeof raw[key] !== 'string' || !ethers.isAddress(raw[key]))) {
+      chainErrors.push(`${path}.${key}: must be a contract address`);
+    }
+  }
+
+  const contracts = [];
+  if (!Array.isArray(raw.contracts) || raw.contracts.length === 0) {
+    chainErrors.push(`${path}.contracts: must be a non-empty list`);
+  } else {
+    const seen = new Set();
+    raw.contracts.forEach((entry, i) => {
+      const contractErrors = [];
+      const contract = normalizeContract(entry, `${path}.contracts[${i}]`, contractErrors);
+      chainErrors.push(...contractErrors);
+      if (!contract) return;
+      if (seen.has(contract.address)) {
+        chainErrors.push(`${path}.contracts[${i}].address: ${contract.address} is listed twice`);
+        return;
+      }
+      seen.add(contract.address);
+      contracts.push(contract);
+    });
+  }
+
+  errors.push(...chainErrors);
+  if (chainErrors.length > 0) return null;
+  return {
+    chainId,
+    name: name || `Chain ${chainId}`,
+    rpc,
+    explorer: explorer || null,
+    confirmations,
+    judgeProfileRegistry: raw.judgeProfileRegistry ? ethers.getAddress(raw.judgeProfileRegistry) : null,
+    officialDirectory: raw.officialDirectory ? ethers.getAddress(raw.officialDirectory) : null,
+    contracts,
+  };
+}
+
+/**
+ * Validate a parsed deployments document and return the normalized chain list.
+ * Throws one error listing every problem found.
+ */
+export function validateDeployments(doc, source = 'deployments') {
+  const errors = [];
+  const chains = [];
+
+  if (!doc || typeof doc !== 'object' || !Array.isArray(doc.chains) || doc.chains.length === 0) {
+    errors.push('chains: must be a non-empty list');
+  } else {
+    const seen = new Set();
+    doc.chains.forEach((raw, i) => {
+      const chain = normalizeChain(raw, `chains[${i}]`, errors);
+      if (!chain) return;
+      if (seen.has(chain.chainId)) {
+        errors.push(`chains[${i}].chainId: ${chain.chainId} is listed twice`);
+        return;
+      }
+      seen.add(chain.chainId);
+      chains.push(chain);
+    });
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${source}:\n  - ${errors.join('\n  - ')}`);
+  }
+  return chains;
+}
+
+/**
+ * Read and validate the deployments file (JSON, or YAML for .yml/.yaml).
+ */
+export function loadDeployments(path = DEPLOYMENTS_PATH) {
+  let text;
+  try {
+    text = readFileSync(path, 'utf8');
+  } catch (err) {
+    throw new Error(`Cannot read deployments file ${path}: ${err.message}`);
+  }
+
+  let doc;
+  try {
+    doc = ['.yml', '.yaml'].includes(extname(path).toLowerCase()) ? parseYaml(text) : JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Cannot parse deployments file ${path}: ${err.message}`);
+  }
+
+  return validateDeployments(doc, `deployments file ${path}`);
+}
@@ -0,0 +1,126 @@
+import { DIGEST_INTERVAL_MS, DIGEST_PERIODS_MS } from './config.mjs';
+import defaultDb from './db.mjs';
+import { bondTimeline } from './indexer.mjs';
+import { digestEmail } from './templates.mjs';
+
+/**
+ * Queue a notification for one subscriber: straight to the outbox, or held for
+ * their next digest if they chose digest mode. `render` builds the single email
+ * and is only called when one is sent. Returns true if the notification was new.
+ */
+export async function queueNotification(db, sub, { dedupeKey, chainId, contract, blockNumber, bondId, eventType, metadata, render }) {
+  if (sub.digest) {
+    return db.enqueueDigestItem({
+      dedupeKey,
+      address: sub.wallet_address,
+      chainId,
+      contract,
+      blockNumber,
+      bondId,
+      eventType,
+      metadata,
+    });
+  }
+
+  const { subject, html } = render();
+  return db.enqueueEmail({
+    dedupeKey,
+    address: sub.wallet_address,
+    email: sub.email,
+    chainId,
+    contract,
+    blockNumber,
+    bondId,
+    eventType,
+    subject,
+    html,
+  });
+}
+
+function bondStatus(bond) {
+  if (!bond) return null;
+  return {
+    settled: !!bond.settled,
+    conceded: !!bond.conceded,
+    pendingChallenges: Math.max(0, bond.challenge_count - bond.current_challenge),
+    ...bondTimeline(bond),
+  };
+}
+
+/**
+ * Group held-back items by bond, in the order the bonds first appeared.
+ */
+async function groupByBond(db, chainId, items) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = `${item.contract_address}:${item.bond_id}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        contract: item.contract_address,
+        bondId: item.bond_id,
+        metadata: item.metadata,
+        events: [],
+        status: bondStatus(await db.getBond(chainId, item.contract_address, item.bond_id)),
+      });
+    }
+    groups.get(key).events.push(item.event_type);
+  }
+  return [...groups.values()];
+}
+
+/**
+ * Queue a digest for every subscriber whose period has elapsed. Subscribers who
+ * switched digest mode off get whatever was still held back right away.
+ * Returns the number of digests queued.
+ */
+export async function runDigests({ db = defaultDb, now = Date.now() } = {}) {
+  let queued = 0;
+
+  for (const recipient of await db.getDigestRecipients()) {
+    const { wallet_address: address, chain_id: chainId, email, digest } = recipient;
+    const period = digest ? DIGEST_PERIODS_MS[digest] : 0;
+    if (now < recipient.period_start + period) continue;
+
+    const items = await db.getPendingDigestItems(address, chainId);
+    if (items.length === 0) continue;
+
+    const bonds = await groupByBond(db, chainId, items);
+    const { subject, html } = digestEmail(digest || 'latest', chainId, address, bonds, Math.floor(now / 1000));
+    const lastItemId = items[items.length - 1].id;
+
+    const inserted = await db.commitDigest({
+      dedupeKey: `digest:${chainId}:${address}:${lastItemId}`,
+      address,
+      email,
+      chainId,
+      subject,
+      html,
+      lastItemId,
+      now,
+    });
+    if (inserted) {
+      queued++;
+      console.log(`[digest] Queued ${digest || 'final'} digest of ${items.length} updates to ${email} on chain ${chainId}`);
+    }
+  }
+
+  return queued;
+}
+
+/**
+ * Start the digest loop.
+ */
+export function startDigests({ db = defaultDb } = {}) {
+  console.log('[digest] Starting digest loop');
+
+  const tick = async () => {
+    try {
+      await runDigests({ db });
+    } catch (err) {
+      console.error('[digest] Digest error:', err.message);
+    }
+  };
+
+  tick();
+  setInterval(tick, DIGEST_INTERVAL_MS);
+}
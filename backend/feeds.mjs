@@ -0,0 +1,109 @@
+import { createHash } from 'crypto';
+import { ethers } from 'ethers';
+import { FEED_SIZE, FRONTEND_BASE_URL, NOTIFY_BASE_URL } from './config.mjs';
+import { bondUrl, chainName } from './templates.mjs';
+
+const ENTRY_TITLES = {
+  BondCreated: 'New bond',
+  Challenged: 'Challenged',
+  ClaimConceded: 'Poster conceded',
+  RuledForChallenger: 'Ruled for the challenger',
+  RuledForPoster: 'Ruled for the poster',
+  ChallengeRefunded: 'Challenge refunded',
+  BondWithdrawn: 'Bond withdrawn',
+  BondTimedOut: 'Timed out',
+  BondRejectedByJudge: 'Rejected by the judge',
+};
+
+function escapeXml(s) {
+  return String(s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function isoDate(unixSeconds) {
+  return new Date(unixSeconds * 1000).toISOString();
+}
+
+/**
+ * A base-unit amount in whole tokens, e.g. "1500.25 USDC". Without token
+ * details the raw base units are shown.
+ */
+export function formatAmount(value, token) {
+  if (!token) return `${value} base units`;
+  return `${ethers.formatUnits(value, token.decimals).replace(/\.0$/, '')} ${token.symbol}`;
+}
+
+function entryHtml(row, token) {
+  const { args } = row;
+  const lines = [`<p>${escapeXml(row.bond_metadata || '(no metadata)')}</p>`];
+
+  if (row.event_name === 'Challenged') {
+    lines.push(`<p>Challenge #${args.challengeIndex} by ${args.challenger}${args.metadata ? `: ${escapeXml(args.metadata)}` : ''}</p>`);
+  } else if (row.event_name === 'ClaimConceded' && args.metadata) {
+    lines.push(`<p>Concession: ${escapeXml(args.metadata)}</p>`);
+  } else if (row.event_name === 'RuledForChallenger' || row.event_name === 'RuledForPoster') {
+    lines.push(`<p>Challenge #${args.challengeIndex} by ${args.challenger}; judge fee charged: ${formatAmount(args.feeCharged, token)}</p>`);
+  } else if (row.event_name === 'ChallengeRefunded') {
+    lines.push(`<p>Challenge #${args.challengeIndex} by ${args.challenger} was refunded</p>`);
+  }
+
+  lines.push(`<ul>
+<li>Bond: ${formatAmount(row.bond_amount, token)}</li>
+<li>Challenge: ${formatAmount(row.challenge_amount, token)}</li>
+<li>Judge fee: ${formatAmount(row.judge_fee, token)}</li>
+<li>Poster: ${row.poster}</li>
+<li>Judge: ${row.judge}</li>
+</ul>`);
+  return lines.join('\n');
+}
+
+function entryXml(row, token) {
+  const title = `${ENTRY_TITLES[row.event_name] || row.event_name} — Bond #${row.bond_id} (${chainName(row.chain_id)})`;
+  return `  <entry>
+    <id>urn:simplebond:${row.chain_id}:${row.contract_address}:${row.tx_hash}:${row.log_index}</id>
+    <title>${escapeXml(title)}</title>
+    <link href="${escapeXml(bondUrl(row.chain_id, row.contract_address, row.bond_id))}"/>
+    <updated>${isoDate(row.timestamp)}</updated>
+    <content type="html">${escapeXml(entryHtml(row, token))}</content>
+  </entry>`;
+}
+
+/**
+ * Atom feed of the latest indexed events matching `filters` (see
+ * db.listFeedEvents). `path` is the feed's own path, used for its id and
+ * self link. Resolves to `{ xml, etag, lastModified }`, with `lastModified`
+ * the newest entry's time in unix seconds (0 for an empty feed).
+ */
+export async function buildFeed({ db, registries, title, path, filters, limit = FEED_SIZE }) {
+  const rows = await db.listFeedEvents({ ...filters, limit });
+
+  const tokens = new Map();
+  for (const row of rows) {
+    const key = `${row.chain_id}:${row.token}`;
+    if (!tokens.has(key)) tokens.set(key, await registries.tokenMetadata(row.chain_id, row.token));
+  }
+
+  const lastModified = rows.length > 0 ? rows[0].timestamp : 0;
+  const selfUrl = `${NOTIFY_BASE_URL}${path}`;
+  const xml = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(selfUrl)}</id>
+  <title>${escapeXml(title)}</title>
+  <link rel="self" href="${escapeXml(selfUrl)}"/>
+  <link href="${escapeXml(FRONTEND_BASE_URL)}"/>
+  <updated>${isoDate(lastModified)}</updated>
+  <author><name>SimpleBond</name></author>
+${rows.map(row => entryXml(row, tokens.get(`${row.chain_id}:${row.token}`))).join('\n')}
+</feed>
+`;
+
+  return {
+    xml,
+    etag: `"${createHash('sha256').update(xml).digest('base64url').slice(0, 27)}"`,
+    lastModified,
+  };
+}
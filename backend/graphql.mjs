@@ -0,0 +1,333 @@
+import {
+  GraphQLError,
+  Kind,
+  buildSchema,
+  execute,
+  parse,
+  specifiedRules,
+  validate,
+} from 'graphql';
+import { ethers } from 'ethers';
+import { GRAPHQL_MAX_DEPTH } from './config.mjs';
+import {
+  BOND_STATUSES,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  bondPage,
+  judgeStats,
+  normalizeBond,
+  normalizeChallenge,
+  normalizeJudgeProfile,
+} from './bonds.mjs';
+
+// Timestamps and durations are Float: bond deadlines can be past 2038, beyond GraphQL's 32-bit Int.
+// Token amounts are decimal strings in the token's base units.
+export const schema = buildSchema(`
+  type Query {
+    bonds(
+      chainId: Int!
+      contract: String
+      poster: String
+      judge: String
+      challenger: String
+      token: String
+      status: String
+      first: Int
+      after: String
+    ): BondConnection!
+    bond(chainId: Int!, id: Int!, contract: String): Bond
+    judge(chainId: Int!, address: String!): Judge!
+    token(chainId: Int!, address: String!): Token!
+  }
+
+  type PageInfo {
+    endCursor: String
+    hasNextPage: Boolean!
+  }
+
+  type BondConnection {
+    nodes: [Bond!]!
+    pageInfo: PageInfo!
+  }
+
+  type Bond {
+    chainId: Int!
+    contract: String!
+    bondId: Int!
+    poster: String!
+    judge: Judge!
+    token: Token!
+    bondAmount: String!
+    challengeAmount: String!
+    judgeFee: String!
+    deadline: Float!
+    acceptanceDelay: Float!
+    rulingBuffer: Float!
+    metadata: String!
+    status: String!
+    settled: Boolean!
+    conceded: Boolean!
+    outcome: String
+    challengeCount: Int!
+    currentChallenge: Int!
+    pendingChallenges: Int!
+    lastChallengeTime: Float!
+    rulingWindowStart: Float!
+    concessionDeadline: Float!
+    rulingDeadline: Float!
+    createdBlock: Int
+    createdTx: String
+    createdAt: Float
+    settledAt: Float
+    url: String!
+    challenges(status: String): [Challenge!]!
+  }
+
+  type Challenge {
+    index: Int!
+    challenger: String!
+    metadata: String!
+    status: String!
+    feeCharged: String
+    createdBlock: Int
+    createdTx: String
+    createdAt: Float
+    resolvedAt: Float
+    bond: Bond!
+  }
+
+  type Judge {
+    address: String!
+    chainId: Int!
+    stats: JudgeStats!
+    "Self-published profile kept by this API."
+    profile: JudgeProfile
+    "Profile from the on-chain JudgeProfileRegistry."
+    registryProfile: RegistryProfile
+    "Entry in the on-chain OfficialBondDirectory."
+    official: OfficialJudge
+    bonds(status: String, first: Int, after: String): BondConnection!
+  }
+
+  type JudgeStats {
+    bondCount: Int!
+    acceptedCount: Int!
+    rejectedCount: Int!
+    openCount: Int!
+    judgedCount: Int!
+    rulingsForPoster: Int!
+    rulingsForChallenger: Int!
+    timeoutCount: Int!
+    avgTimeToRulingSec: Float
+    fees: [TokenAmount!]!
+  }
+
+  type TokenAmount {
+    token: Token!
+    amount: String!
+  }
+
+  type JudgeProfile {
+    id: Int!
+    statement: String!
+    linkUrl: String!
+    createdAt: String
+    updatedAt: String
+    url: String!
+  }
+
+  type RegistryProfile {
+    displayName: String!
+    statement: String!
+    linkURI: String!
+    metadataURI: String!
+    updatedAt: Float!
+  }
+
+  type OfficialJudge {
+    enabled: Boolean!
+    sortOrder: Int!
+    displayName: String!
+    statement: String!
+    linkURI: String!
+    updatedAt: Float!
+  }
+
+  type Token {
+    address: String!
+    chainId: Int!
+    "Entry in the on-chain OfficialBondDirectory."
+    official: OfficialToken
+    bonds(status: String, first: Int, after: String): BondConnection!
+  }
+
+  type OfficialToken {
+    enabled: Boolean!
+    isDefaultToken: Boolean!
+    isWrappedNative: Boolean!
+    decimals: Int!
+    sortOrder: Int!
+    symbol: String!
+    displayName: String!
+    updatedAt: Float!
+  }
+`);
+
+function requireAddress(value, name) {
+  if (!ethers.isAddress(value)) throw new GraphQLError(`Invalid ${name} address`);
+  return value.toLowerCase();
+}
+
+// Resolvers: object fields that need more data are functions of (args, context).
+
+async function bondConnection(db, { first = DEFAULT_PAGE_SIZE, after, ...filters }) {
+  if (!Number.isInteger(first) || first < 1 || first > MAX_PAGE_SIZE) {
+    throw new GraphQLError(`first must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+  if (filters.status && !BOND_STATUSES.includes(filters.status)) {
+    throw new GraphQLError(`Invalid status, expected one of: ${BOND_STATUSES.join(', ')}`);
+  }
+  for (const name of ['contract', 'poster', 'judge', 'challenger', 'token']) {
+    if (filters[name]) requireAddress(filters[name], name);
+  }
+
+  let page;
+  try {
+    page = await bondPage(db, { ...filters, cursor: after, limit: first });
+  } catch (err) {
+    throw new GraphQLError(err.message);
+  }
+  return {
+    nodes: page.bonds.map(bondNode),
+    pageInfo: { endCursor: page.nextCursor, hasNextPage: page.nextCursor !== null },
+  };
+}
+
+function bondNode(row) {
+  const bond = normalizeBond(row);
+  return {
+    ...bond,
+    judge: () => judgeNode(bond.chainId, bond.judge),
+    token: () => tokenNode(bond.chainId, bond.token),
+    challenges: async ({ status }, { db }) => (await db.getChallenges(bond.chainId, bond.contract, bond.bondId))
+      .filter(challenge => !status || challenge.status === status)
+      .map(challenge => challengeNode(challenge, row)),
+  };
+}
+
+function challengeNode(row, bondRow) {
+  return {
+    ...normalizeChallenge(row),
+    bond: () => bondNode(bondRow),
+  };
+}
+
+function judgeNode(chainId, address) {
+  return {
+    address,
+    chainId,
+    stats: async (args, { db }) => {
+      const { feesByToken, ...stats } = await judgeStats(db, chainId, address);
+      return {
+        ...stats,
+        fees: Object.entries(feesByToken).map(([token, amount]) => ({ token: tokenNode(chainId, token), amount })),
+      };
+    },
+    profile: async (args, { db }) => normalizeJudgeProfile(await db.getJudgeProfile(address, chainId)),
+    registryProfile: (args, { registries }) => registries.judgeProfile(chainId, address),
+    official: (args, { registries }) => registries.officialJudge(chainId, address),
+    bonds: (args, { db }) => bondConnection(db, { ...args, chainId, judge: address }),
+  };
+}
+
+function tokenNode(chainId, address) {
+  return {
+    address,
+    chainId,
+    official: (args, { registries }) => registries.officialToken(chainId, address),
+    bonds: (args, { db }) => bondConnection(db, { ...args, chainId, token: address }),
+  };
+}
+
+const rootValue = {
+  bonds: (args, { db }) => bondConnection(db, args),
+
+  bond: async ({ chainId, id, contract }, { db }) => {
+    const rows = contract
+      ? [await db.getBond(chainId, requireAddress(contract, 'contract'), id)].filter(Boolean)
+      : await db.getBondsById(chainId, id);
+    if (rows.length > 1) {
+      throw new GraphQLError('Several contracts have a bond with this id; pass contract');
+    }
+    return rows.length ? bondNode(rows[0]) : null;
+  },
+
+  judge: ({ chainId, address }) => judgeNode(chainId, requireAddress(address, 'judge')),
+
+  token: ({ chainId, address }) => tokenNode(chainId, requireAddress(address, 'token')),
+};
+
+/**
+ * How many fields deep a selection set nests, following fragments.
+ * Introspection fields (`__schema`, `__type`, ...) do not count.
+ */
+function selectionDepth(context, selectionSet, visited) {
+  let depth = 0;
+  for (const selection of selectionSet.selections) {
+    if (selection.kind === Kind.FIELD) {
+      if (selection.name.value.startsWith('__')) continue;
+      const nested = selection.selectionSet ? selectionDepth(context, selection.selectionSet, visited) : 0;
+      depth = Math.max(depth, 1 + nested);
+    } else if (selection.kind === Kind.INLINE_FRAGMENT) {
+      depth = Math.max(depth, selectionDepth(context, selection.selectionSet, visited));
+    } else if (selection.kind === Kind.FRAGMENT_SPREAD) {
+      const name = selection.name.value;
+      const fragment = context.getFragment(name);
+      if (!fragment || visited.has(name)) continue; // cycles are reported by NoFragmentCyclesRule
+      depth = Math.max(depth, selectionDepth(context, fragment.selectionSet, new Set([...visited, name])));
+    }
+  }
+  return depth;
+}
+
+/**
+ * Validation rule rejecting operations nested deeper than `maxDepth` fields.
+ */
+export function depthLimitRule(maxDepth) {
+  return (context) => ({
+    OperationDefinition(node) {
+      const depth = selectionDepth(context, node.selectionSet, new Set());
+      if (depth > maxDepth) {
+        context.reportError(new GraphQLError(
+          `Query is nested ${depth} fields deep; the limit is ${maxDepth}`,
+          { nodes: [node] }
+        ));
+      }
+    },
+  });
+}
+
+/**
+ * Run one GraphQL request. Resolves to a `{ data, errors }` result; only a
+ * query that cannot be parsed or validated has no `data`.
+ */
+export async function executeGraphql({ db, registries, query, variables, operationName, maxDepth = GRAPHQL_MAX_DEPTH }) {
+  let document;
+  try {
+    document = parse(query);
+  } catch (err) {
+    return { errors: [err] };
+  }
+
+  const errors = validate(schema, document, [...specifiedRules, depthLimitRule(maxDepth)]);
+  if (errors.length > 0) return { errors };
+
+  return execute({
+    schema,
+    document,
+    rootValue,
+    contextValue: { db, registries },
+    variableValues: variables,
+    operationName,
+  });
+}
@@ -0,0 +1,180 @@
+import { getBlock, rpc } from './provider.mjs';
+
+// How a bond ended, by the event that settled it.
+export const BOND_OUTCOMES = {
+  ClaimConceded: 'conceded',
+  RuledForChallenger: 'challenger_won',
+  BondWithdrawn: 'withdrawn',
+  BondTimedOut: 'timed_out',
+  BondRejectedByJudge: 'rejected',
+};
+
+/**
+ * Per-batch cache of a poller's block timestamps, so several events in one block cost one RPC call.
+ */
+export function blockTimestamps(poller) {
+  const cache = new Map();
+  return async (blockNumber) => {
+    if (!cache.has(blockNumber)) {
+      cache.set(blockNumber, getBlock(poller, blockNumber).then(block => block.timestamp));
+    }
+    return cache.get(blockNumber);
+  };
+}
+
+/**
+ * A parsed log's arguments by name, with uint256 values as decimal strings.
+ */
+export function eventArgs(parsed) {
+  const args = {};
+  parsed.fragment.inputs.forEach((input, i) => {
+    const value = parsed.args[i];
+    args[input.name] = typeof value === 'bigint' ? value.toString() : value;
+  });
+  return args;
+}
+
+/**
+ * Apply one recorded event (see db.insertBondEvent) to the bonds and challenges tables.
+ */
+export async function applyBondEvent(db, event) {
+  const { chainId, contract, bondId, args, timestamp } = event;
+
+  switch (event.name) {
+    case 'BondCreated':
+      await db.upsertBond({
+        chainId,
+        contract,
+        bondId,
+        poster: args.poster.toLowerCase(),
+        judge: args.judge.toLowerCase(),
+        token: args.token.toLowerCase(),
+        bondAmount: args.bondAmount,
+        challengeAmount: args.challengeAmount,
+        judgeFee: args.judgeFee,
+        deadline: Number(args.deadline),
+        acceptanceDelay: Number(args.acceptanceDelay),
+        rulingBuffer: Number(args.rulingBuffer),
+        metadata: args.metadata,
+        createdBlock: event.blockNumber,
+        createdTx: event.txHash,
+        createdAt: timestamp,
+      });
+      break;
+    case 'Challenged':
+      await db.recordChallenge({
+        chainId,
+        contract,
+        bondId,
+        challengeIndex: Number(args.challengeIndex),
+        challenger: args.challenger.toLowerCase(),
+        metadata: args.metadata,
+        createdBlock: event.blockNumber,
+        createdTx: event.txHash,
+        createdAt: timestamp,
+      });
+      break;
+    case 'RuledForPoster':
+      await db.resolveChallenge(chainId, contract, bondId, Number(args.challengeIndex), 'lost', args.feeCharged, timestamp);
+      await db.advanceBondChallenge(chainId, contract, bondId, Number(args.challengeIndex));
+      break;
+    case 'RuledForChallenger':
+      await db.resolveChallenge(chainId, contract, bondId, Number(args.challengeIndex), 'won', args.feeCharged, timestamp);
+      break;
+    case 'ChallengeRefunded':
+      await db.resolveChallenge(chainId, contract, bondId, Number(args.challengeIndex), 'refunded', null, timestamp);
+      break;
+  }
+
+  if (BOND_OUTCOMES[event.name]) {
+    await db.settleBond(chainId, contract, bondId, BOND_OUTCOMES[event.name], timestamp);
+  }
+}
+
+/**
+ * Record one parsed contract event and apply it to the indexed bond state.
+ * An event that was already recorded (a batch retried after a crash) is skipped.
+ * With `live: false` it stays out of the live activity feed. Returns whether
+ * the event was new.
+ */
+export async function indexEvent(poller, log, parsed, timestampOf, { live = true } = {}) {
+  const { chainId, address, db } = poller;
+  const event = {
+    chainId,
+    contract: address.toLowerCase(),
+    blockNumber: log.blockNumber,
+    logIndex: log.index,
+    txHash: log.transactionHash,
+    name: parsed.name,
+    bondId: Number(parsed.args.bondId),
+    args: eventArgs(parsed),
+    timestamp: await timestampOf(log.blockNumber),
+  };
+
+  return db.transaction(async () => {
+    if (!await db.insertBondEvent(event)) return false;
+    await applyBondEvent(db, event);
+    if (live) await db.appendActivity(event);
+    return true;
+  });
+}
+
+/**
+ * Rebuild one indexed bond from its recorded events, oldest first.
+ */
+export async function replayBond(db, chainId, contract, bondId) {
+  await db.deleteIndexedBond(chainId, contract, bondId);
+  for (const event of await db.getBondEvents(chainId, contract, bondId)) {
+    await applyBondEvent(db, event);
+  }
+}
+
+/**
+ * Undo indexed events above `block` after a reorg: their live activity is
+ * dropped, and every bond they touched is rebuilt from the events that remain
+ * and announced to live subscribers as a `Reorg` activity. Call inside the checkpoint rollback's transaction.
+ * Returns the number of bonds rebuilt.
+ */
+export async function rewindIndex(db, chainId, contract, block) {
+  const bondIds = await db.deleteBondEventsAfter(chainId, contract, block);
+  await db.deleteActivityAfter(chainId, contract, block);
+  for (const bondId of bondIds) {
+    await replayBond(db, chainId, contract, bondId);
+    await db.appendActivity({ chainId, contract, bondId, name: 'Reorg', blockNumber: block });
+  }
+  return bondIds.length;
+}
+
+/**
+ * Re-read a bond's mutable state from the contract and store it.
+ * Returns the fresh on-chain values.
+ */
+export async function refreshBond(poller, bondId) {
+  const { chainId, address, contract, db } = poller;
+  const [bond, count] = await Promise.all([
+    rpc(poller, 'call', provider => contract.connect(provider).bonds(bondId)),
+    rpc(poller, 'call', provider => contract.connect(provider).getChallengeCount(bondId)),
+  ]);
+  const state = {
+    settled: bond.settled,
+    conceded: bond.conceded,
+    challengeCount: Number(count),
+    currentChallenge: Number(bond.currentChallenge),
+    lastChallengeTime: Number(bond.lastChallengeTime),
+  };
+  await db.refreshBondState(chainId, address, bondId, state);
+  return state;
+}
+
+/**
+ * Deadlines of an indexed bond row, computed the way SimpleBondV5 does.
+ */
+export function bondTimeline(bond) {
+  const rulingWindowStart = Math.max(bond.deadline, bond.last_challenge_time + bond.acceptance_delay);
+  return {
+    deadline: bond.deadline,
+    rulingWindowStart,
+    concessionDeadline: rulingWindowStart,
+    rulingDeadline: rulingWindowStart + bond.ruling_buffer,
+  };
+}
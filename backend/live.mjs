@@ -0,0 +1,195 @@
+import { LIVE_HEARTBEAT_MS, LIVE_POLL_INTERVAL_MS, LIVE_REPLAY_LIMIT } from './config.mjs';
+import defaultDb from './db.mjs';
+import { normalizeBond } from './bonds.mjs';
+
+const POLL_BATCH = 500;
+
+/**
+ * Whether a live message passes a subscriber's filter. Every filter field is
+ * optional; `address` matches the poster, the judge or any challenger.
+ */
+export function matchesFilter(filter, message, parties) {
+  if (filter.chainId !== undefined && message.chainId !== filter.chainId) return false;
+  if (filter.contract && message.contract !== filter.contract) return false;
+  if (filter.bondId !== undefined && message.bondId !== filter.bondId) return false;
+  if (filter.judge && message.bond?.judge !== filter.judge) return false;
+  if (filter.address && !parties.has(filter.address)) return false;
+  return true;
+}
+
+/**
+ * Normalized live message for one bond_activity row, with the bond's current
+ * indexed state. Also returns the bond's parties for address filtering.
+ */
+async function liveMessage(db, activity) {
+  const row = await db.getBond(activity.chainId, activity.contract, activity.bondId);
+  const parties = new Set();
+  if (row) {
+    parties.add(row.poster);
+    parties.add(row.judge);
+    for (const challenge of await db.getChallenges(activity.chainId, activity.contract, activity.bondId)) {
+      parties.add(challenge.challenger);
+    }
+  }
+  return {
+    message: {
+      id: activity.id,
+      event: activity.name,
+      chainId: activity.chainId,
+      contract: activity.contract,
+      bondId: activity.bondId,
+      args: activity.args,
+      transactionHash: activity.txHash,
+      blockNumber: activity.blockNumber,
+      logIndex: activity.logIndex,
+      timestamp: activity.timestamp,
+      bond: normalizeBond(row),
+    },
+    parties,
+  };
+}
+
+/**
+ * Fan-out of indexed bond activity to live subscribers. The worker may run in
+ * another process, so new activity is found by polling the bond_activity table;
+ * one shared timer runs while anyone is subscribed.
+ *
+ * Filters are `{ chainId, contract, bondId, address, judge }` with lowercase
+ * addresses. `onEvent(message)` gets every matching message and
+ * `onHeartbeat()` is called periodically to keep idle connections open.
+ * `onReset(id)` is called instead of a replay when a reconnecting client is
+ * more than `replayLimit` events behind; it should reload its state and resume
+ * from `id`.
+ */
+export function createLiveFeed({
+  db = defaultDb,
+  intervalMs = LIVE_POLL_INTERVAL_MS,
+  heartbeatMs = LIVE_HEARTBEAT_MS,
+  replayLimit = LIVE_REPLAY_LIMIT,
+} = {}) {
+  const subscribers = new Set();
+  let lastId = 0;
+  let pollTimer = null;
+  let heartbeatTimer = null;
+  let ready = null; // settles once lastId is the latest activity
+  let polling = false;
+
+  function send(subscriber, message) {
+    if (message.id <= subscriber.cursor) return;
+    subscriber.cursor = message.id;
+    try {
+      subscriber.onEvent(message);
+    } catch (err) {
+      console.error('[live] Subscriber failed:', err.message);
+    }
+  }
+
+  // Messages for a subscriber whose replay is still being sent wait for it.
+  function deliver(subscriber, message) {
+    if (subscriber.held) subscriber.held.push(message);
+    else send(subscriber, message);
+  }
+
+  async function poll() {
+    if (polling) return; // a slow database must not overlap the next tick
+    polling = true;
+    try {
+      await ready;
+      let batch;
+      do {
+        batch = await db.getActivitySince(lastId, POLL_BATCH);
+        for (const activity of batch) {
+          lastId = activity.id;
+          const { message, parties } = await liveMessage(db, activity);
+          for (const subscriber of subscribers) {
+            if (matchesFilter(subscriber.filter, message, parties)) deliver(subscriber, message);
+          }
+        }
+      } while (batch.length === POLL_BATCH && subscribers.size > 0);
+    } catch (err) {
+      console.error('[live] Poll failed:', err.message);
+    } finally {
+      polling = false;
+    }
+  }
+
+  function start() {
+    ready = Promise.resolve(db.getLatestActivityId()).then((id) => {
+      lastId = id;
+    });
+    pollTimer = setInterval(poll, intervalMs);
+    pollTimer.unref();
+    heartbeatTimer = setInterval(() => {
+      for (const subscriber of subscribers) subscriber.onHeartbeat?.();
+    }, heartbeatMs);
+    heartbeatTimer.unref();
+  }
+
+  function stop() {
+    clearInterval(pollTimer);
+    clearInterval(heartbeatTimer);
+    pollTimer = heartbeatTimer = null;
+  }
+
+  // Send a reconnecting subscriber the matching activity recorded after
+  // `lastEventId`, or reset it when there is more than the replay limit.
+  async function replay(subscriber, lastEventId, onReset) {
+    const backlog = await db.getActivitySince(lastEventId, replayLimit);
+    await ready;
+    // A full backlog that stops short of what polling has reached would
+    // leave a silent gap between the two.
+    if (backlog.length === replayLimit && backlog[backlog.length - 1].id < lastId) {
+      subscriber.cursor = lastId;
+      try {
+        onReset?.(lastId);
+      } catch (err) {
+        console.error('[live] Subscriber failed:', err.message);
+      }
+      return;
+    }
+    for (const activity of backlog) {
+      const { message, parties } = await liveMessage(db, activity);
+      if (matchesFilter(subscriber.filter, message, parties)) send(subscriber, message);
+      else subscriber.cursor = activity.id;
+    }
+  }
+
+  return {
+    /**
+     * Start receiving messages. With `lastEventId`, matching activity recorded
+     * after it is replayed first, or `onReset` is called when there is more of
+     * it than the replay limit. Returns an unsubscribe function.
+     */
+    subscribe({ filter = {}, lastEventId = null, onEvent, onHeartbeat, onReset }) {
+      if (subscribers.size === 0) start();
+      const subscriber = { filter, onEvent, onHeartbeat, cursor: lastId };
+      subscribers.add(subscriber);
+
+      if (lastEventId !== null) {
+        subscriber.cursor = lastEventId;
+        subscriber.held = [];
+        replay(subscriber, lastEventId, onReset).catch((err) => {
+          console.error('[live] Replay failed:', err.message);
+        }).finally(() => {
+          const held = subscriber.held;
+          subscriber.held = null;
+          for (const message of held) send(subscriber, message);
+        });
+      }
+
+      return () => {
+        subscribers.delete(subscriber);
+        if (subscribers.size === 0) stop();
+      };
+    },
+
+    get subscriberCount() {
+      return subscribers.size;
+    },
+
+    close() {
+      subscribers.clear();
+      stop();
+    },
+  };
+}
@@ -1,29 +1,30 @@
-import { SESClient, SendEmailCommand } from '@aws-sdk/client-ses';
-import { FROM_EMAIL, SES_REGION } from './config.mjs';
+import { FROM_EMAIL, MAIL_TRANSPORT } from './config.mjs';
+import { createTransport } from './transports.mjs';
 
-const ses = new SESClient({ region: SES_REGION });
+let transport = createTransport(MAIL_TRANSPORT);
 
 /**
- * Send an HTML email via AWS SES.
- * Returns the SES MessageId on success, or null on failure.
+ * Replace the active transport (e.g. with createMemoryTransport() in tests).
+ * Returns the previous one so callers can restore it.
+ */
+export function setTransport(next) {
+  const previous = transport;
+  transport = next;
+  return previous;
+}
+
+/**
+ * Send an HTML email through the configured transport.
+ * Returns the provider MessageId. A failed send throws the transport's error,
+ * so the outbox records what SES or the SMTP server actually said.
  */
 export async function sendEmail(to, subject, htmlBody) {
-  try {
-    const cmd = new SendEmailCommand({
-      Source: FROM_EMAIL,
-      Destination: { ToAddresses: [to] },
-      Message: {
-        Subject: { Data: subject, Charset: 'UTF-8' },
-        Body: {
-          Html: { Data: htmlBody, Charset: 'UTF-8' },
-          Text: { Data: htmlBody.replace(/<[^>]+>/g, ''), Charset: 'UTF-8' },
-        },
-      },
-    });
-    const res = await ses.send(cmd);
-    return res.MessageId || null;
-  } catch (err) {
-    console.error('[mailer] SES send failed:', err.message);
-    return null;
-  }
+  const messageId = await transport.send({
+    from: FROM_EMAIL,
+    to,
+    subject,
+    html: htmlBody,
+    text: htmlBody.replace(/<[^>]+>/g, ''),
+  });
+  return messageId || null;
 }
@@ -0,0 +1,196 @@
+import http from 'http';
+import { timingSafeEqual } from 'crypto';
+import { HOST, METRICS_PORT, METRICS_TOKEN } from './config.mjs';
+import defaultDb from './db.mjs';
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+function formatLabels(pairs) {
+  if (pairs.length === 0) return '';
+  return `{${pairs.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+/**
+ * A registry of Prometheus counters, gauges and histograms, rendered in the
+ * text exposition format. Asking for a metric that already exists returns it,
+ * so modules can declare their metrics at import time.
+ */
+export function createMetrics() {
+  const families = new Map();
+
+  function family(type, name, help, labelNames, init, extra = {}) {
+    if (families.has(name)) return families.get(name).api;
+
+    const series = new Map();
+    const get = (labels) => {
+      const values = labelNames.map(label => String(labels[label] ?? ''));
+      const key = values.join('\u0000');
+      if (!series.has(key)) series.set(key, { values, ...init() });
+      return series.get(key);
+    };
+    const entry = { type, name, help, labelNames, series, ...extra, api: null };
+    entry.api = { get, reset: () => series.clear() };
+    families.set(name, entry);
+    return entry.api;
+  }
+
+  return {
+    counter(name, help, labelNames = []) {
+      const { get, reset } = family('counter', name, help, labelNames, () => ({ value: 0 }));
+      return {
+        inc(labels = {}, by = 1) {
+          get(labels).value += by;
+        },
+        reset,
+      };
+    },
+
+    gauge(name, help, labelNames = []) {
+      const { get, reset } = family('gauge', name, help, labelNames, () => ({ value: 0 }));
+      return {
+        set(labels, value) {
+          get(labels).value = value;
+        },
+        reset,
+      };
+    },
+
+    histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+      const { get, reset } = family('histogram', name, help, labelNames, () => ({
+        counts: buckets.map(() => 0),
+        sum: 0,
+        count: 0,
+      }), { buckets });
+
+      const observe = (labels, value) => {
+        const s = get(labels);
+        buckets.forEach((bound, i) => {
+          if (value <= bound) s.counts[i]++;
+        });
+        s.sum += value;
+        s.count++;
+      };
+      return {
+        observe,
+        // Returns a function that records the seconds elapsed since this call.
+        startTimer(labels = {}) {
+          const started = process.hrtime.bigint();
+          return () => observe(labels, Number(process.hrtime.bigint() - started) / 1e9);
+        },
+        reset,
+      };
+    },
+
+    render() {
+      const lines = [];
+      for (const { type, name, help, labelNames, series, buckets } of families.values()) {
+        lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+        for (const s of series.values()) {
+          const pairs = labelNames.map((label, i) => [label, s.values[i]]);
+          if (type !== 'histogram') {
+            lines.push(`${name}${formatLabels(pairs)} ${formatValue(s.value)}`);
+            continue;
+          }
+          buckets.forEach((bound, i) => {
+            lines.push(`${name}_bucket${formatLabels([...pairs, ['le', formatValue(bound)]])} ${s.counts[i]}`);
+          });
+          lines.push(`${name}_bucket${formatLabels([...pairs, ['le', '+Inf']])} ${s.count}`);
+          lines.push(`${name}_sum${formatLabels(pairs)} ${s.sum}`);
+          lines.push(`${name}_count${formatLabels(pairs)} ${s.count}`);
+        }
+      }
+      return `${lines.join('\n')}\n`;
+    },
+  };
+}
+
+// This process's metrics.
+export const metrics = createMetrics();
+
+/**
+ * The process's metrics plus what any process can read from the database:
+ * delivery queue depths and the last checkpoint of each watched contract.
+ */
+export async function renderMetrics({ registry = metrics, db = defaultDb } = {}) {
+  const queueDepth = registry.gauge(
+    'bond_notify_queue_depth',
+    'Messages waiting in a delivery queue (pending) or given up on (dead)',
+    ['queue', 'status']
+  );
+  const oldestPending = registry.gauge(
+    'bond_notify_outbox_oldest_pending_age_seconds',
+    'Age of the oldest email still waiting to be sent'
+  );
+  const checkpoint = registry.gauge(
+    'bond_notify_checkpoint_block',
+    'Last block the watcher has fully processed, per contract',
+    ['chain_id', 'contract']
+  );
+
+  const depths = await db.getQueueDepths();
+  const { oldestPending: oldest } = await db.getOutboxStats();
+  const checkpoints = await db.listCheckpoints();
+
+  queueDepth.reset();
+  for (const { queue, status, count } of depths) {
+    queueDepth.set({ queue, status }, count);
+  }
+  oldestPending.set({}, oldest ? Math.max(0, (Date.now() - Date.parse(`${oldest.replace(' ', 'T')}Z`)) / 1000) : 0);
+  checkpoint.reset();
+  for (const row of checkpoints) {
+    checkpoint.set({ chain_id: row.chain_id, contract: row.contract_address }, row.last_block);
+  }
+
+  return registry.render();
+}
+
+/**
+ * Whether a scrape may read the metrics: always, unless METRICS_TOKEN is set.
+ */
+export function metricsAuthorized(req, token = METRICS_TOKEN) {
+  if (!token) return true;
+  const given = Buffer.from(req.headers.authorization || '');
+  const expected = Buffer.from(`Bearer ${token}`);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+/**
+ * Serve GET /metrics on its own port, for the worker process. The API server
+ * serves the same at /metrics.
+ */
+export function startMetricsServer({ port = METRICS_PORT, host = HOST, db = defaultDb } = {}) {
+  const server = http.createServer(async (req, res) => {
+    if (req.method !== 'GET' || req.url !== '/metrics') {
+      res.writeHead(404);
+      return res.end();
+    }
+    if (!metricsAuthorized(req)) {
+      res.writeHead(401);
+      return res.end();
+    }
+    let body;
+    try {
+      body = await renderMetrics({ db });
+    } catch (err) {
+      console.error('[metrics] Render failed:', err.message);
+      res.writeHead(500);
+      return res.end();
+    }
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+    res.end(body);
+  });
+  server.listen(port, host, () => {
+    console.log(`[metrics] Serving worker metrics on ${host}:${port}/metrics`);
+  });
+  return server;
+}
@@ -0,0 +1,91 @@
+import Database from 'better-sqlite3';
+import { mkdirSync } from 'fs';
+import { dirname } from 'path';
+import pg from 'pg';
+import { DATABASE_URL, DB_PATH } from './config.mjs';
+import * as sqlite from './migrations.mjs';
+import * as postgres from './migrations-postgres.mjs';
+
+const USAGE = `Usage: node backend/migrate.mjs <command> [--db <path> | --url <postgres url>]
+
+Commands:
+  status          List migrations and whether each has been applied
+  up [version]    Apply pending migrations, up to version if given
+  down <version>  Roll back applied migrations newer than version
+
+The database is BOND_NOTIFY_DATABASE_URL when set, and BOND_NOTIFY_DB otherwise.`;
+
+function parseArgs(argv) {
+  const args = { positional: [], db: DB_PATH, url: DATABASE_URL };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--db') {
+      args.db = argv[++i];
+      args.url = '';
+    } else if (argv[i] === '--url') {
+      args.url = argv[++i];
+    } else {
+      args.positional.push(argv[i]);
+    }
+  }
+  return args;
+}
+
+function parseVersion(value) {
+  const version = Number(value);
+  if (!Number.isInteger(version) || version < 0) throw new Error(`Not a migration version: ${value}`);
+  return version;
+}
+
+/**
+ * Run `command` against an open database with the migration functions of its
+ * kind. The Postgres ones return promises.
+ */
+async function run({ migrate, migrationStatus, rollback }, db, label, command, version) {
+  if (command === 'status') {
+    console.log(`Database: ${label}`);
+    for (const { version: v, name, appliedAt } of await migrationStatus(db)) {
+      console.log(`  ${String(v).padStart(4)}  ${appliedAt ? `applied ${appliedAt}` : 'pending'.padEnd(27)}  ${name}`);
+    }
+  } else if (command === 'up') {
+    const applied = await migrate(db, { to: version === undefined ? Infinity : parseVersion(version) });
+    if (applied.length === 0) console.log('[migrate] Already up to date');
+    for (const { version: v, name } of applied) console.log(`[migrate] Applied ${v} ${name}`);
+  } else {
+    const undone = await rollback(db, { to: parseVersion(version) });
+    if (undone.length === 0) console.log('[migrate] Nothing to roll back');
+    for (const { version: v, name } of undone) console.log(`[migrate] Rolled back ${v} ${name}`);
+  }
+}
+
+const { positional: [command, version], db: path, url } = parseArgs(process.argv.slice(2));
+
+try {
+  if (!['status', 'up', 'down'].includes(command) || (command === 'down' && version === undefined)) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  if (url) {
+    const client = new pg.Client({ connectionString: url });
+    await client.connect();
+    try {
+      const { host, pathname } = new URL(url);
+      await run(postgres, client, `postgres://${host}${pathname}`, command, version);
+    } finally {
+      await client.end();
+    }
+  } else {
+    // Unlike createDatabase(), never migrates on open. Only `up` creates a missing database.
+    if (command === 'up') mkdirSync(dirname(path), { recursive: true });
+    const db = new Database(path, { fileMustExist: command !== 'up' });
+    db.pragma('journal_mode = WAL');
+    try {
+      await run(sqlite, db, path, command, version);
+    } finally {
+      db.close();
+    }
+  }
+} catch (err) {
+  console.error(`[migrate] ${err.message}`);
+  process.exit(1);
+}
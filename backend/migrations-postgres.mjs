@@ -0,0 +1,399 @@
+/**
+ * Schema migrations of the Postgres backend, applied in order by `migrate()`.
+ * Postgres databases start at the schema SQLite reached with migration 22, so
+ * version 1 creates all of it; later changes are appended here and to
+ * MIGRATIONS in migrations.mjs alike. Each has a `version`, a `name`, and `up`
+ * and `down` SQL. Never edit one that has shipped.
+ */
+
+// SQLite's datetime('now'), so both backends store the same text timestamps.
+export const NOW_TEXT = `to_char(now() AT TIME ZONE 'UTC', 'YYYY-MM-DD HH24:MI:SS')`;
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial_schema',
+    up: `
+      CREATE TABLE subscriptions (
+        wallet_address TEXT NOT NULL,
+        email TEXT NOT NULL,
+        chain_id BIGINT NOT NULL,
+        verified BIGINT NOT NULL DEFAULT 0,
+        created_at TEXT DEFAULT ${NOW_TEXT},
+        PRIMARY KEY (wallet_address, chain_id)
+      );
+
+      -- NULL events/roles mean "everything"; otherwise a JSON array to filter on.
+      CREATE TABLE subscription_preferences (
+        wallet_address TEXT NOT NULL,
+        chain_id BIGINT NOT NULL,
+        events TEXT,
+        roles TEXT,
+        updated_at TEXT DEFAULT ${NOW_TEXT},
+        digest TEXT,
+        digest_sent_at BIGINT,
+        PRIMARY KEY (wallet_address, chain_id)
+      );
+
+      CREATE TABLE email_log (
+        id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+        wallet_address TEXT,
+        chain_id BIGINT,
+        bond_id BIGINT,
+        event_type TEXT,
+        sent_at TEXT DEFAULT ${NOW_TEXT},
+        ses_message_id TEXT
+      );
+
+      CREATE TABLE judge_profiles (
+        id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+        wallet_address TEXT NOT NULL,
+        chain_id BIGINT NOT NULL,
+        statement TEXT NOT NULL DEFAULT '',
+        link_url TEXT NOT NULL DEFAULT '',
+        created_at TEXT DEFAULT ${NOW_TEXT},
+        updated_at TEXT DEFAULT ${NOW_TEXT},
+        UNIQUE (wallet_address, chain_id)
+      );
+
+      CREATE TABLE outbox (
+        id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+        dedupe_key TEXT NOT NULL UNIQUE,
+        wallet_address TEXT,
+        email TEXT NOT NULL,
+        chain_id BIGINT,
+        bond_id BIGINT,
+        event_type TEXT,
+        subject TEXT NOT NULL,
+        html TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts BIGINT NOT NULL DEFAULT 0,
+        next_attempt_at BIGINT NOT NULL,
+        last_error TEXT,
+        ses_message_id TEXT,
+        created_at TEXT DEFAULT ${NOW_TEXT},
+        sent_at TEXT,
+        contract_address TEXT,
+        block_number BIGINT
+      );
+
+      CREATE INDEX outbox_due ON outbox (status, next_attempt_at);
+
+      CREATE TABLE contract_checkpoints (
+        chain_id BIGINT NOT NULL,
+        contract_address TEXT NOT NULL,
+        last_block BIGINT NOT NULL,
+        PRIMARY KEY (chain_id, contract_address)
+      );
+
+      CREATE TABLE index_checkpoints (
+        chain_id BIGINT NOT NULL,
+        contract_address TEXT NOT NULL,
+        last_block BIGINT NOT NULL,
+        PRIMARY KEY (chain_id, contract_address)
+      );
+
+      CREATE TABLE contract_block_hashes (
+        chain_id BIGINT NOT NULL,
+        contract_address TEXT NOT NULL,
+        block_number BIGINT NOT NULL,
+        block_hash TEXT NOT NULL,
+        PRIMARY KEY (chain_id, contract_address, block_number)
+      );
+
+      CREATE TABLE bonds (
+        chain_id BIGINT NOT NULL,
+        contract_address TEXT NOT NULL,
+        bond_id BIGINT NOT NULL,
+        poster TEXT NOT NULL,
+        judge TEXT NOT NULL,
+        token TEXT NOT NULL,
+        bond_amount TEXT NOT NULL,
+        challenge_amount TEXT NOT NULL,
+        judge_fee TEXT NOT NULL,
+        deadline BIGINT NOT NULL,
+        acceptance_delay BIGINT NOT NULL,
+        ruling_buffer BIGINT NOT NULL,
+        metadata TEXT NOT NULL DEFAULT '',
+        settled BIGINT NOT NULL DEFAULT 0,
+        conceded BIGINT NOT NULL DEFAULT 0,
+        challenge_count BIGINT NOT NULL DEFAULT 0,
+        current_challenge BIGINT NOT NULL DEFAULT 0,
+        last_challenge_time BIGINT NOT NULL DEFAULT 0,
+        created_block BIGINT,
+        created_at BIGINT,
+        created_tx TEXT,
+        -- How a settled bond ended: see indexer.mjs.
+        outcome TEXT,
+        settled_at BIGINT,
+        PRIMARY KEY (chain_id, contract_address, bond_id)
+      );
+
+      CREATE INDEX bonds_open ON bonds (settled, chain_id, contract_address);
+      CREATE INDEX bonds_poster ON bonds (poster);
+      CREATE INDEX bonds_judge ON bonds (judge);
+
+      -- Status is 'pending', 'won', 'lost' or 'refunded', as in SimpleBondV5.
+      CREATE TABLE challenges (
+        chain_id BIGINT NOT NULL,
+        contract_address TEXT NOT NULL,
+        bond_id BIGINT NOT NULL,
+        challenge_index BIGINT NOT NULL,
+        challenger TEXT NOT NULL,
+        metadata TEXT NOT NULL DEFAULT '',
+        status TEXT NOT NULL DEFAULT 'pending',
+        fee_charged TEXT,
+        created_block BIGINT,
+        created_tx TEXT,
+        created_at BIGINT,
+        resolved_at BIGINT,
+        PRIMARY KEY (chain_id, contract_address, bond_id, challenge_index)
+      );
+
+      CREATE INDEX challenges_challenger ON challenges (challenger);
+
+      -- Every indexed contract event, so bond state can be rebuilt after a reorg.
+      CREATE TABLE bond_events (
+        chain_id BIGINT NOT NULL,
+        contract_address TEXT NOT NULL,
+        block_number BIGINT NOT NULL,
+        log_index BIGINT NOT NULL,
+        tx_hash TEXT NOT NULL,
+        event_name TEXT NOT NULL,
+        bond_id BIGINT NOT NULL,
+        args TEXT NOT NULL,
+        timestamp BIGINT NOT NULL,
+        PRIMARY KEY (chain_id, contract_address, block_number, log_index)
+      );
+
+      CREATE INDEX bond_events_bond ON bond_events (chain_id, contract_address, bond_id);
+      CREATE INDEX bond_events_time ON bond_events (timestamp);
+
+      -- Feed of indexing activity for live subscribers. Identity ids keep
+      -- increasing even after a reorg deletes the newest rows.
+      CREATE TABLE bond_activity (
+        id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+        chain_id BIGINT NOT NULL,
+        contract_address TEXT NOT NULL,
+        bond_id BIGINT NOT NULL,
+        event_name TEXT NOT NULL,
+        block_number BIGINT NOT NULL,
+        log_index BIGINT,
+        tx_hash TEXT,
+        args TEXT NOT NULL DEFAULT '{}',
+        timestamp BIGINT,
+        created_at BIGINT NOT NULL
+      );
+
+      CREATE INDEX bond_activity_created ON bond_activity (created_at);
+
+      -- Notifications held back for subscribers in digest mode until their digest goes out.
+      CREATE TABLE digest_items (
+        id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+        dedupe_key TEXT NOT NULL UNIQUE,
+        wallet_address TEXT NOT NULL,
+        chain_id BIGINT NOT NULL,
+        contract_address TEXT NOT NULL,
+        bond_id BIGINT NOT NULL,
+        event_type TEXT NOT NULL,
+        metadata TEXT NOT NULL DEFAULT '',
+        created_at BIGINT NOT NULL,
+        outbox_id BIGINT,
+        block_number BIGINT
+      );
+
+      CREATE INDEX digest_items_pending ON digest_items (outbox_id, wallet_address, chain_id);
+
+      CREATE TABLE webhooks (
+        id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+        wallet_address TEXT NOT NULL,
+        chain_id BIGINT NOT NULL,
+        url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        active BIGINT NOT NULL DEFAULT 1,
+        created_at TEXT DEFAULT ${NOW_TEXT},
+        UNIQUE (wallet_address, chain_id, url)
+      );
+
+      -- One row per event per webhook: the retry queue and the delivery log in one.
+      CREATE TABLE webhook_deliveries (
+        id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+        webhook_id BIGINT NOT NULL,
+        dedupe_key TEXT NOT NULL UNIQUE,
+        event_type TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts BIGINT NOT NULL DEFAULT 0,
+        next_attempt_at BIGINT NOT NULL,
+        last_status_code BIGINT,
+        last_error TEXT,
+        created_at TEXT DEFAULT ${NOW_TEXT},
+        delivered_at TEXT,
+        chain_id BIGINT,
+        contract_address TEXT,
+        block_number BIGINT
+      );
+
+      CREATE INDEX webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at);
+
+      -- A wallet bound to a chat on some chat channel (e.g. telegram). Verified once
+      -- someone in that chat follows the link sent there with link_code.
+      CREATE TABLE chat_links (
+        channel TEXT NOT NULL,
+        wallet_address TEXT NOT NULL,
+        chain_id BIGINT NOT NULL,
+        chat_id TEXT NOT NULL,
+        verified BIGINT NOT NULL DEFAULT 0,
+        link_code TEXT UNIQUE,
+        created_at TEXT DEFAULT ${NOW_TEXT},
+        PRIMARY KEY (channel, wallet_address, chain_id)
+      );
+
+      CREATE TABLE chat_outbox (
+        id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+        dedupe_key TEXT NOT NULL UNIQUE,
+        channel TEXT NOT NULL,
+        chat_id TEXT NOT NULL,
+        wallet_address TEXT,
+        chain_id BIGINT,
+        bond_id BIGINT,
+        event_type TEXT,
+        text TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts BIGINT NOT NULL DEFAULT 0,
+        next_attempt_at BIGINT NOT NULL,
+        last_error TEXT,
+        message_id TEXT,
+        created_at TEXT DEFAULT ${NOW_TEXT},
+        sent_at TEXT,
+        contract_address TEXT,
+        block_number BIGINT
+      );
+
+      CREATE INDEX chat_outbox_due ON chat_outbox (status, next_attempt_at);
+
+      -- Digests of accepted signed API requests, kept until their timestamp leaves
+      -- the accepted window, so that a captured request cannot be replayed.
+      CREATE TABLE used_signatures (
+        wallet_address TEXT NOT NULL,
+        digest TEXT NOT NULL,
+        expires_at BIGINT NOT NULL,
+        PRIMARY KEY (wallet_address, digest)
+      );
+
+      CREATE INDEX used_signatures_expiry ON used_signatures (expires_at);
+
+      -- Sign-In with Ethereum: nonces handed out for sign-in messages, each usable once.
+      CREATE TABLE auth_nonces (
+        nonce TEXT PRIMARY KEY,
+        expires_at BIGINT NOT NULL
+      );
+
+      -- Sessions opened by signing in, stored by the hash of their token.
+      CREATE TABLE sessions (
+        id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+        token_hash TEXT NOT NULL UNIQUE,
+        wallet_address TEXT NOT NULL,
+        chain_id BIGINT NOT NULL,
+        created_at BIGINT NOT NULL,
+        expires_at BIGINT NOT NULL,
+        revoked_at BIGINT
+      );
+
+      CREATE INDEX sessions_wallet ON sessions (wallet_address, chain_id);
+
+      -- Token buckets of the API rate limits, shared by every API process.
+      CREATE TABLE rate_limits (
+        key TEXT PRIMARY KEY,
+        tokens DOUBLE PRECISION NOT NULL,
+        updated_at BIGINT NOT NULL
+      );
+    `,
+    down: null,
+  },
+];
+
+async function appliedVersions(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version BIGINT PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT DEFAULT ${NOW_TEXT}
+    )
+  `);
+  const { rows } = await client.query('SELECT version, applied_at FROM schema_migrations');
+  return new Map(rows.map(({ version, applied_at }) => [Number(version), applied_at]));
+}
+
+async function inTransaction(client, fn) {
+  await client.query('BEGIN');
+  try {
+    await fn();
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  }
+}
+
+/**
+ * Every known migration, with when it was applied (null if pending).
+ * `client` is a pg client or pool.
+ */
+export async function migrationStatus(client, migrations = MIGRATIONS) {
+  const applied = await appliedVersions(client);
+  return migrations.map(({ version, name }) => ({ version, name, appliedAt: applied.get(version) ?? null }));
+}
+
+/**
+ * Apply pending migrations up to and including version `to` (default: all),
+ * each in its own transaction, like migrate() in migrations.mjs. `client`
+ * must be a single connection (pool.connect()), not a pool.
+ * Returns the migrations applied.
+ */
+export async function migrate(client, { to = Infinity, migrations = MIGRATIONS } = {}) {
+  // API and worker processes starting together must not both apply a migration.
+  await client.query('SELECT pg_advisory_lock(hashtext(current_schema()))');
+  try {
+    const applied = await appliedVersions(client);
+    const latest = Math.max(0, ...migrations.map(({ version }) => version));
+    const unknown = [...applied.keys()].filter(version => version > latest);
+    if (unknown.length > 0) {
+      throw new Error(`Database schema is at version ${Math.max(...unknown)}, newer than this code (${latest}). Roll it back with the newer release first.`);
+    }
+
+    const pending = migrations.filter(({ version }) => version <= to && !applied.has(version));
+    for (const migration of pending) {
+      await inTransaction(client, async () => {
+        await client.query(migration.up);
+        await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+      });
+    }
+    return pending;
+  } finally {
+    await client.query('SELECT pg_advisory_unlock(hashtext(current_schema()))');
+  }
+}
+
+/**
+ * Undo applied migrations newer than version `to`, newest first, each in its
+ * own transaction. `client` must be a single connection. Returns the
+ * migrations rolled back.
+ */
+export async function rollback(client, { to, migrations = MIGRATIONS } = {}) {
+  if (!Number.isInteger(to) || to < 0) throw new Error('rollback needs a target version');
+  const applied = await appliedVersions(client);
+  const undo = migrations.filter(({ version }) => version > to && applied.has(version)).reverse();
+  const irreversible = undo.find(({ down }) => !down);
+  if (irreversible) {
+    throw new Error(`Migration ${irreversible.version} (${irreversible.name}) cannot be rolled back`);
+  }
+
+  for (const migration of undo) {
+    await inTransaction(client, async () => {
+      await client.query(migration.down);
+      await client.query('DELETE FROM schema_migrations WHERE version=$1', [migration.version]);
+    });
+  }
+  return undo;
+}
@@ -0,0 +1,544 @@
+/**
+ * Schema migrations, applied in order by `migrate()`. Each has a `version`, a
+ * `name`, and `up` and `down` steps: SQL to run, or a function given the
+ * database. Append new migrations to the end; never edit one that has shipped.
+ */
+export const MIGRATIONS = [
+  {
+    // The schema as deployed before migrations existed. Written with IF NOT EXISTS
+    // so it adopts those databases as they are.
+    version: 1,
+    name: 'initial_schema',
+    up: `
+      CREATE TABLE IF NOT EXISTS subscriptions (
+        wallet_address TEXT NOT NULL,
+        email TEXT NOT NULL,
+        chain_id INTEGER NOT NULL,
+        verified INTEGER NOT NULL DEFAULT 0,
+        created_at TEXT DEFAULT (datetime('now')),
+        PRIMARY KEY (wallet_address, chain_id)
+      );
+
+      CREATE TABLE IF NOT EXISTS email_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        wallet_address TEXT,
+        chain_id INTEGER,
+        bond_id INTEGER,
+        event_type TEXT,
+        sent_at TEXT DEFAULT (datetime('now')),
+        ses_message_id TEXT
+      );
+
+      -- Per-chain checkpoints of the single-contract watcher. Once contracts have
+      -- their own checkpoints, the contract it followed adopts its chain's.
+      CREATE TABLE IF NOT EXISTS checkpoints (
+        chain_id INTEGER PRIMARY KEY,
+        last_block INTEGER NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS judge_profiles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        wallet_address TEXT NOT NULL,
+        chain_id INTEGER NOT NULL,
+        statement TEXT NOT NULL DEFAULT '',
+        link_url TEXT NOT NULL DEFAULT '',
+        created_at TEXT DEFAULT (datetime('now')),
+        updated_at TEXT DEFAULT (datetime('now')),
+        UNIQUE (wallet_address, chain_id)
+      );
+    `,
+    down: null,
+  },
+  {
+    version: 2,
+    name: 'outbox',
+    up: `
+      CREATE TABLE outbox (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        dedupe_key TEXT NOT NULL UNIQUE,
+        wallet_address TEXT,
+        email TEXT NOT NULL,
+        chain_id INTEGER,
+        bond_id INTEGER,
+        event_type TEXT,
+        subject TEXT NOT NULL,
+        html TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at INTEGER NOT NULL,
+        last_error TEXT,
+        ses_message_id TEXT,
+        created_at TEXT DEFAULT (datetime('now')),
+        sent_at TEXT
+      );
+
+      CREATE INDEX outbox_due ON outbox (status, next_attempt_at);
+    `,
+    down: 'DROP TABLE outbox',
+  },
+  {
+    version: 3,
+    name: 'contract_checkpoints',
+    up: `
+      CREATE TABLE contract_checkpoints (
+        chain_id INTEGER NOT NULL,
+        contract_address TEXT NOT NULL,
+        last_block INTEGER NOT NULL,
+        PRIMARY KEY (chain_id, contract_address)
+      );
+    `,
+    down: 'DROP TABLE contract_checkpoints',
+  },
+  {
+    version: 4,
+    name: 'contract_block_hashes',
+    up: `
+      CREATE TABLE contract_block_hashes (
+        chain_id INTEGER NOT NULL,
+        contract_address TEXT NOT NULL,
+        block_number INTEGER NOT NULL,
+        block_hash TEXT NOT NULL,
+        PRIMARY KEY (chain_id, contract_address, block_number)
+      );
+    `,
+    down: 'DROP TABLE contract_block_hashes',
+  },
+  {
+    version: 5,
+    name: 'bonds',
+    up: `
+      CREATE TABLE bonds (
+        chain_id INTEGER NOT NULL,
+        contract_address TEXT NOT NULL,
+        bond_id INTEGER NOT NULL,
+        poster TEXT NOT NULL,
+        judge TEXT NOT NULL,
+        token TEXT NOT NULL,
+        bond_amount TEXT NOT NULL,
+        challenge_amount TEXT NOT NULL,
+        judge_fee TEXT NOT NULL,
+        deadline INTEGER NOT NULL,
+        acceptance_delay INTEGER NOT NULL,
+        ruling_buffer INTEGER NOT NULL,
+        metadata TEXT NOT NULL DEFAULT '',
+        settled INTEGER NOT NULL DEFAULT 0,
+        conceded INTEGER NOT NULL DEFAULT 0,
+        challenge_count INTEGER NOT NULL DEFAULT 0,
+        current_challenge INTEGER NOT NULL DEFAULT 0,
+        last_challenge_time INTEGER NOT NULL DEFAULT 0,
+        created_block INTEGER,
+        created_at INTEGER,
+        PRIMARY KEY (chain_id, contract_address, bond_id)
+      );
+
+      CREATE INDEX bonds_open ON bonds (settled, chain_id, contract_address);
+    `,
+    down: 'DROP TABLE bonds',
+  },
+  {
+    version: 6,
+    name: 'subscription_preferences',
+    up: `
+      -- NULL events/roles mean "everything"; otherwise a JSON array to filter on.
+      CREATE TABLE subscription_preferences (
+        wallet_address TEXT NOT NULL,
+        chain_id INTEGER NOT NULL,
+        events TEXT,
+        roles TEXT,
+        updated_at TEXT DEFAULT (datetime('now')),
+        PRIMARY KEY (wallet_address, chain_id)
+      );
+    `,
+    down: 'DROP TABLE subscription_preferences',
+  },
+  {
+    version: 7,
+    name: 'digest_items',
+    up: `
+      -- Notifications held back for subscribers in digest mode until their digest goes out.
+      CREATE TABLE digest_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        dedupe_key TEXT NOT NULL UNIQUE,
+        wallet_address TEXT NOT NULL,
+        chain_id INTEGER NOT NULL,
+        contract_address TEXT NOT NULL,
+        bond_id INTEGER NOT NULL,
+        event_type TEXT NOT NULL,
+        metadata TEXT NOT NULL DEFAULT '',
+        created_at INTEGER NOT NULL,
+        outbox_id INTEGER
+      );
+
+      CREATE INDEX digest_items_pending ON digest_items (outbox_id, wallet_address, chain_id);
+    `,
+    down: 'DROP TABLE digest_items',
+  },
+  {
+    version: 8,
+    name: 'preference_digests',
+    up: `
+      ALTER TABLE subscription_preferences ADD COLUMN digest TEXT;
+      ALTER TABLE subscription_preferences ADD COLUMN digest_sent_at INTEGER;
+    `,
+    down: `
+      ALTER TABLE subscription_preferences DROP COLUMN digest;
+      ALTER TABLE subscription_preferences DROP COLUMN digest_sent_at;
+    `,
+  },
+  {
+    version: 9,
+    name: 'webhooks',
+    up: `
+      CREATE TABLE webhooks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        wallet_address TEXT NOT NULL,
+        chain_id INTEGER NOT NULL,
+        url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        active INTEGER NOT NULL DEFAULT 1,
+        created_at TEXT DEFAULT (datetime('now')),
+        UNIQUE (wallet_address, chain_id, url)
+      );
+    `,
+    down: 'DROP TABLE webhooks',
+  },
+  {
+    version: 10,
+    name: 'webhook_deliveries',
+    up: `
+      -- One row per event per webhook: the retry queue and the delivery log in one.
+      CREATE TABLE webhook_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        webhook_id INTEGER NOT NULL,
+        dedupe_key TEXT NOT NULL UNIQUE,
+        event_type TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at INTEGER NOT NULL,
+        last_status_code INTEGER,
+        last_error TEXT,
+        created_at TEXT DEFAULT (datetime('now')),
+        delivered_at TEXT
+      );
+
+      CREATE INDEX webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at);
+    `,
+    down: 'DROP TABLE webhook_deliveries',
+  },
+  {
+    version: 11,
+    name: 'chat_links',
+    up: `
+      -- A wallet bound to a chat on some chat channel (e.g. telegram). Verified once
+      -- someone in that chat follows the link sent there with link_code.
+      CREATE TABLE chat_links (
+        channel TEXT NOT NULL,
+        wallet_address TEXT NOT NULL,
+        chain_id INTEGER NOT NULL,
+        chat_id TEXT NOT NULL,
+        verified INTEGER NOT NULL DEFAULT 0,
+        link_code TEXT UNIQUE,
+        created_at TEXT DEFAULT (datetime('now')),
+        PRIMARY KEY (channel, wallet_address, chain_id)
+      );
+    `,
+    down: 'DROP TABLE chat_links',
+  },
+  {
+    version: 12,
+    name: 'chat_outbox',
+    up: `
+      CREATE TABLE chat_outbox (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        dedupe_key TEXT NOT NULL UNIQUE,
+        channel TEXT NOT NULL,
+        chat_id TEXT NOT NULL,
+        wallet_address TEXT,
+        chain_id INTEGER,
+        bond_id INTEGER,
+        event_type TEXT,
+        text TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at INTEGER NOT NULL,
+        last_error TEXT,
+        message_id TEXT,
+        created_at TEXT DEFAULT (datetime('now')),
+        sent_at TEXT
+      );
+
+      CREATE INDEX chat_outbox_due ON chat_outbox (status, next_attempt_at);
+    `,
+    down: 'DROP TABLE chat_outbox',
+  },
+  {
+    version: 13,
+    name: 'bond_events',
+    up: `
+      -- Every indexed contract event, so bond state can be rebuilt after a reorg.
+      CREATE TABLE bond_events (
+        chain_id INTEGER NOT NULL,
+        contract_address TEXT NOT NULL,
+        block_number INTEGER NOT NULL,
+        log_index INTEGER NOT NULL,
+        tx_hash TEXT NOT NULL,
+        event_name TEXT NOT NULL,
+        bond_id INTEGER NOT NULL,
+        args TEXT NOT NULL,
+        timestamp INTEGER NOT NULL,
+        PRIMARY KEY (chain_id, contract_address, block_number, log_index)
+      );
+
+      CREATE INDEX bond_events_bond ON bond_events (chain_id, contract_address, bond_id);
+      CREATE INDEX bond_events_time ON bond_events (timestamp);
+    `,
+    down: 'DROP TABLE bond_events',
+  },
+  {
+    version: 14,
+    name: 'challenges',
+    up: `
+      -- Status is 'pending', 'won', 'lost' or 'refunded', as in SimpleBondV5.
+      CREATE TABLE challenges (
+        chain_id INTEGER NOT NULL,
+        contract_address TEXT NOT NULL,
+        bond_id INTEGER NOT NULL,
+        challenge_index INTEGER NOT NULL,
+        challenger TEXT NOT NULL,
+        metadata TEXT NOT NULL DEFAULT '',
+        status TEXT NOT NULL DEFAULT 'pending',
+        fee_charged TEXT,
+        created_block INTEGER,
+        created_tx TEXT,
+        created_at INTEGER,
+        resolved_at INTEGER,
+        PRIMARY KEY (chain_id, contract_address, bond_id, challenge_index)
+      );
+
+      CREATE INDEX challenges_challenger ON challenges (challenger);
+    `,
+    down: 'DROP TABLE challenges',
+  },
+  {
+    version: 15,
+    name: 'bond_outcomes',
+    up: `
+      ALTER TABLE bonds ADD COLUMN created_tx TEXT;
+      -- How a settled bond ended: see indexer.mjs.
+      ALTER TABLE bonds ADD COLUMN outcome TEXT;
+      ALTER TABLE bonds ADD COLUMN settled_at INTEGER;
+
+      CREATE INDEX bonds_poster ON bonds (poster);
+      CREATE INDEX bonds_judge ON bonds (judge);
+    `,
+    down: `
+      DROP INDEX bonds_poster;
+      DROP INDEX bonds_judge;
+      ALTER TABLE bonds DROP COLUMN created_tx;
+      ALTER TABLE bonds DROP COLUMN outcome;
+      ALTER TABLE bonds DROP COLUMN settled_at;
+    `,
+  },
+  {
+    version: 16,
+    name: 'bond_activity',
+    up: `
+      -- Feed of indexing activity for live subscribers. AUTOINCREMENT keeps ids
+      -- increasing even after a reorg deletes the newest rows.
+      CREATE TABLE bond_activity (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        chain_id INTEGER NOT NULL,
+        contract_address TEXT NOT NULL,
+        bond_id INTEGER NOT NULL,
+        event_name TEXT NOT NULL,
+        block_number INTEGER NOT NULL,
+        log_index INTEGER,
+        tx_hash TEXT,
+        args TEXT NOT NULL DEFAULT '{}',
+        timestamp INTEGER,
+        created_at INTEGER NOT NULL
+      );
+
+      CREATE INDEX bond_activity_created ON bond_activity (created_at);
+    `,
+    down: 'DROP TABLE bond_activity',
+  },
+  {
+    version: 17,
+    name: 'used_signatures',
+    up: `
+      -- Digests of accepted signed API requests, kept until their timestamp leaves
+      -- the accepted window, so that a captured request cannot be replayed.
+      CREATE TABLE used_signatures (
+        wallet_address TEXT NOT NULL,
+        digest TEXT NOT NULL,
+        expires_at INTEGER NOT NULL,
+        PRIMARY KEY (wallet_address, digest)
+      );
+
+      CREATE INDEX used_signatures_expiry ON used_signatures (expires_at);
+    `,
+    down: 'DROP TABLE used_signatures',
+  },
+  {
+    version: 18,
+    name: 'auth_nonces',
+    up: `
+      -- Sign-In with Ethereum: nonces handed out for sign-in messages, each usable once.
+      CREATE TABLE auth_nonces (
+        nonce TEXT PRIMARY KEY,
+        expires_at INTEGER NOT NULL
+      );
+    `,
+    down: 'DROP TABLE auth_nonces',
+  },
+  {
+    version: 19,
+    name: 'sessions',
+    up: `
+      -- Sessions opened by signing in, stored by the hash of their token.
+      CREATE TABLE sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        token_hash TEXT NOT NULL UNIQUE,
+        wallet_address TEXT NOT NULL,
+        chain_id INTEGER NOT NULL,
+        created_at INTEGER NOT NULL,
+        expires_at INTEGER NOT NULL,
+        revoked_at INTEGER
+      );
+
+      CREATE INDEX sessions_wallet ON sessions (wallet_address, chain_id);
+    `,
+    down: 'DROP TABLE sessions',
+  },
+  {
+    version: 20,
+    name: 'rate_limits',
+    up: `
+      -- Token buckets of the API rate limits, shared by every API process.
+      CREATE TABLE rate_limits (
+        key TEXT PRIMARY KEY,
+        tokens REAL NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+    `,
+    down: 'DROP TABLE rate_limits',
+  },
+  {
+    version: 21,
+    name: 'queued_event_blocks',
+    up: `
+      -- The contract and block of the event a queued notification is for, so a
+      -- reorg can drop what it orphaned before it is sent. NULL for anything
+      -- not queued by the watcher.
+      ALTER TABLE outbox ADD COLUMN contract_address TEXT;
+      ALTER TABLE outbox ADD COLUMN block_number INTEGER;
+      ALTER TABLE webhook_deliveries ADD COLUMN chain_id INTEGER;
+      ALTER TABLE webhook_deliveries ADD COLUMN contract_address TEXT;
+      ALTER TABLE webhook_deliveries ADD COLUMN block_number INTEGER;
+      ALTER TABLE chat_outbox ADD COLUMN contract_address TEXT;
+      ALTER TABLE chat_outbox ADD COLUMN block_number INTEGER;
+      ALTER TABLE digest_items ADD COLUMN block_number INTEGER;
+    `,
+    down: `
+      ALTER TABLE outbox DROP COLUMN contract_address;
+      ALTER TABLE outbox DROP COLUMN block_number;
+      ALTER TABLE webhook_deliveries DROP COLUMN chain_id;
+      ALTER TABLE webhook_deliveries DROP COLUMN contract_address;
+      ALTER TABLE webhook_deliveries DROP COLUMN block_number;
+      ALTER TABLE chat_outbox DROP COLUMN contract_address;
+      ALTER TABLE chat_outbox DROP COLUMN block_number;
+      ALTER TABLE digest_items DROP COLUMN block_number;
+    `,
+  },
+  {
+    version: 22,
+    name: 'index_checkpoints',
+    up: `
+      -- Last block of each contract's events in the bond index. Kept apart from
+      -- the notification checkpoint, so the index can be filled in from the
+      -- contract's startBlock without notifying anyone.
+      CREATE TABLE index_checkpoints (
+        chain_id INTEGER NOT NULL,
+        contract_address TEXT NOT NULL,
+        last_block INTEGER NOT NULL,
+        PRIMARY KEY (chain_id, contract_address)
+      );
+    `,
+    down: 'DROP TABLE index_checkpoints',
+  },
+];
+
+function appliedVersions(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT DEFAULT (datetime('now'))
+    )
+  `);
+  return new Map(db.prepare('SELECT version, applied_at FROM schema_migrations').all()
+    .map(({ version, applied_at }) => [version, applied_at]));
+}
+
+function run(db, step) {
+  if (typeof step === 'function') step(db);
+  else db.exec(step);
+}
+
+/**
+ * Every known migration, with when it was applied to `db` (null if pending).
+ */
+export function migrationStatus(db, migrations = MIGRATIONS) {
+  const applied = appliedVersions(db);
+  return migrations.map(({ version, name }) => ({ version, name, appliedAt: applied.get(version) ?? null }));
+}
+
+/**
+ * Apply pending migrations up to and including version `to` (default: all),
+ * each in its own transaction. Refuses a database migrated past the newest
+ * migration this code knows, since it cannot know what changed.
+ * Returns the migrations applied.
+ */
+export function migrate(db, { to = Infinity, migrations = MIGRATIONS } = {}) {
+  const applied = appliedVersions(db);
+  const latest = Math.max(0, ...migrations.map(({ version }) => version));
+  const unknown = [...applied.keys()].filter(version => version > latest);
+  if (unknown.length > 0) {
+    throw new Error(`Database schema is at version ${Math.max(...unknown)}, newer than this code (${latest}). Roll it back with the newer release first.`);
+  }
+
+  const record = db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)');
+  const pending = migrations.filter(({ version }) => version <= to && !applied.has(version));
+  for (const migration of pending) {
+    db.transaction(() => {
+      run(db, migration.up);
+      record.run(migration.version, migration.name);
+    })();
+  }
+  return pending;
+}
+
+/**
+ * Undo applied migrations newer than version `to`, newest first, each in its
+ * own transaction. Returns the migrations rolled back.
+ */
+export function rollback(db, { to, migrations = MIGRATIONS } = {}) {
+  if (!Number.isInteger(to) || to < 0) throw new Error('rollback needs a target version');
+  const applied = appliedVersions(db);
+  const undo = migrations.filter(({ version }) => version > to && applied.has(version)).reverse();
+  const irreversible = undo.find(({ down }) => !down);
+  if (irreversible) {
+    throw new Error(`Migration ${irreversible.version} (${irreversible.name}) cannot be rolled back`);
+  }
+
+  const forget = db.prepare('DELETE FROM schema_migrations WHERE version=?');
+  for (const migration of undo) {
+    db.transaction(() => {
+      run(db, migration.down);
+      forget.run(migration.version);
+    })();
+  }
+  return undo;
+}
@@ -0,0 +1,61 @@
+import { EVENT_RECIPIENTS, REMINDER_OFFSETS, DIGEST_PERIODS_MS } from './config.mjs';
+
+// Everything a subscriber can opt in or out of: contract events and reminder kinds.
+export const NOTIFICATION_EVENTS = [...Object.keys(EVENT_RECIPIENTS), ...Object.keys(REMINDER_OFFSETS)];
+export const NOTIFICATION_ROLES = ['poster', 'judge', 'challenger'];
+export const DIGEST_MODES = Object.keys(DIGEST_PERIODS_MS);
+
+// EVENT_RECIPIENTS uses 'challengers' for "every challenger of the bond".
+export function preferenceRole(recipientRole) {
+  return recipientRole === 'challengers' ? 'challenger' : recipientRole;
+}
+
+function matchesEvent(pattern, eventType) {
+  return pattern.endsWith('*') ? eventType.startsWith(pattern.slice(0, -1)) : pattern === eventType;
+}
+
+/**
+ * Validate preferences from a request body. `events` entries may end in `*`
+ * (e.g. "RuledFor*"). Omitted or null lists mean "all"; a null `digest` means
+ * one email per notification.
+ */
+export function parsePreferences(body) {
+  const { events = null, roles = null, digest = null } = body;
+
+  if (events !== null) {
+    if (!Array.isArray(events) || events.some(e => typeof e !== 'string')) {
+      throw new Error('events must be a list of event names or null');
+    }
+    for (const pattern of events) {
+      if (!NOTIFICATION_EVENTS.some(eventType => matchesEvent(pattern, eventType))) {
+        throw new Error(`Unknown event "${pattern}" (expected one of: ${NOTIFICATION_EVENTS.join(', ')})`);
+      }
+    }
+  }
+
+  if (roles !== null) {
+    if (!Array.isArray(roles) || roles.some(r => !NOTIFICATION_ROLES.includes(r))) {
+      throw new Error(`roles must be a list of: ${NOTIFICATION_ROLES.join(', ')}`);
+    }
+  }
+
+  if (digest !== null && !DIGEST_MODES.includes(digest)) {
+    throw new Error(`digest must be null or one of: ${DIGEST_MODES.join(', ')}`);
+  }
+
+  return {
+    events: events && [...new Set(events)],
+    roles: roles && [...new Set(roles)],
+    digest,
+  };
+}
+
+/**
+ * Whether a subscription (with `events`/`roles` from getVerifiedSubscriptions)
+ * wants an email for `eventType` given the roles its wallet plays in the bond.
+ */
+export function wantsNotification(sub, eventType, roles) {
+  if (sub.events && !sub.events.some(pattern => matchesEvent(pattern, eventType))) return false;
+  if (sub.roles && ![...roles].some(role => sub.roles.includes(preferenceRole(role)))) return false;
+  return true;
+}
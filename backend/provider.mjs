@@ -0,0 +1,125 @@
+import { ethers } from 'ethers';
+import { BLOCK_CHUNK } from './config.mjs';
+import { metrics } from './metrics.mjs';
+import { createRpcPool, isRangeError } from '../frontend/rpc-pool.js';
+
+const rpcDuration = metrics.histogram('bond_notify_rpc_duration_seconds', 'Duration of RPC calls', ['chain_id', 'method']);
+const rpcErrors = metrics.counter('bond_notify_rpc_errors_total', 'Failed RPC calls', ['chain_id', 'method']);
+const rpcEndpointUp = metrics.gauge(
+  'bond_notify_rpc_endpoint_up',
+  'Whether the last call to each RPC endpoint succeeded, by its position in the chain\'s rpc list',
+  ['chain_id', 'endpoint']
+);
+
+/**
+ * Record how long each RPC attempt took and whether it failed.
+ */
+function instrumentRpc(chainId) {
+  return async (method, run, endpoint) => {
+    const labels = { chain_id: chainId, method };
+    const done = rpcDuration.startTimer(labels);
+    try {
+      const result = await run();
+      rpcEndpointUp.set({ chain_id: chainId, endpoint }, 1);
+      return result;
+    } catch (err) {
+      rpcErrors.inc(labels);
+      // A revert or an oversized range is no sign of a failing endpoint.
+      if (err.code !== 'CALL_EXCEPTION' && !isRangeError(err)) rpcEndpointUp.set({ chain_id: chainId, endpoint }, 0);
+      throw err;
+    } finally {
+      done();
+    }
+  };
+}
+
+/**
+ * One provider per RPC URL of a chain, in the order they are listed.
+ */
+export function rpcProviders(chain) {
+  return chain.rpc.map(url => new ethers.JsonRpcProvider(url, chain.chainId, { staticNetwork: true }));
+}
+
+/**
+ * The RPC pool of a chain: failover, backoff and adaptive log ranges over
+ * `providers`, with every attempt recorded in the RPC metrics.
+ */
+export function createChainPool(chainId, providers) {
+  return createRpcPool(providers, { initialChunk: BLOCK_CHUNK, instrument: instrumentRpc(chainId) });
+}
+
+/**
+ * An ethers provider whose every request goes through `pool`, for code that
+ * wants a plain provider (contracts, signature checks).
+ */
+class PoolProvider extends ethers.AbstractProvider {
+  #pool;
+  #network;
+  #endpoints;
+
+  constructor(pool, chainId, endpoints) {
+    const network = ethers.Network.from(chainId);
+    super(network);
+    this.#pool = pool;
+    this.#network = network;
+    this.#endpoints = endpoints;
+  }
+
+  async _detectNetwork() {
+    return this.#network;
+  }
+
+  _perform(req) {
+    return this.#pool.call(req.method, provider => provider._perform(req));
+  }
+
+  destroy() {
+    for (const endpoint of this.#endpoints) endpoint.destroy();
+    super.destroy();
+  }
+}
+
+/**
+ * A chain's RPC pool over its listed URLs, and a provider that uses it.
+ */
+export function createChainRpc(chain, providers = rpcProviders(chain)) {
+  const pool = createChainPool(chain.chainId, providers);
+  return { pool, provider: new PoolProvider(pool, chain.chainId, providers) };
+}
+
+/**
+ * One provider per chain, failing over between its RPC URLs through a pool.
+ */
+export function createProvider(chain) {
+  return createChainRpc(chain).provider;
+}
+
+// Pools for pollers built without one (tests, one-off scripts): just their provider.
+const fallbackPools = new WeakMap();
+
+export function poolOf(poller) {
+  if (poller.pool) return poller.pool;
+  if (!fallbackPools.has(poller)) fallbackPools.set(poller, createChainPool(poller.chainId, [poller.provider]));
+  return fallbackPools.get(poller);
+}
+
+/**
+ * Make one RPC call for a poller through its chain's pool: `call(provider)` is
+ * retried on the next endpoint if one fails.
+ */
+export function rpc(poller, method, call) {
+  return poolOf(poller).call(method, call);
+}
+
+/**
+ * Block `number` through a poller's pool. An endpoint that has not seen the
+ * block yet, though another just reported it, counts as failing, so the call
+ * moves on to the next endpoint.
+ */
+export function getBlock(poller, number) {
+  return rpc(poller, 'getBlock', async provider => {
+    const block = await provider.getBlock(number);
+    if (!block) throw new Error(`Block ${number} is not available from this endpoint yet`);
+    return block;
+  });
+}
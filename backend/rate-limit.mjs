@@ -0,0 +1,90 @@
+import { isIP } from 'net';
+import { RATE_LIMITS, TRUSTED_PROXIES } from './config.mjs';
+
+const PRUNE_INTERVAL_MS = 600_000;
+
+/**
+ * The client's IP: the connecting peer, or when that is a trusted proxy, the
+ * nearest X-Forwarded-For hop that is not one.
+ */
+export function clientIp(req, trustedProxies = TRUSTED_PROXIES) {
+  const forwarded = (req.headers['x-forwarded-for'] || '').split(',').map(hop => hop.trim()).filter(hop => isIP(hop));
+  const hops = [...forwarded, req.socket.remoteAddress];
+  for (let i = hops.length - 1; i > 0; i--) {
+    if (!trustedProxies.includes(hops[i])) return hops[i];
+  }
+  return hops[0];
+}
+
+/**
+ * Take a token from a bucket of `capacity` tokens that refills over `windowMs`,
+ * last left with `bucket.tokens` at `bucket.updatedAt` (none: full).
+ */
+function refill(bucket, capacity, windowMs, now) {
+  const tokens = bucket
+    ? Math.min(capacity, bucket.tokens + Math.max(0, now - bucket.updatedAt) * capacity / windowMs)
+    : capacity;
+  const allowed = tokens >= 1;
+  return { allowed, tokens: allowed ? tokens - 1 : tokens };
+}
+
+/**
+ * Token-bucket rate limits per route (a key of `limits`) and client IP or
+ * wallet. Buckets are kept in `db`, so they hold across API processes, except
+ * for `localRoutes`: reads come too often to write the database for each one,
+ * so each process keeps their buckets in memory. Each check sets the
+ * `RateLimit-*` headers of the tightest bucket seen for the response, plus
+ * `Retry-After` when refused. Checks resolve to whether the request may go on.
+ */
+export function createRateLimiter({ db, limits = RATE_LIMITS, trustedProxies = TRUSTED_PROXIES, localRoutes = ['read'] }) {
+  const longestWindowMs = Math.max(...Object.values(limits).map(({ windowSec }) => windowSec)) * 1000;
+  const local = new Map(); // key -> { tokens, updatedAt }
+  let prunedAt = 0;
+
+  function takeLocal(key, capacity, windowMs, now) {
+    const taken = refill(local.get(key), capacity, windowMs, now);
+    local.set(key, { tokens: taken.tokens, updatedAt: now });
+    return taken;
+  }
+
+  async function take(res, route, subject) {
+    const { limit, windowSec } = limits[route];
+    const now = Date.now();
+    if (now - prunedAt > PRUNE_INTERVAL_MS) {
+      prunedAt = now;
+      await db.pruneRateLimits(now - longestWindowMs);
+      for (const [key, { updatedAt }] of local) {
+        if (updatedAt < now - longestWindowMs) local.delete(key);
+      }
+    }
+
+    const key = `${route}:${subject}`;
+    const { allowed, tokens } = localRoutes.includes(route)
+      ? takeLocal(key, limit, windowSec * 1000, now)
+      : await db.takeRateLimitToken(key, limit, windowSec * 1000, now);
+    const secPerToken = windowSec / limit;
+    const remaining = Math.floor(tokens);
+    if (remaining <= (res.getHeader('RateLimit-Remaining') ?? Infinity)) {
+      res.setHeader('RateLimit-Policy', `${limit};w=${windowSec}`);
+      res.setHeader('RateLimit-Limit', limit);
+      res.setHeader('RateLimit-Remaining', remaining);
+      res.setHeader('RateLimit-Reset', Math.ceil((limit - tokens) * secPerToken));
+    }
+    if (!allowed) res.setHeader('Retry-After', Math.ceil((1 - tokens) * secPerToken));
+    return allowed;
+  }
+
+  return {
+    clientIp: req => clientIp(req, trustedProxies),
+
+    // Count a request against the client IP's `route` bucket.
+    allowClient(req, res, route) {
+      return take(res, route, `ip:${clientIp(req, trustedProxies)}`);
+    },
+
+    // Count a request against the wallet's `route` bucket, once it has proven who it is.
+    allowWallet(res, route, address) {
+      return take(res, route, `wallet:${String(address).toLowerCase()}`);
+    },
+  };
+}
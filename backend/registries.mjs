@@ -0,0 +1,141 @@
+import { ethers } from 'ethers';
+import { REGISTRY_CACHE_MS } from './config.mjs';
+import { loadDeployments } from './deployments.mjs';
+import { createProvider } from './provider.mjs';
+
+const JUDGE_PROFILE_REGISTRY_ABI = [
+  "function getProfile(address judge) view returns (string displayName, string statement, string linkURI, string metadataURI, uint64 updatedAt)",
+];
+
+const OFFICIAL_DIRECTORY_ABI = [
+  "function getJudge(address judge) view returns (bool enabled, uint32 sortOrder, string displayName, string statement, string linkURI, uint64 updatedAt)",
+  "function getToken(address token) view returns (bool enabled, bool isDefaultToken, bool isWrappedNative, uint8 decimals, uint32 sortOrder, string symbol, string displayName, uint64 updatedAt)",
+];
+
+const ERC20_ABI = [
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)",
+];
+
+/**
+ * Chains from the deployments file with a provider each. The API can run
+ * without the file; registry lookups then return null.
+ */
+export function deploymentChains() {
+  let deployments;
+  try {
+    deployments = loadDeployments();
+  } catch (err) {
+    console.warn(`[registries] On-chain registries unavailable: ${err.message}`);
+    return [];
+  }
+  return deployments.map(chain => ({ ...chain, provider: createProvider(chain) }));
+}
+
+/**
+ * Cached reads of the on-chain JudgeProfileRegistry and OfficialBondDirectory,
+ * and of bond tokens' ERC-20 details.
+ * `chains` is a list of `{ chainId, provider, judgeProfileRegistry, officialDirectory }`.
+ * Every lookup resolves to null when the chain has no such registry, the entry
+ * was never set, or the RPC call fails.
+ */
+export function createRegistryReader({ chains = deploymentChains(), cacheMs = REGISTRY_CACHE_MS } = {}) {
+  const registries = new Map();
+  for (const chain of chains) {
+    registries.set(chain.chainId, {
+      provider: chain.provider,
+      profiles: chain.judgeProfileRegistry
+        ? new ethers.Contract(chain.judgeProfileRegistry, JUDGE_PROFILE_REGISTRY_ABI, chain.provider)
+        : null,
+      directory: chain.officialDirectory
+        ? new ethers.Contract(chain.officialDirectory, OFFICIAL_DIRECTORY_ABI, chain.provider)
+        : null,
+    });
+  }
+
+  const cache = new Map(); // key -> { expiresAt, value: Promise }
+  function cached(key, load) {
+    const now = Date.now();
+    const hit = cache.get(key);
+    if (hit && hit.expiresAt > now) return hit.value;
+    const value = load().catch(err => {
+      console.warn(`[registries] ${key} lookup failed:`, err.message);
+      cache.delete(key);
+      return null;
+    });
+    cache.set(key, { expiresAt: now + cacheMs, value });
+    return value;
+  }
+
+  function officialToken(chainId, token) {
+    const contract = registries.get(chainId)?.directory;
+    if (!contract) return Promise.resolve(null);
+    return cached(`token:${chainId}:${token.toLowerCase()}`, async () => {
+      const entry = await contract.getToken(token);
+      if (entry.updatedAt === 0n) return null;
+      return {
+        enabled: entry.enabled,
+        isDefaultToken: entry.isDefaultToken,
+        isWrappedNative: entry.isWrappedNative,
+        decimals: Number(entry.decimals),
+        sortOrder: Number(entry.sortOrder),
+        symbol: entry.symbol,
+        displayName: entry.displayName,
+        updatedAt: Number(entry.updatedAt),
+      };
+    });
+  }
+
+  return {
+    judgeProfile(chainId, judge) {
+      const contract = registries.get(chainId)?.profiles;
+      if (!contract) return Promise.resolve(null);
+      return cached(`profile:${chainId}:${judge.toLowerCase()}`, async () => {
+        const profile = await contract.getProfile(judge);
+        if (profile.updatedAt === 0n) return null;
+        return {
+          displayName: profile.displayName,
+          statement: profile.statement,
+          linkURI: profile.linkURI,
+          metadataURI: profile.metadataURI,
+          updatedAt: Number(profile.updatedAt),
+        };
+      });
+    },
+
+    officialJudge(chainId, judge) {
+      const contract = registries.get(chainId)?.directory;
+      if (!contract) return Promise.resolve(null);
+      return cached(`judge:${chainId}:${judge.toLowerCase()}`, async () => {
+        const entry = await contract.getJudge(judge);
+        if (entry.updatedAt === 0n) return null;
+        return {
+          enabled: entry.enabled,
+          sortOrder: Number(entry.sortOrder),
+          displayName: entry.displayName,
+          statement: entry.statement,
+          linkURI: entry.linkURI,
+          updatedAt: Number(entry.updatedAt),
+        };
+      });
+    },
+
+    officialToken,
+
+    /**
+     * `{ decimals, symbol }` for formatting amounts: the directory entry when the
+     * token has one, otherwise the token's own ERC-20 views.
+     */
+    tokenMetadata(chainId, token) {
+      const provider = registries.get(chainId)?.provider;
+      if (!provider) return Promise.resolve(null);
+      return cached(`erc20:${chainId}:${token.toLowerCase()}`, async () => {
+        const official = await officialToken(chainId, token);
+        if (official) return { decimals: official.decimals, symbol: official.symbol };
+        const erc20 = new ethers.Contract(token, ERC20_ABI, provider);
+        const [decimals, symbol] = await Promise.all([erc20.decimals(), erc20.symbol()]);
+        return { decimals: Number(decimals), symbol };
+      });
+    },
+  };
+}
@@ -0,0 +1,131 @@
+import { REMINDER_INTERVAL_MS, REMINDER_OFFSETS, REMINDER_GRACE_SEC } from './config.mjs';
+import defaultDb from './db.mjs';
+import { bondTimeline, refreshBond } from './indexer.mjs';
+import { queueNotification } from './digest.mjs';
+import { wantsNotification } from './preferences.mjs';
+import { reminderEmail } from './templates.mjs';
+
+// Who gets each reminder, which deadline it counts from, and whether it fires before or after it.
+const REMINDER_KINDS = {
+  concessionClosing: { role: 'poster', when: 'before', anchor: (t) => t.concessionDeadline, pending: true },
+  rulingWindowOpen:  { role: 'judge',  when: 'after',  anchor: (t) => t.rulingWindowStart, pending: true },
+  rulingDeadline:    { role: 'judge',  when: 'before', anchor: (t) => t.rulingDeadline, pending: true },
+  withdrawable:      { role: 'poster', when: 'after',  anchor: (t) => t.deadline, pending: false },
+};
+
+/**
+ * Reminders an open bond is due for at `now` (unix seconds). At most one offset per
+ * kind is returned: the closest one already reached, so a worker that was down does
+ * not send a burst of stale reminders when it comes back.
+ */
+export function dueReminders(bond, now, offsets = REMINDER_OFFSETS) {
+  if (bond.settled) return [];
+
+  const pending = bond.challenge_count > bond.current_challenge;
+  const timeline = bondTimeline(bond);
+  const due = [];
+
+  for (const [kind, spec] of Object.entries(REMINDER_KINDS)) {
+    if (spec.pending !== pending) continue;
+    const anchor = spec.anchor(timeline);
+
+    let offset;
+    if (spec.when === 'before') {
+      if (now >= anchor) continue;
+      const reached = (offsets[kind] || []).filter(o => now >= anchor - o);
+      if (reached.length > 0) offset = Math.min(...reached);
+    } else {
+      // A judge can only rule until the ruling deadline; don't nudge them after it.
+      if (kind === 'rulingWindowOpen' && now >= timeline.rulingDeadline) continue;
+      const reached = (offsets[kind] || []).filter(o => now >= anchor + o && now < anchor + o + REMINDER_GRACE_SEC);
+      if (reached.length > 0) offset = Math.max(...reached);
+    }
+
+    if (offset !== undefined) {
+      due.push({ kind, role: spec.role, offset, dueAt: anchor });
+    }
+  }
+
+  return due;
+}
+
+/**
+ * Queue every reminder that is due across all watched contracts.
+ * Candidates from the index are re-checked against the contract before queueing,
+ * since the index trails the chain head by the confirmation depth.
+ * Returns the number of reminder emails queued.
+ */
+export async function runReminders({ db = defaultDb, pollers, now = Math.floor(Date.now() / 1000) }) {
+  let queued = 0;
+
+  for (const poller of pollers) {
+    const { chainId, address } = poller;
+
+    for (const indexed of await db.getOpenBonds(chainId, address)) {
+      const bondId = indexed.bond_id;
+      if (dueReminders(indexed, now).length === 0) continue;
+
+      let state;
+      try {
+        state = await refreshBond(poller, bondId);
+      } catch (err) {
+        console.error(`[reminders] Failed to read bond ${bondId} on chain ${chainId}:`, err.message);
+        continue;
+      }
+
+      const bond = {
+        ...indexed,
+        settled: state.settled,
+        challenge_count: state.challengeCount,
+        current_challenge: state.currentChallenge,
+        last_challenge_time: state.lastChallengeTime,
+      };
+
+      for (const { kind, role, offset, dueAt } of dueReminders(bond, now)) {
+        const wallet = bond[role];
+        const subs = (await db.getVerifiedSubscriptions(chainId, [wallet])).filter(sub => wantsNotification(sub, kind, [role]));
+        for (const sub of subs) {
+          // Keyed on the deadline itself, so a new challenge that moves it earns a fresh reminder.
+          const inserted = await queueNotification(db, sub, {
+            dedupeKey: `reminder:${chainId}:${address.toLowerCase()}:${bondId}:${kind}:${offset}:${dueAt}:${sub.wallet_address}`,
+            chainId,
+            contract: address,
+            bondId,
+            eventType: `reminder:${kind}`,
+            metadata: bond.metadata,
+            render: () => reminderEmail(kind, bondId, chainId, address, bond.metadata, sub.wallet_address, { dueAt, now }),
+          });
+          if (inserted) {
+            queued++;
+            console.log(`[reminders] Queued ${kind} reminder to ${sub.email} for bond #${bondId} on chain ${chainId}`);
+          }
+        }
+      }
+    }
+  }
+
+  return queued;
+}
+
+/**
+ * Start the reminder loop over the watcher's pollers.
+ */
+export function startReminders({ db = defaultDb, pollers }) {
+  console.log('[reminders] Starting deadline reminder loop');
+
+  let running = false;
+  async function tick() {
+    if (running) return;
+    running = true;
+    try {
+      await runReminders({ db, pollers });
+    } catch (err) {
+      console.error('[reminders] Reminder error:', err.message);
+    } finally {
+      running = false;
+    }
+  }
+
+  tick();
+  setInterval(tick, REMINDER_INTERVAL_MS);
+}
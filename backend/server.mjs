@@ -1,10 +1,20 @@
 import { startApiServer } from './api-server.mjs';
 import { startWatcher } from './watcher.mjs';
+import { startDelivery } from './delivery.mjs';
+import { startReminders } from './reminders.mjs';
+import { startDigests } from './digest.mjs';
+import { startWebhookDelivery } from './webhooks.mjs';
+import { startChatDelivery } from './chat.mjs';
 
 // Compatibility entrypoint for the current single-service deploy.
 startApiServer({
   onListen: () => {
     console.log('[bond-notify] Starting combined API + worker mode');
-    startWatcher();
+    const pollers = startWatcher();
+    startDelivery();
+    startWebhookDelivery();
+    startChatDelivery();
+    startReminders({ pollers });
+    startDigests();
   },
 });
@@ -0,0 +1,234 @@
+import { ethers } from 'ethers';
+import { LEGACY_SIGNATURES_UNTIL, NOTIFY_BASE_URL } from './config.mjs';
+import { deploymentChains } from './registries.mjs';
+
+export const API_ORIGIN = new URL(NOTIFY_BASE_URL).origin;
+
+// EIP-712 types of the signed API requests. Optional lists are sent with an
+// `all*` flag, since typed data has no null: `allEvents: true` means every event.
+export const TYPED_DATA_TYPES = {
+  NotificationRegistration: [
+    { name: 'wallet', type: 'address' },
+    { name: 'email', type: 'string' },
+    { name: 'timestamp', type: 'uint256' },
+  ],
+  NotificationUnsubscribe: [
+    { name: 'wallet', type: 'address' },
+    { name: 'timestamp', type: 'uint256' },
+  ],
+  NotificationPreferences: [
+    { name: 'wallet', type: 'address' },
+    { name: 'allEvents', type: 'bool' },
+    { name: 'events', type: 'string[]' },
+    { name: 'allRoles', type: 'bool' },
+    { name: 'roles', type: 'string[]' },
+    { name: 'digest', type: 'string' },
+    { name: 'timestamp', type: 'uint256' },
+  ],
+  JudgeProfile: [
+    { name: 'wallet', type: 'address' },
+    { name: 'statement', type: 'string' },
+    { name: 'linkUrl', type: 'string' },
+    { name: 'timestamp', type: 'uint256' },
+  ],
+  WebhookRegistration: [
+    { name: 'wallet', type: 'address' },
+    { name: 'url', type: 'string' },
+    { name: 'timestamp', type: 'uint256' },
+  ],
+  WebhookRemoval: [
+    { name: 'wallet', type: 'address' },
+    { name: 'url', type: 'string' },
+    { name: 'timestamp', type: 'uint256' },
+  ],
+  ChatLink: [
+    { name: 'wallet', type: 'address' },
+    { name: 'channel', type: 'string' },
+    { name: 'chatId', type: 'string' },
+    { name: 'timestamp', type: 'uint256' },
+  ],
+  ChatUnlink: [
+    { name: 'wallet', type: 'address' },
+    { name: 'channel', type: 'string' },
+    { name: 'timestamp', type: 'uint256' },
+  ],
+};
+
+const ERC1271_ABI = [
+  "function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)",
+  "function isValidSignature(bytes data, bytes signature) view returns (bytes4)",
+];
+const ERC1271_MAGIC_VALUE = '0x1626ba7e';
+const ERC1271_LEGACY_MAGIC_VALUE = '0x20c13b0b';
+
+/**
+ * The signing domain: bound to the chain the request is about and, through
+ * `salt` (keccak256 of the origin), to this API's origin.
+ */
+export function typedDataDomain(chainId, origin = API_ORIGIN) {
+  return {
+    name: 'SimpleBond',
+    version: '1',
+    chainId: Number(chainId),
+    salt: ethers.id(origin),
+  };
+}
+
+/**
+ * The typed message for a preferences update, from the request's nullable fields.
+ */
+export function preferencesTypedMessage({ address, events, roles, digest, timestamp }) {
+  return {
+    wallet: address,
+    allEvents: events == null,
+    events: events ?? [],
+    allRoles: roles == null,
+    roles: roles ?? [],
+    digest: digest ?? '',
+    timestamp,
+  };
+}
+
+function legacyAccepted(legacyMessage, now) {
+  return legacyMessage !== null && now < LEGACY_SIGNATURES_UNTIL;
+}
+
+/**
+ * Check that an externally owned `address` signed a request, either as EIP-712
+ * `primaryType` over `message`, or as `personal_sign` over `legacyMessage` while
+ * legacy signatures are still accepted (pass null when the request never had a
+ * legacy form).
+ * Returns `'eip712'`, `'legacy'` or null when the signer is someone else.
+ * Throws on a malformed signature.
+ */
+export function verifySignedRequest({
+  address,
+  chainId,
+  signature,
+  primaryType,
+  message,
+  legacyMessage = null,
+  origin = API_ORIGIN,
+  now = Date.now(),
+}) {
+  const expected = address.toLowerCase();
+  const types = { [primaryType]: TYPED_DATA_TYPES[primaryType] };
+  let typedError = null;
+  try {
+    const recovered = ethers.verifyTypedData(typedDataDomain(chainId, origin), types, message, signature);
+    if (recovered.toLowerCase() === expected) return 'eip712';
+  } catch (err) {
+    typedError = err;
+  }
+
+  if (legacyAccepted(legacyMessage, now)) {
+    if (ethers.verifyMessage(legacyMessage, signature).toLowerCase() === expected) return 'legacy';
+    return null;
+  }
+  if (typedError) throw typedError;
+  return null;
+}
+
+/**
+ * The hash a verified request was signed over, given how it was signed
+ * (`'eip712'` or `'legacy'`). Replays of the request have the same digest.
+ */
+export function signedRequestDigest({ chainId, primaryType, message, legacyMessage = null, origin = API_ORIGIN }, signedBy) {
+  if (signedBy === 'legacy') return ethers.hashMessage(legacyMessage);
+  return ethers.TypedDataEncoder.hash(
+    typedDataDomain(chainId, origin),
+    { [primaryType]: TYPED_DATA_TYPES[primaryType] },
+    message
+  );
+}
+
+/**
+ * Ask a contract wallet whether it accepts `signature` for `hash` (ERC-1271).
+ * Safe 1.3+ wraps the hash in its own `SafeMessage` and checks its owners'
+ * signatures (or its on-chain approvals, for an empty signature) against that;
+ * Safe 1.1 and 1.2 only implement the original `isValidSignature(bytes, bytes)`.
+ */
+async function isValidContractSignature(provider, address, hash, signature) {
+  const wallet = new ethers.Contract(address, ERC1271_ABI, provider);
+  try {
+    if (await wallet['isValidSignature(bytes32,bytes)'](hash, signature) === ERC1271_MAGIC_VALUE) return true;
+  } catch {}
+  try {
+    return await wallet['isValidSignature(bytes,bytes)'](hash, signature) === ERC1271_LEGACY_MAGIC_VALUE;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Signature checks for signed API requests from EOAs and from smart-contract
+ * wallets such as Safes. `chains` is a list of `{ chainId, provider }`; an
+ * address with code on the request's chain is verified with ERC-1271 over the
+ * EIP-712 hash (or the legacy message hash during the transition).
+ */
+export function createSignatureVerifier({ chains = deploymentChains() } = {}) {
+  const providers = new Map(chains.map(chain => [chain.chainId, chain.provider]));
+
+  // The chain's provider when `address` is a contract there, otherwise null.
+  async function contractProvider(chainId, address) {
+    const provider = providers.get(Number(chainId));
+    if (!provider) return null;
+    try {
+      return await provider.getCode(address) !== '0x' ? provider : null;
+    } catch (err) {
+      console.warn(`[signatures] Could not check ${address} for contract code:`, err.message);
+      return null;
+    }
+  }
+
+  return {
+    /**
+     * Takes the arguments of verifySignedRequest. Resolves to `'eip712'`,
+     * `'legacy'` or null; rejects on a malformed signature from an EOA.
+     */
+    async verify(request) {
+      const { address, chainId, signature, legacyMessage = null, now = Date.now() } = request;
+      let eoaError = null;
+      try {
+        const signedBy = verifySignedRequest(request);
+        if (signedBy) return signedBy;
+      } catch (err) {
+        eoaError = err;
+      }
+
+      const provider = await contractProvider(chainId, address);
+      if (provider) {
+        const typedHash = signedRequestDigest(request, 'eip712');
+        if (await isValidContractSignature(provider, address, typedHash, signature)) return 'eip712';
+        if (legacyAccepted(legacyMessage, now)
+          && await isValidContractSignature(provider, address, signedRequestDigest(request, 'legacy'), signature)) {
+          return 'legacy';
+        }
+        return null;
+      }
+
+      if (eoaError) throw eoaError;
+      return null;
+    },
+
+    /**
+     * Check a `personal_sign` signature over `message`, such as a Sign-In with
+     * Ethereum message. Resolves to a boolean; rejects on a malformed
+     * signature from an EOA.
+     */
+    async verifyMessage({ address, chainId, message, signature }) {
+      let eoaError = null;
+      try {
+        if (ethers.verifyMessage(message, signature).toLowerCase() === address.toLowerCase()) return true;
+      } catch (err) {
+        eoaError = err;
+      }
+
+      const provider = await contractProvider(chainId, address);
+      if (provider) return isValidContractSignature(provider, address, ethers.hashMessage(message), signature);
+
+      if (eoaError) throw eoaError;
+      return false;
+    },
+  };
+}
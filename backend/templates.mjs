@@ -55,28 +55,74 @@ export function verificationEmail(address, chainId) {
   };
 }
 
-export function eventEmail(eventType, bondId, chainId, metadata, address) {
-  const chain = CHAIN_NAMES[chainId] || `Chain ${chainId}`;
-  const bondLink = `${FRONTEND_BASE_URL}?chain=${chainId}&bond=${bondId}`;
-  const unsubLink = `${NOTIFY_BASE_URL}/api/notify/unsubscribe?token=${encodeURIComponent(unsubToken(address, chainId))}`;
+const EVENT_DESCRIPTIONS = {
+  BondCreated: 'You have been named as <strong>judge</strong> for a new bond.',
+  Challenged: 'A bond you are involved with has been <strong>challenged</strong>.',
+  ClaimConceded: 'The poster has <strong>conceded</strong> their claim.',
+  RuledForChallenger: 'The judge ruled <strong>in favor of the challenger</strong>.',
+  RuledForPoster: 'The judge ruled <strong>in favor of the poster</strong>.',
+  ChallengeRefunded: 'Your challenge deposit has been <strong>refunded</strong>.',
+  BondWithdrawn: 'Your bond has been <strong>withdrawn</strong> successfully.',
+  BondTimedOut: 'The bond has <strong>timed out</strong> (judge missed the ruling deadline).',
+  BondRejectedByJudge: 'The judge has <strong>rejected</strong> this bond. All parties refunded.',
+};
+
+const REMINDERS = {
+  concessionClosing: {
+    title: 'Concession window closing',
+    label: 'Closes',
+    desc: (remaining) => `Your bond has a pending challenge. The <strong>concession window closes in ${remaining}</strong>; after that only the judge can settle it.`,
+  },
+  rulingWindowOpen: {
+    title: 'Ruling window open',
+    label: 'Opened',
+    desc: () => 'The <strong>ruling window is now open</strong> for a bond you judge. Please rule on the pending challenge.',
+  },
+  rulingDeadline: {
+    title: 'Ruling deadline approaching',
+    label: 'Deadline',
+    desc: (remaining) => `The <strong>ruling deadline is in ${remaining}</strong> for a bond you judge. If you do not rule in time, anyone can time the bond out.`,
+  },
+  withdrawable: {
+    title: 'Bond can be withdrawn',
+    label: 'Deadline',
+    desc: () => 'Your bond passed its deadline without a pending challenge. You can now <strong>withdraw</strong> it.',
+  },
+};
+
+export function chainName(chainId) {
+  return CHAIN_NAMES[chainId] || `Chain ${chainId}`;
+}
+
+/**
+ * Frontend link to a bond. Bond ids are only unique per contract, so the link
+ * names the contract too.
+ */
+export function bondUrl(chainId, contract, bondId) {
+  return `${FRONTEND_BASE_URL}?chain=${chainId}&contract=${contract.toLowerCase()}&bond=${bondId}`;
+}
 
-  const claim = metadata
+function unsubUrl(address, chainId) {
+  return `${NOTIFY_BASE_URL}/api/notify/unsubscribe?token=${encodeURIComponent(unsubToken(address, chainId))}`;
+}
+
+function claimSummary(metadata) {
+  return metadata
     ? (metadata.length > 200 ? metadata.slice(0, 200) + '...' : metadata)
     : '(no metadata)';
+}
 
-  const descriptions = {
-    BondCreated: 'You have been named as <strong>judge</strong> for a new bond.',
-    Challenged: 'A bond you are involved with has been <strong>challenged</strong>.',
-    ClaimConceded: 'The poster has <strong>conceded</strong> their claim.',
-    RuledForChallenger: 'The judge ruled <strong>in favor of the challenger</strong>.',
-    RuledForPoster: 'The judge ruled <strong>in favor of the poster</strong>.',
-    ChallengeRefunded: 'Your challenge deposit has been <strong>refunded</strong>.',
-    BondWithdrawn: 'Your bond has been <strong>withdrawn</strong> successfully.',
-    BondTimedOut: 'The bond has <strong>timed out</strong> (judge missed the ruling deadline).',
-    BondRejectedByJudge: 'The judge has <strong>rejected</strong> this bond. All parties refunded.',
-  };
+function viewBondButton(chainId, contract, bondId) {
+  return `<p><a href="${bondUrl(chainId, contract, bondId)}" style="display: inline-block; padding: 10px 24px; background: #2563eb; color: white; text-decoration: none; border-radius: 6px;">View Bond</a></p>`;
+}
 
-  const desc = descriptions[eventType] || `Event: ${eventType}`;
+function unsubscribeFooter(address, chainId) {
+  return `<p style="font-size: 12px; color: #999; margin-top: 24px;"><a href="${unsubUrl(address, chainId)}" style="color: #999;">Unsubscribe</a></p>`;
+}
+
+export function eventEmail(eventType, bondId, chainId, contract, metadata, address) {
+  const chain = chainName(chainId);
+  const desc = EVENT_DESCRIPTIONS[eventType] || `Event: ${eventType}`;
 
   return {
     subject: `[SimpleBond] ${eventType} — Bond #${bondId} (${chain})`,
@@ -87,10 +133,120 @@ export function eventEmail(eventType, bondId, chainId, metadata, address) {
         <tr><td style="padding: 6px 0; color: #666; width: 100px;">Bond ID</td><td><strong>#${bondId}</strong></td></tr>
         <tr><td style="padding: 6px 0; color: #666;">Chain</td><td>${chain}</td></tr>
         <tr><td style="padding: 6px 0; color: #666;">Event</td><td>${eventType}</td></tr>
-        <tr><td style="padding: 6px 0; color: #666;">Claim</td><td style="font-size: 13px;">${escapeHtml(claim)}</td></tr>
+        <tr><td style="padding: 6px 0; color: #666;">Claim</td><td style="font-size: 13px;">${escapeHtml(claimSummary(metadata))}</td></tr>
+      </table>
+      ${viewBondButton(chainId, contract, bondId)}
+      ${unsubscribeFooter(address, chainId)}
+    `),
+  };
+}
+
+/**
+ * The same event as eventEmail, as a chat message (chat-app HTML subset).
+ */
+export function eventChatMessage(eventType, bondId, chainId, contract, metadata) {
+  const desc = EVENT_DESCRIPTIONS[eventType] || `Event: ${eventType}`;
+  return [
+    `<b>Bond #${bondId} on ${chainName(chainId)}</b>`,
+    desc,
+    `Claim: ${escapeHtml(claimSummary(metadata))}`,
+    `<a href="${bondUrl(chainId, contract, bondId)}">View bond</a>`,
+  ].join('\n\n');
+}
+
+export function chatLinkMessage(address, chainId, verifyUrl) {
+  return [
+    '<b>Link SimpleBond notifications</b>',
+    `Wallet <code>${address}</code> asked to send its SimpleBond notifications on ${chainName(chainId)} to this chat.`,
+    `<a href="${verifyUrl}">Confirm</a> to start receiving them. If you didn't request this, ignore this message.`,
+  ].join('\n\n');
+}
+
+function formatDuration(seconds) {
+  const units = [['day', 86400], ['hour', 3600], ['minute', 60]];
+  for (const [unit, size] of units) {
+    if (seconds >= size) {
+      const n = Math.round(seconds / size);
+      return `${n} ${unit}${n === 1 ? '' : 's'}`;
+    }
+  }
+  return 'less than a minute';
+}
+
+/**
+ * Time-based reminder for a deadline of an open bond. `dueAt` is the unix time of
+ * the deadline the reminder is about.
+ */
+export function reminderEmail(kind, bondId, chainId, contract, metadata, address, { dueAt, now }) {
+  const chain = chainName(chainId);
+  const remaining = formatDuration(Math.max(0, dueAt - now));
+  const reminder = REMINDERS[kind] || { title: kind, label: 'Due', desc: () => `Reminder: ${kind}` };
+  const due = new Date(dueAt * 1000).toUTCString();
+
+  return {
+    subject: `[SimpleBond] ${reminder.title} — Bond #${bondId} (${chain})`,
+    html: layout(`
+      <h2>Bond #${bondId} on ${chain}</h2>
+      <p>${reminder.desc(remaining)}</p>
+      <table style="width: 100%; border-collapse: collapse; margin: 16px 0;">
+        <tr><td style="padding: 6px 0; color: #666; width: 100px;">Bond ID</td><td><strong>#${bondId}</strong></td></tr>
+        <tr><td style="padding: 6px 0; color: #666;">Chain</td><td>${chain}</td></tr>
+        <tr><td style="padding: 6px 0; color: #666;">${reminder.label}</td><td>${due}</td></tr>
+        <tr><td style="padding: 6px 0; color: #666;">Claim</td><td style="font-size: 13px;">${escapeHtml(claimSummary(metadata))}</td></tr>
       </table>
-      <p><a href="${bondLink}" style="display: inline-block; padding: 10px 24px; background: #2563eb; color: white; text-decoration: none; border-radius: 6px;">View Bond</a></p>
-      <p style="font-size: 12px; color: #999; margin-top: 24px;"><a href="${unsubLink}" style="color: #999;">Unsubscribe</a></p>
+      ${viewBondButton(chainId, contract, bondId)}
+      ${unsubscribeFooter(address, chainId)}
+    `),
+  };
+}
+
+function digestStatus(status, now) {
+  if (!status) return 'Status unknown';
+  if (status.settled) return status.conceded ? 'Settled (conceded)' : 'Settled';
+  if (status.pendingChallenges === 0) {
+    return now >= status.deadline ? 'No pending challenges; withdrawable' : 'Open, no pending challenges';
+  }
+  const pending = `${status.pendingChallenges} pending challenge${status.pendingChallenges === 1 ? '' : 's'}`;
+  if (now < status.rulingWindowStart) {
+    return `${pending}; ruling window opens in ${formatDuration(status.rulingWindowStart - now)}`;
+  }
+  if (now < status.rulingDeadline) {
+    return `${pending}; ${formatDuration(status.rulingDeadline - now)} left to rule`;
+  }
+  return `${pending}; ruling deadline passed`;
+}
+
+/**
+ * One email summarizing a subscriber's notifications for the period, grouped by bond.
+ * `bonds` is [{ contract, bondId, metadata, events: [eventType], status }], where `status` comes
+ * from the indexed bond (null if it is not indexed) and `now` is unix seconds.
+ */
+export function digestEmail(period, chainId, address, bonds, now) {
+  const chain = chainName(chainId);
+  const count = bonds.reduce((sum, bond) => sum + bond.events.length, 0);
+
+  const sections = bonds.map(({ contract, bondId, metadata, events, status }) => {
+    const lines = events.map((eventType) => {
+      const reminder = REMINDERS[eventType.replace(/^reminder:/, '')];
+      const desc = EVENT_DESCRIPTIONS[eventType]
+        || (reminder && `Reminder: <strong>${reminder.title}</strong>`)
+        || `Event: ${eventType}`;
+      return `<li style="margin: 4px 0;">${desc}</li>`;
+    }).join('');
+
+    return `
+      <h3 style="margin: 24px 0 4px;"><a href="${bondUrl(chainId, contract, bondId)}" style="color: #2563eb;">Bond #${bondId}</a></h3>
+      <p style="margin: 0; font-size: 13px; color: #666;">${escapeHtml(claimSummary(metadata))}</p>
+      <ul style="padding-left: 20px;">${lines}</ul>
+      <p style="margin: 0; font-size: 13px;"><strong>Now:</strong> ${digestStatus(status, now)}</p>`;
+  }).join('');
+
+  return {
+    subject: `[SimpleBond] Your ${period} digest — ${count} update${count === 1 ? '' : 's'} on ${bonds.length} bond${bonds.length === 1 ? '' : 's'} (${chain})`,
+    html: layout(`
+      <h2>Your ${period} digest for ${chain}</h2>
+      ${sections}
+      ${unsubscribeFooter(address, chainId)}
     `),
   };
 }
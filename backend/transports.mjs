@@ -0,0 +1,120 @@
+import { appendFileSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { randomUUID } from 'crypto';
+import { SES_REGION, SMTP_URL, MAIL_FILE_PATH } from './config.mjs';
+
+// A transport is `{ name, send({ from, to, subject, html, text }) }`.
+// `send` resolves to a provider message id and throws on failure.
+
+/**
+ * AWS SES. The SDK is loaded on first send so other transports run without it.
+ */
+export function createSesTransport({ region = SES_REGION } = {}) {
+  let client = null;
+  let SendEmailCommand = null;
+
+  return {
+    name: 'ses',
+    async send({ from, to, subject, html, text }) {
+      if (!client) {
+        const ses = await import('@aws-sdk/client-ses');
+        client = new ses.SESClient({ region });
+        SendEmailCommand = ses.SendEmailCommand;
+      }
+      const res = await client.send(new SendEmailCommand({
+        Source: from,
+        Destination: { ToAddresses: [to] },
+        Message: {
+          Subject: { Data: subject, Charset: 'UTF-8' },
+          Body: {
+            Html: { Data: html, Charset: 'UTF-8' },
+            Text: { Data: text, Charset: 'UTF-8' },
+          },
+        },
+      }));
+      return res.MessageId;
+    },
+  };
+}
+
+/**
+ * Plain SMTP through nodemailer, configured by a connection URL.
+ */
+export function createSmtpTransport({ url = SMTP_URL } = {}) {
+  if (!url) {
+    throw new Error('SMTP transport requires BOND_NOTIFY_SMTP_URL');
+  }
+  let transporter = null;
+
+  return {
+    name: 'smtp',
+    async send({ from, to, subject, html, text }) {
+      if (!transporter) {
+        const { default: nodemailer } = await import('nodemailer');
+        transporter = nodemailer.createTransport(url);
+      }
+      const info = await transporter.sendMail({ from, to, subject, html, text });
+      return info.messageId;
+    },
+  };
+}
+
+/**
+ * Append each message as one JSON line. Meant for local development.
+ */
+export function createFileTransport({ path = MAIL_FILE_PATH } = {}) {
+  mkdirSync(dirname(path), { recursive: true });
+
+  return {
+    name: 'file',
+    async send(message) {
+      const id = `file-${randomUUID()}`;
+      appendFileSync(path, JSON.stringify({ id, sentAt: new Date().toISOString(), ...message }) + '\n');
+      return id;
+    },
+  };
+}
+
+export function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send({ to, subject, text }) {
+      const id = `console-${randomUUID()}`;
+      console.log(`[mailer] (console) To: ${to}\nSubject: ${subject}\n\n${text}`);
+      return id;
+    },
+  };
+}
+
+/**
+ * Keeps messages in `transport.messages` so tests can assert on them.
+ */
+export function createMemoryTransport() {
+  const messages = [];
+
+  return {
+    name: 'memory',
+    messages,
+    async send(message) {
+      const id = `memory-${messages.length + 1}`;
+      messages.push({ id, ...message });
+      return id;
+    },
+  };
+}
+
+const FACTORIES = {
+  ses: createSesTransport,
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport,
+  memory: createMemoryTransport,
+};
+
+export function createTransport(name, options) {
+  const factory = FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown mail transport "${name}" (expected one of: ${Object.keys(FACTORIES).join(', ')})`);
+  }
+  return factory(options);
+}
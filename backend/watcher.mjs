@@ -1,40 +1,72 @@
 import { ethers } from 'ethers';
-import { CHAINS, CONTRACT_ABI, CONFIRMATION_BLOCKS, BLOCK_CHUNK, POLL_INTERVAL_MS, EVENT_RECIPIENTS } from './config.mjs';
-import db from './db.mjs';
-import { sendEmail } from './mailer.mjs';
-import { eventEmail } from './templates.mjs';
+import {
+  CONTRACT_ABIS,
+  BLOCK_HASH_HISTORY,
+  LIVE_ACTIVITY_RETENTION_MS,
+  POLL_INTERVAL_MS,
+  EVENT_RECIPIENTS,
+} from './config.mjs';
+import defaultDb from './db.mjs';
+import { loadDeployments } from './deployments.mjs';
+import { blockTimestamps, indexEvent, replayBond, rewindIndex } from './indexer.mjs';
+import { metrics } from './metrics.mjs';
+import { queueNotification } from './digest.mjs';
+import { wantsNotification } from './preferences.mjs';
+import { eventEmail, eventChatMessage } from './templates.mjs';
+import { webhookPayload } from './webhooks.mjs';
+import { createChainRpc, getBlock, poolOf, rpc } from './provider.mjs';
+
+const logsProcessed = metrics.counter(
+  'bond_notify_logs_processed_total',
+  'Contract logs the watcher has processed',
+  ['chain_id', 'contract']
+);
+const chainHead = metrics.gauge('bond_notify_chain_head_block', 'Latest block number seen on each chain', ['chain_id']);
+const blocksBehind = metrics.gauge(
+  'bond_notify_blocks_behind_head',
+  'Blocks between the chain head and the last block processed for a contract, confirmation depth included',
+  ['chain_id', 'contract']
+);
+const logRange = metrics.gauge('bond_notify_log_range_blocks', 'Block range of the watcher\'s next getLogs call', ['chain_id']);
 
 /**
- * For a given event, resolve the set of wallet addresses that should be notified.
+ * For a given event, resolve the wallet addresses that should be notified,
+ * each with the roles it plays in the bond (an address can be poster and judge).
  */
-async function resolveRecipients(contract, eventName, parsedLog, bondId) {
-  const addresses = new Set();
+async function resolveRecipients(poller, eventName, parsedLog, bondId) {
+  const { contract } = poller;
+  const recipients = new Map(); // address -> Set of roles
+  const add = (address, role) => {
+    const key = address.toLowerCase();
+    if (!recipients.has(key)) recipients.set(key, new Set());
+    recipients.get(key).add(role);
+  };
   const roles = EVENT_RECIPIENTS[eventName] || [];
 
   let bond;
   try {
-    bond = await contract.bonds(bondId);
+    bond = await rpc(poller, 'call', provider => contract.connect(provider).bonds(bondId));
   } catch (err) {
     console.error(`[watcher] Failed to read bond ${bondId}:`, err.message);
-    return [];
+    return recipients;
   }
 
   for (const role of roles) {
     if (role === 'poster') {
-      addresses.add(bond.poster.toLowerCase());
+      add(bond.poster, role);
     } else if (role === 'judge') {
-      addresses.add(bond.judge.toLowerCase());
+      add(bond.judge, role);
     } else if (role === 'challenger') {
       // Single challenger from event args
       const challenger = parsedLog.args.challenger;
-      if (challenger) addresses.add(challenger.toLowerCase());
+      if (challenger) add(challenger, role);
     } else if (role === 'challengers') {
       // All challengers for this bond
       try {
-        const count = await contract.getChallengeCount(bondId);
+        const count = await rpc(poller, 'call', provider => contract.connect(provider).getChallengeCount(bondId));
         for (let i = 0; i < Number(count); i++) {
-          const ch = await contract.getChallenge(bondId, i);
-          addresses.add(ch.challenger.toLowerCase());
+          const ch = await rpc(poller, 'call', provider => contract.connect(provider).getChallenge(bondId, i));
+          add(ch.challenger, role);
         }
       } catch (err) {
         console.error(`[watcher] Failed to read challenges for bond ${bondId}:`, err.message);
@@ -42,123 +74,433 @@ async function resolveRecipients(contract, eventName, parsedLog, bondId) {
     }
   }
 
-  return [...addresses];
+  return recipients;
 }
 
 /**
- * Process a batch of logs from a single chain.
+ * Identity of an event that survives re-inclusion in a different block after
+ * a reorg. The same transaction emits the same events wherever it lands, so
+ * this is what delivery deduplication keys on.
  */
-async function processLogs(contract, chainId, logs, iface) {
-  for (const log of logs) {
-    let parsed;
-    try {
-      parsed = iface.parseLog({ topics: log.topics, data: log.data });
-    } catch {
-      continue; // skip unrecognized logs
-    }
-    if (!parsed) continue; // ethers v6 returns null for unmatched logs
+function eventKey(log, parsed) {
+  const challengeIndex = parsed.args.challengeIndex ?? '';
+  return `${log.address.toLowerCase()}:${log.transactionHash}:${parsed.name}:${parsed.args.bondId}:${challengeIndex}`;
+}
+
+function describe(poller) {
+  return `Chain ${poller.chainId} ${poller.address}`;
+}
 
-    const eventName = parsed.name;
-    if (!EVENT_RECIPIENTS[eventName]) continue;
+/**
+ * Who an event should reach: verified subscribers, webhooks and chat links of
+ * the wallets involved, minus anyone who opted out, plus the bond's metadata
+ * for the message body. `skipped` lists the wallets involved that nothing
+ * reaches, with the reason. Reads the database but never writes to it.
+ * Returns null for events nobody is notified about.
+ */
+async function eventDeliveries(poller, log, parsed) {
+  const { chainId, contract, db } = poller;
+  const eventName = parsed.name;
+  if (!EVENT_RECIPIENTS[eventName]) return null;
+
+  const bondId = Number(parsed.args.bondId);
+  const recipients = await resolveRecipients(poller, eventName, parsed, bondId);
+  if (recipients.size === 0) return null;
+
+  // Look up verified subscriptions for these addresses, minus anyone who opted out
+  const addresses = [...recipients.keys()];
+  const verified = await db.getVerifiedSubscriptions(chainId, addresses);
+  const linked = await db.getVerifiedChatLinks(chainId, addresses);
+  const webhooks = await db.getActiveWebhooks(chainId, addresses);
+  // Every channel honours the wallet's event and role preferences.
+  const wanted = row => wantsNotification(row, eventName, recipients.get(row.wallet_address));
+  const subs = verified.filter(wanted);
+  const hooks = webhooks.filter(wanted);
+  const chats = linked.filter(wanted);
 
-    const bondId = Number(parsed.args.bondId);
-    const recipients = await resolveRecipients(contract, eventName, parsed, bondId);
-    if (recipients.length === 0) continue;
+  const reached = new Set([...subs, ...hooks, ...chats].map(({ wallet_address }) => wallet_address));
+  const subscribed = new Set([...verified, ...linked, ...webhooks].map(({ wallet_address }) => wallet_address));
+  const skipped = addresses.filter(address => !reached.has(address))
+    .map(address => ({ address, reason: subscribed.has(address) ? 'opted out' : 'not subscribed' }));
 
-    // Get bond metadata for email
-    let metadata = '';
+  // Get bond metadata for the message body
+  let metadata = '';
+  if (reached.size > 0) {
     try {
-      const bond = await contract.bonds(bondId);
+      const bond = await rpc(poller, 'call', provider => contract.connect(provider).bonds(bondId));
       metadata = bond.metadata || '';
     } catch {}
+  }
+
+  return { eventName, bondId, key: eventKey(log, parsed), recipients, subs, hooks, chats, skipped, metadata };
+}
 
-    // Look up verified subscriptions for these addresses
-    const subs = db.getVerifiedSubscriptions(chainId, recipients);
-    if (subs.length === 0) continue;
+function parseEvent(iface, log) {
+  try {
+    return iface.parseLog({ topics: log.topics, data: log.data }); // null for unmatched logs
+  } catch {
+    return null; // skip unrecognized logs
+  }
+}
+
+/**
+ * Process a batch of logs from a single bond contract.
+ */
+async function processLogs(poller, logs) {
+  const { chainId, iface, db } = poller;
+  const timestampOf = blockTimestamps(poller);
+
+  for (const log of logs) {
+    const parsed = parseEvent(iface, log);
+    if (!parsed) continue;
+
+    // Keep indexed bond state current for reminders, whether or not anyone is notified.
+    await indexEvent(poller, log, parsed, timestampOf);
+
+    const deliveries = await eventDeliveries(poller, log, parsed);
+    if (!deliveries) continue;
+    const { eventName, bondId, key, recipients, subs, hooks, chats, metadata } = deliveries;
 
     for (const sub of subs) {
-      const { subject, html } = eventEmail(eventName, bondId, chainId, metadata, sub.wallet_address);
-      const msgId = await sendEmail(sub.email, subject, html);
-      if (msgId) {
-        db.logEmail(sub.wallet_address, chainId, bondId, eventName, msgId);
-        console.log(`[watcher] Sent ${eventName} email to ${sub.email} for bond #${bondId} on chain ${chainId}`);
+      // Re-processing a range after a reorg hits the same dedupe key, so nobody is emailed twice.
+      const queued = await queueNotification(db, sub, {
+        dedupeKey: `${chainId}:${key}:${sub.wallet_address}`,
+        chainId,
+        contract: poller.address,
+        blockNumber: log.blockNumber,
+        bondId,
+        eventType: eventName,
+        metadata,
+        render: () => eventEmail(eventName, bondId, chainId, poller.address, metadata, sub.wallet_address),
+      });
+      if (queued) {
+        console.log(`[watcher] Queued ${eventName} ${sub.digest ? 'digest item' : 'email'} for ${sub.email} for bond #${bondId} on chain ${chainId}`);
+      }
+    }
+
+    for (const hook of hooks) {
+      const payload = webhookPayload({
+        chainId,
+        log,
+        parsed,
+        address: hook.wallet_address,
+        roles: recipients.get(hook.wallet_address),
+      });
+      const queued = await db.enqueueWebhookDelivery({
+        webhookId: hook.id,
+        dedupeKey: `webhook:${hook.id}:${chainId}:${key}`,
+        chainId,
+        contract: poller.address,
+        blockNumber: log.blockNumber,
+        eventType: eventName,
+        payload: JSON.stringify(payload),
+      });
+      if (queued) {
+        console.log(`[watcher] Queued ${eventName} webhook #${hook.id} for bond #${bondId} on chain ${chainId}`);
+      }
+    }
+
+    for (const link of chats) {
+      const queued = await db.enqueueChatMessage({
+        dedupeKey: `chat:${link.channel}:${link.chat_id}:${chainId}:${key}`,
+        channel: link.channel,
+        chatId: link.chat_id,
+        address: link.wallet_address,
+        chainId,
+        contract: poller.address,
+        blockNumber: log.blockNumber,
+        bondId,
+        eventType: eventName,
+        text: eventChatMessage(eventName, bondId, chainId, poller.address, metadata),
+      });
+      if (queued) {
+        console.log(`[watcher] Queued ${eventName} ${link.channel} message for bond #${bondId} on chain ${chainId}`);
+      }
+    }
+  }
+}
+
+/**
+ * Backfill mode: what the watcher would send for the contract's events in
+ * blocks `fromBlock`–`toBlock`, under today's subscriptions and preferences,
+ * without queueing, indexing or touching the live checkpoint. Emails are
+ * rendered; digest subscribers get a `digest` entry instead, and wallets
+ * nothing reaches get a `none` entry with the reason. Each entry names its
+ * block, transaction, event, bond, channel, wallet, roles and recipient.
+ */
+export async function backfillRange(poller, fromBlock, toBlock) {
+  const { chainId, iface, address } = poller;
+  const notifications = [];
+
+  await poolOf(poller).scanLogs({ address }, fromBlock, toBlock, async (logs, from, to) => {
+    console.log(`[watcher] ${describe(poller)}: backfilling blocks ${from}–${to}`);
+
+    for (const log of logs) {
+      const parsed = parseEvent(iface, log);
+      if (!parsed) continue;
+      const deliveries = await eventDeliveries(poller, log, parsed);
+      if (!deliveries) continue;
+      const { eventName, bondId, recipients, subs, hooks, chats, skipped, metadata } = deliveries;
+      const entry = (wallet, fields) => ({
+        blockNumber: log.blockNumber,
+        transactionHash: log.transactionHash,
+        event: eventName,
+        bondId,
+        address: wallet,
+        roles: [...recipients.get(wallet)],
+        ...fields,
+      });
+
+      for (const sub of subs) {
+        notifications.push(entry(sub.wallet_address, sub.digest
+          ? { channel: 'digest', to: sub.email }
+          : { channel: 'email', to: sub.email, ...eventEmail(eventName, bondId, chainId, address, metadata, sub.wallet_address) }));
+      }
+      for (const hook of hooks) {
+        notifications.push(entry(hook.wallet_address, {
+          channel: 'webhook',
+          to: hook.url,
+          payload: webhookPayload({ chainId, log, parsed, address: hook.wallet_address, roles: recipients.get(hook.wallet_address) }),
+        }));
+      }
+      for (const link of chats) {
+        notifications.push(entry(link.wallet_address, {
+          channel: link.channel,
+          to: link.chat_id,
+          text: eventChatMessage(eventName, bondId, chainId, address, metadata),
+        }));
+      }
+      for (const { address: wallet, reason } of skipped) {
+        notifications.push(entry(wallet, { channel: 'none', reason }));
+      }
+    }
+  });
+
+  return notifications;
+}
+
+const REPORT_COLUMNS = ['blockNumber', 'transactionHash', 'event', 'bondId', 'channel', 'address', 'roles', 'to', 'subject', 'reason'];
+
+function csvField(value) {
+  const text = Array.isArray(value) ? value.join(' ') : String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * A backfill as a report file: 'json' keeps every field, rendered messages
+ * included; 'csv' has one row per entry with the columns in REPORT_COLUMNS.
+ */
+export function formatBackfillReport(notifications, format) {
+  if (format === 'json') return `${JSON.stringify(notifications, null, 2)}\n`;
+  if (format !== 'csv') throw new Error(`Unknown report format: ${format}`);
+  const rows = notifications.map(n => REPORT_COLUMNS.map(column => csvField(n[column])).join(','));
+  return `${[REPORT_COLUMNS.join(','), ...rows].join('\r\n')}\r\n`;
+}
+
+/**
+ * Fill in the bond index up to `toBlock`, starting where it left off or at the
+ * contract's startBlock, without notifying anyone or feeding the live activity
+ * stream. This covers blocks the notification checkpoint is already past, such
+ * as those before a checkpoint adopted from the single-contract watcher.
+ */
+export async function backfillIndex(poller, toBlock) {
+  const { chainId, iface, address, startBlock, db } = poller;
+  const indexed = await db.getIndexCheckpoint(chainId, address);
+  const fromBlock = indexed !== null ? indexed + 1 : startBlock;
+  if (fromBlock > toBlock) return;
+
+  await poolOf(poller).scanLogs({ address }, fromBlock, toBlock, async (logs, from, to) => {
+    console.log(`[watcher] ${describe(poller)}: indexing blocks ${from}–${to}`);
+    const timestampOf = blockTimestamps(poller);
+    const added = new Set();
+    for (const log of logs) {
+      const parsed = parseEvent(iface, log);
+      if (parsed && await indexEvent(poller, log, parsed, timestampOf, { live: false })) {
+        added.add(Number(parsed.args.bondId));
       }
     }
+
+    await db.transaction(async () => {
+      // Later events of these bonds may have been indexed first: replay them in order.
+      for (const bondId of added) await replayBond(db, chainId, address, bondId);
+      await db.setIndexCheckpoint(chainId, address, to);
+    });
+  });
+}
+
+/**
+ * Move the checkpoint back to `block`, drop undelivered notifications for the
+ * orphaned events and rebuild indexed bonds without them, in one transaction.
+ */
+function rollback(poller, block) {
+  const { chainId, address, db } = poller;
+  return db.transaction(async () => {
+    await db.rollbackCheckpoint(chainId, address, block);
+    const dropped = await db.deleteQueuedAfter(chainId, address, block);
+    if (dropped > 0) console.warn(`[watcher] ${describe(poller)}: dropped ${dropped} queued notification(s) for orphaned events`);
+    const rebuilt = await rewindIndex(db, chainId, address, block);
+    if (rebuilt > 0) console.warn(`[watcher] ${describe(poller)}: rebuilt ${rebuilt} indexed bond(s) after the reorg`);
+  });
+}
+
+/**
+ * Check the hashes we stored for already-processed blocks against the chain.
+ * If a stored hash is no longer canonical, rewind the checkpoint to the newest
+ * block that still is, so the orphaned range gets scanned again.
+ * Returns the (possibly rewound) checkpoint.
+ */
+async function reconcileReorg(poller, checkpoint) {
+  const { chainId, address, db } = poller;
+  const stored = await db.getRecentBlockHashes(chainId, address, checkpoint, BLOCK_HASH_HISTORY);
+  if (stored.length === 0) return checkpoint;
+
+  for (const { block_number: number, block_hash: hash } of stored) {
+    const block = await rpc(poller, 'getBlock', provider => provider.getBlock(number));
+    if (block && block.hash === hash) {
+      if (number === checkpoint) return checkpoint;
+      console.warn(`[watcher] ${describe(poller)}: reorg detected, rewinding checkpoint ${checkpoint} → ${number}`);
+      await rollback(poller, number);
+      return number;
+    }
   }
+
+  // Nothing we remember is canonical any more: rewind past all of it.
+  const rewindTo = stored[stored.length - 1].block_number - 1;
+  console.warn(`[watcher] ${describe(poller)}: reorg deeper than stored history, rewinding checkpoint ${checkpoint} → ${rewindTo}`);
+  await rollback(poller, rewindTo);
+  return rewindTo;
 }
 
 /**
- * Poll a single chain for new events.
+ * Poll a single bond contract for new events.
  */
-async function pollChain(chainId, provider, contract, iface) {
-  const confirmations = CONFIRMATION_BLOCKS[chainId] || 12;
+export async function pollContract(poller) {
+  const { chainId, address, startBlock, confirmations, db } = poller;
 
   let latestBlock;
   try {
-    latestBlock = await provider.getBlockNumber();
+    latestBlock = await rpc(poller, 'getBlockNumber', provider => provider.getBlockNumber());
   } catch (err) {
     console.error(`[watcher] Failed to get block number for chain ${chainId}:`, err.message);
     return;
   }
+  chainHead.set({ chain_id: chainId }, latestBlock);
+
+  let checkpoint = await db.getCheckpoint(chainId, address);
+  if (checkpoint !== null) {
+    try {
+      checkpoint = await reconcileReorg(poller, checkpoint);
+    } catch (err) {
+      console.error(`[watcher] ${describe(poller)} failed to verify block hashes:`, err.message);
+      return;
+    }
+  }
+
+  if (checkpoint !== null) {
+    try {
+      await backfillIndex(poller, checkpoint);
+    } catch (err) {
+      // Scanning on would move the index checkpoint past the gap.
+      console.error(`[watcher] ${describe(poller)} failed to index blocks up to ${checkpoint}:`, err.message);
+      return;
+    }
+  }
 
   const safeBlock = latestBlock - confirmations;
-  const checkpoint = db.getCheckpoint(chainId);
-  const fromBlock = checkpoint !== null ? checkpoint + 1 : CHAINS[chainId].startBlock;
+  const fromBlock = checkpoint !== null ? checkpoint + 1 : startBlock;
 
-  if (fromBlock > safeBlock) return; // nothing new
+  const recordLag = async () => {
+    const processed = (await db.getCheckpoint(chainId, address)) ?? startBlock - 1;
+    blocksBehind.set({ chain_id: chainId, contract: address.toLowerCase() }, Math.max(0, latestBlock - processed));
+  };
 
-  // Process in chunks
-  let cursor = fromBlock;
-  while (cursor <= safeBlock) {
-    const toBlock = Math.min(cursor + BLOCK_CHUNK - 1, safeBlock);
-    console.log(`[watcher] Chain ${chainId}: scanning blocks ${cursor}–${toBlock}`);
+  if (fromBlock > safeBlock) return recordLag(); // nothing new
 
-    try {
-      const logs = await provider.getLogs({
-        address: CHAINS[chainId].contract,
-        fromBlock: cursor,
-        toBlock,
-      });
+  // Process in ranges as large as the chain's RPCs accept, committing each one
+  const pool = poolOf(poller);
+  let cursor = fromBlock;
+  try {
+    await pool.scanLogs({ address }, fromBlock, safeBlock, async (logs, from, toBlock) => {
+      console.log(`[watcher] ${describe(poller)}: scanned blocks ${from}–${toBlock}`);
+      const endBlock = await getBlock(poller, toBlock);
 
       if (logs.length > 0) {
-        await processLogs(contract, chainId, logs, iface);
+        await processLogs(poller, logs);
+        logsProcessed.inc({ chain_id: chainId, contract: address.toLowerCase() }, logs.length);
       }
 
-      db.setCheckpoint(chainId, toBlock);
-    } catch (err) {
-      console.error(`[watcher] Chain ${chainId} error scanning ${cursor}–${toBlock}:`, err.message);
-      break; // retry next poll
-    }
+      const hashes = new Map(logs.map(log => [log.blockNumber, log.blockHash]));
+      hashes.set(toBlock, endBlock.hash);
+      await db.commitRange(chainId, address, toBlock, [...hashes]);
+      await db.pruneBlockHashes(chainId, address, BLOCK_HASH_HISTORY);
+      await db.pruneActivity(Date.now() - LIVE_ACTIVITY_RETENTION_MS);
+      cursor = toBlock + 1;
+    });
+  } catch (err) {
+    console.error(`[watcher] ${describe(poller)} error scanning ${cursor}–${safeBlock}:`, err.message);
+    // retry next poll
+  }
+  logRange.set({ chain_id: chainId }, pool.chunkSize);
+  await recordLag();
+}
 
-    cursor = toBlock + 1;
+/**
+ * Build one poller per (chain, contract) from validated deployments. The
+ * pollers of a chain share its provider and its RPC pool, which the watcher's
+ * own calls go through.
+ */
+export function createPollers(deployments, { db = defaultDb } = {}) {
+  const pollers = [];
+  for (const chain of deployments) {
+    const { provider, pool } = createChainRpc(chain);
+    for (const deployment of chain.contracts) {
+      const abi = CONTRACT_ABIS[deployment.version];
+      pollers.push({
+        chainId: chain.chainId,
+        provider,
+        pool,
+        contract: new ethers.Contract(deployment.address, abi, provider),
+        iface: new ethers.Interface(abi),
+        address: deployment.address,
+        startBlock: deployment.startBlock,
+        confirmations: chain.confirmations,
+        db,
+      });
+    }
   }
+  return pollers;
 }
 
 /**
- * Start the event watcher for all configured chains.
+ * Start an independent poll loop for every configured (chain, contract).
+ * Returns the pollers so other loops (reminders) can share their providers.
+ * Throws if the deployments file is missing or invalid.
  */
-export function startWatcher() {
-  const iface = new ethers.Interface(CONTRACT_ABI);
-  const chainEntries = Object.entries(CHAINS).map(([id, cfg]) => {
-    const chainId = parseInt(id, 10);
-    const provider = new ethers.JsonRpcProvider(cfg.rpc);
-    const contract = new ethers.Contract(cfg.contract, CONTRACT_ABI, provider);
-    return { chainId, provider, contract };
-  });
+export function startWatcher({ db = defaultDb, deployments = loadDeployments() } = {}) {
+  const pollers = createPollers(deployments, { db });
 
-  console.log(`[watcher] Starting event watcher for chains: ${chainEntries.map(c => c.chainId).join(', ')}`);
+  console.log(`[watcher] Starting event watcher for: ${pollers.map(describe).join(', ')}`);
 
-  async function tick() {
-    for (const { chainId, provider, contract } of chainEntries) {
-      await pollChain(chainId, provider, contract, iface);
-    }
-  }
+  for (const poller of pollers) {
+    let running = false;
+    const tick = async () => {
+      if (running) return; // a long backfill must not overlap the next interval
+      running = true;
+      try {
+        await pollContract(poller);
+      } catch (err) {
+        console.error(`[watcher] ${describe(poller)} poll error:`, err.message);
+      } finally {
+        running = false;
+      }
+    };
+
+    // Initial poll
+    tick();
 
-  // Initial poll
-  tick().catch(err => console.error('[watcher] Initial poll error:', err.message));
+    // Recurring
+    setInterval(tick, POLL_INTERVAL_MS);
+  }
 
-  // Recurring
-  setInterval(() => {
-    tick().catch(err => console.error('[watcher] Poll error:', err.message));
-  }, POLL_INTERVAL_MS);
+  return pollers;
 }
@@ -0,0 +1,227 @@
+import { createHmac, randomBytes } from 'crypto';
+import { lookup as dnsLookup, promises as dns } from 'dns';
+import http from 'http';
+import https from 'https';
+import { BlockList, isIP } from 'net';
+import {
+  OUTBOX_POLL_INTERVAL_MS,
+  WEBHOOK_BATCH_SIZE,
+  WEBHOOK_DEV,
+  WEBHOOK_MAX_ATTEMPTS,
+  WEBHOOK_TIMEOUT_MS,
+} from './config.mjs';
+import defaultDb from './db.mjs';
+import { retryDelay } from './delivery.mjs';
+import { eventArgs } from './indexer.mjs';
+import { bondUrl } from './templates.mjs';
+
+// Where a webhook must not point: loopback, link-local (cloud metadata), private,
+// shared, unique-local, multicast and reserved ranges. IPv4-mapped IPv6 addresses
+// are checked against the IPv4 ranges.
+const NON_PUBLIC = new BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+]) NON_PUBLIC.addSubnet(network, prefix, 'ipv4');
+for (const [network, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  NON_PUBLIC.addSubnet(network, prefix, 'ipv6');
+}
+
+export function isPublicAddress(address) {
+  const family = isIP(address);
+  return family !== 0 && !NON_PUBLIC.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+const NON_PUBLIC_HOST = 'Webhook URL must point to a public host';
+
+function hostname(url) {
+  return url.hostname.replace(/^\[|\]$/g, '');
+}
+
+/**
+ * Normalize a webhook URL from a request. Throws a message for the caller.
+ */
+export function parseWebhookUrl(value) {
+  if (typeof value !== 'string' || value.length > 500) {
+    throw new Error('Webhook URL is missing or too long');
+  }
+  let parsed;
+  try {
+    parsed = new URL(value);
+  } catch {
+    throw new Error('Webhook URL must be a valid URL');
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new Error('Webhook URL must start with http:// or https://');
+  }
+  return parsed.toString();
+}
+
+/**
+ * Normalize a webhook URL being registered and hold it to the delivery policy:
+ * https only, and no host that is or resolves to a non-public address, unless
+ * `dev`. A name that does not resolve yet is let through; every delivery
+ * checks the addresses again.
+ */
+export async function checkWebhookUrl(value, { dev = WEBHOOK_DEV, lookup = dns.lookup } = {}) {
+  const url = parseWebhookUrl(value);
+  if (dev) return url;
+
+  const parsed = new URL(url);
+  if (parsed.protocol !== 'https:') throw new Error('Webhook URL must use https://');
+  const host = hostname(parsed);
+  let addresses = [];
+  if (isIP(host)) {
+    addresses = [host];
+  } else {
+    try {
+      addresses = (await lookup(host, { all: true })).map(({ address }) => address);
+    } catch {}
+  }
+  if (addresses.some(address => !isPublicAddress(address))) throw new Error(NON_PUBLIC_HOST);
+  return url;
+}
+
+// dns.lookup for http.request that refuses names resolving to non-public addresses.
+function publicLookup(name, options, callback) {
+  dnsLookup(name, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (addresses.some(({ address }) => !isPublicAddress(address))) return callback(new Error(NON_PUBLIC_HOST));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * POST `body` to a webhook and resolve with the response status. Unless `dev`,
+ * the URL must be https and the host's addresses are checked as the connection
+ * is made, so a name re-pointed at a private address after registration (DNS
+ * rebinding) is refused too. Redirects are not followed.
+ */
+export function postWebhook(url, { headers, body, dev = WEBHOOK_DEV, timeoutMs = WEBHOOK_TIMEOUT_MS }) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    if (!dev) {
+      if (target.protocol !== 'https:') return reject(new Error('Webhook URL must use https://'));
+      if (isIP(hostname(target)) && !isPublicAddress(hostname(target))) return reject(new Error(NON_PUBLIC_HOST));
+    }
+
+    const request = (target.protocol === 'https:' ? https : http).request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: dev ? undefined : publicLookup,
+      signal: AbortSignal.timeout(timeoutMs),
+    }, (response) => {
+      response.resume();
+      response.on('end', () => resolve(response.statusCode));
+      response.on('error', reject);
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+export function generateWebhookSecret() {
+  return randomBytes(32).toString('hex');
+}
+
+/**
+ * Signature sent in X-SimpleBond-Signature. Receivers recompute it over
+ * `${timestamp}.${rawBody}` with their secret and compare.
+ */
+export function signWebhook(secret, timestamp, body) {
+  return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * JSON body for one contract event, as seen by one recipient wallet.
+ */
+export function webhookPayload({ chainId, log, parsed, address, roles }) {
+  const bondId = Number(parsed.args.bondId);
+
+  return {
+    event: parsed.name,
+    chainId,
+    contract: log.address,
+    bondId,
+    args: eventArgs(parsed),
+    transactionHash: log.transactionHash,
+    blockNumber: log.blockNumber,
+    logIndex: log.index,
+    recipient: { address, roles: [...roles] },
+    bondUrl: bondUrl(chainId, log.address, bondId),
+  };
+}
+
+/**
+ * POST every webhook delivery that is due. Anything but a 2xx is retried on the
+ * outbox backoff schedule and dead-lettered after WEBHOOK_MAX_ATTEMPTS.
+ * Returns the number of deliveries that succeeded.
+ */
+export async function deliverWebhooks({ db = defaultDb, post = postWebhook, dev = WEBHOOK_DEV, now = Date.now() } = {}) {
+  let delivered = 0;
+
+  for (const delivery of await db.getDueWebhookDeliveries(now, WEBHOOK_BATCH_SIZE)) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    let statusCode = null;
+    let error = null;
+    try {
+      statusCode = await post(delivery.url, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'SimpleBond-Webhooks/1',
+          'X-SimpleBond-Event': delivery.event_type,
+          'X-SimpleBond-Delivery': String(delivery.id),
+          'X-SimpleBond-Timestamp': String(timestamp),
+          'X-SimpleBond-Signature': signWebhook(delivery.secret, timestamp, delivery.payload),
+        },
+        body: delivery.payload,
+        dev,
+      });
+      if (statusCode < 200 || statusCode > 299) error = `HTTP ${statusCode}`;
+    } catch (err) {
+      error = err.message;
+    }
+
+    if (!error) {
+      await db.markWebhookDelivered(delivery.id, statusCode);
+      delivered++;
+      console.log(`[webhooks] Delivered ${delivery.event_type} to ${delivery.url} (delivery #${delivery.id})`);
+      continue;
+    }
+
+    const attempts = delivery.attempts + 1;
+    const dead = attempts >= WEBHOOK_MAX_ATTEMPTS;
+    await db.markWebhookFailed(delivery.id, statusCode, error, now + retryDelay(attempts), dead);
+    if (dead) {
+      console.error(`[webhooks] Delivery #${delivery.id} to ${delivery.url} dead-lettered after ${attempts} attempts: ${error}`);
+    } else {
+      console.warn(`[webhooks] Delivery #${delivery.id} to ${delivery.url} failed (attempt ${attempts}): ${error}`);
+    }
+  }
+
+  return delivered;
+}
+
+/**
+ * Start the webhook delivery loop.
+ */
+export function startWebhookDelivery({ db = defaultDb } = {}) {
+  console.log('[webhooks] Starting webhook delivery loop');
+
+  let running = false;
+  async function tick() {
+    if (running) return; // a slow receiver must not overlap the next tick
+    running = true;
+    try {
+      await deliverWebhooks({ db });
+    } catch (err) {
+      console.error('[webhooks] Delivery error:', err.message);
+    } finally {
+      running = false;
+    }
+  }
+
+  tick();
+  setInterval(tick, OUTBOX_POLL_INTERVAL_MS);
+}
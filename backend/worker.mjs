@@ -1,4 +1,17 @@
 import { startWatcher } from './watcher.mjs';
+import { startDelivery } from './delivery.mjs';
+import { startReminders } from './reminders.mjs';
+import { startDigests } from './digest.mjs';
+import { startWebhookDelivery } from './webhooks.mjs';
+import { startChatDelivery } from './chat.mjs';
+import { startMetricsServer } from './metrics.mjs';
+import { METRICS_PORT } from './config.mjs';
 
 console.log('[bond-notify-worker] Starting event watcher process');
-startWatcher();
+const pollers = startWatcher();
+startDelivery();
+startWebhookDelivery();
+startChatDelivery();
+startReminders({ pollers });
+startDigests();
+if (METRICS_PORT) startMetricsServer();
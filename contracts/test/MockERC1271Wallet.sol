@@ -0,0 +1,27 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+
+/// @notice Minimal ERC-1271 smart-contract wallet for testing only.
+/// @dev A signature is valid when the owner signed the hash directly.
+contract MockERC1271Wallet {
+    bytes4 internal constant MAGIC_VALUE = 0x1626ba7e;
+
+    address public immutable owner;
+
+    /// @notice Deploy a wallet controlled by one owner key.
+    /// @param owner_ Address whose signatures the wallet accepts.
+    constructor(address owner_) {
+        owner = owner_;
+    }
+
+    /// @notice ERC-1271 signature check.
+    /// @param hash Hash of the signed data.
+    /// @param signature Owner's ECDSA signature over `hash`.
+    /// @return The ERC-1271 magic value when valid, zero otherwise.
+    function isValidSignature(bytes32 hash, bytes calldata signature) external view returns (bytes4) {
+        (address signer, ECDSA.RecoverError error, ) = ECDSA.tryRecover(hash, signature);
+        return error == ECDSA.RecoverError.NoError && signer == owner ? MAGIC_VALUE : bytes4(0);
+    }
+}
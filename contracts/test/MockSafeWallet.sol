@@ -0,0 +1,64 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+
+/// @notice Single-owner stand-in for a Safe with the 1.3 CompatibilityFallbackHandler, for testing only.
+/// @dev Like a Safe, it checks signatures over the EIP-712 `SafeMessage` wrapping the hash, not the
+///      hash itself, and accepts an empty signature for messages approved on-chain.
+contract MockSafeWallet {
+    bytes4 internal constant MAGIC_VALUE = 0x1626ba7e;
+    bytes4 internal constant LEGACY_MAGIC_VALUE = 0x20c13b0b;
+    bytes32 internal constant DOMAIN_SEPARATOR_TYPEHASH = keccak256("EIP712Domain(uint256 chainId,address verifyingContract)");
+    bytes32 internal constant SAFE_MSG_TYPEHASH = keccak256("SafeMessage(bytes message)");
+
+    address public immutable owner;
+
+    /// @notice Safe message hashes approved on-chain, as by Safe's SignMessageLib.
+    mapping(bytes32 => uint256) public signedMessages;
+
+    /// @notice Deploy a Safe stand-in with a single owner and threshold one.
+    /// @param owner_ The owner key.
+    constructor(address owner_) {
+        owner = owner_;
+    }
+
+    /// @notice Approve a message on-chain so it validates with an empty signature.
+    /// @param data The message bytes, e.g. `abi.encode(hash)` for a 32-byte hash.
+    function signMessage(bytes calldata data) external {
+        require(msg.sender == owner, "Not owner");
+        signedMessages[getMessageHash(data)] = 1;
+    }
+
+    /// @notice EIP-712 hash of `SafeMessage(message)` in this Safe's domain.
+    /// @param message The message bytes.
+    /// @return The hash the owners sign.
+    function getMessageHash(bytes memory message) public view returns (bytes32) {
+        bytes32 domainSeparator = keccak256(abi.encode(DOMAIN_SEPARATOR_TYPEHASH, block.chainid, address(this)));
+        bytes32 safeMessageHash = keccak256(abi.encode(SAFE_MSG_TYPEHASH, keccak256(message)));
+        return keccak256(abi.encodePacked(bytes1(0x19), bytes1(0x01), domainSeparator, safeMessageHash));
+    }
+
+    /// @notice Current ERC-1271 check.
+    /// @param dataHash Hash of the signed data.
+    /// @param signature Owner signature over the Safe message hash, or empty when approved on-chain.
+    /// @return The ERC-1271 magic value when valid, zero otherwise.
+    function isValidSignature(bytes32 dataHash, bytes calldata signature) external view returns (bytes4) {
+        return _isValid(abi.encode(dataHash), signature) ? MAGIC_VALUE : bytes4(0);
+    }
+
+    /// @notice Original ERC-1271 draft check, still the only one on Safe 1.1 and 1.2.
+    /// @param data The signed data.
+    /// @param signature Owner signature over the Safe message hash, or empty when approved on-chain.
+    /// @return The legacy magic value when valid, zero otherwise.
+    function isValidSignature(bytes calldata data, bytes calldata signature) external view returns (bytes4) {
+        return _isValid(data, signature) ? LEGACY_MAGIC_VALUE : bytes4(0);
+    }
+
+    function _isValid(bytes memory data, bytes calldata signature) internal view returns (bool) {
+        bytes32 messageHash = getMessageHash(data);
+        if (signature.length == 0) return signedMessages[messageHash] != 0;
+        (address signer, ECDSA.RecoverError error, ) = ECDSA.tryRecover(messageHash, signature);
+        return error == ECDSA.RecoverError.NoError && signer == owner;
+    }
+}
@@ -14,6 +14,22 @@
     return judge.officialLinkURI || judge.profile?.linkURI || null;
   }
 
+  // Counts prefer the backend's indexed statistics when they are attached.
+  function getJudgedCount(judge) {
+    return Math.max(judge?.judgedCount || 0, judge?.stats?.judgedCount || 0);
+  }
+
+  function getBondCount(judge) {
+    return Math.max(judge?.bondCount || 0, judge?.stats?.bondCount || 0);
+  }
+
+  // Share of the judge's challenged bonds that timed out instead of being ruled on.
+  function getTimeoutRate(judge) {
+    const timeouts = judge?.stats?.timeoutCount || 0;
+    const decided = getJudgedCount(judge) + timeouts;
+    return decided > 0 ? timeouts / decided : 0;
+  }
+
   function dedupeJudgesByAddress(entries) {
     const merged = new Map();
     for (const entry of entries || []) {
@@ -34,6 +50,7 @@
           officialDisplayName: entry.officialDisplayName || "",
           officialStatement: entry.officialStatement || "",
           officialLinkURI: entry.officialLinkURI || "",
+          stats: entry.stats || null,
         });
         continue;
       }
@@ -68,6 +85,9 @@
       if (!current.officialLinkURI && entry.officialLinkURI) {
         current.officialLinkURI = entry.officialLinkURI;
       }
+      if (!current.stats && entry.stats) {
+        current.stats = entry.stats;
+      }
     }
 
     return [...merged.values()];
@@ -84,10 +104,17 @@
       if (aOrder !== bOrder) return aOrder - bOrder;
     }
 
-    const judgedDelta = (b?.judgedCount || 0) - (a?.judgedCount || 0);
+    const judgedDelta = getJudgedCount(b) - getJudgedCount(a);
     if (judgedDelta !== 0) return judgedDelta;
 
-    const bondDelta = (b?.bondCount || 0) - (a?.bondCount || 0);
+    const timeoutDelta = getTimeoutRate(a) - getTimeoutRate(b);
+    if (timeoutDelta !== 0) return timeoutDelta;
+
+    const aSpeed = a?.stats?.avgTimeToRulingSec ?? Number.MAX_SAFE_INTEGER;
+    const bSpeed = b?.stats?.avgTimeToRulingSec ?? Number.MAX_SAFE_INTEGER;
+    if (aSpeed !== bSpeed) return aSpeed - bSpeed;
+
+    const bondDelta = getBondCount(b) - getBondCount(a);
     if (bondDelta !== 0) return bondDelta;
 
     const aName = getJudgeDisplayName(a).toLowerCase();
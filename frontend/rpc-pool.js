@@ -0,0 +1,180 @@
+(function (root) {
+  // How public RPCs say a getLogs block range, or its result, is too large.
+  const RANGE_ERROR_PATTERNS = [
+    /block range/i,
+    /range (is )?too (large|wide|big)/i,
+    /query returned more than/i,
+    /more than \d+ (results|logs)/i,
+    /(log )?response size (exceeded|should not)/i,
+    /too many (blocks|logs|results)/i,
+    /exceeds? (the )?(max|maximum) (block )?range/i,
+  ];
+
+  // Rate limits are the endpoint's problem, not the range's: back off and fail over.
+  const RATE_LIMIT_PATTERNS = [/rate.?limit/i, /too many requests/i, /\b429\b/, /exceeded .*(capacity|quota|credits)/i];
+
+  function errorMessages(err) {
+    return [err?.message, err?.shortMessage, err?.error?.message, err?.info?.error?.message].filter(Boolean);
+  }
+
+  function isRateLimitError(err) {
+    if (err?.status === 429 || err?.info?.responseStatus?.startsWith?.("429")) return true;
+    return errorMessages(err).some((message) => RATE_LIMIT_PATTERNS.some((pattern) => pattern.test(message)));
+  }
+
+  /**
+   * Whether an error means the getLogs range was too large, rather than that the
+   * endpoint is down or rate limiting. Retrying a smaller range helps; another
+   * endpoint may not. Only the message decides: code -32005 is also what
+   * Infura-style endpoints answer when they rate limit.
+   */
+  function isRangeError(err) {
+    if (isRateLimitError(err)) return false;
+    return errorMessages(err).some((message) => RANGE_ERROR_PATTERNS.some((pattern) => pattern.test(message)));
+  }
+
+  // A revert is the chain's answer, not a failing endpoint.
+  function isCallException(err) {
+    return err?.code === "CALL_EXCEPTION";
+  }
+
+  /**
+   * Failover, retry and adaptive log scanning over several providers for one
+   * chain, listed in order of preference. Works with any providers that have
+   * ethers' `getLogs` and `getBlockNumber`.
+   *
+   * An endpoint that fails is skipped for an exponentially growing backoff and
+   * used again once it succeeds. When every endpoint is backing off, a call
+   * waits for the one that recovers first. `scanLogs` halves its block range
+   * when an endpoint says it is too large and doubles it again, up to
+   * `maxChunk`, after `growAfter` full-sized ranges in a row succeed.
+   *
+   * `instrument(method, run, endpoint)` wraps every attempt, e.g. to time it;
+   * `endpoint` is the index of the provider it goes to.
+   */
+  function createRpcPool(providers, options = {}) {
+    if (!providers || providers.length === 0) throw new Error("An RPC pool needs at least one provider");
+    const {
+      maxAttempts = Math.max(3, providers.length * 2),
+      baseBackoffMs = 500,
+      maxBackoffMs = 30_000,
+      initialChunk = 10_000,
+      minChunk = 1,
+      maxChunk = initialChunk,
+      growAfter = 3,
+      instrument = (method, run) => run(),
+      now = () => Date.now(),
+      sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+    } = options;
+
+    const endpoints = providers.map((provider, index) => ({ provider, index, failures: 0, retryAt: 0, lastError: null }));
+    let chunkSize = initialChunk;
+    let fullChunks = 0;
+
+    // The first endpoint not backing off, or else the one that recovers first.
+    function pick() {
+      const time = now();
+      return endpoints.find((endpoint) => endpoint.retryAt <= time)
+        || endpoints.reduce((best, endpoint) => (endpoint.retryAt < best.retryAt ? endpoint : best));
+    }
+
+    /**
+     * Run `fn(provider)` on the best endpoint, moving on to the next when one fails.
+     * Reverts and range errors are thrown straight back.
+     */
+    async function call(method, fn) {
+      let lastError;
+      for (let attempt = 0; attempt < maxAttempts; attempt++) {
+        const endpoint = pick();
+        const wait = endpoint.retryAt - now();
+        if (wait > 0) await sleep(wait);
+        try {
+          const result = await instrument(method, () => fn(endpoint.provider), endpoint.index);
+          endpoint.failures = 0;
+          endpoint.retryAt = 0;
+          endpoint.lastError = null;
+          return result;
+        } catch (err) {
+          if (isCallException(err) || isRangeError(err)) throw err;
+          endpoint.failures++;
+          endpoint.retryAt = now() + Math.min(maxBackoffMs, baseBackoffMs * 2 ** (endpoint.failures - 1));
+          endpoint.lastError = err?.message || String(err);
+          lastError = err;
+        }
+      }
+      throw lastError;
+    }
+
+    /**
+     * Fetch logs matching `filter` in blocks `fromBlock`–`toBlock`, one range at
+     * a time, sized to what the endpoints accept. Each range's logs are handed to
+     * `onRange(logs, from, to)` and awaited before the next range is fetched.
+     */
+    async function scanLogs(filter, fromBlock, toBlock, onRange) {
+      let cursor = fromBlock;
+      while (cursor <= toBlock) {
+        const end = Math.min(cursor + chunkSize - 1, toBlock);
+        let logs;
+        try {
+          logs = await call("getLogs", (provider) => provider.getLogs({ ...filter, fromBlock: cursor, toBlock: end }));
+        } catch (err) {
+          const span = end - cursor + 1;
+          if (!isRangeError(err) || span <= minChunk) throw err;
+          chunkSize = Math.max(minChunk, Math.floor(span / 2));
+          fullChunks = 0;
+          continue;
+        }
+
+        if (end - cursor + 1 === chunkSize && ++fullChunks >= growAfter) {
+          chunkSize = Math.min(maxChunk, chunkSize * 2);
+          fullChunks = 0;
+        }
+        await onRange(logs, cursor, end);
+        cursor = end + 1;
+      }
+    }
+
+    /**
+     * All logs matching `filter`, from `filter.fromBlock` (default 0) to
+     * `filter.toBlock` (default the latest block).
+     */
+    async function getLogs(filter) {
+      const { fromBlock = 0, toBlock, ...rest } = filter;
+      const last = typeof toBlock === "number" ? toBlock : await call("getBlockNumber", (provider) => provider.getBlockNumber());
+      const logs = [];
+      await scanLogs(rest, fromBlock, last, (range) => {
+        logs.push(...range);
+      });
+      return logs;
+    }
+
+    return {
+      call,
+      scanLogs,
+      getLogs,
+      get chunkSize() {
+        return chunkSize;
+      },
+      // Each endpoint's health, in order of preference.
+      status() {
+        const time = now();
+        return endpoints.map(({ failures, retryAt, lastError }) => ({
+          healthy: retryAt <= time,
+          failures,
+          retryInMs: Math.max(0, retryAt - time),
+          lastError,
+        }));
+      },
+    };
+  }
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+      createRpcPool,
+      isRangeError,
+    };
+  }
+
+  root.createRpcPool = createRpcPool;
+  root.isRangeError = isRangeError;
+})(typeof window !== "undefined" ? window : globalThis);
@@ -2,9 +2,13 @@ window.SIMPLE_BOND_CONFIG = Object.assign(
   {
     // Override these when the static frontend and APIs live on different origins.
     notifyApiBase: "/api/notify",
+    // Indexed bond and judge data served by the same API.
+    apiBase: "/api",
     // Live Gnosis deployment for bond.futarchy.ai.
     gnosisBondContract: "0x7dF485C013f8671B656d585f1d1411640B1D2776",
     gnosisDeployBlock: 45569363,
+    // Tried in order when rpc.gnosischain.com fails event log queries.
+    gnosisRpcFallbacks: ["https://gnosis-rpc.publicnode.com"],
     // On-chain public profile registry for judge contracts on Gnosis.
     gnosisJudgeProfileRegistry: "0x5f2000E438533662A689311672a41aca3EDC88DD",
     // Canonical operator-to-judge mapping on Gnosis.
@@ -18,11 +18,11 @@ function printV5FrontendConfigChecklist(runtimeConfig, address, blockNumber, log
         log(`     set window.SIMPLE_BOND_CONFIG.${runtimeConfig.deployBlockKey} = ${blockNumber}`);
     }
 
-    log("  3. If email notifications should watch this deployment, update backend/config.mjs:");
-    log(`     set CHAINS[${runtimeConfig.chainId}].contract = "${address}"`);
+    log("  3. If email notifications should watch this deployment, update backend/deployments.json:");
+    log(`     in the chainId ${runtimeConfig.chainId} entry, set contracts[].address = "${address}" (version "v5")`);
 
     if (blockNumber != null) {
-        log(`     set CHAINS[${runtimeConfig.chainId}].startBlock = ${blockNumber}`);
+        log(`     set contracts[].startBlock = ${blockNumber}`);
     }
 
     log("  4. If this deployment is canonical, update README.md's Addresses table.");
@@ -103,7 +103,7 @@ function printSimpleBondDeploymentChecklist({
 
     log("  2. The product frontend currently ships active runtime config only for Gnosis in frontend/runtime-config.js.");
     log("     If this deployment should be product-supported, add the new chain/address/block there before treating it as live.");
-    log("  3. If email notifications should watch this deployment, also update backend/config.mjs.");
+    log("  3. If email notifications should watch this deployment, also add it to backend/deployments.json.");
     log("  4. If this deployment is canonical, update README.md's Addresses table.");
     log("  5. Record the deployed address, tx hash, and block number in your release notes or ops log.");
 }
@@ -0,0 +1,147 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { spawnSync } = require("child_process");
+const { mkdtempSync, readFileSync, rmSync } = require("fs");
+const { tmpdir } = require("os");
+const { join } = require("path");
+const { deploySimpleBondV5FuzzFixture } = require("../helpers/v5/simpleBondV5Fuzz");
+
+const ADMIN_CLI = join(__dirname, "..", "..", "backend", "bond-notify.mjs");
+
+describe("backend admin CLI", function () {
+  let createDatabase;
+  let runAdminCommand;
+  let CONTRACT_ABI;
+
+  let db;
+  let dir;
+  let lines;
+
+  before(async function () {
+    ({ createDatabase } = await import("../../backend/db.mjs"));
+    ({ runAdminCommand } = await import("../../backend/admin.mjs"));
+    ({ CONTRACT_ABI } = await import("../../backend/config.mjs"));
+  });
+
+  beforeEach(function () {
+    db = createDatabase(":memory:");
+    dir = mkdtempSync(join(tmpdir(), "bond-notify-admin-"));
+    lines = [];
+  });
+
+  afterEach(function () {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const admin = (argv, options = {}) => runAdminCommand(argv, { db, log: (line) => lines.push(line), ...options });
+
+  it("searches subscriptions and shows a wallet's email history", async function () {
+    db.upsertSubscription("0x00000000000000000000000000000000000000aa", "Poster@Example.com", 100);
+    db.verifySubscription("0x00000000000000000000000000000000000000aa", 100);
+    db.setPreferences("0x00000000000000000000000000000000000000aa", 100, { roles: ["poster"], digest: "weekly" });
+    db.upsertSubscription("0x00000000000000000000000000000000000000bb", "judge_1@example.com", 100);
+
+    await admin(["subscriptions", "--search", "POSTER@"]);
+    expect(lines).to.have.length(2);
+    expect(lines[1]).to.match(/^0x0+aa +100 +poster@example\.com +yes +weekly +roles=poster /);
+
+    lines = [];
+    await admin(["subscriptions", "--unverified", "--chain", "100"]);
+    expect(lines.slice(1).map((line) => line.split(" ")[0])).to.deep.equal(["0x00000000000000000000000000000000000000bb"]);
+    lines = [];
+    await admin(["subscriptions", "--search", "_"]);
+    expect(lines).to.have.length(2); // "_" is literal, not a wildcard
+
+    db.enqueueEmail({ dedupeKey: "k1", address: "0x00000000000000000000000000000000000000AA", email: "poster@example.com", chainId: 100, bondId: 3, eventType: "Challenged", subject: "s", html: "h" });
+    const [queued] = db.getDueOutbox(Number.MAX_SAFE_INTEGER, 1);
+    db.markOutboxFailed(queued.id, "Email address is not verified", 0, true);
+    db.logEmail("0x00000000000000000000000000000000000000aa", 100, null, "verification", "ses-1");
+
+    lines = [];
+    await admin(["emails", "--wallet", "0x00000000000000000000000000000000000000AA"]);
+    const output = lines.join("\n");
+    expect(output).to.match(/Challenged +poster@example\.com +dead +1 +Email address is not verified/);
+    expect(output).to.match(/verification +ses-1/);
+    await expect(admin(["emails"])).to.be.rejectedWith(/Pass --wallet or --bond/);
+  });
+
+  it("sets and rewinds a contract checkpoint", async function () {
+    const contract = "0x7df485c013f8671b656d585f1d1411640b1d2776";
+    db.commitRange(100, contract, 120, [[110, "0xaa"], [120, "0xbb"]]);
+
+    await admin(["checkpoint", "--chain", "100", "--set", "115"]);
+    expect(lines).to.deep.equal([`Chain 100 ${contract}: checkpoint 120 → 115`]);
+    expect(db.getCheckpoint(100, contract)).to.equal(115);
+    expect(db.getRecentBlockHashes(100, contract, 200, 10).map(({ block_number }) => block_number)).to.deep.equal([110]);
+
+    await admin(["checkpoint", "--chain", "100", "--contract", contract, "--set", "130"]);
+    expect(db.getCheckpoint(100, contract)).to.equal(130);
+    lines = [];
+    await admin(["checkpoint"]);
+    expect(lines[1]).to.match(new RegExp(`^100 +${contract} +130$`));
+  });
+
+  it("replays a block range without queueing, sending or indexing anything", async function () {
+    const fixture = await deploySimpleBondV5FuzzFixture();
+    const chainId = Number((await ethers.provider.getNetwork()).chainId);
+    const poster = fixture.addresses.poster.toLowerCase();
+    db.upsertSubscription(poster, "poster@example.com", chainId);
+    db.verifySubscription(poster, chainId);
+    const poller = {
+      chainId,
+      provider: ethers.provider,
+      contract: new ethers.Contract(fixture.addresses.bond, CONTRACT_ABI, ethers.provider),
+      iface: new ethers.Interface(CONTRACT_ABI),
+      address: fixture.addresses.bond,
+      startBlock: 0,
+      confirmations: 0,
+      db,
+    };
+
+    const from = await ethers.provider.getBlockNumber();
+    await fixture.actions.createBond();
+    await fixture.actions.challenge();
+    const to = await ethers.provider.getBlockNumber();
+
+    const report = join(dir, "replay.csv");
+    await admin(["replay", "--chain", String(chainId), "--from", String(from), "--to", String(to), "--report", report], { pollers: [poller] });
+    expect(lines).to.have.length(5);
+    expect(lines[0]).to.match(/BondCreated bond #0: none → 0x[0-9a-f]{40} \(not subscribed\)$/);
+    expect(lines[1]).to.match(/Challenged bond #0: email → poster@example\.com \[SimpleBond\] Challenged — Bond #0/);
+    expect(lines[3]).to.equal(`Wrote CSV report to ${report}`);
+    expect(lines[4]).to.equal(`1 notification(s) for blocks ${from}–${to}. Dry run: nothing was queued or sent.`);
+    expect(readFileSync(report, "utf8").split("\r\n")).to.have.length(5); // header, three entries, trailing newline
+
+    expect(db.getDueOutbox(Number.MAX_SAFE_INTEGER, 10)).to.have.length(0);
+    expect(db.getCheckpoint(chainId, fixture.addresses.bond)).to.equal(null);
+    expect(db.getBondEvents(chainId, fixture.addresses.bond, 0)).to.have.length(0);
+  });
+
+  it("exports and imports the database", async function () {
+    const source = createDatabase(join(dir, "source.db"));
+    source.upsertSubscription("0x00000000000000000000000000000000000000aa", "kept@example.com", 100);
+    const exported = join(dir, "export.db");
+    await admin(["export", exported], { db: source, dbPath: join(dir, "source.db") });
+
+    const targetPath = join(dir, "target.db");
+    const target = createDatabase(targetPath);
+    target.upsertSubscription("0x00000000000000000000000000000000000000bb", "replaced@example.com", 100);
+    await expect(admin(["import", exported], { db: target, dbPath: targetPath })).to.be.rejectedWith(/re-run with --force/);
+    await admin(["import", exported, "--force"], { db: target, dbPath: targetPath });
+
+    expect(target.getSubscription("0x00000000000000000000000000000000000000aa", 100).email).to.equal("kept@example.com");
+    expect(target.getSubscription("0x00000000000000000000000000000000000000bb", 100)).to.equal(undefined);
+  });
+
+  it("runs as a command against BOND_NOTIFY_DB", function () {
+    const run = (...args) => spawnSync(process.execPath, [ADMIN_CLI, ...args], {
+      env: { PATH: process.env.PATH, BOND_NOTIFY_DB: join(dir, "cli.db"), BOND_NOTIFY_SECRETS_FILE: "" },
+      encoding: "utf8",
+    });
+
+    expect(run("checkpoint").stdout).to.match(/\n\(none\)\n$/);
+    const unknown = run("frobnicate");
+    expect(unknown.status).to.equal(1);
+    expect(unknown.stderr).to.include("[bond-notify] Unknown command: frobnicate");
+  });
+});
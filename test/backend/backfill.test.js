@@ -0,0 +1,78 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deploySimpleBondV5FuzzFixture } = require("../helpers/v5/simpleBondV5Fuzz");
+
+describe("backend watcher backfill mode", function () {
+  let createDatabase;
+  let backfillRange;
+  let formatBackfillReport;
+  let pollContract;
+  let CONTRACT_ABI;
+
+  before(async function () {
+    ({ createDatabase } = await import("../../backend/db.mjs"));
+    ({ backfillRange, formatBackfillReport, pollContract } = await import("../../backend/watcher.mjs"));
+    ({ CONTRACT_ABI } = await import("../../backend/config.mjs"));
+  });
+
+  it("reports what would be sent for a range and leaves the live watcher alone", async function () {
+    const fixture = await deploySimpleBondV5FuzzFixture();
+    const chainId = Number((await ethers.provider.getNetwork()).chainId);
+    const db = createDatabase(":memory:");
+    const judge = fixture.addresses.judge.toLowerCase();
+    const poster = fixture.addresses.poster.toLowerCase();
+    const challenger = fixture.addresses.challengers[0].toLowerCase();
+
+    db.upsertSubscription(judge, "judge@example.com", chainId);
+    db.verifySubscription(judge, chainId);
+    db.setPreferences(judge, chainId, { digest: "daily" });
+    db.upsertWebhook(judge, chainId, "https://hooks.example/judge?a=1,2", "secret");
+    db.upsertSubscription(poster, "poster@example.com", chainId);
+    db.verifySubscription(poster, chainId);
+    db.setPreferences(poster, chainId, { events: ["BondWithdrawn"] });
+
+    const poller = {
+      chainId,
+      provider: ethers.provider,
+      contract: new ethers.Contract(fixture.addresses.bond, CONTRACT_ABI, ethers.provider),
+      iface: new ethers.Interface(CONTRACT_ABI),
+      address: fixture.addresses.bond,
+      startBlock: await ethers.provider.getBlockNumber(),
+      confirmations: 0,
+      db,
+    };
+    await fixture.actions.createBond();
+    await fixture.actions.challenge();
+    await fixture.actions.concede();
+    const head = await ethers.provider.getBlockNumber();
+
+    const notifications = await backfillRange(poller, poller.startBlock, head);
+    expect(notifications.map(({ event, channel, address, reason }) => [event, channel, address, reason])).to.deep.equal([
+      ["BondCreated", "digest", judge, undefined],
+      ["BondCreated", "webhook", judge, undefined],
+      ["Challenged", "digest", judge, undefined],
+      ["Challenged", "webhook", judge, undefined],
+      ["Challenged", "none", poster, "opted out"],
+      ["ClaimConceded", "digest", judge, undefined],
+      ["ClaimConceded", "webhook", judge, undefined],
+      ["ClaimConceded", "none", challenger, "not subscribed"],
+    ]);
+    expect(notifications[4].roles).to.deep.equal(["poster"]);
+    expect(notifications[3].payload).to.include({ event: "Challenged", bondId: 0 });
+
+    const csv = formatBackfillReport(notifications, "csv").split("\r\n");
+    expect(csv[0]).to.equal("blockNumber,transactionHash,event,bondId,channel,address,roles,to,subject,reason");
+    expect(csv[2]).to.match(/^\d+,0x[0-9a-f]{64},BondCreated,0,webhook,0x[0-9a-f]{40},judge,"https:\/\/hooks\.example\/judge\?a=1,2",,$/);
+    expect(csv[8]).to.match(/,ClaimConceded,0,none,0x[0-9a-f]{40},challengers,,,not subscribed$/);
+    expect(JSON.parse(formatBackfillReport(notifications, "json"))).to.have.length(8);
+    expect(() => formatBackfillReport(notifications, "xml")).to.throw(/Unknown report format/);
+
+    // Nothing was queued and the checkpoint was not touched, so the live watcher still delivers the range.
+    expect(db.getCheckpoint(chainId, fixture.addresses.bond)).to.equal(null);
+    expect(db.getPendingDigestItems(judge, chainId)).to.have.length(0);
+    await pollContract(poller);
+    expect(db.getPendingDigestItems(judge, chainId).map(({ event_type }) => event_type))
+      .to.deep.equal(["BondCreated", "Challenged", "ClaimConceded"]);
+    expect(db.getCheckpoint(chainId, fixture.addresses.bond)).to.equal(head);
+  });
+});
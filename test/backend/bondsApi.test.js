@@ -0,0 +1,199 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { deploySimpleBondV5FuzzFixture } = require("../helpers/v5/simpleBondV5Fuzz");
+
+describe("backend indexed bond API", function () {
+  let createDatabase;
+  let createApiServer;
+  let pollContract;
+  let CONTRACT_ABI;
+
+  let fixture;
+  let db;
+  let api;
+  let apiUrl;
+  let poller;
+
+  before(async function () {
+    ({ createDatabase } = await import("../../backend/db.mjs"));
+    ({ createApiServer } = await import("../../backend/api-server.mjs"));
+    ({ pollContract } = await import("../../backend/watcher.mjs"));
+    ({ CONTRACT_ABI } = await import("../../backend/config.mjs"));
+  });
+
+  beforeEach(async function () {
+    fixture = await deploySimpleBondV5FuzzFixture();
+    const { chainId } = await ethers.provider.getNetwork();
+    db = createDatabase(":memory:");
+
+    api = createApiServer({ db });
+    await new Promise((resolve) => api.listen(0, "127.0.0.1", resolve));
+    apiUrl = `http://127.0.0.1:${api.address().port}`;
+
+    poller = {
+      chainId: Number(chainId),
+      provider: ethers.provider,
+      contract: new ethers.Contract(fixture.addresses.bond, CONTRACT_ABI, ethers.provider),
+      iface: new ethers.Interface(CONTRACT_ABI),
+      address: fixture.addresses.bond,
+      startBlock: await ethers.provider.getBlockNumber(),
+      confirmations: 0,
+      db,
+    };
+  });
+
+  afterEach(function () {
+    api.close();
+  });
+
+  async function get(path) {
+    const response = await fetch(`${apiUrl}${path}`);
+    return { status: response.status, body: await response.json() };
+  }
+
+  async function listIds(query) {
+    const { status, body } = await get(`/api/bonds?chain=${poller.chainId}&${query}`);
+    expect(status).to.equal(200);
+    return body.bonds.map((bond) => bond.bondId);
+  }
+
+  it("serves indexed bonds and challenges with filters and cursor pagination", async function () {
+    const [first, second] = fixture.addresses.challengers;
+    await fixture.actions.createBond();
+    await fixture.actions.createBond();
+    await fixture.actions.createBond();
+
+    await fixture.actions.challenge({ bondId: 0, challenger: fixture.actors.challengers[0] });
+    await fixture.actions.challenge({ bondId: 0, challenger: fixture.actors.challengers[1] });
+    await fixture.actions.challenge({ bondId: 1, challenger: fixture.actors.challengers[1] });
+    await fixture.actions.advanceToRulingWindow({ bondId: 0 });
+    await fixture.actions.ruleForPoster({ bondId: 0 });
+    await fixture.actions.ruleForChallenger({ bondId: 0 });
+    await pollContract(poller);
+
+    expect(await listIds("")).to.deep.equal([2, 1, 0]);
+    expect(await listIds("status=open")).to.deep.equal([2, 1]);
+    expect(await listIds("status=challenged")).to.deep.equal([1]);
+    expect(await listIds("status=challenger_won")).to.deep.equal([0]);
+    expect(await listIds(`challenger=${second}`)).to.deep.equal([1, 0]);
+    expect(await listIds(`challenger=${first}&status=active`)).to.deep.equal([]);
+    expect(await listIds(`poster=${fixture.addresses.poster.toLowerCase()}`)).to.deep.equal([2, 1, 0]);
+    expect(await listIds(`judge=${fixture.addresses.outsider}`)).to.deep.equal([]);
+
+    const page = await get(`/api/bonds?chain=${poller.chainId}&limit=2`);
+    expect(page.body.bonds.map((bond) => bond.bondId)).to.deep.equal([2, 1]);
+    const next = await get(`/api/bonds?chain=${poller.chainId}&limit=2&cursor=${page.body.nextCursor}`);
+    expect(next.body.bonds.map((bond) => bond.bondId)).to.deep.equal([0]);
+    expect(next.body.nextCursor).to.equal(null);
+
+    const { status, body } = await get(`/api/bonds/0?chain=${poller.chainId}`);
+    expect(status).to.equal(200);
+    expect(body.bond).to.include({
+      contract: fixture.addresses.bond.toLowerCase(),
+      status: "challenger_won",
+      settled: true,
+      challengeCount: 2,
+      pendingChallenges: 0,
+    });
+    expect(body.bond.settledAt).to.be.a("number");
+    expect(body.bond.url).to.match(new RegExp(`\\?chain=${poller.chainId}&contract=${fixture.addresses.bond.toLowerCase()}&bond=0$`));
+
+    const challenges = (await get(`/api/bonds/0/challenges?chain=${poller.chainId}`)).body.challenges;
+    expect(challenges.map(({ challenger, status }) => [challenger, status])).to.deep.equal([
+      [first.toLowerCase(), "lost"],
+      [second.toLowerCase(), "won"],
+    ]);
+    expect(challenges[0].feeCharged).to.be.a("string");
+
+    expect((await get(`/api/bonds/7?chain=${poller.chainId}`)).status).to.equal(404);
+    expect((await get(`/api/bonds?chain=${poller.chainId}&status=bogus`)).status).to.equal(400);
+    expect((await get(`/api/bonds?chain=${poller.chainId}&cursor=nope`)).status).to.equal(400);
+    expect((await get("/api/bonds")).status).to.equal(400);
+  });
+
+  it("computes a judge's track record from indexed history", async function () {
+    for (let i = 0; i < 3; i++) await fixture.actions.createBond();
+    await fixture.actions.challenge({ bondId: 0, challenger: fixture.actors.challengers[0] });
+    await fixture.actions.challenge({ bondId: 0, challenger: fixture.actors.challengers[1] });
+    await fixture.actions.challenge({ bondId: 2 });
+    await fixture.actions.rejectBond({ bondId: 1 });
+    await fixture.actions.advanceToRulingWindow({ bondId: 0 });
+    await fixture.actions.ruleForPoster({ bondId: 0 });
+    await fixture.actions.ruleForChallenger({ bondId: 0 });
+    await fixture.actions.advancePastRulingDeadline({ bondId: 2 });
+    await fixture.actions.claimTimeout({ bondId: 2 });
+    await pollContract(poller);
+
+    const { status, body } = await get(`/api/judges/${fixture.addresses.judge}/stats?chain=${poller.chainId}`);
+    expect(status).to.equal(200);
+    expect(body.stats).to.deep.include({
+      bondCount: 3,
+      acceptedCount: 2,
+      rejectedCount: 1,
+      openCount: 0,
+      judgedCount: 1,
+      rulingsForPoster: 1,
+      rulingsForChallenger: 1,
+      timeoutCount: 1,
+      feesByToken: { [fixture.addresses.token.toLowerCase()]: (2n * ethers.parseEther("500")).toString() },
+    });
+    expect(body.stats.avgTimeToRulingSec).to.be.within(0, 60);
+
+    const stranger = await get(`/api/judges/${fixture.addresses.outsider}/stats?chain=${poller.chainId}`);
+    expect(stranger.body.stats).to.include({ bondCount: 0, judgedCount: 0, avgTimeToRulingSec: null });
+    expect((await get(`/api/judges/nope/stats?chain=${poller.chainId}`)).status).to.equal(400);
+  });
+
+  it("rebuilds indexed bonds when a reorg drops their events", async function () {
+    await fixture.actions.createBond();
+    await pollContract(poller);
+    const snapshot = await network.provider.send("evm_snapshot");
+
+    await fixture.actions.challenge();
+    await pollContract(poller);
+    expect(db.getBond(poller.chainId, poller.address, 0).status).to.equal("challenged");
+
+    // New fork without the challenge, longer than the old one.
+    await network.provider.send("evm_revert", [snapshot]);
+    await network.provider.send("evm_mine");
+    await network.provider.send("evm_mine");
+    await pollContract(poller);
+
+    expect(db.getBond(poller.chainId, poller.address, 0)).to.include({ status: "active", challenge_count: 0 });
+    expect(db.getChallenges(poller.chainId, poller.address, 0)).to.have.length(0);
+    expect(db.getBondEvents(poller.chainId, poller.address, 0).map((event) => event.name)).to.deep.equal(["BondCreated"]);
+  });
+
+  it("indexes from startBlock blocks the notification checkpoint has passed, without notifying", async function () {
+    const judge = fixture.addresses.judge.toLowerCase();
+    db.upsertSubscription(judge, "judge@example.com", poller.chainId);
+    db.verifySubscription(judge, poller.chainId);
+    await fixture.actions.createBond();
+    await fixture.actions.challenge();
+    // As if the checkpoint had been adopted from the single-contract watcher.
+    db.setCheckpoint(poller.chainId, poller.address, await ethers.provider.getBlockNumber());
+    await fixture.actions.createBond();
+    await pollContract(poller);
+
+    expect(await listIds("")).to.deep.equal([1, 0]);
+    expect(db.getBond(poller.chainId, poller.address, 0).status).to.equal("challenged");
+    expect(db.getIndexCheckpoint(poller.chainId, poller.address)).to.equal(await ethers.provider.getBlockNumber());
+    expect(db.getDueOutbox(Number.MAX_SAFE_INTEGER, 10).map(({ bond_id: bondId }) => bondId)).to.deep.equal([1]);
+    expect(db.getActivitySince(0).map(({ bondId }) => bondId)).to.deep.equal([1]);
+  });
+
+  it("replays a bond whose later events were indexed before the backfill reached its creation", async function () {
+    const startBlock = poller.startBlock;
+    await fixture.actions.createBond();
+    await fixture.actions.challenge();
+    await pollContract({ ...poller, startBlock: await ethers.provider.getBlockNumber() });
+    expect(db.getBondEvents(poller.chainId, poller.address, 0).map((event) => event.name)).to.deep.equal(["Challenged"]);
+    expect(db.getBond(poller.chainId, poller.address, 0)).to.equal(null);
+
+    db.setIndexCheckpoint(poller.chainId, poller.address, startBlock - 1);
+    await pollContract(poller);
+
+    expect(db.getBond(poller.chainId, poller.address, 0)).to.include({ status: "challenged", challenge_count: 1 });
+    expect(db.getChallenges(poller.chainId, poller.address, 0)).to.have.length(1);
+  });
+});
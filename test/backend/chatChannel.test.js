@@ -0,0 +1,151 @@
+const { expect } = require("chai");
+const http = require("http");
+const { ethers } = require("hardhat");
+const { deploySimpleBondV5FuzzFixture } = require("../helpers/v5/simpleBondV5Fuzz");
+
+const BOT_TOKEN = "123456:test-token";
+
+// Just enough of the Telegram Bot API: sendMessage, plus scripted failures.
+function startFakeTelegram() {
+  const sent = [];
+  const failures = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      res.setHeader("Content-Type", "application/json");
+      if (req.url !== `/bot${BOT_TOKEN}/sendMessage`) {
+        res.writeHead(404);
+        return res.end(JSON.stringify({ ok: false, error_code: 404, description: "Not Found" }));
+      }
+      const failure = failures.shift();
+      if (failure) {
+        res.writeHead(failure.status);
+        return res.end(JSON.stringify({ ok: false, error_code: failure.status, description: failure.description }));
+      }
+      sent.push(JSON.parse(Buffer.concat(chunks).toString()));
+      res.end(JSON.stringify({ ok: true, result: { message_id: sent.length } }));
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => resolve({ server, sent, failures, apiBase: `http://127.0.0.1:${server.address().port}` }));
+  });
+}
+
+describe("backend chat notification channel", function () {
+  let createDatabase;
+  let createApiServer;
+  let pollContract;
+  let CONTRACT_ABI;
+  let createTelegramChannel;
+  let deliverChatMessages;
+  let TYPED_DATA_TYPES;
+  let typedDataDomain;
+
+  let fixture;
+  let telegram;
+  let channels;
+  let db;
+  let api;
+  let apiUrl;
+  let poller;
+
+  before(async function () {
+    ({ createDatabase } = await import("../../backend/db.mjs"));
+    ({ createApiServer } = await import("../../backend/api-server.mjs"));
+    ({ pollContract } = await import("../../backend/watcher.mjs"));
+    ({ CONTRACT_ABI } = await import("../../backend/config.mjs"));
+    ({ createTelegramChannel, deliverChatMessages } = await import("../../backend/chat.mjs"));
+    ({ TYPED_DATA_TYPES, typedDataDomain } = await import("../../backend/signatures.mjs"));
+  });
+
+  beforeEach(async function () {
+    fixture = await deploySimpleBondV5FuzzFixture();
+    const { chainId } = await ethers.provider.getNetwork();
+    telegram = await startFakeTelegram();
+    channels = { telegram: createTelegramChannel({ token: BOT_TOKEN, apiBase: telegram.apiBase }) };
+    db = createDatabase(":memory:");
+
+    api = createApiServer({ db, chatChannels: channels });
+    await new Promise((resolve) => api.listen(0, "127.0.0.1", resolve));
+    apiUrl = `http://127.0.0.1:${api.address().port}`;
+
+    poller = {
+      chainId: Number(chainId),
+      provider: ethers.provider,
+      contract: new ethers.Contract(fixture.addresses.bond, CONTRACT_ABI, ethers.provider),
+      iface: new ethers.Interface(CONTRACT_ABI),
+      address: fixture.addresses.bond,
+      startBlock: await ethers.provider.getBlockNumber(),
+      confirmations: 0,
+      db,
+    };
+  });
+
+  afterEach(function () {
+    api.close();
+    telegram.server.close();
+  });
+
+  let requests = 0;
+
+  async function link(signer, chatId) {
+    requests += 1;
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = await signer.signTypedData(
+      typedDataDomain(poller.chainId),
+      { ChatLink: TYPED_DATA_TYPES.ChatLink },
+      { wallet: fixture.addresses.poster, channel: "telegram", chatId: String(chatId), timestamp }
+    );
+    const response = await fetch(`${apiUrl}/api/notify/chat/link`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "X-Forwarded-For": `198.51.100.${requests}` },
+      body: JSON.stringify({
+        address: fixture.addresses.poster,
+        chainId: poller.chainId,
+        channel: "telegram",
+        chatId,
+        timestamp,
+        signature,
+      }),
+    });
+    return response.status;
+  }
+
+  it("binds a chat only after the wallet signs and the chat confirms", async function () {
+    expect(await link(fixture.actors.outsider, 4242)).to.equal(403);
+    expect(await link(fixture.actors.poster, 4242)).to.equal(200);
+
+    const [confirmation] = telegram.sent;
+    expect(confirmation).to.include({ chat_id: "4242", parse_mode: "HTML" });
+    const code = confirmation.text.match(/code=([0-9a-f]+)/)[1];
+
+    await fixture.actions.createBond();
+    await fixture.actions.challenge();
+    await pollContract(poller);
+    expect(db.getDueChatMessages(Date.now(), 10)).to.have.length(0); // not confirmed yet
+
+    const verified = await fetch(`${apiUrl}/api/notify/chat/verify?code=${code}`, { redirect: "manual" });
+    expect(verified.status).to.equal(302);
+    expect((await fetch(`${apiUrl}/api/notify/chat/verify?code=${code}`, { redirect: "manual" })).status).to.equal(400);
+
+    await fixture.actions.advanceToRulingWindow();
+    await fixture.actions.ruleForPoster();
+    await pollContract(poller);
+
+    telegram.failures.push({ status: 429, description: "Too Many Requests: retry after 5" });
+    expect(await deliverChatMessages({ db, channels })).to.equal(0);
+    expect(await deliverChatMessages({ db, channels, now: Date.now() + 3600_000 })).to.equal(1);
+
+    const message = telegram.sent[1];
+    expect(message.chat_id).to.equal("4242");
+    expect(message.text).to.include("<b>Bond #0 on");
+    expect(message.text).to.include("ruled <strong>in favor of the poster</strong>");
+    expect(message.text).to.include(`contract=${fixture.addresses.bond.toLowerCase()}&bond=0`);
+  });
+
+  it("reports chats the bot cannot reach", async function () {
+    telegram.failures.push({ status: 403, description: "Forbidden: bot can't initiate conversation with a user" });
+    expect(await link(fixture.actors.poster, 777)).to.equal(502);
+  });
+});
@@ -0,0 +1,76 @@
+const { expect } = require("chai");
+const { execFileSync, spawnSync } = require("child_process");
+const { existsSync, mkdtempSync, rmSync, writeFileSync } = require("fs");
+const { tmpdir } = require("os");
+const { join } = require("path");
+
+const CONFIG = join(__dirname, "..", "..", "backend", "config.mjs");
+const MIGRATE_CLI = join(__dirname, "..", "..", "backend", "migrate.mjs");
+
+describe("backend config locations", function () {
+  let dir;
+
+  beforeEach(function () {
+    dir = mkdtempSync(join(tmpdir(), "bond-notify-config-"));
+  });
+
+  afterEach(function () {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Config as a fresh process with `env` would see it.
+  function loadConfig(env) {
+    const script = `const c = await import(${JSON.stringify(CONFIG)});
+      console.log(JSON.stringify({ DATA_DIR: c.DATA_DIR, DB_PATH: c.DB_PATH, MAIL_FILE_PATH: c.MAIL_FILE_PATH, FROM_EMAIL: c.FROM_EMAIL }));`;
+    const output = execFileSync(process.execPath, ["--input-type=module", "-e", script], {
+      env: { PATH: process.env.PATH, ...env },
+      encoding: "utf8",
+    });
+    return JSON.parse(output);
+  }
+
+  it("keeps data and reads secrets where the environment says", function () {
+    const secrets = join(dir, "secrets.env");
+    writeFileSync(secrets, 'BOND_NOTIFY_FROM="alerts@example.com"\nBOND_NOTIFY_MAIL_FILE=\n');
+
+    expect(loadConfig({ BOND_NOTIFY_DATA_DIR: dir, BOND_NOTIFY_SECRETS_FILE: secrets })).to.deep.equal({
+      DATA_DIR: dir,
+      DB_PATH: join(dir, "bond-notify.db"),
+      MAIL_FILE_PATH: join(dir, "mail.jsonl"),
+      FROM_EMAIL: "alerts@example.com",
+    });
+    expect(loadConfig({ BOND_NOTIFY_DB: join(dir, "elsewhere.db"), BOND_NOTIFY_FROM: "env@example.com", BOND_NOTIFY_SECRETS_FILE: secrets }))
+      .to.include({ DB_PATH: join(dir, "elsewhere.db"), FROM_EMAIL: "env@example.com" });
+    expect(loadConfig({ BOND_NOTIFY_SECRETS_FILE: "" }).FROM_EMAIL).to.equal("noreply@futarchy.ai");
+  });
+
+  it("refuses malformed JSON overrides with an error naming the variable", function () {
+    const configError = (env) => {
+      const result = spawnSync(process.execPath, ["--input-type=module", "-e", `await import(${JSON.stringify(CONFIG)});`], {
+        env: { PATH: process.env.PATH, BOND_NOTIFY_SECRETS_FILE: "", ...env },
+        encoding: "utf8",
+      });
+      expect(result.status).to.equal(1);
+      return result.stderr.split("\n").find((line) => line.startsWith("Error: "));
+    };
+
+    expect(configError({ BOND_NOTIFY_REMINDER_OFFSETS: '{"rulingDeadline":[3600' }))
+      .to.match(/^Error: BOND_NOTIFY_REMINDER_OFFSETS is not valid JSON: /);
+    expect(configError({ BOND_NOTIFY_REMINDER_OFFSETS: '{"rulingDeadline":"3600","reminder":[1]}' })).to.equal(
+      "Error: BOND_NOTIFY_REMINDER_OFFSETS: rulingDeadline must be a list of whole seconds, 0 or more; "
+        + 'unknown key "reminder" (expected one of concessionClosing, rulingWindowOpen, rulingDeadline, withdrawable)'
+    );
+    expect(configError({ BOND_NOTIFY_RATE_LIMITS: '{"login":{"limit":0,"windowSec":60}}' }))
+      .to.match(/^Error: BOND_NOTIFY_RATE_LIMITS: login must be \{"limit"/);
+    expect(configError({ BOND_NOTIFY_RATE_LIMITS: "[]" })).to.match(/^Error: BOND_NOTIFY_RATE_LIMITS must be a JSON object keyed by register, /);
+  });
+
+  it("creates the database in the configured data directory", function () {
+    const dataDir = join(dir, "state");
+    execFileSync(process.execPath, [MIGRATE_CLI, "up"], {
+      env: { PATH: process.env.PATH, BOND_NOTIFY_DATA_DIR: dataDir, BOND_NOTIFY_SECRETS_FILE: "" },
+      encoding: "utf8",
+    });
+    expect(existsSync(join(dataDir, "bond-notify.db"))).to.equal(true);
+  });
+});
@@ -0,0 +1,93 @@
+const { expect } = require("chai");
+
+describe("backend outbox delivery", function () {
+  let createDatabase;
+  let deliverPending;
+  let retryDelay;
+  let config;
+
+  let db;
+
+  before(async function () {
+    ({ createDatabase } = await import("../../backend/db.mjs"));
+    ({ deliverPending, retryDelay } = await import("../../backend/delivery.mjs"));
+    config = await import("../../backend/config.mjs");
+  });
+
+  beforeEach(function () {
+    db = createDatabase(":memory:");
+  });
+
+  function enqueue(overrides = {}) {
+    return db.enqueueEmail({
+      dedupeKey: "100:0xabc:Challenged:1::0x1111111111111111111111111111111111111111",
+      address: "0x1111111111111111111111111111111111111111",
+      email: "judge@example.com",
+      chainId: 100,
+      bondId: 1,
+      eventType: "Challenged",
+      subject: "[SimpleBond] Challenged",
+      html: "<p>hi</p>",
+      now: 0,
+      ...overrides,
+    });
+  }
+
+  it("ignores a second enqueue with the same dedupe key", function () {
+    expect(enqueue()).to.equal(true);
+    expect(enqueue({ subject: "different" })).to.equal(false);
+    expect(db.getOutboxStats().pending).to.equal(1);
+  });
+
+  it("sends due messages once and logs them", async function () {
+    enqueue();
+    const sent = [];
+    const sendEmail = async (to, subject) => {
+      sent.push({ to, subject });
+      return "ses-1";
+    };
+
+    expect(await deliverPending({ db, sendEmail, now: 1 })).to.equal(1);
+    expect(await deliverPending({ db, sendEmail, now: 2 })).to.equal(0);
+
+    expect(sent).to.deep.equal([{ to: "judge@example.com", subject: "[SimpleBond] Challenged" }]);
+    expect(db.getOutboxStats()).to.include({ pending: 0, dead: 0 });
+  });
+
+  it("retries failed sends with exponential backoff", async function () {
+    enqueue();
+    let calls = 0;
+    const flaky = async () => (++calls < 3 ? null : "ses-ok");
+
+    await deliverPending({ db, sendEmail: flaky, now: 0 });
+    expect(calls).to.equal(1);
+
+    // Not due again until the first backoff has elapsed.
+    await deliverPending({ db, sendEmail: flaky, now: retryDelay(1) - 1 });
+    expect(calls).to.equal(1);
+
+    await deliverPending({ db, sendEmail: flaky, now: retryDelay(1) });
+    expect(calls).to.equal(2);
+
+    await deliverPending({ db, sendEmail: flaky, now: retryDelay(1) + retryDelay(2) });
+    expect(calls).to.equal(3);
+    expect(db.getOutboxStats().pending).to.equal(0);
+    expect(retryDelay(2)).to.equal(2 * retryDelay(1));
+  });
+
+  it("dead-letters a message after the maximum number of attempts", async function () {
+    enqueue();
+    const failing = async () => {
+      throw new Error("SES throttled");
+    };
+
+    let now = 0;
+    for (let attempt = 1; attempt <= config.OUTBOX_MAX_ATTEMPTS; attempt++) {
+      await deliverPending({ db, sendEmail: failing, now });
+      now += retryDelay(attempt);
+    }
+
+    expect(db.getOutboxStats()).to.include({ pending: 0, dead: 1 });
+    expect(await deliverPending({ db, sendEmail: failing, now: Number.MAX_SAFE_INTEGER })).to.equal(0);
+  });
+});
@@ -0,0 +1,135 @@
+const { expect } = require("chai");
+const { mkdtempSync, rmSync, writeFileSync } = require("fs");
+const { tmpdir } = require("os");
+const { join } = require("path");
+
+const BOND_V5 = "0x7dF485C013f8671B656d585f1d1411640B1D2776";
+const BOND_V4 = "0xCe8799303AeaEC861142470d754F74E09EfD1C45";
+
+describe("backend deployments file", function () {
+  let validateDeployments;
+  let loadDeployments;
+  let createPollers;
+  let createDatabase;
+
+  before(async function () {
+    ({ validateDeployments, loadDeployments } = await import("../../backend/deployments.mjs"));
+    ({ createPollers } = await import("../../backend/watcher.mjs"));
+    ({ createDatabase } = await import("../../backend/db.mjs"));
+  });
+
+  function gnosis(overrides = {}) {
+    return {
+      chainId: 100,
+      rpc: ["https://rpc.gnosischain.com", "https://gnosis.drpc.org"],
+      contracts: [
+        { address: BOND_V5.toLowerCase(), version: "v5", startBlock: 45569363 },
+        { address: BOND_V4, version: "v4", startBlock: 38000000 },
+      ],
+      ...overrides,
+    };
+  }
+
+  it("loads the checked-in deployments file", function () {
+    const [chain] = loadDeployments();
+
+    expect(chain.chainId).to.equal(100);
+    expect(chain.contracts.map(({ address }) => address)).to.deep.equal([BOND_V5]);
+  });
+
+  it("normalizes chains and applies defaults", function () {
+    const [chain] = validateDeployments({ chains: [gnosis({ rpc: "https://rpc.gnosischain.com" })] });
+
+    expect(chain).to.deep.include({
+      chainId: 100,
+      name: "Chain 100",
+      rpc: ["https://rpc.gnosischain.com"],
+      explorer: null,
+      confirmations: 12,
+      judgeProfileRegistry: null,
+      officialDirectory: null,
+    });
+    expect(chain.contracts[0]).to.deep.equal({ address: BOND_V5, version: "v5", startBlock: 45569363, label: null });
+  });
+
+  it("reports every problem at once with its path", function () {
+    const doc = {
+      chains: [
+        gnosis({
+          rpc: ["ftp://nope"],
+          confirmations: -1,
+          officialDirectory: "directory",
+          contracts: [
+            { address: "0x1234", version: "v5", startBlock: 1 },
+            { address: BOND_V5, version: "v9", startBlock: "soon" },
+          ],
+        }),
+        gnosis({
+          chainId: 137,
+          contracts: [{ address: BOND_V5, startBlock: 1 }, { address: BOND_V5, startBlock: 2 }],
+        }),
+      ],
+    };
+
+    expect(() => validateDeployments(doc)).to.throw(Error)
+      .that.satisfies(({ message }) => [
+        "chains[0].rpc[0]: must be an http(s) URL",
+        "chains[0].confirmations: must be a non-negative integer",
+        "chains[0].officialDirectory: must be a contract address",
+        "chains[0].contracts[0].address: must be a contract address",
+        "chains[0].contracts[1].version: must be one of v4, v5",
+        "chains[0].contracts[1].startBlock: must be a non-negative integer",
+        `chains[1].contracts[1].address: ${BOND_V5} is listed twice`,
+      ].every((line) => message.includes(line)));
+    expect(() => validateDeployments({ chains: [] })).to.throw("chains: must be a non-empty list");
+    expect(() => validateDeployments({ chains: [gnosis(), gnosis()] })).to.throw("chains[1].chainId: 100 is listed twice");
+  });
+
+  it("reads YAML deployments files", function () {
+    const dir = mkdtempSync(join(tmpdir(), "bond-notify-deployments-"));
+    try {
+      const path = join(dir, "deployments.yaml");
+      writeFileSync(path, [
+        "chains:",
+        "  - chainId: 137",
+        "    name: Polygon",
+        "    rpc: https://polygon-rpc.com",
+        "    confirmations: 64",
+        "    contracts:",
+        `      - address: "${BOND_V4}"`,
+        "        version: v4",
+        "        startBlock: 50000000",
+      ].join("\n"));
+
+      const [chain] = loadDeployments(path);
+      expect(chain).to.deep.include({ chainId: 137, name: "Polygon", confirmations: 64 });
+      expect(chain.contracts[0]).to.include({ address: BOND_V4, version: "v4" });
+
+      writeFileSync(path, "chains: [");
+      expect(() => loadDeployments(path)).to.throw(`Cannot parse deployments file ${path}`);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("creates one poller per contract sharing the chain provider", function () {
+    const db = createDatabase(":memory:");
+    const pollers = createPollers(validateDeployments({ chains: [gnosis()] }), { db });
+
+    expect(pollers.map(({ address, startBlock }) => ({ address, startBlock }))).to.deep.equal([
+      { address: BOND_V5, startBlock: 45569363 },
+      { address: BOND_V4, startBlock: 38000000 },
+    ]);
+    expect(pollers[0].provider).to.equal(pollers[1].provider);
+  });
+
+  it("keeps a separate checkpoint per contract", function () {
+    const db = createDatabase(":memory:");
+    db.setCheckpoint(100, BOND_V4, 100);
+    expect(db.getCheckpoint(100, BOND_V5)).to.equal(null);
+
+    db.setCheckpoint(100, BOND_V5, 200);
+    expect(db.getCheckpoint(100, BOND_V4)).to.equal(100);
+    expect(db.getCheckpoint(100, BOND_V5.toLowerCase())).to.equal(200);
+  });
+});
@@ -0,0 +1,117 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { mkdtempSync, rmSync } = require("fs");
+const { tmpdir } = require("os");
+const { join } = require("path");
+const Database = require("better-sqlite3");
+const { deploySimpleBondV5FuzzFixture } = require("../helpers/v5/simpleBondV5Fuzz");
+
+const DAY_MS = 86400_000;
+
+describe("backend notification digests", function () {
+  let createDatabase;
+  let pollContract;
+  let CONTRACT_ABI;
+  let runDigests;
+  let migrate;
+  let MIGRATIONS;
+
+  let fixture;
+  let db;
+  let poller;
+  let judge;
+
+  before(async function () {
+    ({ createDatabase } = await import("../../backend/db.mjs"));
+    ({ pollContract } = await import("../../backend/watcher.mjs"));
+    ({ CONTRACT_ABI } = await import("../../backend/config.mjs"));
+    ({ runDigests } = await import("../../backend/digest.mjs"));
+    ({ migrate, MIGRATIONS } = await import("../../backend/migrations.mjs"));
+  });
+
+  beforeEach(async function () {
+    fixture = await deploySimpleBondV5FuzzFixture();
+    const { chainId } = await ethers.provider.getNetwork();
+
+    db = createDatabase(":memory:");
+    judge = fixture.addresses.judge.toLowerCase();
+    db.upsertSubscription(judge, "judge@example.com", Number(chainId));
+    db.verifySubscription(judge, Number(chainId));
+    db.setPreferences(judge, Number(chainId), { digest: "daily" });
+
+    poller = {
+      chainId: Number(chainId),
+      provider: ethers.provider,
+      contract: new ethers.Contract(fixture.addresses.bond, CONTRACT_ABI, ethers.provider),
+      iface: new ethers.Interface(CONTRACT_ABI),
+      address: fixture.addresses.bond,
+      startBlock: await ethers.provider.getBlockNumber(),
+      confirmations: 0,
+      db,
+    };
+  });
+
+  function outbox() {
+    return db.getDueOutbox(Number.MAX_SAFE_INTEGER, 100);
+  }
+
+  async function laterThanChain(ms) {
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    return Math.max(Date.now(), timestamp * 1000) + ms;
+  }
+
+  it("holds events back and sends one digest per period grouped by bond", async function () {
+    await fixture.actions.createBond();
+    await fixture.actions.challenge();
+    await pollContract(poller);
+
+    expect(outbox()).to.have.length(0);
+    expect(db.getPendingDigestItems(judge, poller.chainId).map(({ event_type }) => event_type))
+      .to.deep.equal(["BondCreated", "Challenged"]);
+
+    expect(await runDigests({ db, now: Date.now() })).to.equal(0);
+
+    const now = await laterThanChain(DAY_MS);
+    expect(await runDigests({ db, now })).to.equal(1);
+    expect(await runDigests({ db, now: now + 60_000 })).to.equal(0);
+
+    const [digest] = outbox();
+    expect(digest).to.include({ email: "judge@example.com", event_type: "digest" });
+    expect(digest.subject).to.include("Your daily digest — 2 updates on 1 bond");
+    expect(digest.html).to.include("Bond #0");
+    expect(digest.html).to.include("1 pending challenge; ruling window opens in");
+    expect(db.getPendingDigestItems(judge, poller.chainId)).to.have.length(0);
+  });
+
+  it("flushes held-back items right away when digest mode is switched off", async function () {
+    await fixture.actions.createBond();
+    await pollContract(poller);
+    db.setPreferences(judge, poller.chainId, { digest: null });
+
+    expect(await runDigests({ db, now: Date.now() })).to.equal(1);
+    expect(outbox()[0].subject).to.include("Your latest digest — 1 update on 1 bond");
+
+    await fixture.actions.challenge();
+    await pollContract(poller);
+    expect(outbox().map(({ event_type }) => event_type)).to.deep.equal(["digest", "Challenged"]);
+  });
+
+  it("adds the digest columns to a preferences table from before digests", function () {
+    const dir = mkdtempSync(join(tmpdir(), "bond-notify-digest-"));
+    try {
+      const path = join(dir, "notify.db");
+      const old = new Database(path);
+      const { version } = MIGRATIONS.find(({ name }) => name === "preference_digests");
+      migrate(old, { to: version - 1 });
+      old.exec(`INSERT INTO subscription_preferences (wallet_address, chain_id, roles) VALUES ('0xabc', 100, '["judge"]')`);
+      old.close();
+
+      const upgraded = createDatabase(path);
+      expect(upgraded.getPreferences("0xabc", 100)).to.deep.equal({ events: null, roles: ["judge"], digest: null });
+      upgraded.setPreferences("0xabc", 100, { roles: ["judge"], digest: "weekly" });
+      expect(upgraded.getPreferences("0xabc", 100).digest).to.equal("weekly");
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,121 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deploySimpleBondV5FuzzFixture } = require("../helpers/v5/simpleBondV5Fuzz");
+
+describe("backend Atom feeds", function () {
+  let createDatabase;
+  let createApiServer;
+  let pollContract;
+  let createRegistryReader;
+  let CONTRACT_ABI;
+  let FRONTEND_BASE_URL;
+
+  let fixture;
+  let db;
+  let api;
+  let apiUrl;
+  let poller;
+
+  before(async function () {
+    ({ createDatabase } = await import("../../backend/db.mjs"));
+    ({ createApiServer } = await import("../../backend/api-server.mjs"));
+    ({ pollContract } = await import("../../backend/watcher.mjs"));
+    ({ createRegistryReader } = await import("../../backend/registries.mjs"));
+    ({ CONTRACT_ABI, FRONTEND_BASE_URL } = await import("../../backend/config.mjs"));
+  });
+
+  beforeEach(async function () {
+    fixture = await deploySimpleBondV5FuzzFixture();
+    const { chainId } = await ethers.provider.getNetwork();
+    db = createDatabase(":memory:");
+
+    const registries = createRegistryReader({ chains: [{ chainId: Number(chainId), provider: ethers.provider }] });
+    api = createApiServer({ db, registries });
+    await new Promise((resolve) => api.listen(0, "127.0.0.1", resolve));
+    apiUrl = `http://127.0.0.1:${api.address().port}`;
+
+    poller = {
+      chainId: Number(chainId),
+      provider: ethers.provider,
+      contract: new ethers.Contract(fixture.addresses.bond, CONTRACT_ABI, ethers.provider),
+      iface: new ethers.Interface(CONTRACT_ABI),
+      address: fixture.addresses.bond,
+      startBlock: await ethers.provider.getBlockNumber(),
+      confirmations: 0,
+      db,
+    };
+  });
+
+  afterEach(function () {
+    api.close();
+  });
+
+  function entries(xml) {
+    return [...xml.matchAll(/<entry>([\s\S]*?)<\/entry>/g)].map(([, entry]) => ({
+      title: entry.match(/<title>(.*)<\/title>/)[1],
+      link: entry.match(/<link href="(.*)"\/>/)[1],
+      content: entry.match(/<content type="html">([\s\S]*)<\/content>/)[1],
+    }));
+  }
+
+  it("lists indexed events newest first with formatted amounts and bond links", async function () {
+    await fixture.actions.createBond();
+    await fixture.actions.challenge({ bondId: 0 });
+    await pollContract(poller);
+
+    const response = await fetch(`${apiUrl}/feeds/bonds.xml`);
+    expect(response.status).to.equal(200);
+    expect(response.headers.get("content-type")).to.equal("application/atom+xml; charset=utf-8");
+    const xml = await response.text();
+
+    const [challenged, created] = entries(xml);
+    expect(entries(xml)).to.have.length(2);
+    expect(challenged.title).to.equal(`Challenged — Bond #0 (Chain ${poller.chainId})`);
+    expect(challenged.content).to.include("I found errors");
+    expect(created.title).to.equal(`New bond — Bond #0 (Chain ${poller.chainId})`);
+    expect(created.link).to.equal(`${FRONTEND_BASE_URL}?chain=${poller.chainId}&amp;contract=${fixture.addresses.bond.toLowerCase()}&amp;bond=0`);
+    expect(created.content).to.include("My article has no significant errors");
+    expect(created.content).to.include("Bond: 10000 TUSD");
+    expect(created.content).to.include("Judge fee: 500 TUSD");
+  });
+
+  it("answers conditional requests with 304 until the feed changes", async function () {
+    await fixture.actions.createBond();
+    await pollContract(poller);
+
+    const first = await fetch(`${apiUrl}/feeds/bonds.xml`);
+    const etag = first.headers.get("etag");
+    const lastModified = first.headers.get("last-modified");
+    expect(etag).to.match(/^".+"$/);
+    expect(first.headers.get("cache-control")).to.match(/^public, max-age=\d+$/);
+
+    expect((await fetch(`${apiUrl}/feeds/bonds.xml`, { headers: { "If-None-Match": etag } })).status).to.equal(304);
+    expect((await fetch(`${apiUrl}/feeds/bonds.xml`, { headers: { "If-Modified-Since": lastModified } })).status).to.equal(304);
+
+    await fixture.actions.challenge({ bondId: 0 });
+    await pollContract(poller);
+
+    const changed = await fetch(`${apiUrl}/feeds/bonds.xml`, { headers: { "If-None-Match": etag } });
+    expect(changed.status).to.equal(200);
+    expect(changed.headers.get("etag")).to.not.equal(etag);
+  });
+
+  it("serves per-judge and per-address feeds", async function () {
+    const [first, second] = fixture.actors.challengers;
+    await fixture.actions.createBond();
+    await fixture.actions.createBond();
+    await fixture.actions.challenge({ bondId: 1, challenger: second });
+    await pollContract(poller);
+
+    const titles = async (path) => entries(await (await fetch(`${apiUrl}${path}`)).text()).map((entry) => entry.title);
+
+    expect(await titles(`/feeds/judge/${fixture.addresses.judge}.xml`)).to.have.length(3);
+    expect(await titles(`/feeds/judge/${fixture.addresses.outsider}.xml`)).to.deep.equal([]);
+    expect(await titles(`/feeds/address/${second.address}.xml?chain=${poller.chainId}`)).to.deep.equal([
+      `Challenged — Bond #1 (Chain ${poller.chainId})`,
+      `New bond — Bond #1 (Chain ${poller.chainId})`,
+    ]);
+    expect(await titles(`/feeds/address/${first.address}.xml`)).to.deep.equal([]);
+    expect((await fetch(`${apiUrl}/feeds/address/nope.xml`)).status).to.equal(400);
+  });
+});
@@ -0,0 +1,38 @@
+-- A bond-notify.db as deployed before schema migrations existed (no schema_migrations table).
+CREATE TABLE subscriptions (
+  wallet_address TEXT NOT NULL,
+  email TEXT NOT NULL,
+  chain_id INTEGER NOT NULL,
+  verified INTEGER NOT NULL DEFAULT 0,
+  created_at TEXT DEFAULT (datetime('now')),
+  PRIMARY KEY (wallet_address, chain_id)
+);
+CREATE TABLE email_log (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  wallet_address TEXT,
+  chain_id INTEGER,
+  bond_id INTEGER,
+  event_type TEXT,
+  sent_at TEXT DEFAULT (datetime('now')),
+  ses_message_id TEXT
+);
+CREATE TABLE checkpoints (
+  chain_id INTEGER PRIMARY KEY,
+  last_block INTEGER NOT NULL
+);
+CREATE TABLE judge_profiles (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  wallet_address TEXT NOT NULL,
+  chain_id INTEGER NOT NULL,
+  statement TEXT NOT NULL DEFAULT '',
+  link_url TEXT NOT NULL DEFAULT '',
+  created_at TEXT DEFAULT (datetime('now')),
+  updated_at TEXT DEFAULT (datetime('now')),
+  UNIQUE (wallet_address, chain_id)
+);
+
+INSERT INTO subscriptions (wallet_address, email, chain_id, verified) VALUES ('0x00000000000000000000000000000000000000aa', 'poster@example.com', 100, 1);
+INSERT INTO subscriptions (wallet_address, email, chain_id, verified) VALUES ('0x00000000000000000000000000000000000000bb', 'judge@example.com', 100, 0);
+INSERT INTO email_log (wallet_address, chain_id, bond_id, event_type, ses_message_id) VALUES ('0x00000000000000000000000000000000000000aa', 100, 3, 'Challenged', 'ses-0001');
+INSERT INTO checkpoints (chain_id, last_block) VALUES (100, 45600000);
+INSERT INTO judge_profiles (wallet_address, chain_id, statement, link_url) VALUES ('0x00000000000000000000000000000000000000bb', 100, 'I rule on the evidence.', 'https://judge.example');
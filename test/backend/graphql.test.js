@@ -0,0 +1,137 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deploySimpleBondV5FuzzFixture } = require("../helpers/v5/simpleBondV5Fuzz");
+
+describe("backend GraphQL endpoint", function () {
+  let createDatabase;
+  let createApiServer;
+  let pollContract;
+  let createRegistryReader;
+  let CONTRACT_ABI;
+
+  let fixture;
+  let db;
+  let api;
+  let apiUrl;
+  let poller;
+
+  before(async function () {
+    ({ createDatabase } = await import("../../backend/db.mjs"));
+    ({ createApiServer } = await import("../../backend/api-server.mjs"));
+    ({ pollContract } = await import("../../backend/watcher.mjs"));
+    ({ createRegistryReader } = await import("../../backend/registries.mjs"));
+    ({ CONTRACT_ABI } = await import("../../backend/config.mjs"));
+  });
+
+  beforeEach(async function () {
+    fixture = await deploySimpleBondV5FuzzFixture();
+    const { chainId } = await ethers.provider.getNetwork();
+    const [owner] = await ethers.getSigners();
+
+    const profiles = await (await ethers.getContractFactory("JudgeProfileRegistry")).deploy(owner.address, owner.address);
+    await profiles.connect(fixture.actors.judgeOperator)
+      .setProfile(fixture.addresses.judge, "Registry Court", "Rules on facts.", "https://court.example", "");
+    const directory = await (await ethers.getContractFactory("OfficialBondDirectory")).deploy(owner.address, owner.address);
+    await directory.setJudge(fixture.addresses.judge, true, 3, "Official Court", "", "");
+    await directory.setToken(fixture.addresses.token, true, true, false, 18, 1, "TT", "Test Token");
+
+    db = createDatabase(":memory:");
+    db.upsertJudgeProfile(fixture.addresses.judge, Number(chainId), "Self-published statement.", "");
+
+    const registries = createRegistryReader({
+      chains: [{
+        chainId: Number(chainId),
+        provider: ethers.provider,
+        judgeProfileRegistry: await profiles.getAddress(),
+        officialDirectory: await directory.getAddress(),
+      }],
+    });
+    api = createApiServer({ db, registries });
+    await new Promise((resolve) => api.listen(0, "127.0.0.1", resolve));
+    apiUrl = `http://127.0.0.1:${api.address().port}`;
+
+    poller = {
+      chainId: Number(chainId),
+      provider: ethers.provider,
+      contract: new ethers.Contract(fixture.addresses.bond, CONTRACT_ABI, ethers.provider),
+      iface: new ethers.Interface(CONTRACT_ABI),
+      address: fixture.addresses.bond,
+      startBlock: await ethers.provider.getBlockNumber(),
+      confirmations: 0,
+      db,
+    };
+  });
+
+  afterEach(function () {
+    api.close();
+  });
+
+  async function graphql(query, variables) {
+    const response = await fetch(`${apiUrl}/api/graphql`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ query, variables }),
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  it("answers nested questions about bonds, challenges, judges and tokens in one request", async function () {
+    await fixture.actions.createBond();
+    await fixture.actions.createBond();
+    await fixture.actions.challenge({ bondId: 0 });
+    await pollContract(poller);
+
+    const { status, body } = await graphql(`
+      query Pending($chainId: Int!, $judge: String!) {
+        bonds(chainId: $chainId, judge: $judge, status: "challenged") {
+          nodes {
+            bondId
+            challenges(status: "pending") { challenger metadata }
+            judge {
+              profile { statement }
+              registryProfile { displayName linkURI }
+              official { displayName sortOrder }
+              stats { bondCount judgedCount }
+            }
+            token { official { symbol decimals } }
+          }
+          pageInfo { hasNextPage endCursor }
+        }
+      }
+    `, { chainId: poller.chainId, judge: fixture.addresses.judge });
+
+    expect(status).to.equal(200);
+    expect(body.errors).to.equal(undefined);
+    expect(body.data.bonds.pageInfo).to.deep.equal({ hasNextPage: false, endCursor: null });
+    const [bond] = body.data.bonds.nodes;
+    expect(body.data.bonds.nodes).to.have.length(1);
+    expect(bond.bondId).to.equal(0);
+    expect(bond.challenges).to.deep.equal([
+      { challenger: fixture.addresses.challengers[0].toLowerCase(), metadata: "I found errors" },
+    ]);
+    expect(bond.judge).to.deep.equal({
+      profile: { statement: "Self-published statement." },
+      registryProfile: { displayName: "Registry Court", linkURI: "https://court.example" },
+      official: { displayName: "Official Court", sortOrder: 3 },
+      stats: { bondCount: 2, judgedCount: 0 },
+    });
+    expect(bond.token.official).to.deep.equal({ symbol: "TT", decimals: 18 });
+  });
+
+  it("rejects queries nested past the depth limit", async function () {
+    const { status, body } = await graphql(`
+      { bonds(chainId: 1) { nodes { challenges { bond { challenges { bond { judge { address } } } } } } } }
+    `);
+
+    expect(status).to.equal(400);
+    expect(body.errors[0].message).to.equal("Query is nested 8 fields deep; the limit is 7");
+  });
+
+  it("reports bad arguments as GraphQL errors", async function () {
+    const { status, body } = await graphql(`{ bonds(chainId: 1, status: "bogus") { nodes { bondId } } }`);
+
+    expect(status).to.equal(200);
+    expect(body.data).to.equal(null);
+    expect(body.errors[0].message).to.match(/^Invalid status/);
+  });
+});
@@ -0,0 +1,190 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deploySimpleBondV5FuzzFixture } = require("../helpers/v5/simpleBondV5Fuzz");
+
+describe("backend live bond activity stream", function () {
+  let createDatabase;
+  let createApiServer;
+  let createLiveFeed;
+  let pollContract;
+  let rewindIndex;
+  let CONTRACT_ABI;
+
+  let fixture;
+  let db;
+  let liveFeed;
+  let api;
+  let apiUrl;
+  let poller;
+  let streams;
+
+  before(async function () {
+    ({ createDatabase } = await import("../../backend/db.mjs"));
+    ({ createApiServer } = await import("../../backend/api-server.mjs"));
+    ({ createLiveFeed } = await import("../../backend/live.mjs"));
+    ({ pollContract } = await import("../../backend/watcher.mjs"));
+    ({ rewindIndex } = await import("../../backend/indexer.mjs"));
+    ({ CONTRACT_ABI } = await import("../../backend/config.mjs"));
+  });
+
+  beforeEach(async function () {
+    fixture = await deploySimpleBondV5FuzzFixture();
+    const { chainId } = await ethers.provider.getNetwork();
+    db = createDatabase(":memory:");
+    liveFeed = createLiveFeed({ db, intervalMs: 20 });
+    streams = [];
+
+    api = createApiServer({ db, liveFeed });
+    await new Promise((resolve) => api.listen(0, "127.0.0.1", resolve));
+    apiUrl = `http://127.0.0.1:${api.address().port}`;
+
+    poller = {
+      chainId: Number(chainId),
+      provider: ethers.provider,
+      contract: new ethers.Contract(fixture.addresses.bond, CONTRACT_ABI, ethers.provider),
+      iface: new ethers.Interface(CONTRACT_ABI),
+      address: fixture.addresses.bond,
+      startBlock: await ethers.provider.getBlockNumber(),
+      confirmations: 0,
+      db,
+    };
+  });
+
+  afterEach(function () {
+    for (const stream of streams) stream.close();
+    liveFeed.close();
+    api.close();
+  });
+
+  // Minimal SSE client: next() resolves with the next message's parsed data.
+  async function openStream(query, headers = {}, baseUrl = apiUrl) {
+    const controller = new AbortController();
+    const response = await fetch(`${baseUrl}/api/bonds/stream?${query}`, { headers, signal: controller.signal });
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+
+    const stream = {
+      response,
+      lastEventId: null,
+      lastEventType: null,
+      async next() {
+        for (;;) {
+          const end = buffer.indexOf("\n\n");
+          if (end === -1) {
+            const { value } = await reader.read();
+            buffer += decoder.decode(value);
+            continue;
+          }
+          const block = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          const fields = Object.fromEntries(block.split("\n").map((line) => {
+            const colon = line.indexOf(":");
+            return [line.slice(0, colon), line.slice(colon + 1).trim()];
+          }));
+          if (!fields.data) continue; // retry hint or heartbeat
+          stream.lastEventId = fields.id;
+          stream.lastEventType = fields.event ?? "message";
+          return JSON.parse(fields.data);
+        }
+      },
+      close() {
+        controller.abort();
+      },
+    };
+    streams.push(stream);
+    return stream;
+  }
+
+  it("pushes newly indexed events for the bond a client follows", async function () {
+    await fixture.actions.createBond();
+    await fixture.actions.createBond();
+    await pollContract(poller);
+
+    const stream = await openStream(`chain=${poller.chainId}&bondId=1`);
+    expect(stream.response.status).to.equal(200);
+    expect(stream.response.headers.get("content-type")).to.equal("text/event-stream");
+
+    await fixture.actions.challenge({ bondId: 0 });
+    await fixture.actions.challenge({ bondId: 1 });
+    await pollContract(poller);
+
+    const message = await stream.next();
+    expect(message.event).to.equal("Challenged");
+    expect(message.bondId).to.equal(1);
+    expect(message.contract).to.equal(fixture.addresses.bond.toLowerCase());
+    expect(message.args.challenger).to.equal(fixture.addresses.challengers[0]);
+    expect(message.bond).to.include({ status: "challenged", challengeCount: 1, pendingChallenges: 1 });
+    expect(stream.lastEventId).to.equal(String(message.id));
+  });
+
+  it("replays missed events after Last-Event-ID and filters by participant", async function () {
+    const [first, second] = fixture.actors.challengers;
+    await fixture.actions.createBond();
+    await fixture.actions.createBond();
+    await fixture.actions.challenge({ bondId: 0, challenger: first });
+    await fixture.actions.challenge({ bondId: 1, challenger: second });
+    await pollContract(poller);
+
+    const stream = await openStream(
+      `chain=${poller.chainId}&address=${fixture.addresses.challengers[1]}`,
+      { "Last-Event-ID": "0" }
+    );
+
+    const created = await stream.next();
+    const challenged = await stream.next();
+    expect([created.event, created.bondId]).to.deep.equal(["BondCreated", 1]);
+    expect([challenged.event, challenged.bondId]).to.deep.equal(["Challenged", 1]);
+    expect(challenged.id).to.be.greaterThan(created.id);
+  });
+
+  it("tells a client too far behind to reset instead of skipping events", async function () {
+    await fixture.actions.createBond();
+    await fixture.actions.createBond();
+    await fixture.actions.challenge({ bondId: 1 });
+    await pollContract(poller);
+    const latest = db.getLatestActivityId();
+
+    const smallFeed = createLiveFeed({ db, intervalMs: 20, replayLimit: 2 });
+    const smallApi = createApiServer({ db, liveFeed: smallFeed });
+    await new Promise((resolve) => smallApi.listen(0, "127.0.0.1", resolve));
+    try {
+      const base = `http://127.0.0.1:${smallApi.address().port}`;
+      const stream = await openStream(`chain=${poller.chainId}`, { "Last-Event-ID": "0" }, base);
+      expect(await stream.next()).to.deep.equal({ id: latest });
+      expect(stream.lastEventType).to.equal("reset");
+      expect(stream.lastEventId).to.equal(String(latest));
+
+      // Within the limit, the missed events are replayed as before.
+      const caughtUp = await openStream(`chain=${poller.chainId}`, { "Last-Event-ID": String(latest - 1) }, base);
+      expect((await caughtUp.next()).event).to.equal("Challenged");
+      expect(caughtUp.lastEventType).to.equal("message");
+    } finally {
+      smallFeed.close();
+      smallApi.close();
+    }
+  });
+
+  it("does not replay activity from blocks a reorg orphaned", async function () {
+    await fixture.actions.createBond();
+    await pollContract(poller);
+    const forkPoint = await ethers.provider.getBlockNumber();
+    await fixture.actions.challenge({ bondId: 0 });
+    await pollContract(poller);
+
+    await rewindIndex(db, poller.chainId, poller.address, forkPoint);
+    expect(db.getActivitySince(0).map(({ name }) => name)).to.deep.equal(["BondCreated", "Reorg"]);
+
+    const stream = await openStream(`chain=${poller.chainId}&bondId=0`, { "Last-Event-ID": "0" });
+    expect((await stream.next()).event).to.equal("BondCreated");
+    const reorg = await stream.next();
+    expect(reorg.event).to.equal("Reorg");
+    expect(reorg.bond).to.include({ status: "active", challengeCount: 0 });
+  });
+
+  it("rejects streams without a chain or with a bad address", async function () {
+    expect((await fetch(`${apiUrl}/api/bonds/stream`)).status).to.equal(400);
+    expect((await fetch(`${apiUrl}/api/bonds/stream?chain=1&judge=nope`)).status).to.equal(400);
+    expect(liveFeed.subscriberCount).to.equal(0);
+  });
+});
@@ -0,0 +1,144 @@
+const { expect } = require("chai");
+const net = require("net");
+const { mkdtempSync, readFileSync, rmSync } = require("fs");
+const { tmpdir } = require("os");
+const { join } = require("path");
+
+// Just enough of an SMTP server to accept one message and hand back its DATA.
+function startFakeSmtpServer() {
+  const received = [];
+  const server = net.createServer((socket) => {
+    let buffer = "";
+    let inData = false;
+    let data = "";
+    socket.write("220 fake ESMTP\r\n");
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString();
+      let index;
+      while ((index = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        if (inData) {
+          if (line === ".") {
+            inData = false;
+            received.push(data);
+            data = "";
+            socket.write("250 OK queued as fake-1\r\n");
+          } else {
+            data += `${line}\n`;
+          }
+        } else if (/^(EHLO|HELO)/i.test(line)) {
+          socket.write("250 fake\r\n");
+        } else if (/^DATA/i.test(line)) {
+          inData = true;
+          socket.write("354 go ahead\r\n");
+        } else if (/^QUIT/i.test(line)) {
+          socket.end("221 bye\r\n");
+        } else {
+          socket.write("250 OK\r\n");
+        }
+      }
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => resolve({ server, received, port: server.address().port }));
+  });
+}
+
+describe("backend mail transports", function () {
+  let mailer;
+  let transports;
+  let previousTransport;
+
+  before(async function () {
+    mailer = await import("../../backend/mailer.mjs");
+    transports = await import("../../backend/transports.mjs");
+  });
+
+  afterEach(function () {
+    if (previousTransport) {
+      mailer.setTransport(previousTransport);
+      previousTransport = null;
+    }
+  });
+
+  it("keeps the sendEmail(to, subject, htmlBody) contract over the memory transport", async function () {
+    const memory = transports.createMemoryTransport();
+    previousTransport = mailer.setTransport(memory);
+
+    const id = await mailer.sendEmail("judge@example.com", "Hello", "<p>Bond <b>#1</b></p>");
+
+    expect(id).to.equal("memory-1");
+    expect(memory.messages).to.have.length(1);
+    expect(memory.messages[0]).to.include({
+      to: "judge@example.com",
+      subject: "Hello",
+      html: "<p>Bond <b>#1</b></p>",
+      text: "Bond #1",
+    });
+  });
+
+  it("passes the transport's error on, so the outbox records it", async function () {
+    previousTransport = mailer.setTransport({
+      name: "broken",
+      send: async () => {
+        throw new Error("554 Message rejected: Email address is not verified");
+      },
+    });
+    const { createDatabase } = await import("../../backend/db.mjs");
+    const { deliverPending } = await import("../../backend/delivery.mjs");
+    const db = createDatabase(":memory:");
+    db.enqueueEmail({ dedupeKey: "k1", address: null, email: "judge@example.com", chainId: 100, bondId: 1, eventType: "Challenged", subject: "Hello", html: "<p>hi</p>", now: 0 });
+
+    await expect(mailer.sendEmail("judge@example.com", "Hello", "<p>hi</p>")).to.be.rejectedWith(/Message rejected/);
+    await deliverPending({ db, sendEmail: mailer.sendEmail, now: 1 });
+    const { queued } = db.getEmailHistory({ address: null, bondId: 1, chainId: 100, limit: 10 });
+    expect(queued[0]).to.include({ attempts: 1, last_error: "554 Message rejected: Email address is not verified" });
+  });
+
+  it("appends JSON lines with the file transport", async function () {
+    const dir = mkdtempSync(join(tmpdir(), "bond-notify-mail-"));
+    try {
+      const path = join(dir, "nested", "mail.jsonl");
+      const file = transports.createFileTransport({ path });
+
+      await file.send({ from: "a@example.com", to: "b@example.com", subject: "One", html: "<p>1</p>", text: "1" });
+      await file.send({ from: "a@example.com", to: "c@example.com", subject: "Two", html: "<p>2</p>", text: "2" });
+
+      const lines = readFileSync(path, "utf8").trim().split("\n").map((line) => JSON.parse(line));
+      expect(lines.map(({ to, subject }) => ({ to, subject }))).to.deep.equal([
+        { to: "b@example.com", subject: "One" },
+        { to: "c@example.com", subject: "Two" },
+      ]);
+      expect(lines[0].id).to.match(/^file-/);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("delivers over plain SMTP", async function () {
+    const { server, received, port } = await startFakeSmtpServer();
+    try {
+      const smtp = transports.createSmtpTransport({ url: `smtp://127.0.0.1:${port}` });
+      const id = await smtp.send({
+        from: "noreply@example.com",
+        to: "judge@example.com",
+        subject: "Bond challenged",
+        html: "<p>challenged</p>",
+        text: "challenged",
+      });
+
+      expect(id).to.be.a("string");
+      expect(received).to.have.length(1);
+      expect(received[0]).to.include("Subject: Bond challenged");
+      expect(received[0]).to.include("To: judge@example.com");
+    } finally {
+      server.close();
+    }
+  });
+
+  it("rejects unknown or misconfigured transports with a clear error", function () {
+    expect(() => transports.createTransport("pigeon")).to.throw('Unknown mail transport "pigeon"');
+    expect(() => transports.createTransport("smtp", { url: "" })).to.throw("BOND_NOTIFY_SMTP_URL");
+  });
+});
@@ -0,0 +1,133 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deploySimpleBondV5FuzzFixture } = require("../helpers/v5/simpleBondV5Fuzz");
+
+describe("backend Prometheus metrics", function () {
+  let createMetrics;
+  let createDatabase;
+  let createApiServer;
+  let pollContract;
+  let deliverPending;
+  let CONTRACT_ABI;
+
+  before(async function () {
+    ({ createMetrics } = await import("../../backend/metrics.mjs"));
+    ({ createDatabase } = await import("../../backend/db.mjs"));
+    ({ createApiServer } = await import("../../backend/api-server.mjs"));
+    ({ pollContract } = await import("../../backend/watcher.mjs"));
+    ({ deliverPending } = await import("../../backend/delivery.mjs"));
+    ({ CONTRACT_ABI } = await import("../../backend/config.mjs"));
+  });
+
+  // The value of one series in a scrape, or undefined when it is missing.
+  function sample(text, name, labels = {}) {
+    const labelText = Object.entries(labels).map(([key, value]) => `${key}="${value}"`).join(",");
+    const prefix = labelText ? `${name}{${labelText}} ` : `${name} `;
+    const line = text.split("\n").find((l) => l.startsWith(prefix));
+    return line === undefined ? undefined : Number(line.slice(prefix.length));
+  }
+
+  it("renders counters, gauges and histograms in the text format", function () {
+    const registry = createMetrics();
+    const requests = registry.counter("test_requests_total", "Requests", ["path"]);
+    requests.inc({ path: '/a"b' });
+    requests.inc({ path: '/a"b' }, 2);
+    registry.gauge("test_depth", "Depth").set({}, 7);
+    const duration = registry.histogram("test_seconds", "Duration", ["op"], [0.1, 1]);
+    duration.observe({ op: "get" }, 0.5);
+    duration.observe({ op: "get" }, 3);
+
+    expect(registry.counter("test_requests_total", "Requests", ["path"])).to.have.property("inc");
+    expect(registry.render()).to.equal([
+      "# HELP test_requests_total Requests",
+      "# TYPE test_requests_total counter",
+      'test_requests_total{path="/a\\"b"} 3',
+      "# HELP test_depth Depth",
+      "# TYPE test_depth gauge",
+      "test_depth 7",
+      "# HELP test_seconds Duration",
+      "# TYPE test_seconds histogram",
+      'test_seconds_bucket{op="get",le="0.1"} 0',
+      'test_seconds_bucket{op="get",le="1"} 1',
+      'test_seconds_bucket{op="get",le="+Inf"} 2',
+      'test_seconds_sum{op="get"} 3.5',
+      'test_seconds_count{op="get"} 2',
+      "",
+    ].join("\n"));
+  });
+
+  describe("/metrics", function () {
+    let fixture;
+    let db;
+    let api;
+    let apiUrl;
+    let poller;
+
+    beforeEach(async function () {
+      fixture = await deploySimpleBondV5FuzzFixture();
+      const chainId = Number((await ethers.provider.getNetwork()).chainId);
+      db = createDatabase(":memory:");
+      api = createApiServer({ db });
+      await new Promise((resolve) => api.listen(0, "127.0.0.1", resolve));
+      apiUrl = `http://127.0.0.1:${api.address().port}`;
+
+      poller = {
+        chainId,
+        provider: ethers.provider,
+        contract: new ethers.Contract(fixture.addresses.bond, CONTRACT_ABI, ethers.provider),
+        iface: new ethers.Interface(CONTRACT_ABI),
+        address: fixture.addresses.bond,
+        startBlock: await ethers.provider.getBlockNumber(),
+        confirmations: 0,
+        db,
+      };
+    });
+
+    afterEach(function () {
+      api.close();
+    });
+
+    const scrape = async () => (await fetch(`${apiUrl}/metrics`)).text();
+
+    it("reports watcher progress, RPC calls and queue depth", async function () {
+      const contract = { chain_id: poller.chainId, contract: fixture.addresses.bond.toLowerCase() };
+      const before = await scrape();
+
+      await fixture.actions.createBond();
+      await fixture.actions.challenge({ bondId: 0 });
+      await pollContract(poller);
+      const head = await ethers.provider.getBlockNumber();
+      db.enqueueEmail({ dedupeKey: "k", email: "a@example.com", eventType: "Challenged", subject: "s", html: "h" });
+
+      const after = await scrape();
+      expect(sample(after, "bond_notify_logs_processed_total", contract) - (sample(before, "bond_notify_logs_processed_total", contract) ?? 0))
+        .to.equal(2);
+      expect(sample(after, "bond_notify_chain_head_block", { chain_id: poller.chainId })).to.equal(head);
+      expect(sample(after, "bond_notify_blocks_behind_head", contract)).to.equal(0);
+      expect(sample(after, "bond_notify_checkpoint_block", contract)).to.equal(head);
+      expect(sample(after, "bond_notify_rpc_duration_seconds_count", { chain_id: poller.chainId, method: "getLogs" }))
+        .to.be.greaterThan(0);
+      expect(sample(after, "bond_notify_queue_depth", { queue: "email", status: "pending" })).to.equal(1);
+      expect(sample(after, "bond_notify_queue_depth", { queue: "digest", status: "pending" })).to.equal(0);
+    });
+
+    it("counts email results by event type and API requests by route", async function () {
+      const failed = { event_type: "Challenged", result: "failed" };
+      const bondRoute = { route: "/api/bonds/:id", method: "GET", status: 404 };
+      const before = await scrape();
+
+      db.enqueueEmail({ dedupeKey: "k", email: "a@example.com", eventType: "Challenged", subject: "s", html: "h", now: 0 });
+      await deliverPending({ db, sendEmail: async () => { throw new Error("SES down"); }, now: 1 });
+      await fetch(`${apiUrl}/api/bonds/7?chain=${poller.chainId}`);
+      await fetch(`${apiUrl}/api/bonds/8?chain=${poller.chainId}`);
+      await fetch(`${apiUrl}/nope`);
+
+      const after = await scrape();
+      expect(sample(after, "bond_notify_emails_total", failed) - (sample(before, "bond_notify_emails_total", failed) ?? 0)).to.equal(1);
+      expect(sample(after, "bond_notify_http_requests_total", bondRoute) - (sample(before, "bond_notify_http_requests_total", bondRoute) ?? 0))
+        .to.equal(2);
+      expect(sample(after, "bond_notify_http_requests_total", { route: "unmatched", method: "GET", status: 404 })).to.be.greaterThan(0);
+      expect(after).to.not.include("/api/bonds/7");
+    });
+  });
+});
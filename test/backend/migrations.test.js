@@ -0,0 +1,128 @@
+const { expect } = require("chai");
+const { execFileSync } = require("child_process");
+const { mkdtempSync, readFileSync, rmSync } = require("fs");
+const { tmpdir } = require("os");
+const { join } = require("path");
+const Database = require("better-sqlite3");
+
+const FIXTURE = join(__dirname, "fixtures", "bond-notify-pre-migrations.sql");
+const MIGRATE_CLI = join(__dirname, "..", "..", "backend", "migrate.mjs");
+
+describe("backend schema migrations", function () {
+  let createDatabase;
+  let MIGRATIONS;
+  let migrate;
+  let migrationStatus;
+  let rollback;
+
+  let dir;
+  let path;
+
+  before(async function () {
+    ({ createDatabase } = await import("../../backend/db.mjs"));
+    ({ MIGRATIONS, migrate, migrationStatus, rollback } = await import("../../backend/migrations.mjs"));
+  });
+
+  beforeEach(function () {
+    dir = mkdtempSync(join(tmpdir(), "bond-notify-migrations-"));
+    path = join(dir, "bond-notify.db");
+    const fixture = new Database(path);
+    fixture.exec(readFileSync(FIXTURE, "utf8"));
+    fixture.close();
+  });
+
+  afterEach(function () {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const columns = (raw, table) => raw.prepare(`PRAGMA table_info(${table})`).all().map(({ name }) => name);
+  const tables = (raw) => raw.prepare("SELECT name FROM sqlite_master WHERE type='table'").all().map(({ name }) => name);
+  const laterVersions = () => MIGRATIONS.slice(1).map(({ version }) => version);
+
+  it("adopts a database from before migrations without losing data", function () {
+    const db = createDatabase(path);
+    expect(db.getSubscription("0x00000000000000000000000000000000000000aa", 100)).to.include({ email: "poster@example.com", verified: 1 });
+    expect(db.getJudgeProfile("0x00000000000000000000000000000000000000bb", 100).statement).to.equal("I rule on the evidence.");
+    expect(db.getEmailHistory({ address: "0x00000000000000000000000000000000000000aa" }).sent[0])
+      .to.include({ bond_id: 3, event_type: "Challenged", ses_message_id: "ses-0001" });
+    // The contract the single-contract watcher followed picks up its checkpoint.
+    expect(db.getCheckpoint(100, "0x7df485c013f8671b656d585f1d1411640b1d2776")).to.equal(45600000);
+    expect(db.getPreferences("0x00000000000000000000000000000000000000aa", 100))
+      .to.deep.equal({ events: null, roles: null, digest: null });
+
+    const raw = new Database(path);
+    try {
+      expect(migrationStatus(raw).map(({ version, appliedAt }) => [version, appliedAt !== null]))
+        .to.deep.equal(MIGRATIONS.map(({ version }) => [version, true]));
+      expect(migrate(raw)).to.deep.equal([]);
+    } finally {
+      raw.close();
+    }
+  });
+
+  it("hands the single-contract watcher's checkpoint only to the contract it followed", function () {
+    const db = createDatabase(path);
+    // Listed first, as in a deployments file with V4 ahead of V5.
+    expect(db.getCheckpoint(100, "0xCe8799303AeaEC861142470d754F74E09EfD1C45")).to.equal(null);
+    expect(db.getCheckpoint(100, "0x7dF485C013f8671B656d585f1d1411640B1D2776")).to.equal(45600000);
+  });
+
+  it("starts from the baseline schema and adds every later table and column in its own migration", function () {
+    const raw = new Database(path);
+    try {
+      expect(migrate(raw, { to: 1 }).map(({ name }) => name)).to.deep.equal(["initial_schema"]);
+      expect(tables(raw).filter((name) => !["sqlite_sequence", "schema_migrations"].includes(name)))
+        .to.have.members(["subscriptions", "email_log", "checkpoints", "judge_profiles"]);
+      expect(migrationStatus(raw).filter(({ appliedAt }) => appliedAt === null).map(({ version }) => version))
+        .to.deep.equal(laterVersions());
+
+      expect(migrate(raw, { to: 7 }).map(({ name }) => name)).to.include.members(["outbox", "subscription_preferences"]);
+      expect(columns(raw, "subscription_preferences")).to.not.include("digest");
+      expect(migrate(raw, { to: 8 }).map(({ name }) => name)).to.deep.equal(["preference_digests"]);
+      expect(columns(raw, "subscription_preferences")).to.include.members(["digest", "digest_sent_at"]);
+    } finally {
+      raw.close();
+    }
+  });
+
+  it("rolls back and re-applies migrations in order", function () {
+    const raw = new Database(path);
+    try {
+      migrate(raw);
+      expect(rollback(raw, { to: 1 }).map(({ version }) => version)).to.deep.equal(laterVersions().reverse());
+      expect(tables(raw)).to.not.include.members(["outbox", "bonds", "subscription_preferences"]);
+      expect(raw.prepare("SELECT email FROM subscriptions WHERE verified=1").get().email).to.equal("poster@example.com");
+      expect(() => rollback(raw, { to: 0 })).to.throw(/Migration 1 \(initial_schema\) cannot be rolled back/);
+
+      expect(migrate(raw).map(({ version }) => version)).to.deep.equal(laterVersions());
+      expect(columns(raw, "bonds")).to.include.members(["created_tx", "outcome", "settled_at"]);
+    } finally {
+      raw.close();
+    }
+  });
+
+  it("runs a failed migration's changes back out and refuses newer schemas", function () {
+    const raw = new Database(path);
+    try {
+      const broken = [...MIGRATIONS, { version: MIGRATIONS.length + 1, name: "broken", up: "CREATE TABLE half_done (id INTEGER); SELECT * FROM missing;" }];
+      expect(() => migrate(raw, { migrations: broken })).to.throw(/no such table: missing/);
+      expect(raw.prepare("SELECT name FROM sqlite_master WHERE name='half_done'").get()).to.equal(undefined);
+      expect(migrationStatus(raw).every(({ appliedAt }) => appliedAt !== null)).to.equal(true);
+
+      raw.prepare("INSERT INTO schema_migrations (version, name) VALUES (99, 'from_the_future')").run();
+    } finally {
+      raw.close();
+    }
+    expect(() => createDatabase(path)).to.throw(/schema is at version 99, newer than this code/);
+  });
+
+  it("shows status, applies and rolls back from the command line", function () {
+    const cli = (...args) => execFileSync(process.execPath, [MIGRATE_CLI, ...args, "--db", path], { encoding: "utf8" });
+
+    expect(cli("status")).to.match(/1 {2}pending +initial_schema/);
+    expect(cli("up", "2")).to.equal("[migrate] Applied 1 initial_schema\n[migrate] Applied 2 outbox\n");
+    expect(cli("status")).to.match(/2 {2}applied \S+ \S+ +outbox\n +3 {2}pending +contract_checkpoints/);
+    expect(cli("up", "3")).to.equal("[migrate] Applied 3 contract_checkpoints\n");
+    expect(cli("down", "1")).to.equal("[migrate] Rolled back 3 contract_checkpoints\n[migrate] Rolled back 2 outbox\n");
+  });
+});
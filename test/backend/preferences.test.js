@@ -0,0 +1,135 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deploySimpleBondV5FuzzFixture } = require("../helpers/v5/simpleBondV5Fuzz");
+
+describe("backend notification preferences", function () {
+  let createDatabase;
+  let createApiServer;
+  let pollContract;
+  let CONTRACT_ABI;
+  let parsePreferences;
+  let wantsNotification;
+
+  before(async function () {
+    ({ createDatabase } = await import("../../backend/db.mjs"));
+    ({ createApiServer } = await import("../../backend/api-server.mjs"));
+    ({ pollContract } = await import("../../backend/watcher.mjs"));
+    ({ CONTRACT_ABI } = await import("../../backend/config.mjs"));
+    ({ parsePreferences, wantsNotification } = await import("../../backend/preferences.mjs"));
+  });
+
+  it("validates preferences and matches events, wildcards and roles", function () {
+    expect(parsePreferences({})).to.deep.equal({ events: null, roles: null, digest: null });
+    expect(() => parsePreferences({ digest: "hourly" })).to.throw("digest must be null or one of: daily, weekly");
+    expect(() => parsePreferences({ events: ["Bogus"] })).to.throw('Unknown event "Bogus"');
+    expect(() => parsePreferences({ roles: ["auditor"] })).to.throw("roles must be a list of");
+
+    const sub = parsePreferences({ events: ["Challenged", "RuledFor*", "rulingDeadline"], roles: ["poster", "challenger"] });
+    expect(wantsNotification(sub, "RuledForPoster", ["poster"])).to.equal(true);
+    expect(wantsNotification(sub, "rulingDeadline", ["challenger"])).to.equal(true);
+    expect(wantsNotification(sub, "BondCreated", ["poster"])).to.equal(false);
+    expect(wantsNotification(sub, "Challenged", ["judge"])).to.equal(false);
+    // 'challengers' in EVENT_RECIPIENTS counts as the challenger role.
+    expect(wantsNotification(sub, "Challenged", ["challengers"])).to.equal(true);
+    expect(wantsNotification({ events: null, roles: null }, "BondTimedOut", ["judge"])).to.equal(true);
+  });
+
+  describe("/api/notify/preferences", function () {
+    let db;
+    let server;
+    let baseUrl;
+    let wallet;
+
+    beforeEach(async function () {
+      db = createDatabase(":memory:");
+      wallet = ethers.Wallet.createRandom();
+      db.upsertSubscription(wallet.address, "judge@example.com", 100);
+      db.verifySubscription(wallet.address, 100);
+
+      server = createApiServer({ db });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(function () {
+      server.close();
+    });
+
+    async function signedUpdate(signer, fields) {
+      const timestamp = Math.floor(Date.now() / 1000);
+      const message = JSON.stringify({
+        action: "simplebond-notify-preferences-v1",
+        address: wallet.address.toLowerCase(),
+        chainId: 100,
+        events: fields.events ?? null,
+        roles: fields.roles ?? null,
+        digest: fields.digest ?? null,
+        timestamp,
+      });
+      const response = await fetch(`${baseUrl}/api/notify/preferences`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          address: wallet.address,
+          chainId: 100,
+          ...fields,
+          timestamp,
+          signature: await signer.signMessage(message),
+        }),
+      });
+      return { status: response.status, body: await response.json() };
+    }
+
+    it("stores signed preferences and rejects other signers", async function () {
+      const update = { events: ["Challenged", "RuledFor*"], roles: ["judge"], digest: "daily" };
+
+      const forged = await signedUpdate(ethers.Wallet.createRandom(), update);
+      expect(forged.status).to.equal(403);
+
+      const saved = await signedUpdate(wallet, update);
+      expect(saved.status).to.equal(200);
+      expect(saved.body).to.deep.include(update);
+
+      const response = await fetch(`${baseUrl}/api/notify/preferences?address=${wallet.address}&chain=100`);
+      const body = await response.json();
+      expect(body).to.deep.include(update);
+      expect(body.availableRoles).to.deep.equal(["poster", "judge", "challenger"]);
+
+      db.deleteSubscription(wallet.address, 100);
+      expect(db.getPreferences(wallet.address, 100)).to.deep.equal({ events: null, roles: null, digest: null });
+    });
+  });
+
+  it("filters watcher recipients against their preferences", async function () {
+    const fixture = await deploySimpleBondV5FuzzFixture();
+    const { chainId } = await ethers.provider.getNetwork();
+    const db = createDatabase(":memory:");
+    for (const address of [fixture.addresses.poster, fixture.addresses.judge]) {
+      db.upsertSubscription(address, `${address.slice(2, 8)}@example.com`, Number(chainId));
+      db.verifySubscription(address, Number(chainId));
+    }
+    // The poster only wants rulings; the judge keeps the defaults.
+    db.setPreferences(fixture.addresses.poster, Number(chainId), { events: ["RuledFor*"], roles: null });
+
+    const poller = {
+      chainId: Number(chainId),
+      provider: ethers.provider,
+      contract: new ethers.Contract(fixture.addresses.bond, CONTRACT_ABI, ethers.provider),
+      iface: new ethers.Interface(CONTRACT_ABI),
+      address: fixture.addresses.bond,
+      startBlock: await ethers.provider.getBlockNumber(),
+      confirmations: 0,
+      db,
+    };
+
+    await fixture.actions.createBond();
+    await fixture.actions.challenge();
+    await pollContract(poller);
+
+    const queued = db.getDueOutbox(Date.now() + 1, 100).map(({ wallet_address, event_type }) => [wallet_address, event_type]);
+    expect(queued).to.deep.equal([
+      [fixture.addresses.judge.toLowerCase(), "BondCreated"],
+      [fixture.addresses.judge.toLowerCase(), "Challenged"],
+    ]);
+  });
+});
@@ -0,0 +1,80 @@
+const { expect } = require("chai");
+const { execFileSync } = require("child_process");
+const { mkdtempSync, rmSync } = require("fs");
+const { tmpdir } = require("os");
+const { join } = require("path");
+const { ethers, network } = require("hardhat");
+const { deploySimpleBondV5FuzzFixture } = require("../helpers/v5/simpleBondV5Fuzz");
+
+const BACKEND = join(__dirname, "..", "..", "backend");
+
+// A JSON-RPC endpoint answered by the in-process Hardhat network. A lagging one
+// has not seen any block yet.
+class HardhatEndpoint extends ethers.JsonRpcProvider {
+  constructor(chainId, { lagging = false } = {}) {
+    super("http://127.0.0.1:1", chainId, { staticNetwork: true });
+    this.lagging = lagging;
+  }
+
+  async _send(payloads) {
+    return Promise.all([].concat(payloads).map(async ({ id, method, params }) => {
+      if (this.lagging && method === "eth_getBlockByNumber") return { id, jsonrpc: "2.0", result: null };
+      return { id, jsonrpc: "2.0", result: await network.provider.request({ method, params }) };
+    }));
+  }
+}
+
+describe("backend RPC providers", function () {
+  let createChainRpc;
+  let createChainPool;
+  let getBlock;
+  let CONTRACT_ABI;
+  let chainId;
+
+  before(async function () {
+    ({ createChainRpc, createChainPool, getBlock } = await import("../../backend/provider.mjs"));
+    ({ CONTRACT_ABI } = await import("../../backend/config.mjs"));
+    chainId = Number((await ethers.provider.getNetwork()).chainId);
+  });
+
+  it("sends a chain's provider calls through its pool, failing over between RPC URLs", async function () {
+    const fixture = await deploySimpleBondV5FuzzFixture();
+    await fixture.actions.createBond();
+    const dead = new ethers.JsonRpcProvider("http://127.0.0.1:1", chainId, { staticNetwork: true });
+    const { provider, pool } = createChainRpc({ chainId, rpc: [] }, [dead, new HardhatEndpoint(chainId)]);
+    try {
+      expect(await provider.getBlockNumber()).to.equal(await ethers.provider.getBlockNumber());
+      const bond = await new ethers.Contract(fixture.addresses.bond, CONTRACT_ABI, provider).bonds(0);
+      expect(bond.judge).to.equal(fixture.addresses.judge);
+      expect(pool.status()[0]).to.include({ healthy: false, failures: 1 });
+      expect(pool.status()[1].healthy).to.equal(true);
+    } finally {
+      provider.destroy();
+    }
+  });
+
+  it("moves on from an endpoint that has not seen a block another just reported", async function () {
+    const head = await ethers.provider.getBlockNumber();
+    const pool = createChainPool(chainId, [new HardhatEndpoint(chainId, { lagging: true }), new HardhatEndpoint(chainId)]);
+
+    expect((await getBlock({ chainId, pool }, head)).hash).to.equal((await ethers.provider.getBlock(head)).hash);
+    expect(pool.status()[0]).to.include({ healthy: false, lastError: `Block ${head} is not available from this endpoint yet` });
+  });
+
+  it("builds the API's providers without loading the watcher", function () {
+    const dir = mkdtempSync(join(tmpdir(), "bond-notify-provider-"));
+    try {
+      const script = `await import(${JSON.stringify(join(BACKEND, "api-server.mjs"))});
+        const { metrics } = await import(${JSON.stringify(join(BACKEND, "metrics.mjs"))});
+        console.log(metrics.render());`;
+      const output = execFileSync(process.execPath, ["--input-type=module", "-e", script], {
+        env: { PATH: process.env.PATH, BOND_NOTIFY_DATA_DIR: dir, BOND_NOTIFY_SECRETS_FILE: "" },
+        encoding: "utf8",
+      });
+      expect(output).to.include("# HELP bond_notify_rpc_duration_seconds");
+      expect(output).to.not.include("bond_notify_logs_processed_total");
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,132 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const Database = require("better-sqlite3");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+describe("backend rate limits", function () {
+  let createDatabase;
+  let createApiServer;
+  let createRateLimiter;
+  let clientIp;
+  let API_ORIGIN;
+  let TYPED_DATA_TYPES;
+  let typedDataDomain;
+
+  let servers;
+  let dir;
+
+  before(async function () {
+    ({ createDatabase } = await import("../../backend/db.mjs"));
+    ({ createApiServer } = await import("../../backend/api-server.mjs"));
+    ({ createRateLimiter, clientIp } = await import("../../backend/rate-limit.mjs"));
+    ({ API_ORIGIN, TYPED_DATA_TYPES, typedDataDomain } = await import("../../backend/signatures.mjs"));
+  });
+
+  beforeEach(function () {
+    servers = [];
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "bond-rate-"));
+  });
+
+  afterEach(function () {
+    for (const server of servers) server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Each call opens its own connection, like a separate API process would.
+  async function startServer(limits) {
+    const db = createDatabase(path.join(dir, "notify.db"));
+    const server = createApiServer({ db, rateLimiter: createRateLimiter({ db, limits }) });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    servers.push(server);
+    return `http://127.0.0.1:${server.address().port}`;
+  }
+
+  it("shares token buckets between API processes and reports them in headers", async function () {
+    const limits = { update: { limit: 2, windowSec: 60 } };
+    const first = await startServer(limits);
+    const second = await startServer(limits);
+    // An unsigned unsubscribe still takes a token before it is refused.
+    const unsubscribe = (baseUrl, ip) => fetch(`${baseUrl}/api/notify/unsubscribe`, {
+      method: "DELETE",
+      headers: { "Content-Type": "application/json", "X-Forwarded-For": ip },
+      body: "{}",
+    });
+
+    const allowed = await unsubscribe(first, "198.51.100.20");
+    expect(allowed.status).to.equal(400);
+    expect(allowed.headers.get("ratelimit-policy")).to.equal("2;w=60");
+    expect(allowed.headers.get("ratelimit-remaining")).to.equal("1");
+    expect(Number(allowed.headers.get("ratelimit-reset"))).to.be.within(29, 30);
+
+    expect((await unsubscribe(second, "198.51.100.20")).status).to.equal(400);
+    const refused = await unsubscribe(first, "198.51.100.20");
+    expect(refused.status).to.equal(429);
+    expect(Number(refused.headers.get("retry-after"))).to.be.within(29, 30);
+    expect(refused.headers.get("ratelimit-remaining")).to.equal("0");
+
+    expect((await unsubscribe(second, "198.51.100.21")).status).to.equal(400);
+  });
+
+  it("limits reads per process without writing them to the database", async function () {
+    const limits = { read: { limit: 2, windowSec: 60 } };
+    const first = await startServer(limits);
+    const second = await startServer(limits);
+    const get = (baseUrl) => fetch(`${baseUrl}/api/notify/health`, { headers: { "X-Forwarded-For": "198.51.100.25" } });
+
+    const allowed = await get(first);
+    expect(allowed.status).to.equal(200);
+    expect(allowed.headers.get("ratelimit-remaining")).to.equal("1");
+    expect((await get(first)).status).to.equal(200);
+    expect((await get(first)).status).to.equal(429);
+    expect((await get(second)).status).to.equal(200);
+
+    const raw = new Database(path.join(dir, "notify.db"), { readonly: true });
+    try {
+      expect(raw.prepare("SELECT COUNT(*) AS n FROM rate_limits").get().n).to.equal(0);
+    } finally {
+      raw.close();
+    }
+  });
+
+  it("limits a wallet across IPs once its signature checks out", async function () {
+    const baseUrl = await startServer({ profile: { limit: 1, windowSec: 3600 }, read: { limit: 10, windowSec: 60 } });
+    const wallet = ethers.Wallet.createRandom();
+    const profile = { statement: "Rate-limited court.", linkUrl: "" };
+    const publish = async (signer, timestamp, ip) => {
+      const message = { wallet: wallet.address, ...profile, timestamp };
+      const signature = await signer.signTypedData(
+        typedDataDomain(100, API_ORIGIN),
+        { JudgeProfile: TYPED_DATA_TYPES.JudgeProfile },
+        message
+      );
+      const response = await fetch(`${baseUrl}/api/judges/profile`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "X-Forwarded-For": ip },
+        body: JSON.stringify({ address: wallet.address, chainId: 100, ...profile, timestamp, signature }),
+      });
+      return response.status;
+    };
+    const now = Math.floor(Date.now() / 1000);
+
+    // Forged requests cannot use up the wallet's allowance.
+    expect(await publish(ethers.Wallet.createRandom(), now, "198.51.100.30")).to.equal(403);
+    expect(await publish(wallet, now, "198.51.100.31")).to.equal(200);
+    expect(await publish(wallet, now + 1, "198.51.100.32")).to.equal(429);
+  });
+
+  it("only believes X-Forwarded-For from trusted proxies", function () {
+    const request = (remoteAddress, forwardedFor) => ({
+      headers: forwardedFor ? { "x-forwarded-for": forwardedFor } : {},
+      socket: { remoteAddress },
+    });
+    const trusted = ["127.0.0.1", "10.0.0.2"];
+
+    expect(clientIp(request("203.0.113.9", "198.51.100.1"), trusted)).to.equal("203.0.113.9");
+    expect(clientIp(request("127.0.0.1", "198.51.100.1"), trusted)).to.equal("198.51.100.1");
+    // A client-supplied first hop is ignored when a trusted proxy appended the real one.
+    expect(clientIp(request("127.0.0.1", "1.2.3.4, 198.51.100.1, 10.0.0.2"), trusted)).to.equal("198.51.100.1");
+    expect(clientIp(request("127.0.0.1", "not-an-ip"), trusted)).to.equal("127.0.0.1");
+  });
+});
@@ -0,0 +1,160 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deploySimpleBondV5FuzzFixture } = require("../helpers/v5/simpleBondV5Fuzz");
+
+const DAY = 86400;
+const HOUR = 3600;
+
+describe("backend deadline reminders", function () {
+  let createDatabase;
+  let pollContract;
+  let CONTRACT_ABI;
+  let dueReminders;
+  let bondTimeline;
+  let runReminders;
+
+  before(async function () {
+    ({ createDatabase } = await import("../../backend/db.mjs"));
+    ({ pollContract } = await import("../../backend/watcher.mjs"));
+    ({ CONTRACT_ABI } = await import("../../backend/config.mjs"));
+    ({ dueReminders, runReminders } = await import("../../backend/reminders.mjs"));
+    ({ bondTimeline } = await import("../../backend/indexer.mjs"));
+  });
+
+  describe("dueReminders", function () {
+    const offsets = {
+      concessionClosing: [DAY, HOUR],
+      rulingWindowOpen: [0],
+      rulingDeadline: [3 * DAY, DAY, HOUR],
+      withdrawable: [0],
+    };
+
+    function row(overrides = {}) {
+      return {
+        poster: "0xposter",
+        judge: "0xjudge",
+        deadline: 1_000_000,
+        acceptance_delay: 3 * DAY,
+        ruling_buffer: 30 * DAY,
+        settled: 0,
+        challenge_count: 0,
+        current_challenge: 0,
+        last_challenge_time: 0,
+        ...overrides,
+      };
+    }
+
+    function kinds(bond, now) {
+      return dueReminders(bond, now, offsets).map(({ kind, offset }) => `${kind}@${offset}`);
+    }
+
+    it("tells the poster an unchallenged bond is withdrawable once the deadline passes", function () {
+      const bond = row();
+
+      expect(kinds(bond, bond.deadline - 1)).to.deep.equal([]);
+      expect(dueReminders(bond, bond.deadline + 60, offsets)).to.deep.equal([
+        { kind: "withdrawable", role: "poster", offset: 0, dueAt: bond.deadline },
+      ]);
+      // Too stale to be worth sending after a long outage.
+      expect(kinds(bond, bond.deadline + 2 * DAY)).to.deep.equal([]);
+    });
+
+    it("follows the ruling window of a challenged bond", function () {
+      // Challenged late, so the acceptance delay pushes the ruling window past the deadline.
+      const bond = row({ challenge_count: 1, last_challenge_time: 1_000_000 - DAY });
+      const { rulingWindowStart, rulingDeadline } = bondTimeline(bond);
+      expect(rulingWindowStart).to.equal(1_000_000 + 2 * DAY);
+      expect(rulingDeadline).to.equal(rulingWindowStart + 30 * DAY);
+
+      expect(kinds(bond, rulingWindowStart - 2 * DAY)).to.deep.equal([]);
+      expect(kinds(bond, rulingWindowStart - 20 * HOUR)).to.deep.equal(["concessionClosing@86400"]);
+      // Only the closest offset reached is sent, not every one skipped over.
+      expect(kinds(bond, rulingWindowStart - 10)).to.deep.equal(["concessionClosing@3600"]);
+      expect(kinds(bond, rulingWindowStart)).to.deep.equal(["rulingWindowOpen@0"]);
+      expect(kinds(bond, rulingDeadline - 2 * DAY)).to.deep.equal(["rulingDeadline@259200"]);
+      expect(kinds(bond, rulingDeadline - 10)).to.deep.equal(["rulingDeadline@3600"]);
+      expect(kinds(bond, rulingDeadline)).to.deep.equal([]);
+    });
+
+    it("sends nothing for settled bonds or once every challenge is ruled on", function () {
+      expect(kinds(row({ settled: 1 }), 1_000_000 + 60)).to.deep.equal([]);
+      expect(kinds(row({ challenge_count: 1, current_challenge: 1 }), 1_000_000 + 60)).to.deep.equal(["withdrawable@0"]);
+    });
+  });
+
+  describe("on a live contract", function () {
+    let fixture;
+    let db;
+    let poller;
+
+    beforeEach(async function () {
+      fixture = await deploySimpleBondV5FuzzFixture();
+      const { chainId } = await ethers.provider.getNetwork();
+
+      db = createDatabase(":memory:");
+      for (const address of [fixture.addresses.poster, fixture.addresses.judge]) {
+        db.upsertSubscription(address, `${address.slice(2, 8)}@example.com`, Number(chainId));
+        db.verifySubscription(address, Number(chainId));
+      }
+
+      poller = {
+        chainId: Number(chainId),
+        provider: ethers.provider,
+        contract: new ethers.Contract(fixture.addresses.bond, CONTRACT_ABI, ethers.provider),
+        iface: new ethers.Interface(CONTRACT_ABI),
+        address: fixture.addresses.bond,
+        startBlock: await ethers.provider.getBlockNumber(),
+        confirmations: 0,
+        db,
+      };
+    });
+
+    function queued() {
+      return db.getDueOutbox(Date.now() + 1, 100).map(({ email, event_type }) => ({ email, event_type }));
+    }
+
+    it("indexes bonds from events and queues a deduplicated reminder", async function () {
+      await fixture.actions.createBond();
+      await fixture.actions.challenge();
+      await pollContract(poller);
+
+      const [indexed] = db.getOpenBonds(poller.chainId, poller.address);
+      expect(indexed).to.include({
+        bond_id: 0,
+        poster: fixture.addresses.poster.toLowerCase(),
+        challenge_count: 1,
+        current_challenge: 0,
+      });
+      const onChain = Number(await fixture.bond.rulingDeadline(0));
+      expect(bondTimeline(indexed).rulingDeadline).to.equal(onChain);
+
+      const outboxBefore = queued().length;
+      const now = bondTimeline(indexed).concessionDeadline - HOUR / 2;
+      expect(await runReminders({ db, pollers: [poller], now })).to.equal(1);
+      expect(await runReminders({ db, pollers: [poller], now: now + 60 })).to.equal(0);
+
+      const reminders = queued().slice(outboxBefore);
+      expect(reminders).to.deep.equal([
+        { email: `${fixture.addresses.poster.slice(2, 8).toLowerCase()}@example.com`, event_type: "reminder:concessionClosing" },
+      ]);
+    });
+
+    it("re-checks the contract before reminding from a stale index", async function () {
+      await fixture.actions.createBond();
+      await fixture.actions.challenge();
+      await pollContract(poller);
+
+      // Ruled on after the last poll: the index still shows a pending challenge.
+      await fixture.actions.advanceToRulingWindow();
+      await fixture.actions.ruleForPoster();
+
+      const [indexed] = db.getOpenBonds(poller.chainId, poller.address);
+      const now = bondTimeline(indexed).rulingWindowStart + 60;
+      expect(await runReminders({ db, pollers: [poller], now })).to.equal(1);
+
+      expect(queued().map(({ event_type }) => event_type)).to.include("reminder:withdrawable");
+      expect(queued().map(({ event_type }) => event_type)).to.not.include("reminder:rulingWindowOpen");
+      expect(db.getOpenBonds(poller.chainId, poller.address)[0].current_challenge).to.equal(1);
+    });
+  });
+});
@@ -0,0 +1,368 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const pg = require("pg");
+const { deploySimpleBondV5FuzzFixture } = require("../helpers/v5/simpleBondV5Fuzz");
+
+// Run against a local Postgres when one is reachable. Each test gets its own schema.
+const POSTGRES_URL = process.env.BOND_NOTIFY_TEST_DATABASE_URL || "postgres://localhost:5432/bond_notify_test";
+
+const WALLET = "0x00000000000000000000000000000000000000aA";
+const CONTRACT = "0x00000000000000000000000000000000000000Bb";
+
+function bondRow(bondId, overrides = {}) {
+  return {
+    chainId: 100,
+    contract: CONTRACT,
+    bondId,
+    poster: "0x0000000000000000000000000000000000000001",
+    judge: "0x0000000000000000000000000000000000000002",
+    token: "0x0000000000000000000000000000000000000003",
+    bondAmount: "1000",
+    challengeAmount: "100",
+    judgeFee: "10",
+    deadline: 1_000,
+    acceptanceDelay: 60,
+    rulingBuffer: 600,
+    metadata: `bond ${bondId}`,
+    createdBlock: 10 + bondId,
+    createdTx: `0x${bondId}`,
+    createdAt: 500,
+    ...overrides,
+  };
+}
+
+function challengeRow(bondId, challengeIndex, overrides = {}) {
+  return {
+    chainId: 100,
+    contract: CONTRACT,
+    bondId,
+    challengeIndex,
+    challenger: "0x0000000000000000000000000000000000000004",
+    metadata: "wrong",
+    createdBlock: 20,
+    createdTx: "0xc",
+    createdAt: 700 + challengeIndex,
+    ...overrides,
+  };
+}
+
+function repositorySuite(name, open) {
+  describe(`backend repository on ${name}`, function () {
+    let db;
+    let close;
+
+    beforeEach(async function () {
+      ({ db, close } = await open());
+    });
+
+    afterEach(async function () {
+      await close?.();
+    });
+
+    it("keeps subscriptions and preferences, reporting what each change touched", async function () {
+      await db.upsertSubscription(WALLET, "Me@Example.com", 100);
+      expect((await db.verifySubscription(WALLET, 100)).changes).to.equal(1);
+      expect((await db.verifySubscription(WALLET, 5)).changes).to.equal(0);
+      await db.setPreferences(WALLET, 100, { events: ["Challenged"], roles: null, digest: "daily" });
+
+      const [sub] = await db.getVerifiedSubscriptions(100, [WALLET, CONTRACT]);
+      expect(sub).to.include({ wallet_address: WALLET.toLowerCase(), email: "me@example.com", chain_id: 100, verified: 1 });
+      expect(sub).to.deep.include({ events: ["Challenged"], roles: null, digest: "daily" });
+      expect(await db.getPreferences(WALLET, 100)).to.deep.equal({ events: ["Challenged"], roles: null, digest: "daily" });
+
+      const [found] = await db.searchSubscriptions({ search: "ME@", verified: true });
+      expect(found.email).to.equal("me@example.com");
+      expect(await db.searchSubscriptions({ search: "me_" })).to.have.length(0);
+
+      expect((await db.deleteSubscription(WALLET, 100)).changes).to.equal(1);
+      expect((await db.deleteSubscription(WALLET, 100)).changes).to.equal(0);
+      expect(await db.getSubscription(WALLET, 100)).to.equal(undefined);
+      expect(await db.getPreferences(WALLET, 100)).to.deep.equal({ events: null, roles: null, digest: null });
+    });
+
+    it("queues each email once and tracks its delivery", async function () {
+      const email = { dedupeKey: "k1", address: WALLET, email: "me@example.com", chainId: 100, contract: CONTRACT, blockNumber: 5, bondId: 0, eventType: "BondCreated", subject: "s", html: "h", now: 0 };
+      expect(await db.enqueueEmail(email)).to.equal(true);
+      expect(await db.enqueueEmail(email)).to.equal(false);
+
+      const [queued] = await db.getDueOutbox(0, 10);
+      expect(queued).to.include({ dedupe_key: "k1", wallet_address: WALLET.toLowerCase(), contract_address: CONTRACT.toLowerCase(), block_number: 5 });
+      await db.markOutboxFailed(queued.id, "down", 100, false);
+      expect(await db.getDueOutbox(99, 10)).to.have.length(0);
+
+      const stats = await db.getOutboxStats();
+      expect(stats).to.include({ pending: 1, dead: 0 });
+      expect(stats.oldestPending).to.match(/^\d{4}-\d\d-\d\d \d\d:\d\d:\d\d$/);
+      expect(await db.getQueueDepths()).to.deep.include({ queue: "email", status: "pending", count: 1 });
+
+      await db.markOutboxSent(queued.id, "ses-1");
+      await db.logEmail(WALLET, 100, 0, "BondCreated", "ses-1");
+      const { sent, queued: history } = await db.getEmailHistory({ address: WALLET });
+      expect(sent.map(row => row.ses_message_id)).to.deep.equal(["ses-1"]);
+      expect(history[0]).to.include({ status: "sent", attempts: 2 });
+
+      expect(await db.deleteQueuedAfter(100, CONTRACT, 4)).to.equal(0);
+    });
+
+    it("moves checkpoints forward with their block hashes and back after a reorg", async function () {
+      expect(await db.getCheckpoint(100, CONTRACT)).to.equal(null);
+      await db.commitRange(100, CONTRACT, 12, [[10, "0xa"], [12, "0xc"]]);
+      await db.commitRange(100, CONTRACT, 14, [[14, "0xe"]]);
+      expect(await db.getCheckpoint(100, CONTRACT)).to.equal(14);
+      expect(await db.getIndexCheckpoint(100, CONTRACT)).to.equal(14);
+      expect(await db.listCheckpoints()).to.deep.equal([{ chain_id: 100, contract_address: CONTRACT.toLowerCase(), last_block: 14 }]);
+
+      await db.pruneBlockHashes(100, CONTRACT, 2);
+      expect(await db.getRecentBlockHashes(100, CONTRACT, 20, 10)).to.deep.equal([
+        { block_number: 14, block_hash: "0xe" },
+        { block_number: 12, block_hash: "0xc" },
+      ]);
+
+      // Re-scanning an indexed range never moves the index checkpoint back.
+      await db.setIndexCheckpoint(100, CONTRACT, 30);
+      await db.commitRange(100, CONTRACT, 16, []);
+      expect(await db.getIndexCheckpoint(100, CONTRACT)).to.equal(30);
+
+      await db.rollbackCheckpoint(100, CONTRACT, 12);
+      expect(await db.getCheckpoint(100, CONTRACT)).to.equal(12);
+      expect(await db.getIndexCheckpoint(100, CONTRACT)).to.equal(12);
+      expect(await db.getRecentBlockHashes(100, CONTRACT, 20, 10)).to.deep.equal([{ block_number: 12, block_hash: "0xc" }]);
+    });
+
+    it("indexes bonds and challenges and pages through them newest first", async function () {
+      for (const bondId of [0, 1, 2]) await db.upsertBond(bondRow(bondId));
+      await db.recordChallenge(challengeRow(1, 0));
+      await db.resolveChallenge(100, CONTRACT, 1, 0, "lost", "10", 900);
+      await db.advanceBondChallenge(100, CONTRACT, 1, 0);
+      await db.recordChallenge(challengeRow(1, 1));
+      await db.settleBond(100, CONTRACT, 2, "rejected", 800);
+
+      expect(await db.getBond(100, CONTRACT, 1)).to.include({ challenge_count: 2, current_challenge: 1, last_challenge_time: 701, status: "challenged" });
+      expect((await db.getBond(100, CONTRACT, 0)).status).to.equal("active");
+      expect((await db.getBond(100, CONTRACT, 2)).status).to.equal("rejected");
+      expect(await db.getBond(100, CONTRACT, 9)).to.equal(null);
+      expect((await db.getChallenges(100, CONTRACT, 1)).map(c => c.status)).to.deep.equal(["lost", "pending"]);
+
+      // Recording a challenge again replaces it outright.
+      await db.recordChallenge(challengeRow(1, 0, { metadata: "again" }));
+      expect((await db.getChallenges(100, CONTRACT, 1))[0]).to.include({ status: "pending", fee_charged: null, resolved_at: null, metadata: "again" });
+
+      const first = await db.listBonds({ chainId: 100, limit: 2 });
+      expect(first.map(b => b.bond_id)).to.deep.equal([2, 1]);
+      const last = first[first.length - 1];
+      const next = await db.listBonds({ chainId: 100, after: { createdBlock: last.created_block, contract: last.contract_address, bondId: last.bond_id }, limit: 2 });
+      expect(next.map(b => b.bond_id)).to.deep.equal([0]);
+      expect((await db.listBonds({ chainId: 100, status: "open", limit: 10 })).map(b => b.bond_id)).to.deep.equal([1, 0]);
+      expect((await db.listBonds({ chainId: 100, challenger: "0x0000000000000000000000000000000000000004", limit: 10 })).map(b => b.bond_id))
+        .to.deep.equal([1]);
+      expect((await db.getBondsById(100, 1)).map(b => b.status)).to.deep.equal(["challenged"]);
+      expect((await db.getOpenBonds(100, CONTRACT)).map(b => b.bond_id)).to.deep.equal([0, 1]);
+
+      const { counts, rulings } = await db.getJudgeHistory(100, bondRow(0).judge);
+      expect(counts).to.deep.equal({ bonds: 3, open: 2, rejected: 1, timed_out: 0 });
+      expect(rulings).to.have.length(0);
+
+      await db.deleteIndexedBond(100, CONTRACT, 1);
+      expect(await db.getBond(100, CONTRACT, 1)).to.equal(null);
+      expect(await db.getChallenges(100, CONTRACT, 1)).to.have.length(0);
+    });
+
+    it("records each event once and feeds the live activity stream", async function () {
+      const event = { chainId: 100, contract: CONTRACT, blockNumber: 11, logIndex: 0, txHash: "0x1", name: "BondCreated", bondId: 1, args: { bondId: "1" }, timestamp: 500 };
+      expect(await db.insertBondEvent(event)).to.equal(true);
+      expect(await db.insertBondEvent(event)).to.equal(false);
+      expect(await db.insertBondEvent({ ...event, blockNumber: 12, name: "Challenged" })).to.equal(true);
+      expect(await db.insertBondEvent({ ...event, blockNumber: 13, logIndex: 1, bondId: 2 })).to.equal(true);
+      expect((await db.getBondEvents(100, CONTRACT, 1)).map(e => [e.name, e.blockNumber, e.args])).to.deep.equal([
+        ["BondCreated", 11, { bondId: "1" }],
+        ["Challenged", 12, { bondId: "1" }],
+      ]);
+
+      await db.upsertBond(bondRow(1));
+      const [feed] = await db.listFeedEvents({ judge: bondRow(1).judge, limit: 1 });
+      expect(feed).to.include({ event_name: "Challenged", bond_metadata: "bond 1" });
+
+      expect(await db.getLatestActivityId()).to.equal(0);
+      await db.appendActivity(event);
+      await db.appendActivity({ ...event, blockNumber: 13 });
+      const activity = await db.getActivitySince(0);
+      expect(activity.map(a => a.blockNumber)).to.deep.equal([11, 13]);
+      expect(await db.getLatestActivityId()).to.equal(activity[1].id);
+
+      expect(await db.deleteActivityAfter(100, CONTRACT, 11)).to.equal(1);
+      expect((await db.deleteBondEventsAfter(100, CONTRACT, 11)).sort()).to.deep.equal([1, 2]);
+      expect(await db.getBondEvents(100, CONTRACT, 2)).to.have.length(0);
+      expect(await db.pruneActivity(Date.now() + 1)).to.equal(1);
+    });
+
+    it("rolls back a failed transaction without taking other callers' writes with it", async function () {
+      let release;
+      const paused = new Promise((resolve) => { release = resolve; });
+      const failing = db.transaction(async () => {
+        await db.setCheckpoint(100, CONTRACT, 1);
+        await paused;
+        await db.setIndexCheckpoint(100, CONTRACT, 1);
+        throw new Error("boom");
+      });
+      const outside = db.setCheckpoint(100, WALLET, 7);
+      release();
+
+      await expect(failing).to.be.rejectedWith("boom");
+      await outside;
+      expect(await db.getCheckpoint(100, CONTRACT)).to.equal(null);
+      expect(await db.getIndexCheckpoint(100, CONTRACT)).to.equal(null);
+      expect(await db.getCheckpoint(100, WALLET)).to.equal(7);
+
+      expect(await db.transaction(async () => {
+        await db.setCheckpoint(100, CONTRACT, 2);
+        return db.transaction(async () => db.getCheckpoint(100, CONTRACT));
+      })).to.equal(2);
+    });
+
+    it("holds digest items until a digest is committed for them", async function () {
+      await db.upsertSubscription(WALLET, "me@example.com", 100);
+      await db.verifySubscription(WALLET, 100);
+      await db.setPreferences(WALLET, 100, { digest: "daily" });
+      const item = { dedupeKey: "d1", address: WALLET, chainId: 100, contract: CONTRACT, blockNumber: 3, bondId: 0, eventType: "BondCreated", now: 1_000 };
+      expect(await db.enqueueDigestItem(item)).to.equal(true);
+      expect(await db.enqueueDigestItem(item)).to.equal(false);
+      await db.enqueueDigestItem({ ...item, dedupeKey: "d2", now: 2_000 });
+
+      expect(await db.getDigestRecipients()).to.deep.equal([
+        { wallet_address: WALLET.toLowerCase(), chain_id: 100, email: "me@example.com", digest: "daily", period_start: 1_000 },
+      ]);
+      const items = await db.getPendingDigestItems(WALLET, 100);
+      const digest = { dedupeKey: "digest:1", address: WALLET, email: "me@example.com", chainId: 100, subject: "s", html: "h", lastItemId: items[0].id, now: 5_000 };
+      expect(await db.commitDigest(digest)).to.equal(true);
+      expect(await db.commitDigest(digest)).to.equal(false);
+
+      expect((await db.getPendingDigestItems(WALLET, 100)).map(i => i.dedupe_key)).to.deep.equal(["d2"]);
+      expect((await db.getDigestRecipients())[0].period_start).to.equal(5_000);
+    });
+
+    it("keeps webhooks, chat links and judge profiles", async function () {
+      const id = await db.upsertWebhook(WALLET, 100, "https://example.com/hook", "s1");
+      expect(await db.upsertWebhook(WALLET, 100, "https://example.com/hook", "s2")).to.equal(id);
+      expect((await db.getWebhook(id)).secret).to.equal("s2");
+      expect(await db.getActiveWebhooks(100, [WALLET])).to.have.length(1);
+      const delivery = { webhookId: id, dedupeKey: "w1", chainId: 100, contract: CONTRACT, blockNumber: 1, eventType: "BondCreated", payload: "{}", now: 0 };
+      expect(await db.enqueueWebhookDelivery(delivery)).to.equal(true);
+      expect(await db.enqueueWebhookDelivery(delivery)).to.equal(false);
+      const [due] = await db.getDueWebhookDeliveries(0, 10);
+      await db.markWebhookFailed(due.id, 500, "HTTP 500", 0, true);
+      expect((await db.getWebhookDeliveries(id))[0]).to.include({ status: "dead", last_status_code: 500 });
+      expect((await db.deactivateWebhook(WALLET, 100, "https://example.com/hook")).changes).to.equal(1);
+      expect(await db.getWebhook(99)).to.equal(null);
+
+      await db.upsertChatLink("telegram", WALLET, 100, 42, "code");
+      expect(await db.verifyChatLink("code")).to.deep.equal({ channel: "telegram", wallet_address: WALLET.toLowerCase(), chain_id: 100, chat_id: "42" });
+      expect(await db.verifyChatLink("code")).to.equal(null);
+      expect(await db.getVerifiedChatLinks(100, [WALLET])).to.have.length(1);
+      expect((await db.deleteChatLink("telegram", WALLET, 100)).changes).to.equal(1);
+
+      const profile = await db.upsertJudgeProfile(WALLET, 100, "fair", "https://example.com");
+      expect(profile).to.include({ wallet_address: WALLET.toLowerCase(), statement: "fair" });
+      expect(await db.getJudgeProfileById(profile.id)).to.deep.equal(await db.getJudgeProfile(WALLET, 100));
+      expect(await db.getJudgeProfiles(100, [WALLET])).to.have.length(1);
+      expect((await db.deleteJudgeProfile(WALLET, 100)).changes).to.equal(1);
+      expect(await db.getJudgeProfile(WALLET, 100)).to.equal(undefined);
+    });
+
+    it("guards sign-ins, signed requests and rate limits", async function () {
+      const now = 10_000;
+      expect(await db.claimSignedRequest(WALLET, "digest", now + 1_000, now)).to.equal(true);
+      expect(await db.claimSignedRequest(WALLET, "digest", now + 1_000, now)).to.equal(false);
+
+      await db.createAuthNonce("n", now + 1_000, now);
+      expect(await db.consumeAuthNonce("n", now)).to.equal(true);
+      expect(await db.consumeAuthNonce("n", now)).to.equal(false);
+
+      await db.createSession("t1", WALLET, 100, now + 1_000, now);
+      await db.createSession("t2", WALLET, 100, now + 1_000, now);
+      expect(await db.getSession("t1", now)).to.deep.equal({ address: WALLET.toLowerCase(), chainId: 100, expiresAt: now + 1_000 });
+      expect(await db.revokeSession("t1", now)).to.equal(true);
+      expect(await db.getSession("t1", now)).to.equal(undefined);
+      expect(await db.revokeSessions(WALLET, 100, now)).to.equal(1);
+
+      const takes = [];
+      for (let i = 0; i < 3; i++) takes.push(await db.takeRateLimitToken("register:ip", 2, 60_000, now));
+      expect(takes.map(t => t.allowed)).to.deep.equal([true, true, false]);
+      expect((await db.takeRateLimitToken("register:ip", 2, 60_000, now + 30_000)).allowed).to.equal(true);
+      expect(await db.pruneRateLimits(now + 60_000)).to.equal(1);
+    });
+
+    it("runs the watcher: indexes a bond's events and queues each of the judge's notifications once", async function () {
+      const fixture = await deploySimpleBondV5FuzzFixture();
+      const { pollContract } = await import("../../backend/watcher.mjs");
+      const { CONTRACT_ABI } = await import("../../backend/config.mjs");
+      const chainId = Number((await ethers.provider.getNetwork()).chainId);
+      const poller = {
+        chainId,
+        provider: ethers.provider,
+        contract: new ethers.Contract(fixture.addresses.bond, CONTRACT_ABI, ethers.provider),
+        iface: new ethers.Interface(CONTRACT_ABI),
+        address: fixture.addresses.bond,
+        startBlock: await ethers.provider.getBlockNumber(),
+        confirmations: 0,
+        db,
+      };
+      await db.upsertSubscription(fixture.addresses.judge, "judge@example.com", chainId);
+      await db.verifySubscription(fixture.addresses.judge, chainId);
+
+      await fixture.actions.createBond();
+      await fixture.actions.challenge();
+      await fixture.actions.advanceToRulingWindow();
+      await fixture.actions.ruleForPoster();
+      await pollContract(poller);
+      await db.rollbackCheckpoint(chainId, fixture.addresses.bond, poller.startBlock);
+      await pollContract(poller);
+
+      const head = await ethers.provider.getBlockNumber();
+      expect(await db.getCheckpoint(chainId, fixture.addresses.bond)).to.equal(head);
+      expect(await db.getIndexCheckpoint(chainId, fixture.addresses.bond)).to.equal(head);
+      expect(await db.getBond(chainId, fixture.addresses.bond, 0)).to.include({ challenge_count: 1, current_challenge: 1, status: "active" });
+      expect((await db.getChallenges(chainId, fixture.addresses.bond, 0)).map(c => c.status)).to.deep.equal(["lost"]);
+      expect((await db.getDueOutbox(Number.MAX_SAFE_INTEGER, 10)).map(m => m.event_type))
+        .to.deep.equal(["BondCreated", "Challenged"]);
+    });
+  });
+}
+
+repositorySuite("SQLite", async () => {
+  const { createDatabase } = await import("../../backend/db.mjs");
+  const db = createDatabase(":memory:");
+  return { db, close: () => db.close() };
+});
+
+describe("backend repository on Postgres", function () {
+  let admin;
+  let schemas = 0;
+
+  before(async function () {
+    admin = new pg.Client({ connectionString: POSTGRES_URL, connectionTimeoutMillis: 2_000 });
+    try {
+      await admin.connect();
+    } catch {
+      admin = null;
+      this.skip();
+    }
+  });
+
+  after(async function () {
+    await admin?.end();
+  });
+
+  repositorySuite(POSTGRES_URL.replace(/\/\/[^@]*@/, "//"), async () => {
+    const { createPostgresDatabase } = await import("../../backend/db-postgres.mjs");
+    const schema = `bond_notify_test_${process.pid}_${++schemas}`;
+    await admin.query(`CREATE SCHEMA ${schema}`);
+    const db = await createPostgresDatabase({ connectionString: POSTGRES_URL, options: `-c search_path=${schema}` });
+    return {
+      db,
+      close: async () => {
+        await db.close();
+        await admin.query(`DROP SCHEMA ${schema} CASCADE`);
+      },
+    };
+  });
+});
@@ -0,0 +1,124 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("backend Sign-In with Ethereum sessions", function () {
+  let createDatabase;
+  let createApiServer;
+  let createSignatureVerifier;
+  let formatSiweMessage;
+  let parseSiweMessage;
+
+  let db;
+  let server;
+  let baseUrl;
+  let wallet;
+
+  before(async function () {
+    ({ createDatabase } = await import("../../backend/db.mjs"));
+    ({ createApiServer } = await import("../../backend/api-server.mjs"));
+    ({ createSignatureVerifier } = await import("../../backend/signatures.mjs"));
+    ({ formatSiweMessage, parseSiweMessage } = await import("../../backend/auth.mjs"));
+  });
+
+  beforeEach(async function () {
+    db = createDatabase(":memory:");
+    wallet = ethers.Wallet.createRandom();
+    const chatChannels = { telegram: { send: async () => 1 } };
+    server = createApiServer({ db, signatures: createSignatureVerifier({ chains: [] }), chatChannels });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(function () {
+    server.close();
+  });
+
+  async function send(method, path, { body, token, cookie, ip = "203.0.113.160" } = {}) {
+    const headers = { "Content-Type": "application/json", "X-Forwarded-For": ip };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    if (cookie) headers.Cookie = cookie;
+    const response = await fetch(`${baseUrl}${path}`, { method, headers, body: body && JSON.stringify(body) });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+  }
+
+  async function signIn(signer, { chainId = 100, ip, ...fields } = {}) {
+    const { body: { nonce } } = await send("GET", "/api/auth/nonce");
+    const message = formatSiweMessage({ address: signer.address, chainId, nonce, statement: "Manage notifications", ...fields });
+    return send("POST", "/api/auth/login", { body: { message, signature: await signer.signMessage(message) }, ip });
+  }
+
+  it("lets a signed-in wallet manage preferences, webhooks, chats and its profile without signing", async function () {
+    db.upsertSubscription(wallet.address, "judge@example.com", 100);
+    db.verifySubscription(wallet.address, 100);
+
+    const login = await signIn(wallet, { ip: "203.0.113.161" });
+    expect(login.status).to.equal(200);
+    expect(login.body).to.include({ address: wallet.address, chainId: 100 });
+    expect(login.headers.get("set-cookie")).to.match(/^simplebond_session=.+; Max-Age=\d+; Path=\/api; HttpOnly; Secure; SameSite=Strict$/);
+    const { token } = login.body;
+
+    const session = await send("GET", "/api/auth/session", { token });
+    expect(session.body).to.include({ address: wallet.address, chainId: 100 });
+
+    const preferences = await send("PUT", "/api/notify/preferences", { body: { roles: ["judge"] }, token, ip: "203.0.113.162" });
+    expect(preferences.status).to.equal(200);
+    expect(db.getPreferences(wallet.address, 100).roles).to.deep.equal(["judge"]);
+
+    const url = "https://hooks.example/session";
+    expect((await send("POST", "/api/notify/webhooks", { body: { url }, token, ip: "203.0.113.162" })).status).to.equal(200);
+    expect((await send("DELETE", "/api/notify/webhooks", { body: { url }, token })).status).to.equal(200);
+
+    const chat = { channel: "telegram", chatId: "4242" };
+    expect((await send("POST", "/api/notify/chat/link", { body: chat, token, ip: "203.0.113.162" })).status).to.equal(200);
+    expect((await send("DELETE", "/api/notify/chat", { body: { channel: "telegram" }, token })).status).to.equal(200);
+
+    const cookie = `theme=dark; ${login.headers.get("set-cookie").split(";")[0]}`;
+    const profile = await send("POST", "/api/judges/profile", { body: { statement: "Signed in once." }, cookie, ip: "203.0.113.162" });
+    expect(profile.status).to.equal(200);
+    expect(db.getJudgeProfile(wallet.address, 100).statement).to.equal("Signed in once.");
+  });
+
+  it("keeps a session to its own wallet and chain and ends it on logout", async function () {
+    const { body: { token } } = await signIn(wallet, { ip: "203.0.113.163" });
+    const { body: { token: other } } = await signIn(wallet, { ip: "203.0.113.163" });
+
+    const otherChain = await send("POST", "/api/judges/profile", { body: { chainId: 137, statement: "x" }, token, ip: "203.0.113.164" });
+    expect(otherChain.status).to.equal(403);
+    expect(otherChain.body.code).to.equal("session_mismatch");
+    const otherWallet = await send("POST", "/api/judges/profile", {
+      body: { address: ethers.Wallet.createRandom().address, statement: "x" },
+      token,
+      ip: "203.0.113.164",
+    });
+    expect(otherWallet.body.code).to.equal("session_mismatch");
+
+    expect((await send("POST", "/api/auth/logout", { token })).body.revoked).to.equal(1);
+    const revoked = await send("POST", "/api/judges/profile", { body: { statement: "x" }, token, ip: "203.0.113.164" });
+    expect(revoked.status).to.equal(401);
+    expect(revoked.body.code).to.equal("session_invalid");
+    expect((await send("GET", "/api/auth/session", { token: other })).status).to.equal(200);
+
+    expect((await send("POST", "/api/auth/logout?all=1", { token: other })).body.revoked).to.equal(1);
+    expect((await send("GET", "/api/auth/session", { token: other })).status).to.equal(401);
+  });
+
+  it("refuses reused nonces, other domains, stale messages and other signers", async function () {
+    const { body: { nonce } } = await send("GET", "/api/auth/nonce");
+    const message = formatSiweMessage({ address: wallet.address, chainId: 100, nonce });
+    const login = (body) => send("POST", "/api/auth/login", { body, ip: "203.0.113.165" });
+
+    expect((await login({ message, signature: await ethers.Wallet.createRandom().signMessage(message) })).status).to.equal(403);
+    // The nonce was used up by that attempt.
+    const reused = await login({ message, signature: await wallet.signMessage(message) });
+    expect(reused.status).to.equal(401);
+    expect(reused.body.code).to.equal("nonce_unknown");
+
+    const phishing = formatSiweMessage({ domain: "phishing.example", address: wallet.address, chainId: 100, nonce: "abcdef1234" });
+    expect((await signIn(wallet, { domain: "phishing.example", ip: "203.0.113.166" })).body.error).to.match(/is for phishing\.example/);
+    const stale = await signIn(wallet, { issuedAt: new Date(Date.now() - 3600_000).toISOString(), ip: "203.0.113.166" });
+    expect(stale.status).to.equal(400);
+
+    expect(parseSiweMessage(phishing)).to.include({ domain: "phishing.example", chainId: 100, nonce: "abcdef1234", statement: null });
+    expect(() => parseSiweMessage("Sign in please")).to.throw();
+  });
+});
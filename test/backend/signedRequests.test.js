@@ -0,0 +1,307 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("backend signed requests", function () {
+  let createDatabase;
+  let createApiServer;
+  let API_ORIGIN;
+  let TYPED_DATA_TYPES;
+  let typedDataDomain;
+  let preferencesTypedMessage;
+  let verifySignedRequest;
+  let createSignatureVerifier;
+  let LEGACY_SIGNATURES_UNTIL;
+
+  let db;
+  let server;
+  let baseUrl;
+  let wallet;
+  let chainId;
+
+  before(async function () {
+    ({ createDatabase } = await import("../../backend/db.mjs"));
+    ({ createApiServer } = await import("../../backend/api-server.mjs"));
+    ({
+      API_ORIGIN,
+      TYPED_DATA_TYPES,
+      typedDataDomain,
+      preferencesTypedMessage,
+      verifySignedRequest,
+      createSignatureVerifier,
+    } = await import("../../backend/signatures.mjs"));
+    ({ LEGACY_SIGNATURES_UNTIL } = await import("../../backend/config.mjs"));
+  });
+
+  beforeEach(async function () {
+    db = createDatabase(":memory:");
+    wallet = ethers.Wallet.createRandom();
+    chainId = Number((await ethers.provider.getNetwork()).chainId);
+    const signatures = createSignatureVerifier({ chains: [{ chainId, provider: ethers.provider }] });
+    const chatChannels = { telegram: { send: async () => 1 } };
+    server = createApiServer({ db, signatures, chatChannels });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(function () {
+    server.close();
+  });
+
+  function signTyped(signer, primaryType, message, { chainId = 100, origin = API_ORIGIN } = {}) {
+    return signer.signTypedData(typedDataDomain(chainId, origin), { [primaryType]: TYPED_DATA_TYPES[primaryType] }, message);
+  }
+
+  async function send(method, path, body, ip) {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: { "Content-Type": "application/json", "X-Forwarded-For": ip },
+      body: JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  it("accepts judge profiles signed as typed data for this API and chain only", async function () {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const profile = { statement: "I rule on facts.", linkUrl: "https://court.example" };
+    const message = { wallet: wallet.address, ...profile, timestamp };
+    const request = (signature) => send(
+      "POST",
+      "/api/judges/profile",
+      { address: wallet.address, chainId: 100, ...profile, timestamp, signature },
+      "203.0.113.151"
+    );
+
+    const otherOrigin = await signTyped(wallet, "JudgeProfile", message, { origin: "https://phishing.example" });
+    expect((await request(otherOrigin)).status).to.equal(403);
+    const otherChain = await signTyped(wallet, "JudgeProfile", message, { chainId: 137 });
+    expect((await request(otherChain)).status).to.equal(403);
+
+    const saved = await request(await signTyped(wallet, "JudgeProfile", message));
+    expect(saved.status).to.equal(200);
+    expect(saved.body.profile).to.include(profile);
+  });
+
+  it("signs preference updates over typed lists with explicit defaults", async function () {
+    db.upsertSubscription(wallet.address, "judge@example.com", 100);
+    db.verifySubscription(wallet.address, 100);
+
+    const timestamp = Math.floor(Date.now() / 1000);
+    const update = { events: ["Challenged"], roles: null, digest: "weekly" };
+    const message = preferencesTypedMessage({ address: wallet.address, ...update, timestamp });
+    expect(message).to.deep.include({ allEvents: false, allRoles: true, roles: [], digest: "weekly" });
+
+    const saved = await send("POST", "/api/notify/preferences", {
+      address: wallet.address,
+      chainId: 100,
+      ...update,
+      timestamp,
+      signature: await signTyped(wallet, "NotificationPreferences", message),
+    }, "203.0.113.152");
+    expect(saved.status).to.equal(200);
+    expect(db.getPreferences(wallet.address, 100)).to.deep.equal(update);
+  });
+
+  it("unsubscribes a wallet that signs a typed unsubscribe request", async function () {
+    db.upsertSubscription(wallet.address, "poster@example.com", 100);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const body = { address: wallet.address, chainId: 100, timestamp };
+
+    const forged = await send("DELETE", "/api/notify/unsubscribe", {
+      ...body,
+      signature: await signTyped(ethers.Wallet.createRandom(), "NotificationUnsubscribe", { wallet: wallet.address, timestamp }),
+    }, "203.0.113.153");
+    expect(forged.status).to.equal(403);
+
+    const removed = await send("DELETE", "/api/notify/unsubscribe", {
+      ...body,
+      signature: await signTyped(wallet, "NotificationUnsubscribe", { wallet: wallet.address, timestamp }),
+    }, "203.0.113.153");
+    expect(removed.status).to.equal(200);
+    expect(db.getSubscription(wallet.address, 100)).to.equal(undefined);
+  });
+
+  it("rejects a replayed signed request with signature_reused", async function () {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const profile = { statement: "Replay me.", linkUrl: "" };
+    const body = {
+      address: wallet.address,
+      chainId: 100,
+      ...profile,
+      timestamp,
+      signature: await signTyped(wallet, "JudgeProfile", { wallet: wallet.address, ...profile, timestamp }),
+    };
+    expect((await send("POST", "/api/judges/profile", body, "203.0.113.157")).status).to.equal(200);
+    db.deleteJudgeProfile(wallet.address, 100);
+
+    const replayed = await send("POST", "/api/judges/profile", body, "203.0.113.157");
+    expect(replayed.status).to.equal(409);
+    expect(replayed.body.code).to.equal("signature_reused");
+    expect(db.getJudgeProfile(wallet.address, 100)).to.equal(undefined);
+
+    // Legacy personal_sign requests are covered too, keyed on the signed message.
+    const url = "https://hooks.example/simplebond";
+    const message = `Enable SimpleBond webhook ${url} on chain 100. Timestamp: ${timestamp}`;
+    const hook = { address: wallet.address, chainId: 100, url, timestamp, signature: await wallet.signMessage(message) };
+    expect((await send("POST", "/api/notify/webhooks", hook, "203.0.113.158")).status).to.equal(200);
+    expect((await send("POST", "/api/notify/webhooks", hook, "203.0.113.158")).body.code).to.equal("signature_reused");
+  });
+
+  it("signs webhook and chat requests as typed data and accepts each only once", async function () {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const url = "https://hooks.example/typed";
+    const sign = (primaryType, message, options) => signTyped(wallet, primaryType, { wallet: wallet.address, ...message, timestamp }, options);
+    const body = { address: wallet.address, chainId: 100, url, timestamp };
+
+    const otherChain = await sign("WebhookRegistration", { url }, { chainId: 137 });
+    expect((await send("POST", "/api/notify/webhooks", { ...body, signature: otherChain }, "203.0.113.159")).status).to.equal(403);
+    const removal = await sign("WebhookRemoval", { url });
+    expect((await send("POST", "/api/notify/webhooks", { ...body, signature: removal }, "203.0.113.159")).status).to.equal(403);
+
+    const registration = { ...body, signature: await sign("WebhookRegistration", { url }) };
+    expect((await send("POST", "/api/notify/webhooks", registration, "203.0.113.159")).status).to.equal(200);
+    expect((await send("POST", "/api/notify/webhooks", registration, "203.0.113.159")).body.code).to.equal("signature_reused");
+    expect((await send("DELETE", "/api/notify/webhooks", { ...body, signature: removal }, "203.0.113.159")).status).to.equal(200);
+    expect(db.getActiveWebhooks(100, [wallet.address])).to.have.length(0);
+
+    db.upsertChatLink("telegram", wallet.address, 100, "4242", "code");
+    const unlink = { address: wallet.address, chainId: 100, channel: "telegram", timestamp };
+    unlink.signature = await sign("ChatUnlink", { channel: "telegram" });
+    expect((await send("DELETE", "/api/notify/chat", unlink, "203.0.113.160")).status).to.equal(200);
+    expect((await send("DELETE", "/api/notify/chat", unlink, "203.0.113.160")).body.code).to.equal("signature_reused");
+  });
+
+  it("forgets used signatures once their timestamp has expired", function () {
+    const now = Date.now();
+    expect(db.claimSignedRequest(wallet.address, "0xaa", now + 1000, now)).to.equal(true);
+    expect(db.claimSignedRequest(wallet.address.toLowerCase(), "0xaa", now + 1000, now)).to.equal(false);
+    expect(db.claimSignedRequest(ethers.Wallet.createRandom().address, "0xaa", now + 1000, now)).to.equal(true);
+    expect(db.claimSignedRequest(wallet.address, "0xaa", now + 3000, now + 2000)).to.equal(true);
+  });
+
+  it("accepts legacy personal_sign messages only during the transition", async function () {
+    const legacyMessage = `Enable SimpleBond notifications for a@example.com on chain 100. Timestamp: 1`;
+    const request = {
+      address: wallet.address,
+      chainId: 100,
+      signature: await wallet.signMessage(legacyMessage),
+      primaryType: "NotificationRegistration",
+      message: { wallet: wallet.address, email: "a@example.com", timestamp: 1 },
+      legacyMessage,
+    };
+
+    expect(verifySignedRequest({ ...request, now: LEGACY_SIGNATURES_UNTIL - 1 })).to.equal("legacy");
+    expect(verifySignedRequest({ ...request, now: LEGACY_SIGNATURES_UNTIL })).to.equal(null);
+    expect(verifySignedRequest({
+      ...request,
+      signature: await signTyped(wallet, "NotificationRegistration", request.message),
+      now: LEGACY_SIGNATURES_UNTIL,
+    })).to.equal("eip712");
+    expect(() => verifySignedRequest({ ...request, signature: "0x1234" })).to.throw();
+  });
+
+  describe("from smart-contract wallets", function () {
+    const profile = { statement: "A Safe-run court.", linkUrl: "" };
+    let owner;
+    let timestamp;
+
+    beforeEach(async function () {
+      [owner] = await ethers.getSigners();
+      timestamp = Math.floor(Date.now() / 1000);
+    });
+
+    function profileRequest(address, signature, ip) {
+      return send("POST", "/api/judges/profile", { address, chainId, ...profile, timestamp, signature }, ip);
+    }
+
+    function profileHash(address) {
+      return ethers.TypedDataEncoder.hash(
+        typedDataDomain(chainId),
+        { JudgeProfile: TYPED_DATA_TYPES.JudgeProfile },
+        { wallet: address, ...profile, timestamp }
+      );
+    }
+
+    it("verifies ERC-1271 signatures against the wallet contract", async function () {
+      const key = ethers.Wallet.createRandom();
+      const contractWallet = await (await ethers.getContractFactory("MockERC1271Wallet")).deploy(key.address);
+      const address = await contractWallet.getAddress();
+      const typedHash = profileHash(address);
+
+      const stranger = ethers.Wallet.createRandom().signingKey.sign(typedHash).serialized;
+      expect((await profileRequest(address, stranger, "203.0.113.154")).status).to.equal(403);
+
+      const saved = await profileRequest(address, key.signingKey.sign(typedHash).serialized, "203.0.113.154");
+      expect(saved.status).to.equal(200);
+      expect(db.getJudgeProfile(address, chainId).statement).to.equal(profile.statement);
+    });
+
+    it("accepts Safe owner signatures over the SafeMessage hash and on-chain approvals", async function () {
+      const safe = await (await ethers.getContractFactory("MockSafeWallet")).deploy(owner.address);
+      const address = await safe.getAddress();
+      const typedHash = profileHash(address);
+
+      // Safe owners sign the EIP-712 SafeMessage wrapping our hash, in the Safe's own domain.
+      const safeSignature = await owner.signTypedData(
+        { chainId, verifyingContract: address },
+        { SafeMessage: [{ name: "message", type: "bytes" }] },
+        { message: typedHash }
+      );
+      expect((await profileRequest(address, safeSignature, "203.0.113.155")).status).to.equal(200);
+
+      // The same request again would be a replay, so approve a later one on-chain.
+      timestamp += 1;
+      expect((await profileRequest(address, "0x", "203.0.113.156")).status).to.equal(403);
+      await safe.signMessage(ethers.AbiCoder.defaultAbiCoder().encode(["bytes32"], [profileHash(address)]));
+      expect((await profileRequest(address, "0x", "203.0.113.156")).status).to.equal(200);
+    });
+
+    // Adds and removes a webhook and a chat link, signing each typed hash with `signHash`.
+    async function manageWebhookAndChat(address, signHash, ip) {
+      const url = "https://hooks.example/contract-wallet";
+      const request = async (method, path, primaryType, fields) => {
+        const hash = ethers.TypedDataEncoder.hash(
+          typedDataDomain(chainId),
+          { [primaryType]: TYPED_DATA_TYPES[primaryType] },
+          { wallet: address, ...fields, timestamp }
+        );
+        const body = { address, chainId, ...fields, timestamp, signature: await signHash(hash) };
+        return (await send(method, path, body, ip)).status;
+      };
+
+      expect(await request("POST", "/api/notify/webhooks", "WebhookRegistration", { url })).to.equal(200);
+      expect(db.getActiveWebhooks(chainId, [address])).to.have.length(1);
+      expect(await request("DELETE", "/api/notify/webhooks", "WebhookRemoval", { url })).to.equal(200);
+      expect(await request("POST", "/api/notify/chat/link", "ChatLink", { channel: "telegram", chatId: "4242" })).to.equal(200);
+      expect(await request("DELETE", "/api/notify/chat", "ChatUnlink", { channel: "telegram" })).to.equal(200);
+    }
+
+    it("verifies webhook and chat requests from ERC-1271 wallets", async function () {
+      const key = ethers.Wallet.createRandom();
+      const contractWallet = await (await ethers.getContractFactory("MockERC1271Wallet")).deploy(key.address);
+      const address = await contractWallet.getAddress();
+
+      const url = "https://hooks.example/contract-wallet";
+      const hash = ethers.TypedDataEncoder.hash(
+        typedDataDomain(chainId),
+        { WebhookRegistration: TYPED_DATA_TYPES.WebhookRegistration },
+        { wallet: address, url, timestamp }
+      );
+      const stranger = ethers.Wallet.createRandom().signingKey.sign(hash).serialized;
+      const forged = await send("POST", "/api/notify/webhooks", { address, chainId, url, timestamp, signature: stranger }, "203.0.113.166");
+      expect(forged.status).to.equal(403);
+
+      await manageWebhookAndChat(address, (hash) => key.signingKey.sign(hash).serialized, "203.0.113.167");
+    });
+
+    it("verifies webhook and chat requests signed by Safe owners", async function () {
+      const safe = await (await ethers.getContractFactory("MockSafeWallet")).deploy(owner.address);
+      const address = await safe.getAddress();
+
+      await manageWebhookAndChat(address, (hash) => owner.signTypedData(
+        { chainId, verifyingContract: address },
+        { SafeMessage: [{ name: "message", type: "bytes" }] },
+        { message: hash }
+      ), "203.0.113.168");
+    });
+  });
+});
@@ -0,0 +1,151 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { deploySimpleBondV5FuzzFixture } = require("../helpers/v5/simpleBondV5Fuzz");
+
+describe("backend watcher reorg handling", function () {
+  let createDatabase;
+  let pollContract;
+  let deliverPending;
+  let CONTRACT_ABI;
+
+  let fixture;
+  let db;
+  let sent;
+  let poller;
+
+  before(async function () {
+    ({ createDatabase } = await import("../../backend/db.mjs"));
+    ({ pollContract } = await import("../../backend/watcher.mjs"));
+    ({ deliverPending } = await import("../../backend/delivery.mjs"));
+    ({ CONTRACT_ABI } = await import("../../backend/config.mjs"));
+  });
+
+  beforeEach(async function () {
+    fixture = await deploySimpleBondV5FuzzFixture();
+    const { chainId } = await ethers.provider.getNetwork();
+
+    db = createDatabase(":memory:");
+    sent = [];
+    for (const address of [fixture.addresses.poster, fixture.addresses.judge]) {
+      db.upsertSubscription(address, `${address.slice(2, 8)}@example.com`, Number(chainId));
+      db.verifySubscription(address, Number(chainId));
+    }
+
+    poller = {
+      chainId: Number(chainId),
+      provider: ethers.provider,
+      contract: new ethers.Contract(fixture.addresses.bond, CONTRACT_ABI, ethers.provider),
+      iface: new ethers.Interface(CONTRACT_ABI),
+      address: fixture.addresses.bond,
+      startBlock: await ethers.provider.getBlockNumber(),
+      confirmations: 0,
+      db,
+    };
+  });
+
+  async function poll() {
+    await pollContract(poller);
+    await deliverPending({
+      db,
+      sendEmail: async (to, subject) => {
+        sent.push({ to, subject });
+        return `msg-${sent.length}`;
+      },
+    });
+  }
+
+  function subjectsFor(eventName) {
+    return sent.filter(({ subject }) => subject.includes(eventName));
+  }
+
+  it("records block hashes alongside the checkpoint", async function () {
+    await fixture.actions.createBond();
+    await poll();
+
+    const head = await ethers.provider.getBlockNumber();
+    const [stored] = db.getRecentBlockHashes(poller.chainId, poller.address, head, 1);
+
+    expect(db.getCheckpoint(poller.chainId, poller.address)).to.equal(head);
+    expect(stored.block_number).to.equal(head);
+    expect(stored.block_hash).to.equal((await ethers.provider.getBlock(head)).hash);
+    expect(subjectsFor("BondCreated")).to.have.length(1);
+  });
+
+  it("re-processes an orphaned range so events from the new fork are not missed", async function () {
+    await fixture.actions.createBond();
+    await poll();
+    const snapshot = await network.provider.send("evm_snapshot");
+
+    // Old fork: an empty block the watcher checkpoints past.
+    await network.provider.send("evm_mine");
+    await poll();
+    const orphanedHead = db.getCheckpoint(poller.chainId, poller.address);
+
+    // New fork: the same height now carries a challenge.
+    await network.provider.send("evm_revert", [snapshot]);
+    await fixture.actions.challenge();
+    expect(await ethers.provider.getBlockNumber()).to.equal(orphanedHead);
+
+    await poll();
+
+    expect(subjectsFor("Challenged")).to.have.length(2);
+    const [stored] = db.getRecentBlockHashes(poller.chainId, poller.address, orphanedHead, 1);
+    expect(stored.block_hash).to.equal((await ethers.provider.getBlock(orphanedHead)).hash);
+  });
+
+  it("does not email anyone twice when a reorg re-includes the same transaction", async function () {
+    await fixture.actions.createBond();
+    await poll();
+    const snapshot = await network.provider.send("evm_snapshot");
+
+    const { tx } = await fixture.actions.challenge();
+    await poll();
+    expect(subjectsFor("Challenged")).to.have.length(2);
+
+    // Replay the identical signed transaction one block later on a new fork.
+    await network.provider.send("evm_revert", [snapshot]);
+    await network.provider.send("evm_mine");
+    const replayed = await ethers.provider.broadcastTransaction(ethers.Transaction.from(tx).serialized);
+    await replayed.wait();
+    expect(replayed.hash).to.equal(tx.hash);
+
+    await poll();
+
+    expect(subjectsFor("Challenged")).to.have.length(2);
+    expect(db.getCheckpoint(poller.chainId, poller.address)).to.equal(await ethers.provider.getBlockNumber());
+  });
+
+  it("never sends notifications queued for events a reorg orphaned", async function () {
+    const { poster, judge } = fixture.addresses;
+    db.setPreferences(judge, poller.chainId, { digest: "daily" });
+    const webhookId = db.upsertWebhook(poster, poller.chainId, "https://hooks.example/bond", "s3cret");
+    const eventTypes = (rows) => rows.map(({ event_type }) => event_type);
+
+    await fixture.actions.createBond();
+    await poll();
+    const snapshot = await network.provider.send("evm_snapshot");
+
+    // Old fork: a challenge the watcher queues, but nothing is delivered before the reorg.
+    const { tx } = await fixture.actions.challenge();
+    await pollContract(poller);
+    expect(eventTypes(db.getDueOutbox(Number.MAX_SAFE_INTEGER, 10))).to.deep.equal(["Challenged"]);
+    expect(eventTypes(db.getPendingDigestItems(judge, poller.chainId))).to.deep.equal(["BondCreated", "Challenged"]);
+    expect(eventTypes(db.getWebhookDeliveries(webhookId))).to.deep.equal(["Challenged"]);
+
+    // New fork: empty blocks past the orphaned one.
+    await network.provider.send("evm_revert", [snapshot]);
+    await network.provider.send("evm_mine");
+    await network.provider.send("evm_mine");
+    await poll();
+
+    expect(subjectsFor("Challenged")).to.have.length(0);
+    expect(eventTypes(db.getPendingDigestItems(judge, poller.chainId))).to.deep.equal(["BondCreated"]);
+    expect(db.getWebhookDeliveries(webhookId)).to.deep.equal([]);
+
+    // The same transaction landing on the new fork is notified afresh.
+    await (await ethers.provider.broadcastTransaction(ethers.Transaction.from(tx).serialized)).wait();
+    await poll();
+    expect(subjectsFor("Challenged")).to.have.length(1);
+    expect(eventTypes(db.getPendingDigestItems(judge, poller.chainId))).to.deep.equal(["BondCreated", "Challenged"]);
+  });
+});
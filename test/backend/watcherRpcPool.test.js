@@ -0,0 +1,112 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deploySimpleBondV5FuzzFixture } = require("../helpers/v5/simpleBondV5Fuzz");
+
+// ethers.provider with some of its methods replaced.
+function providerWith(overrides) {
+  return new Proxy(ethers.provider, {
+    get(target, key) {
+      if (key in overrides) return overrides[key];
+      const value = target[key];
+      return typeof value === "function" ? value.bind(target) : value;
+    },
+  });
+}
+
+describe("backend watcher RPC pool", function () {
+  let createDatabase;
+  let pollContract;
+  let createRpcPool;
+  let refreshBond;
+  let CONTRACT_ABI;
+
+  before(async function () {
+    ({ createDatabase } = await import("../../backend/db.mjs"));
+    ({ pollContract } = await import("../../backend/watcher.mjs"));
+    ({ createRpcPool } = await import("../../frontend/rpc-pool.js"));
+    ({ refreshBond } = await import("../../backend/indexer.mjs"));
+    ({ CONTRACT_ABI } = await import("../../backend/config.mjs"));
+  });
+
+  it("skips a dead endpoint and narrows rejected log ranges within a single poll", async function () {
+    const fixture = await deploySimpleBondV5FuzzFixture();
+    const chainId = Number((await ethers.provider.getNetwork()).chainId);
+    const db = createDatabase(":memory:");
+    const judge = fixture.addresses.judge.toLowerCase();
+    db.upsertSubscription(judge, "judge@example.com", chainId);
+    db.verifySubscription(judge, chainId);
+
+    const refuse = async () => {
+      throw new Error("connection refused");
+    };
+    const dead = providerWith({ getBlockNumber: refuse, getBlock: refuse, getLogs: refuse, call: refuse });
+    const ranges = [];
+    const picky = providerWith({
+      getLogs: async (filter) => {
+        ranges.push([filter.fromBlock, filter.toBlock]);
+        if (filter.toBlock - filter.fromBlock + 1 > 2) throw new Error("eth_getLogs block range is too large, max 2 blocks");
+        return ethers.provider.getLogs(filter);
+      },
+    });
+
+    const poller = {
+      chainId,
+      provider: ethers.provider,
+      pool: createRpcPool([dead, picky], { initialChunk: 10_000, sleep: async () => {} }),
+      contract: new ethers.Contract(fixture.addresses.bond, CONTRACT_ABI, ethers.provider),
+      iface: new ethers.Interface(CONTRACT_ABI),
+      address: fixture.addresses.bond,
+      startBlock: await ethers.provider.getBlockNumber() + 1,
+      confirmations: 0,
+      db,
+    };
+    await fixture.actions.createBond();
+    await fixture.actions.challenge();
+    await fixture.actions.concede();
+    const head = await ethers.provider.getBlockNumber();
+
+    await pollContract(poller);
+    expect(db.getCheckpoint(chainId, fixture.addresses.bond)).to.equal(head);
+    expect(db.getDueOutbox(Number.MAX_SAFE_INTEGER, 10).map(({ event_type }) => event_type))
+      .to.deep.equal(["BondCreated", "Challenged", "ClaimConceded"]);
+    expect(ranges[0]).to.deep.equal([poller.startBlock, head]); // rejected, then retried in halves
+    expect(poller.pool.chunkSize).to.equal(2);
+    expect(poller.pool.status()[0]).to.include({ healthy: false, lastError: "connection refused" });
+  });
+
+  it("reads blocks and bond state through the pool, past an endpoint lagging behind the head", async function () {
+    const fixture = await deploySimpleBondV5FuzzFixture();
+    const chainId = Number((await ethers.provider.getNetwork()).chainId);
+    const db = createDatabase(":memory:");
+
+    // Anything that skips the pool and uses the poller's own provider fails.
+    const refuse = async () => {
+      throw new Error("connection refused");
+    };
+    const dead = providerWith({ getBlockNumber: refuse, getBlock: refuse, getLogs: refuse, call: refuse });
+    const lagging = providerWith({ getBlock: async () => null });
+
+    const poller = {
+      chainId,
+      provider: dead,
+      pool: createRpcPool([lagging, ethers.provider], { sleep: async () => {} }),
+      contract: new ethers.Contract(fixture.addresses.bond, CONTRACT_ABI, dead),
+      iface: new ethers.Interface(CONTRACT_ABI),
+      address: fixture.addresses.bond,
+      startBlock: await ethers.provider.getBlockNumber() + 1,
+      confirmations: 0,
+      db,
+    };
+    const { receipt } = await fixture.actions.createBond();
+    const created = await ethers.provider.getBlock(receipt.blockNumber);
+    await fixture.actions.challenge();
+    const head = await ethers.provider.getBlockNumber();
+
+    await pollContract(poller);
+    expect(db.getCheckpoint(chainId, fixture.addresses.bond)).to.equal(head);
+    expect(db.getBond(chainId, fixture.addresses.bond, 0)).to.include({ created_at: created.timestamp, challenge_count: 1 });
+    expect(poller.pool.status()[0].lastError).to.match(/is not available from this endpoint yet/);
+
+    expect(await refreshBond(poller, 0)).to.include({ challengeCount: 1, settled: false });
+  });
+});
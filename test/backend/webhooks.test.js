@@ -0,0 +1,211 @@
+const { expect } = require("chai");
+const http = require("http");
+const { ethers } = require("hardhat");
+const { deploySimpleBondV5FuzzFixture } = require("../helpers/v5/simpleBondV5Fuzz");
+
+// Receiver that records every request and answers with the next queued status.
+function startReceiver(statuses) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      received.push({ headers: req.headers, body: Buffer.concat(chunks).toString() });
+      res.writeHead(statuses.shift() ?? 200);
+      res.end();
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => resolve({ server, received, url: `http://127.0.0.1:${server.address().port}/hook` }));
+  });
+}
+
+describe("backend webhooks", function () {
+  let createDatabase;
+  let createApiServer;
+  let pollContract;
+  let CONTRACT_ABI;
+  let deliverWebhooks;
+  let signWebhook;
+  let checkWebhookUrl;
+  let TYPED_DATA_TYPES;
+  let typedDataDomain;
+
+  let fixture;
+  let db;
+  let api;
+  let apiUrl;
+  let poller;
+
+  before(async function () {
+    ({ createDatabase } = await import("../../backend/db.mjs"));
+    ({ createApiServer } = await import("../../backend/api-server.mjs"));
+    ({ pollContract } = await import("../../backend/watcher.mjs"));
+    ({ CONTRACT_ABI } = await import("../../backend/config.mjs"));
+    ({ deliverWebhooks, signWebhook, checkWebhookUrl } = await import("../../backend/webhooks.mjs"));
+    ({ TYPED_DATA_TYPES, typedDataDomain } = await import("../../backend/signatures.mjs"));
+  });
+
+  beforeEach(async function () {
+    fixture = await deploySimpleBondV5FuzzFixture();
+    const { chainId } = await ethers.provider.getNetwork();
+    db = createDatabase(":memory:");
+
+    // The receivers in these tests listen on loopback over plain http.
+    api = createApiServer({ db, webhookDev: true });
+    await new Promise((resolve) => api.listen(0, "127.0.0.1", resolve));
+    apiUrl = `http://127.0.0.1:${api.address().port}`;
+
+    poller = {
+      chainId: Number(chainId),
+      provider: ethers.provider,
+      contract: new ethers.Contract(fixture.addresses.bond, CONTRACT_ABI, ethers.provider),
+      iface: new ethers.Interface(CONTRACT_ABI),
+      address: fixture.addresses.bond,
+      startBlock: await ethers.provider.getBlockNumber(),
+      confirmations: 0,
+      db,
+    };
+  });
+
+  afterEach(function () {
+    api.close();
+  });
+
+  async function registerWebhook(signer, url, baseUrl = apiUrl) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = await signer.signTypedData(
+      typedDataDomain(poller.chainId),
+      { WebhookRegistration: TYPED_DATA_TYPES.WebhookRegistration },
+      { wallet: fixture.addresses.poster, url, timestamp }
+    );
+    const response = await fetch(`${baseUrl}/api/notify/webhooks`, {
+      method: "POST",
+      // Keep clear of the per-IP limit shared with other API tests.
+      headers: { "Content-Type": "application/json", "X-Forwarded-For": "198.51.100.8" },
+      body: JSON.stringify({
+        address: fixture.addresses.poster,
+        chainId: poller.chainId,
+        url,
+        timestamp,
+        signature,
+      }),
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  it("rejects registrations not signed by the wallet", async function () {
+    const { status } = await registerWebhook(fixture.actors.outsider, "https://hooks.example.com/bond");
+    expect(status).to.equal(403);
+  });
+
+  it("posts signed events to the wallet's webhook, retrying failures and logging deliveries", async function () {
+    const receiver = await startReceiver([500, 200]);
+    try {
+      const { status, body: webhook } = await registerWebhook(fixture.actors.poster, receiver.url);
+      expect(status).to.equal(200);
+      expect(webhook.secret).to.match(/^[0-9a-f]{64}$/);
+
+      await fixture.actions.createBond(); // judge-only event: no webhook for the poster
+      await fixture.actions.challenge();
+      await pollContract(poller);
+      await pollContract(poller); // nothing new; must not queue twice
+
+      expect(await deliverWebhooks({ db, dev: true })).to.equal(0);
+      expect(await deliverWebhooks({ db, dev: true, now: Date.now() + 3600_000 })).to.equal(1);
+      expect(receiver.received).to.have.length(2);
+
+      const [, { headers, body }] = receiver.received;
+      expect(headers["x-simplebond-event"]).to.equal("Challenged");
+      expect(headers["x-simplebond-signature"])
+        .to.equal(signWebhook(webhook.secret, headers["x-simplebond-timestamp"], body));
+
+      const payload = JSON.parse(body);
+      expect(payload).to.deep.include({ event: "Challenged", chainId: poller.chainId, bondId: 0 });
+      expect(payload.args).to.deep.include({ bondId: "0", challengeIndex: "0", challenger: fixture.addresses.challengers[0] });
+      expect(payload.recipient).to.deep.equal({ address: fixture.addresses.poster.toLowerCase(), roles: ["poster"] });
+      expect(payload.bondUrl).to.match(new RegExp(`\\?chain=${poller.chainId}&contract=${fixture.addresses.bond.toLowerCase()}&bond=0$`));
+
+      const logUrl = `${apiUrl}/api/notify/webhooks/deliveries?id=${webhook.id}`;
+      expect((await fetch(logUrl, { headers: { Authorization: "Bearer nope" } })).status).to.equal(404);
+      const log = await (await fetch(logUrl, { headers: { Authorization: `Bearer ${webhook.secret}` } })).json();
+      expect(log.deliveries).to.have.length(1);
+      expect(log.deliveries[0]).to.include({ event: "Challenged", status: "delivered", attempts: 2, lastStatusCode: 200 });
+    } finally {
+      receiver.server.close();
+    }
+  });
+
+  it("refuses webhook URLs on loopback, link-local, private and unique-local hosts, and plain http", async function () {
+    const refused = [
+      ["http://hooks.example.com/bond", "Webhook URL must use https://"],
+      ["https://localhost/hook", "Webhook URL must point to a public host"],
+      ["https://127.0.0.1:8080/hook", "Webhook URL must point to a public host"],
+      ["https://169.254.169.254/latest/meta-data", "Webhook URL must point to a public host"],
+      ["https://10.1.2.3/hook", "Webhook URL must point to a public host"],
+      ["https://172.16.0.5/hook", "Webhook URL must point to a public host"],
+      ["https://192.168.1.1/hook", "Webhook URL must point to a public host"],
+      ["https://[::1]/hook", "Webhook URL must point to a public host"],
+      ["https://[fd12:3456::1]/hook", "Webhook URL must point to a public host"],
+      ["https://[fe80::1]/hook", "Webhook URL must point to a public host"],
+      ["https://[::ffff:127.0.0.1]/hook", "Webhook URL must point to a public host"],
+      ["https://0x7f000001/hook", "Webhook URL must point to a public host"], // 127.0.0.1 once parsed
+    ];
+    for (const [url, error] of refused) {
+      await expect(checkWebhookUrl(url, { dev: false }), url).to.be.rejectedWith(error);
+    }
+    // A name resolving to a private address is refused like the address itself.
+    const lookup = async () => [{ address: "192.168.0.10", family: 4 }];
+    await expect(checkWebhookUrl("https://intranet.example.com/hook", { dev: false, lookup })).to.be.rejectedWith("public host");
+    expect(await checkWebhookUrl("https://93.184.215.14/hook", { dev: false })).to.equal("https://93.184.215.14/hook");
+    expect(await checkWebhookUrl("http://127.0.0.1:8080/hook", { dev: true })).to.equal("http://127.0.0.1:8080/hook");
+
+    // The API only applies the policy, and resolves the host, once the request is authenticated.
+    const strict = createApiServer({ db, webhookDev: false });
+    await new Promise((resolve) => strict.listen(0, "127.0.0.1", resolve));
+    try {
+      const strictUrl = `http://127.0.0.1:${strict.address().port}`;
+      expect((await registerWebhook(fixture.actors.outsider, "https://169.254.169.254/", strictUrl)).status).to.equal(403);
+      const { status, body } = await registerWebhook(fixture.actors.poster, "https://169.254.169.254/", strictUrl);
+      expect(status).to.equal(400);
+      expect(body.error).to.equal("Webhook URL must point to a public host");
+    } finally {
+      strict.close();
+    }
+  });
+
+  it("checks the resolved address again at delivery, so a re-pointed name is not reached", async function () {
+    const receiver = await startReceiver([200]);
+    try {
+      // Registered while the name was public; it now resolves to loopback (DNS rebinding).
+      const port = new URL(receiver.url).port;
+      const hook = db.upsertWebhook(fixture.addresses.poster, poller.chainId, `https://localhost:${port}/hook`, "secret");
+      db.enqueueWebhookDelivery({ webhookId: hook, dedupeKey: "k1", eventType: "Challenged", payload: "{}", now: 0 });
+
+      expect(await deliverWebhooks({ db, dev: false, now: 1 })).to.equal(0);
+      expect(receiver.received).to.have.length(0);
+      const [delivery] = db.getWebhookDeliveries(hook);
+      expect(delivery).to.include({ status: "pending", attempts: 1, last_status_code: null, last_error: "Webhook URL must point to a public host" });
+    } finally {
+      receiver.server.close();
+    }
+  });
+
+  it("only posts the events and roles the wallet's preferences ask for", async function () {
+    const poster = fixture.addresses.poster.toLowerCase();
+    const judge = fixture.addresses.judge.toLowerCase();
+    const posterHook = db.upsertWebhook(poster, poller.chainId, "https://hooks.example.com/poster", "s1");
+    const judgeHook = db.upsertWebhook(judge, poller.chainId, "https://hooks.example.com/judge", "s2");
+    db.setPreferences(poster, poller.chainId, { events: ["BondWithdrawn"] });
+    db.setPreferences(judge, poller.chainId, { events: ["Challenged", "BondCreated"], roles: ["judge"] });
+
+    await fixture.actions.createBond();
+    await fixture.actions.challenge();
+    await pollContract(poller);
+
+    const queued = db.getDueWebhookDeliveries(Number.MAX_SAFE_INTEGER, 10);
+    expect(queued.filter(({ webhook_id }) => webhook_id === posterHook)).to.have.length(0);
+    expect(queued.filter(({ webhook_id }) => webhook_id === judgeHook).map(({ event_type }) => event_type))
+      .to.deep.equal(["BondCreated", "Challenged"]);
+  });
+});
@@ -7,12 +7,22 @@ describe("backend v0.5 surface", function () {
     resolve(__dirname, "..", "backend", "config.mjs"),
     "utf8"
   );
+  const deployments = JSON.parse(readFileSync(
+    resolve(__dirname, "..", "backend", "deployments.json"),
+    "utf8"
+  ));
 
   it("watches the live Gnosis v0.5 deployment only", function () {
-    expect(backendConfigSource).to.include("contract: '0x7dF485C013f8671B656d585f1d1411640B1D2776'");
-    expect(backendConfigSource).to.include("startBlock: 45569363");
-    expect(backendConfigSource).to.include("CONFIRMATION_BLOCKS = { 100: 12 }");
-    expect(backendConfigSource).to.not.include("name: 'Polygon'");
+    expect(deployments.chains).to.have.length(1);
+    const [gnosis] = deployments.chains;
+    expect(gnosis).to.include({ chainId: 100, name: "Gnosis", confirmations: 12 });
+    expect(gnosis.contracts).to.deep.equal([
+      {
+        address: "0x7dF485C013f8671B656d585f1d1411640B1D2776",
+        version: "v5",
+        startBlock: 45569363,
+      },
+    ]);
     expect(backendConfigSource).to.include("SimpleBondV5 ABI subset");
   });
 });
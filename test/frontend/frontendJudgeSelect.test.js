@@ -57,6 +57,7 @@ describe("judge dropdown helpers", function () {
         officialDisplayName: "Official Alice",
         officialStatement: "Use plain-language evidence.",
         officialLinkURI: "https://futarchy.ai/judges/alice",
+        stats: null,
       },
     ]);
   });
@@ -111,6 +112,7 @@ describe("judge dropdown helpers", function () {
           officialDisplayName: "Robin Court",
           officialStatement: "Futarchy-curated official judge.",
           officialLinkURI: "https://futarchy.ai/judges/robin",
+          stats: null,
         },
       },
       {
@@ -130,6 +132,7 @@ describe("judge dropdown helpers", function () {
           officialDisplayName: "",
           officialStatement: "",
           officialLinkURI: "",
+          stats: null,
         },
       },
     ]);
@@ -200,4 +203,34 @@ describe("judge dropdown helpers", function () {
     expect(compareJudges(fewerUsedButActuallyJudged, moreUsedButNeverRuled)).to.be.lessThan(0);
     expect(compareJudges(moreUsedButNeverRuled, fewerUsedButActuallyJudged)).to.be.greaterThan(0);
   });
+
+  it("ranks judges with indexed statistics by reliability and ruling speed", function () {
+    const slow = {
+      address: "0x9999999999999999999999999999999999999999",
+      judgedCount: 0,
+      stats: { bondCount: 4, judgedCount: 2, timeoutCount: 0, avgTimeToRulingSec: 86400 },
+    };
+    const fast = {
+      address: "0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa",
+      judgedCount: 0,
+      stats: { bondCount: 2, judgedCount: 2, timeoutCount: 0, avgTimeToRulingSec: 3600 },
+    };
+    const unreliable = {
+      address: "0xbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb",
+      judgedCount: 2,
+      stats: { bondCount: 9, judgedCount: 2, timeoutCount: 3, avgTimeToRulingSec: 60 },
+    };
+    const logsOnly = {
+      address: "0xcccccccccccccccccccccccccccccccccccccccc",
+      bondCount: 10,
+      judgedCount: 1,
+    };
+
+    expect([logsOnly, unreliable, slow, fast].sort(compareJudges).map((judge) => judge.address)).to.deep.equal([
+      fast.address,
+      slow.address,
+      unreliable.address,
+      logsOnly.address,
+    ]);
+  });
 });
@@ -0,0 +1,155 @@
+const { expect } = require("chai");
+
+const { createRpcPool, isRangeError } = require("../../frontend/rpc-pool.js");
+
+// A provider with one log per block up to `head`, rejecting ranges wider than `maxRange`.
+function fakeProvider({ head = 100, maxRange = Infinity, down = false } = {}) {
+  const provider = {
+    calls: [],
+    async getBlockNumber() {
+      provider.calls.push("getBlockNumber");
+      if (provider.down) throw new Error("connection refused");
+      return head;
+    },
+    async getLogs({ fromBlock, toBlock }) {
+      provider.calls.push([fromBlock, toBlock]);
+      if (provider.down) throw new Error("connection refused");
+      if (toBlock - fromBlock + 1 > maxRange) {
+        const err = new Error("could not coalesce error");
+        err.error = { code: -32005, message: `query returned more than 10000 results` };
+        throw err;
+      }
+      const logs = [];
+      for (let block = fromBlock; block <= toBlock; block++) logs.push({ blockNumber: block });
+      return logs;
+    },
+  };
+  provider.down = down;
+  return provider;
+}
+
+describe("RPC pool", function () {
+  let time;
+  let slept;
+  const clock = { now: () => time, sleep: async (ms) => { slept.push(ms); time += ms; } };
+
+  beforeEach(function () {
+    time = 1_000;
+    slept = [];
+  });
+
+  it("fails over to the next endpoint and backs off the failing one exponentially", async function () {
+    const primary = fakeProvider({ down: true });
+    const backup = fakeProvider();
+    const pool = createRpcPool([primary, backup], { ...clock, baseBackoffMs: 100, maxBackoffMs: 250 });
+
+    expect(await pool.call("getBlockNumber", (p) => p.getBlockNumber())).to.equal(100);
+    expect(primary.calls).to.have.length(1);
+    expect(pool.status()[0]).to.include({ healthy: false, failures: 1, retryInMs: 100, lastError: "connection refused" });
+
+    // While it backs off, calls go straight to the backup.
+    await pool.call("getBlockNumber", (p) => p.getBlockNumber());
+    expect(primary.calls).to.have.length(1);
+
+    time += 100;
+    await pool.call("getBlockNumber", (p) => p.getBlockNumber());
+    time += 200;
+    await pool.call("getBlockNumber", (p) => p.getBlockNumber());
+    time += 250;
+    await pool.call("getBlockNumber", (p) => p.getBlockNumber());
+    expect(pool.status()[0]).to.include({ failures: 4, retryInMs: 250 }); // 100, 200, 400 capped to 250
+
+    primary.down = false;
+    time += 250;
+    await pool.call("getBlockNumber", (p) => p.getBlockNumber());
+    expect(pool.status()[0]).to.deep.equal({ healthy: true, failures: 0, retryInMs: 0, lastError: null });
+    expect(slept).to.deep.equal([]);
+  });
+
+  it("waits for the first endpoint to recover when all are backing off, then gives up", async function () {
+    const only = fakeProvider({ down: true });
+    const attempts = [];
+    const pool = createRpcPool([only], {
+      ...clock,
+      baseBackoffMs: 100,
+      maxAttempts: 3,
+      instrument: (method, run, endpoint) => {
+        attempts.push([method, endpoint]);
+        return run();
+      },
+    });
+
+    await expect(pool.call("getBlockNumber", (p) => p.getBlockNumber())).to.be.rejectedWith("connection refused");
+    expect(slept).to.deep.equal([100, 200]);
+    expect(attempts).to.deep.equal([["getBlockNumber", 0], ["getBlockNumber", 0], ["getBlockNumber", 0]]);
+  });
+
+  it("does not retry reverts or mark the endpoint unhealthy for them", async function () {
+    const pool = createRpcPool([fakeProvider(), fakeProvider()], clock);
+    let calls = 0;
+    const revert = Object.assign(new Error("execution reverted"), { code: "CALL_EXCEPTION" });
+
+    await expect(pool.call("call", async () => {
+      calls++;
+      throw revert;
+    })).to.be.rejectedWith("execution reverted");
+    expect(calls).to.equal(1);
+    expect(pool.status().every(({ healthy }) => healthy)).to.equal(true);
+  });
+
+  it("halves the log range while it is too large and grows it back after full ranges succeed", async function () {
+    const provider = fakeProvider({ maxRange: 25 });
+    const pool = createRpcPool([provider], { ...clock, initialChunk: 100, growAfter: 2 });
+    const ranges = [];
+
+    await pool.scanLogs({ address: "0x01" }, 0, 99, async (logs, from, to) => {
+      expect(logs).to.have.length(to - from + 1);
+      ranges.push([from, to]);
+    });
+    expect(ranges).to.deep.equal([[0, 24], [25, 49], [50, 74], [75, 99]]);
+    // Grown back to 50 after two full ranges of 25, and halved again when 50 fails.
+    expect(provider.calls).to.deep.equal([[0, 99], [0, 49], [0, 24], [25, 49], [50, 99], [50, 74], [75, 99]]);
+    expect(pool.chunkSize).to.equal(50);
+    expect(pool.status()[0].healthy).to.equal(true);
+
+    const logs = await pool.getLogs({ address: "0x01", fromBlock: 90 });
+    expect(logs.map(({ blockNumber }) => blockNumber)).to.deep.equal([90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100]);
+  });
+
+  it("gives up on a range error for a single block", async function () {
+    const pool = createRpcPool([fakeProvider({ maxRange: 0 })], { ...clock, initialChunk: 4 });
+    await expect(pool.getLogs({ fromBlock: 0, toBlock: 3 })).to.be.rejectedWith("could not coalesce error");
+    expect(pool.chunkSize).to.equal(1);
+  });
+
+  it("fails over from a rate-limited endpoint instead of shrinking the range", async function () {
+    const limited = fakeProvider();
+    limited.getLogs = async ({ fromBlock, toBlock }) => {
+      limited.calls.push([fromBlock, toBlock]);
+      const err = new Error("could not coalesce error");
+      err.error = { code: -32005, message: "rate limit exceeded" };
+      throw err;
+    };
+    const fallback = fakeProvider();
+    const pool = createRpcPool([limited, fallback], { ...clock, initialChunk: 100 });
+
+    const logs = await pool.getLogs({ fromBlock: 0, toBlock: 99 });
+    expect(logs).to.have.length(100);
+    expect(limited.calls).to.deep.equal([[0, 99]]);
+    expect(fallback.calls).to.deep.equal([[0, 99]]);
+    expect(pool.chunkSize).to.equal(100);
+    expect(pool.status()[0]).to.include({ healthy: false, failures: 1, lastError: "could not coalesce error" });
+    expect(slept).to.deep.equal([]);
+  });
+
+  it("recognises the range errors of common public RPCs", function () {
+    expect(isRangeError(new Error("eth_getLogs block range is too large, max 10000"))).to.equal(true);
+    expect(isRangeError({ info: { error: { code: -32602, message: "query exceeds max block range 100000" } } })).to.equal(true);
+    expect(isRangeError({ shortMessage: "Log response size exceeded. You can make eth_getLogs requests with up to a 2K block range" })).to.equal(true);
+    expect(isRangeError(new Error("connection refused"))).to.equal(false);
+    expect(isRangeError(new Error("rate limit exceeded"))).to.equal(false);
+    expect(isRangeError({ error: { code: -32005, message: "project ID request rate exceeded" } })).to.equal(false);
+    expect(isRangeError({ shortMessage: "server response 429 Too Many Requests", info: { responseStatus: "429 Too Many Requests" } })).to.equal(false);
+    expect(isRangeError(undefined)).to.equal(false);
+  });
+});
@@ -50,9 +50,9 @@ describe("printSimpleBondDeploymentChecklist", function () {
       "  2. If this should be the live Gnosis deployment, update frontend/runtime-config.js:",
       `     set window.SIMPLE_BOND_CONFIG.gnosisBondContract = "${address}"`,
       "     set window.SIMPLE_BOND_CONFIG.gnosisDeployBlock = 123456",
-      "  3. If email notifications should watch this deployment, update backend/config.mjs:",
-      `     set CHAINS[100].contract = "${address}"`,
-      "     set CHAINS[100].startBlock = 123456",
+      "  3. If email notifications should watch this deployment, update backend/deployments.json:",
+      `     in the chainId 100 entry, set contracts[].address = "${address}" (version "v5")`,
+      "     set contracts[].startBlock = 123456",
       "  4. If this deployment is canonical, update README.md's Addresses table.",
       "  5. Record the deployed address, tx hash, and block number in your release notes or ops log.",
     ]);
@@ -161,7 +161,7 @@ describe("printSimpleBondDeploymentChecklist", function () {
       `     npx hardhat verify --network ethereum ${address}`,
       "  2. The product frontend currently ships active runtime config only for Gnosis in frontend/runtime-config.js.",
       "     If this deployment should be product-supported, add the new chain/address/block there before treating it as live.",
-      "  3. If email notifications should watch this deployment, also update backend/config.mjs.",
+      "  3. If email notifications should watch this deployment, also add it to backend/deployments.json.",
       "  4. If this deployment is canonical, update README.md's Addresses table.",
       "  5. Record the deployed address, tx hash, and block number in your release notes or ops log.",
     ]);
@@ -188,7 +188,7 @@ describe("printSimpleBondDeploymentChecklist", function () {
       "  1. Skip explorer verification on the local hardhat network.",
       "  2. The product frontend currently ships active runtime config only for Gnosis in frontend/runtime-config.js.",
       "     If this deployment should be product-supported, add the new chain/address/block there before treating it as live.",
-      "  3. If email notifications should watch this deployment, also update backend/config.mjs.",
+      "  3. If email notifications should watch this deployment, also add it to backend/deployments.json.",
       "  4. If this deployment is canonical, update README.md's Addresses table.",
       "  5. Record the deployed address, tx hash, and block number in your release notes or ops log.",
     ]);
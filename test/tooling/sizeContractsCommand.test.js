@@ -15,6 +15,8 @@ const EXPECTED_CONTRACTS = [
   "JudgeRegistry",
   "OfficialBondDirectory",
   "MockArbitrator",
+  "MockERC1271Wallet",
+  "MockSafeWallet",
 ];
 
 const INTERFACE_ARTIFACTS = [